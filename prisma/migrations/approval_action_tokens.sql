@@ -0,0 +1,27 @@
+-- =============================================================================
+-- APPROVAL ACTION LINKS
+-- One-time, expiring tokens behind the approve / reject / send-back links in
+-- approval notifications. The signed JWT in the link carries the row id;
+-- used_at is set atomically on first use.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.approval_action_tokens (
+  id                  UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  approval_request_id UUID         NOT NULL,
+  approval_step_id    UUID         NOT NULL,
+  user_id             UUID         NOT NULL,
+  expires_at          TIMESTAMP(6) NOT NULL,
+  used_at             TIMESTAMP(6),
+  used_action         VARCHAR(20),
+  ip_address          VARCHAR(100),
+  device_info         TEXT,
+  created_at          TIMESTAMP(6) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS approval_action_tokens_approval_step_id_idx
+  ON auth.approval_action_tokens(approval_step_id);
+
+CREATE INDEX IF NOT EXISTS approval_action_tokens_user_id_idx
+  ON auth.approval_action_tokens(user_id);
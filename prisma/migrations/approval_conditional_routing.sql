@@ -0,0 +1,18 @@
+-- =============================================================================
+-- APPROVAL ENGINE: CONDITIONAL ROUTING RULES
+-- approval_matrices.condition holds a JSON rule tested against document
+-- attributes supplied by each module's meta adapter (see approvals.rules.js).
+-- Adds the document flags the rules commonly test.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.approval_matrices
+  ADD COLUMN IF NOT EXISTS condition JSONB;
+
+ALTER TABLE auth.purchase_requisitions
+  ADD COLUMN IF NOT EXISTS is_emergency BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE auth.purchase_orders
+  ADD COLUMN IF NOT EXISTS is_single_source     BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS single_source_reason TEXT;
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- APPROVAL ENGINE: PARALLEL + QUORUM STEP GROUPS
+-- Matrix rows sharing a step_order form one group. The group completes when:
+--   ALL    → every step approves (default, legacy behaviour)
+--   ANY    → the first approval
+--   QUORUM → quorum_count approvals ("N of M")
+-- The rule is copied onto each approval_step so later matrix edits do not
+-- change requests already in flight.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.approval_matrices
+  ADD COLUMN IF NOT EXISTS approval_rule VARCHAR(20) DEFAULT 'ALL',
+  ADD COLUMN IF NOT EXISTS quorum_count  INT;
+
+ALTER TABLE auth.approval_steps
+  ADD COLUMN IF NOT EXISTS is_parallel   BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS approval_rule VARCHAR(20) DEFAULT 'ALL',
+  ADD COLUMN IF NOT EXISTS quorum_count  INT;
+
+CREATE INDEX IF NOT EXISTS idx_approval_steps_group
+  ON auth.approval_steps(approval_request_id, step_order, status);
@@ -0,0 +1,29 @@
+-- =============================================================================
+-- APPROVAL REQUEST REVISIONS
+-- Each submission of a document gets a revision number; resubmissions after a
+-- send-back keep a snapshot (amount + lines) and a field-level diff against the
+-- sent-back revision for approvers.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.approval_requests
+  ADD COLUMN IF NOT EXISTS revision            INT DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS previous_request_id UUID;
+
+CREATE TABLE IF NOT EXISTS auth.approval_request_revisions (
+  id                  UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  approval_request_id UUID         NOT NULL UNIQUE,
+  previous_request_id UUID,
+  doc_type            VARCHAR(50)  NOT NULL,
+  doc_id              VARCHAR(100) NOT NULL,
+  revision            INT          NOT NULL,
+  snapshot            JSONB        NOT NULL,
+  diff                JSONB,
+  carried_over_steps  JSONB,
+  created_by          UUID,
+  created_at          TIMESTAMP(6) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS approval_request_revisions_doc_type_doc_id_idx
+  ON auth.approval_request_revisions(doc_type, doc_id);
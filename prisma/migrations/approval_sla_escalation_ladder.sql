@@ -0,0 +1,18 @@
+-- =============================================================================
+-- APPROVAL ENGINE: BUSINESS-HOURS SLA + ESCALATION LADDER
+-- SLA timers count business hours under the company calendar
+-- (SystemSetting SLA_WORK_CALENDAR / SLA_HOLIDAYS) from the moment a step's
+-- group becomes current. Escalation climbs SLA_ESCALATION_LADDER one level
+-- at a time instead of flipping a single escalated flag.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.approval_steps
+  ADD COLUMN IF NOT EXISTS escalation_level INT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS escalated_at     TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS sla_hours        INT,
+  ADD COLUMN IF NOT EXISTS activated_at     TIMESTAMP(6);
+
+-- Steps escalated under the old single-flag model sit on the first rung
+UPDATE auth.approval_steps SET escalation_level = 1 WHERE escalated = TRUE AND COALESCE(escalation_level, 0) = 0;
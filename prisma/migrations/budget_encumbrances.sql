@@ -0,0 +1,35 @@
+-- =============================================================================
+-- BUDGET ENCUMBRANCES
+-- Commitment control on cost codes: approved PRs reserve budget, issued POs
+-- turn the reservation into a commitment, supplier invoices turn the
+-- commitment into actual cost, and cancellations release it. Every movement is
+-- a row in budget_encumbrances; cost_codes keeps the running totals.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.cost_codes
+  ADD COLUMN IF NOT EXISTS reserved_amount  DECIMAL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS committed_amount DECIMAL DEFAULT 0;
+
+ALTER TABLE auth.purchase_requisition_items
+  ADD COLUMN IF NOT EXISTS cost_code_id UUID REFERENCES auth.cost_codes(id);
+
+CREATE TABLE IF NOT EXISTS auth.budget_encumbrances (
+  id              UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id      UUID,
+  cost_code_id    UUID          NOT NULL REFERENCES auth.cost_codes(id) ON DELETE CASCADE,
+  doc_type        VARCHAR(20)   NOT NULL,
+  doc_id          UUID          NOT NULL,
+  bucket          VARCHAR(20)   NOT NULL,
+  entry_type      VARCHAR(20)   NOT NULL,
+  amount          DECIMAL(18,2) NOT NULL,
+  source_doc_type VARCHAR(20),
+  source_doc_id   UUID,
+  remarks         TEXT,
+  created_by      UUID,
+  created_at      TIMESTAMP(6)  DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS budget_encumbrances_cost_code_id_bucket_idx ON auth.budget_encumbrances(cost_code_id, bucket);
+CREATE INDEX IF NOT EXISTS budget_encumbrances_doc_type_doc_id_idx ON auth.budget_encumbrances(doc_type, doc_id);
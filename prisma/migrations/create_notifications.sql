@@ -0,0 +1,30 @@
+-- =============================================================================
+-- IN-APP NOTIFICATION CENTER
+-- One row per recipient. Emitted by approvals, escalation, execution tasks,
+-- RFIs, NCRs and HSE incidents; read through /api/notifications.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.notifications (
+  id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     UUID         NOT NULL,
+  company_id  UUID,
+  type        VARCHAR(50)  NOT NULL,
+  title       VARCHAR(300) NOT NULL,
+  message     TEXT,
+  entity      VARCHAR(50),
+  entity_id   VARCHAR(100),
+  link        VARCHAR(500),
+  priority    VARCHAR(20)  NOT NULL DEFAULT 'normal',
+  data        JSONB,
+  is_read     BOOLEAN      NOT NULL DEFAULT FALSE,
+  read_at     TIMESTAMP(6),
+  created_at  TIMESTAMP(6) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_is_read_created_at_idx
+  ON auth.notifications(user_id, is_read, created_at);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_type_idx
+  ON auth.notifications(user_id, type);
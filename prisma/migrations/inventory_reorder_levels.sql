@@ -0,0 +1,34 @@
+-- =============================================================================
+-- REORDER LEVELS & REPLENISHMENT DRAFTS
+-- Min / max / reorder point and lead time per store and item. The daily
+-- replenishment job drafts one purchase requisition per store for the items
+-- whose on hand + on order − reserved has fallen to the reorder point; the
+-- store keeper reviews and submits it.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.inventory_reorder_levels (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id     UUID          NOT NULL REFERENCES auth.companies(id),
+  store_id       UUID          NOT NULL REFERENCES auth.inventory_stores(id),
+  item_id        UUID          NOT NULL REFERENCES auth.items(id),
+  min_qty        DECIMAL       NOT NULL DEFAULT 0,
+  max_qty        DECIMAL       NOT NULL,
+  reorder_point  DECIMAL       NOT NULL,
+  lead_time_days INTEGER       NOT NULL DEFAULT 0,
+  is_active      BOOLEAN       NOT NULL DEFAULT true,
+  created_by     UUID,
+  created_at     TIMESTAMP(6)  NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMP(6)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS inventory_reorder_levels_store_id_item_id_key
+  ON auth.inventory_reorder_levels(store_id, item_id);
+
+CREATE INDEX IF NOT EXISTS inventory_reorder_levels_company_id_is_active_idx
+  ON auth.inventory_reorder_levels(company_id, is_active);
+
+-- Replenishment PRs carry the store they restock
+ALTER TABLE auth.purchase_requisitions
+  ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES auth.inventory_stores(id);
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- RESERVATION WBS
+-- Planning requests carried their WBS in two columns: wbs_id, written by the
+-- store planning API, and "wBSId", the column behind the Prisma relation. The
+-- relation now uses wbs_id. Rows that only had "wBSId" are carried over (where
+-- both are set, wbs_id is kept) and the legacy column is dropped.
+-- =============================================================================
+
+SET search_path TO auth;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+     WHERE table_schema = 'auth' AND table_name = 'inventory_planning_requests' AND column_name = 'wBSId'
+  ) THEN
+    UPDATE auth.inventory_planning_requests
+       SET wbs_id = "wBSId"
+     WHERE wbs_id IS NULL AND "wBSId" IS NOT NULL;
+
+    ALTER TABLE auth.inventory_planning_requests DROP COLUMN "wBSId";
+  END IF;
+END $$;
+
+-- wbs_id had no foreign key; clear references to deleted WBS before adding it
+UPDATE auth.inventory_planning_requests r
+   SET wbs_id = NULL
+ WHERE wbs_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM auth.wbs w WHERE w.id = r.wbs_id);
+
+ALTER TABLE auth.inventory_planning_requests
+  DROP CONSTRAINT IF EXISTS "inventory_planning_requests_wbs_id_fkey";
+ALTER TABLE auth.inventory_planning_requests
+  ADD CONSTRAINT "inventory_planning_requests_wbs_id_fkey"
+  FOREIGN KEY (wbs_id) REFERENCES auth.wbs(id) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- STOCK RESERVATIONS
+-- RESERVED planning requests now hold their unissued quantity on the stock row
+-- (reserved_qty), so material issues to other projects cannot take it. Issues
+-- draw reservations down (issued_qty, issue line reservation_id); unissued
+-- quantity is released when a reservation expires.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.inventory_stocks
+  ADD COLUMN IF NOT EXISTS reserved_qty DECIMAL NOT NULL DEFAULT 0;
+
+ALTER TABLE auth.inventory_planning_requests
+  ADD COLUMN IF NOT EXISTS issued_qty  DECIMAL NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS reserved_at TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS expires_at  TIMESTAMP(6);
+
+CREATE INDEX IF NOT EXISTS inventory_planning_requests_store_id_item_id_reservation_status_idx
+  ON auth.inventory_planning_requests(store_id, item_id, reservation_status);
+
+ALTER TABLE auth.inventory_issue_items
+  ADD COLUMN IF NOT EXISTS reservation_id UUID REFERENCES auth.inventory_planning_requests(id);
+
+-- Existing reservations: held from their last update, no expiry
+UPDATE auth.inventory_planning_requests
+   SET reserved_at = updated_at
+ WHERE reservation_status = 'RESERVED' AND reserved_at IS NULL;
+
+-- Carry existing reservations onto the stock rows
+UPDATE auth.inventory_stocks s
+   SET reserved_qty = r.open_qty
+  FROM (
+        SELECT store_id, item_id, SUM(quantity - issued_qty) AS open_qty
+          FROM auth.inventory_planning_requests
+         WHERE reservation_status = 'RESERVED' AND deleted_at IS NULL AND store_id IS NOT NULL
+         GROUP BY store_id, item_id
+       ) r
+ WHERE s.store_id = r.store_id AND s.item_id = r.item_id;
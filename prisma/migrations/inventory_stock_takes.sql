@@ -0,0 +1,51 @@
+-- =============================================================================
+-- STOCK-TAKE / CYCLE COUNTING
+-- A session freezes a store's book quantities, collects physical counts (blind
+-- if required) and posts variances as ADJUST_IN / ADJUST_OUT. Variances whose
+-- value exceeds STOCK_TAKE_APPROVAL_THRESHOLD go through the approval engine
+-- as STOCK_ADJUSTMENT first.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.inventory_stock_takes (
+  id                   UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id           UUID          NOT NULL REFERENCES auth.companies(id),
+  count_no             VARCHAR(100)  NOT NULL UNIQUE,
+  store_id             UUID          NOT NULL REFERENCES auth.inventory_stores(id),
+  scope                VARCHAR(10)   NOT NULL DEFAULT 'full',
+  blind                BOOLEAN       NOT NULL DEFAULT false,
+  status               VARCHAR(30)   NOT NULL DEFAULT 'counting',
+  remarks              TEXT,
+  frozen_at            TIMESTAMP(6)  NOT NULL DEFAULT now(),
+  net_variance_value   DECIMAL(18,2),
+  gross_variance_value DECIMAL(18,2),
+  approval_request_id  UUID,
+  submitted_by         UUID,
+  submitted_at         TIMESTAMP(6),
+  posted_by            UUID,
+  posted_at            TIMESTAMP(6),
+  created_by           UUID          NOT NULL,
+  created_at           TIMESTAMP(6)  DEFAULT now(),
+  updated_at           TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS inventory_stock_takes_company_id_store_id_status_idx
+  ON auth.inventory_stock_takes(company_id, store_id, status);
+
+CREATE TABLE IF NOT EXISTS auth.inventory_stock_take_lines (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  stock_take_id  UUID          NOT NULL REFERENCES auth.inventory_stock_takes(id) ON DELETE CASCADE,
+  item_id        UUID          NOT NULL REFERENCES auth.items(id),
+  snapshot_qty   DECIMAL       NOT NULL,
+  snapshot_value DECIMAL(18,2) NOT NULL,
+  unit_cost      DECIMAL(18,6) NOT NULL,
+  counted_qty    DECIMAL       CHECK (counted_qty >= 0),
+  counted_by     UUID,
+  counted_at     TIMESTAMP(6),
+  remarks        TEXT,
+  variance_qty   DECIMAL,
+  variance_value DECIMAL(18,2),
+  posted_value   DECIMAL(18,2),
+  UNIQUE (stock_take_id, item_id)
+);
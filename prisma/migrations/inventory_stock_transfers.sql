@@ -0,0 +1,65 @@
+-- =============================================================================
+-- INTER-STORE STOCK TRANSFERS
+-- A transfer is dispatched from one store into the company's virtual in-transit
+-- store (TRANSFER_OUT / TRANSFER_IN) and received at the destination in one or
+-- more receipts; quantities that never arrive are written off as TRANSIT_LOSS.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.inventory_stores
+  ADD COLUMN IF NOT EXISTS is_transit BOOLEAN NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS inventory_stores_company_transit_key
+  ON auth.inventory_stores(company_id) WHERE is_transit;
+
+CREATE TABLE IF NOT EXISTS auth.inventory_transfers (
+  id            UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id    UUID          NOT NULL REFERENCES auth.companies(id),
+  transfer_no   VARCHAR(100)  NOT NULL UNIQUE,
+  from_store_id UUID          NOT NULL REFERENCES auth.inventory_stores(id),
+  to_store_id   UUID          NOT NULL REFERENCES auth.inventory_stores(id),
+  status        VARCHAR(30)   NOT NULL DEFAULT 'draft',
+  remarks       TEXT,
+  vehicle_no    VARCHAR(50),
+  created_by    UUID          NOT NULL,
+  created_at    TIMESTAMP(6)  DEFAULT now(),
+  dispatched_by UUID,
+  dispatched_at TIMESTAMP(6),
+  completed_at  TIMESTAMP(6),
+  updated_at    TIMESTAMP(6),
+  CHECK (from_store_id <> to_store_id)
+);
+
+CREATE INDEX IF NOT EXISTS inventory_transfers_company_id_status_idx
+  ON auth.inventory_transfers(company_id, status);
+
+CREATE TABLE IF NOT EXISTS auth.inventory_transfer_items (
+  id             UUID     PRIMARY KEY DEFAULT gen_random_uuid(),
+  transfer_id    UUID     NOT NULL REFERENCES auth.inventory_transfers(id) ON DELETE CASCADE,
+  item_id        UUID     NOT NULL REFERENCES auth.items(id),
+  qty_dispatched DECIMAL  NOT NULL CHECK (qty_dispatched > 0),
+  qty_received   DECIMAL  NOT NULL DEFAULT 0,
+  qty_lost       DECIMAL  NOT NULL DEFAULT 0,
+  UNIQUE (transfer_id, item_id)
+);
+
+CREATE TABLE IF NOT EXISTS auth.inventory_transfer_receipts (
+  id          UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  transfer_id UUID          NOT NULL REFERENCES auth.inventory_transfers(id) ON DELETE CASCADE,
+  received_by UUID          NOT NULL,
+  received_at TIMESTAMP(6)  DEFAULT now(),
+  remarks     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS inventory_transfer_receipts_transfer_id_idx
+  ON auth.inventory_transfer_receipts(transfer_id);
+
+CREATE TABLE IF NOT EXISTS auth.inventory_transfer_receipt_items (
+  id               UUID     PRIMARY KEY DEFAULT gen_random_uuid(),
+  receipt_id       UUID     NOT NULL REFERENCES auth.inventory_transfer_receipts(id) ON DELETE CASCADE,
+  transfer_item_id UUID     NOT NULL REFERENCES auth.inventory_transfer_items(id),
+  qty_received     DECIMAL  NOT NULL DEFAULT 0,
+  qty_lost         DECIMAL  NOT NULL DEFAULT 0,
+  loss_reason      TEXT
+);
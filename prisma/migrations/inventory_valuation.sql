@@ -0,0 +1,85 @@
+-- =============================================================================
+-- INVENTORY VALUATION (WAC / FIFO)
+-- Every stock movement now carries its base-currency cost. Stock is valued per
+-- store/item by moving weighted average or FIFO layers, chosen per company.
+--
+-- Backfill: existing ledger rows are costed from their GRN line (PO price at
+-- the PO rate) or issue line; existing balances are opened at the item's
+-- standard price, which is how stock was valued until now.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.companies
+  ADD COLUMN IF NOT EXISTS valuation_method VARCHAR(10) NOT NULL DEFAULT 'WAC';
+
+ALTER TABLE auth.inventory_stocks
+  ADD COLUMN IF NOT EXISTS total_value DECIMAL(18,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE auth.inventory_ledger
+  ADD COLUMN IF NOT EXISTS unit_cost  DECIMAL(18,6),
+  ADD COLUMN IF NOT EXISTS total_cost DECIMAL(18,2);
+
+ALTER TABLE auth.inventory_issue_items
+  ADD COLUMN IF NOT EXISTS total_cost DECIMAL(18,2);
+
+CREATE TABLE IF NOT EXISTS auth.inventory_cost_layers (
+  id            UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id    UUID          NOT NULL REFERENCES auth.companies(id),
+  store_id      UUID          NOT NULL REFERENCES auth.inventory_stores(id),
+  item_id       UUID          NOT NULL REFERENCES auth.items(id),
+  ledger_id     UUID          REFERENCES auth.inventory_ledger(id),
+  received_at   TIMESTAMP(6)  NOT NULL DEFAULT now(),
+  qty_in        DECIMAL       NOT NULL,
+  qty_remaining DECIMAL       NOT NULL CHECK (qty_remaining >= 0),
+  unit_cost     DECIMAL(18,6) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS inventory_cost_layers_store_id_item_id_received_at_idx
+  ON auth.inventory_cost_layers(store_id, item_id, received_at);
+
+-- ── Backfill ────────────────────────────────────────────────────────────────
+
+UPDATE auth.inventory_ledger l
+SET unit_cost = src.unit_cost
+FROM (
+  SELECT gi.grn_id, gi.item_id,
+         SUM((gi.qty_received - gi.qty_rejected) * gi.unit_price * COALESCE(po.exchange_rate, 1))
+           / NULLIF(SUM(gi.qty_received - gi.qty_rejected), 0) AS unit_cost
+  FROM auth.inventory_grn_items gi
+  JOIN auth.inventory_grns g ON g.id = gi.grn_id
+  JOIN auth.purchase_orders po ON po.id = g.po_id
+  GROUP BY gi.grn_id, gi.item_id
+) src
+WHERE l.move_type = 'GRN_IN'
+  AND l.unit_cost IS NULL
+  AND l.reference_id = src.grn_id
+  AND l.item_id = src.item_id;
+
+UPDATE auth.inventory_ledger l
+SET unit_cost = src.unit_cost
+FROM (
+  SELECT ii.issue_id, ii.item_id,
+         SUM(ii.quantity * ii.unit_cost) / NULLIF(SUM(ii.quantity), 0) AS unit_cost
+  FROM auth.inventory_issue_items ii
+  GROUP BY ii.issue_id, ii.item_id
+) src
+WHERE l.move_type = 'ISSUE_OUT'
+  AND l.unit_cost IS NULL
+  AND l.reference_id = src.issue_id
+  AND l.item_id = src.item_id;
+
+UPDATE auth.inventory_ledger
+SET total_cost = ROUND(quantity * unit_cost, 2)
+WHERE unit_cost IS NOT NULL AND total_cost IS NULL;
+
+UPDATE auth.inventory_issue_items
+SET total_cost = ROUND(quantity * unit_cost, 2)
+WHERE total_cost IS NULL;
+
+UPDATE auth.inventory_stocks s
+SET total_value = ROUND(s.quantity * COALESCE(i.standard_price, 0), 2)
+FROM auth.items i
+WHERE i.id = s.item_id
+  AND s.total_value = 0
+  AND s.quantity > 0;
@@ -0,0 +1,47 @@
+-- =============================================================================
+-- MULTI-CURRENCY PURCHASING
+-- Quotes, POs, supplier invoices and payments carry a currency. POs, invoices
+-- and payments lock the exchange rate to the company base currency on their
+-- date, from the dated exchange_rates table; payments record the realized FX
+-- gain / loss against the invoice rate. Existing rows are SAR at rate 1.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.companies
+  ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'SAR';
+
+ALTER TABLE auth.vendor_quotes
+  ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'SAR';
+
+ALTER TABLE auth.purchase_orders
+  ADD COLUMN IF NOT EXISTS currency      VARCHAR(3)    NOT NULL DEFAULT 'SAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE auth.supplier_invoices
+  ADD COLUMN IF NOT EXISTS currency      VARCHAR(3)    NOT NULL DEFAULT 'SAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE auth.supplier_payments
+  ADD COLUMN IF NOT EXISTS currency      VARCHAR(3)    NOT NULL DEFAULT 'SAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS base_amount   DECIMAL(18,2),
+  ADD COLUMN IF NOT EXISTS fx_gain_loss  DECIMAL(18,2) DEFAULT 0;
+
+UPDATE auth.supplier_payments SET base_amount = amount WHERE base_amount IS NULL;
+
+CREATE TABLE IF NOT EXISTS auth.exchange_rates (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id     UUID          REFERENCES auth.companies(id),
+  from_currency  VARCHAR(3)    NOT NULL,
+  to_currency    VARCHAR(3)    NOT NULL,
+  rate           DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+  effective_date DATE          NOT NULL,
+  source         VARCHAR(20)   DEFAULT 'manual',
+  created_by     UUID,
+  created_at     TIMESTAMP(6)  DEFAULT now(),
+  updated_at     TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS exchange_rates_from_currency_to_currency_effective_date_idx
+  ON auth.exchange_rates(from_currency, to_currency, effective_date);
@@ -0,0 +1,75 @@
+-- =============================================================================
+-- NOTIFICATION DELIVERY: EMAIL / SMS / WEBHOOK
+-- Templates per event + channel (company rows override tenant-wide rows),
+-- per-user channel preferences, webhook subscriptions, and the outbox that
+-- makes delivery survive restarts and provider outages.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.notification_templates (
+  id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id  UUID,
+  event       VARCHAR(50)  NOT NULL,
+  channel     VARCHAR(20)  NOT NULL,
+  subject     VARCHAR(300),
+  body        TEXT         NOT NULL,
+  is_active   BOOLEAN      NOT NULL DEFAULT TRUE,
+  created_at  TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMP(6)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS notification_templates_event_channel_company_id_key
+  ON auth.notification_templates(event, channel, company_id);
+
+CREATE TABLE IF NOT EXISTS auth.notification_preferences (
+  id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     UUID         NOT NULL,
+  event       VARCHAR(50)  NOT NULL,
+  channel     VARCHAR(20)  NOT NULL,
+  enabled     BOOLEAN      NOT NULL DEFAULT TRUE,
+  updated_at  TIMESTAMP(6)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS notification_preferences_user_id_event_channel_key
+  ON auth.notification_preferences(user_id, event, channel);
+
+CREATE TABLE IF NOT EXISTS auth.webhook_subscriptions (
+  id          UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id  UUID,
+  name        VARCHAR(200)  NOT NULL,
+  url         VARCHAR(1000) NOT NULL,
+  secret      VARCHAR(200),
+  events      JSONB         NOT NULL,
+  is_active   BOOLEAN       NOT NULL DEFAULT TRUE,
+  created_by  UUID,
+  created_at  TIMESTAMP(6)  NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS webhook_subscriptions_company_id_is_active_idx
+  ON auth.webhook_subscriptions(company_id, is_active);
+
+CREATE TABLE IF NOT EXISTS auth.notification_outbox (
+  id               UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id       UUID,
+  user_id          UUID,
+  event            VARCHAR(50)   NOT NULL,
+  channel          VARCHAR(20)   NOT NULL,
+  recipient        VARCHAR(1000) NOT NULL,
+  subject          VARCHAR(300),
+  body             TEXT,
+  payload          JSONB,
+  webhook_id       UUID,
+  status           VARCHAR(20)   NOT NULL DEFAULT 'pending',
+  attempts         INT           NOT NULL DEFAULT 0,
+  max_attempts     INT           NOT NULL DEFAULT 5,
+  next_attempt_at  TIMESTAMP(6)  NOT NULL DEFAULT NOW(),
+  last_error       TEXT,
+  sent_at          TIMESTAMP(6),
+  created_at       TIMESTAMP(6)  NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS notification_outbox_status_next_attempt_at_idx
+  ON auth.notification_outbox(status, next_attempt_at);
@@ -0,0 +1,50 @@
+-- =============================================================================
+-- PO FROM RFQ AWARD + BLANKET PURCHASE AGREEMENTS
+-- Award lines remember the PO generated from them; blanket agreements hold
+-- agreed unit rates with a validity window and value cap, and call-off POs
+-- point back to their agreement.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.comparison_awards
+  ADD COLUMN IF NOT EXISTS purchase_order_id UUID REFERENCES auth.purchase_orders(id),
+  ADD COLUMN IF NOT EXISTS po_claimed_at     TIMESTAMP(6);
+
+CREATE TABLE IF NOT EXISTS auth.blanket_agreements (
+  id             UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_no   VARCHAR(100) NOT NULL UNIQUE,
+  company_id     UUID         NOT NULL REFERENCES auth.companies(id),
+  vendor_id      UUID         NOT NULL REFERENCES auth.vendors(id),
+  project_id     UUID         REFERENCES auth.projects(id),
+  title          VARCHAR(200) NOT NULL,
+  valid_from     DATE         NOT NULL,
+  valid_to       DATE         NOT NULL,
+  value_cap      DECIMAL      NOT NULL,
+  status         VARCHAR(20)  DEFAULT 'active',
+  payment_terms  TEXT,
+  delivery_terms TEXT,
+  notes          TEXT,
+  rfq_id         UUID,
+  created_by     UUID,
+  created_at     TIMESTAMP(6) DEFAULT NOW(),
+  updated_at     TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS blanket_agreements_company_id_status_idx ON auth.blanket_agreements(company_id, status);
+CREATE INDEX IF NOT EXISTS blanket_agreements_vendor_id_idx         ON auth.blanket_agreements(vendor_id);
+
+CREATE TABLE IF NOT EXISTS auth.blanket_agreement_lines (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id UUID        NOT NULL REFERENCES auth.blanket_agreements(id) ON DELETE CASCADE,
+  item_id      UUID        NOT NULL REFERENCES auth.items(id),
+  unit         VARCHAR(50),
+  unit_rate    DECIMAL     NOT NULL,
+  max_quantity DECIMAL,
+  CONSTRAINT blanket_agreement_lines_agreement_id_item_id_key UNIQUE (agreement_id, item_id)
+);
+
+ALTER TABLE auth.purchase_orders
+  ADD COLUMN IF NOT EXISTS agreement_id UUID REFERENCES auth.blanket_agreements(id);
+
+CREATE INDEX IF NOT EXISTS purchase_orders_agreement_id_idx ON auth.purchase_orders(agreement_id);
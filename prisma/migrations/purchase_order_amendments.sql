@@ -0,0 +1,38 @@
+-- =============================================================================
+-- PURCHASE ORDER AMENDMENTS
+-- Issued POs change only through numbered amendments that keep before/after
+-- snapshots; purchase_orders.revision counts the applied ones. Lines gain a
+-- delivery date so date changes can be amended too.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.purchase_orders
+  ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 0;
+
+ALTER TABLE auth.purchase_order_items
+  ADD COLUMN IF NOT EXISTS delivery_date DATE;
+
+CREATE TABLE IF NOT EXISTS auth.purchase_order_amendments (
+  id                  UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id   UUID         NOT NULL REFERENCES auth.purchase_orders(id) ON DELETE CASCADE,
+  amendment_no        INTEGER      NOT NULL,
+  status              VARCHAR(30)  NOT NULL DEFAULT 'pending_approval',
+  reason              TEXT         NOT NULL,
+  changes             JSONB        NOT NULL,
+  before_snapshot     JSONB        NOT NULL,
+  after_snapshot      JSONB        NOT NULL,
+  diff                JSONB        NOT NULL,
+  amount_before       DECIMAL      NOT NULL,
+  amount_after        DECIMAL      NOT NULL,
+  requires_approval   BOOLEAN      NOT NULL DEFAULT FALSE,
+  approval_request_id UUID,
+  failure_reason      TEXT,
+  created_by          UUID,
+  created_at          TIMESTAMP(6) DEFAULT NOW(),
+  applied_by          UUID,
+  applied_at          TIMESTAMP(6),
+  CONSTRAINT purchase_order_amendments_purchase_order_id_amendment_no_key UNIQUE (purchase_order_id, amendment_no)
+);
+
+CREATE INDEX IF NOT EXISTS purchase_order_amendments_status_idx ON auth.purchase_order_amendments(status);
@@ -0,0 +1,37 @@
+-- =============================================================================
+-- RFQ VENDOR PORTAL
+-- Invited vendors get an expiring portal token (rfq_vendors.access_token_id is
+-- the only accepted jti, so re-issuing revokes older links), respond before
+-- quote_deadline and raise clarifications. Sealed-bid RFQs hide quote amounts
+-- from buyers until the deadline.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.rfqs
+  ADD COLUMN IF NOT EXISTS sealed_bid BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE auth.rfq_vendors
+  ADD COLUMN IF NOT EXISTS access_token_id   UUID,
+  ADD COLUMN IF NOT EXISTS access_expires_at TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS last_accessed_at  TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS responded_at      TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS decline_reason    TEXT;
+
+ALTER TABLE auth.vendor_quotes
+  ADD COLUMN IF NOT EXISTS attachments   JSONB,
+  ADD COLUMN IF NOT EXISTS submitted_via VARCHAR(20) DEFAULT 'buyer';
+
+CREATE TABLE IF NOT EXISTS auth.rfq_clarifications (
+  id            UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  rfq_id        UUID         NOT NULL REFERENCES auth.rfqs(id) ON DELETE CASCADE,
+  rfq_vendor_id UUID         NOT NULL REFERENCES auth.rfq_vendors(id) ON DELETE CASCADE,
+  question      TEXT         NOT NULL,
+  answer        TEXT,
+  is_public     BOOLEAN      DEFAULT FALSE,
+  answered_by   UUID,
+  answered_at   TIMESTAMP(6),
+  created_at    TIMESTAMP(6) DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rfq_clarifications_rfq_id_idx ON auth.rfq_clarifications(rfq_id);
@@ -0,0 +1,38 @@
+-- =============================================================================
+-- RFQ WEIGHTED BID EVALUATION
+-- Quote lines carry a technical score / compliance flag; a comparison stores
+-- the weights it was scored with and one award row per RFQ line, so a split
+-- award across vendors (and any override of the ranking) is on record.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.vendor_quote_items
+  ADD COLUMN IF NOT EXISTS technical_score DECIMAL(5,2),
+  ADD COLUMN IF NOT EXISTS is_compliant    BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS remarks         TEXT;
+
+ALTER TABLE auth.comparison_engines
+  ADD COLUMN IF NOT EXISTS criteria   JSONB,
+  ADD COLUMN IF NOT EXISTS award_mode VARCHAR(20) DEFAULT 'single';
+
+CREATE TABLE IF NOT EXISTS auth.comparison_awards (
+  id              UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  comparison_id   UUID         NOT NULL REFERENCES auth.comparison_engines(id) ON DELETE CASCADE,
+  rfq_id          UUID         NOT NULL,
+  item_id         UUID,
+  vendor_id       UUID         NOT NULL REFERENCES auth.vendors(id),
+  quote_id        UUID         NOT NULL REFERENCES auth.vendor_quotes(id),
+  quote_item_id   UUID         NOT NULL REFERENCES auth.vendor_quote_items(id),
+  quantity        DECIMAL      NOT NULL,
+  unit_price      DECIMAL      NOT NULL,
+  total_price     DECIMAL      NOT NULL,
+  score           DECIMAL(6,2) NOT NULL,
+  rank            INTEGER      NOT NULL,
+  is_lowest_price BOOLEAN      NOT NULL DEFAULT FALSE,
+  override_reason TEXT,
+  created_at      TIMESTAMP(6) DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS comparison_awards_comparison_id_idx ON auth.comparison_awards(comparison_id);
+CREATE INDEX IF NOT EXISTS comparison_awards_rfq_id_idx        ON auth.comparison_awards(rfq_id);
@@ -0,0 +1,17 @@
+-- =============================================================================
+-- SCOPED APPROVAL DELEGATIONS
+-- Delegations can be limited to document types, an amount ceiling and projects,
+-- and can keep the step with the original approver ("act on behalf of").
+-- Steps record the approver a delegate held or acted for.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.approval_delegations
+  ADD COLUMN IF NOT EXISTS doc_types     JSONB,
+  ADD COLUMN IF NOT EXISTS max_amount    DECIMAL,
+  ADD COLUMN IF NOT EXISTS project_ids   JSONB,
+  ADD COLUMN IF NOT EXISTS act_on_behalf BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE auth.approval_steps
+  ADD COLUMN IF NOT EXISTS on_behalf_of UUID;
@@ -0,0 +1,49 @@
+-- =============================================================================
+-- SUPPLIER INVOICE THREE-WAY MATCH
+-- Line-level supplier invoices matched against PO lines (price) and GRN lines
+-- (accepted quantity). Mismatches put the invoice on hold for the exceptions
+-- queue; payments are only allowed on matched or released invoices. Invoices
+-- without lines are matched on value against the PO's receipts.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.supplier_invoices
+  ADD COLUMN IF NOT EXISTS company_id     UUID,
+  ADD COLUMN IF NOT EXISTS match_status   VARCHAR(20) DEFAULT 'unmatched',
+  ADD COLUMN IF NOT EXISTS match_summary  JSONB,
+  ADD COLUMN IF NOT EXISTS matched_at     TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS hold_reason    TEXT,
+  ADD COLUMN IF NOT EXISTS released_by    UUID,
+  ADD COLUMN IF NOT EXISTS released_at    TIMESTAMP(6),
+  ADD COLUMN IF NOT EXISTS release_reason TEXT,
+  ADD COLUMN IF NOT EXISTS created_by     UUID,
+  ADD COLUMN IF NOT EXISTS created_at     TIMESTAMP(6) DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS supplier_invoices_match_status_status_idx
+  ON auth.supplier_invoices(match_status, status);
+
+CREATE TABLE IF NOT EXISTS auth.supplier_invoice_lines (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id   UUID        NOT NULL REFERENCES auth.supplier_invoices(id) ON DELETE CASCADE,
+  po_item_id   UUID        REFERENCES auth.purchase_order_items(id),
+  description  TEXT,
+  quantity     DECIMAL     NOT NULL,
+  unit_price   DECIMAL     NOT NULL,
+  line_total   DECIMAL     NOT NULL,
+  match_status VARCHAR(30),
+  match_detail JSONB
+);
+
+CREATE INDEX IF NOT EXISTS supplier_invoice_lines_po_item_id_idx
+  ON auth.supplier_invoice_lines(po_item_id);
+
+-- Invoices recorded before matching existed were never matched — treat them as
+-- released so the payment gate does not block them
+UPDATE auth.supplier_invoices i
+   SET match_status   = 'overridden',
+       release_reason = 'Recorded before three-way matching'
+ WHERE i.match_status = 'unmatched'
+   AND i.matched_at IS NULL
+   AND i.created_by IS NULL
+   AND NOT EXISTS (SELECT 1 FROM auth.supplier_invoice_lines l WHERE l.invoice_id = i.id);
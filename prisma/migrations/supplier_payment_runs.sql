@@ -0,0 +1,53 @@
+-- =============================================================================
+-- SUPPLIER PAYMENT RUNS
+-- Due supplier invoices are proposed in a payment run, approved through the
+-- approval engine (PAYMENT_RUN), exported as a CSV or pain.001 bank file and
+-- settled from the imported bank statement by end-to-end id.
+-- =============================================================================
+
+SET search_path TO auth;
+
+CREATE TABLE IF NOT EXISTS auth.payment_runs (
+  id                  UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_no              VARCHAR(30)   NOT NULL UNIQUE,
+  company_id          UUID          NOT NULL REFERENCES auth.companies(id),
+  status              VARCHAR(30)   NOT NULL DEFAULT 'draft',
+  currency            VARCHAR(3)    NOT NULL,
+  payment_date        DATE          NOT NULL,
+  criteria            JSONB,
+  total_amount        DECIMAL(18,2) NOT NULL DEFAULT 0,
+  base_amount         DECIMAL(18,2) NOT NULL DEFAULT 0,
+  item_count          INTEGER       NOT NULL DEFAULT 0,
+  notes               TEXT,
+  approval_request_id UUID,
+  message_id          VARCHAR(35),
+  export_count        INTEGER       NOT NULL DEFAULT 0,
+  exported_at         TIMESTAMP(6),
+  exported_by         UUID,
+  completed_at        TIMESTAMP(6),
+  created_by          UUID,
+  created_at          TIMESTAMP(6)  DEFAULT now(),
+  updated_at          TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS payment_runs_company_id_status_idx
+  ON auth.payment_runs(company_id, status);
+
+CREATE TABLE IF NOT EXISTS auth.payment_run_items (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id         UUID          NOT NULL REFERENCES auth.payment_runs(id) ON DELETE CASCADE,
+  invoice_id     UUID          NOT NULL REFERENCES auth.supplier_invoices(id),
+  vendor_id      UUID          NOT NULL REFERENCES auth.vendors(id),
+  amount         DECIMAL(18,2) NOT NULL CHECK (amount > 0),
+  end_to_end_id  VARCHAR(35)   NOT NULL UNIQUE,
+  status         VARCHAR(20)   NOT NULL DEFAULT 'proposed',
+  creditor       JSONB,
+  payment_id     UUID          REFERENCES auth.supplier_payments(id),
+  bank_reference VARCHAR(100),
+  failure_reason TEXT,
+  settled_at     TIMESTAMP(6),
+  created_at     TIMESTAMP(6)  DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS payment_run_items_invoice_id_status_idx
+  ON auth.payment_run_items(invoice_id, status);
@@ -0,0 +1,37 @@
+-- =============================================================================
+-- VENDOR COMPLIANCE DOCUMENTS
+-- Typed vendor documents with issue / expiry dates and reminder tracking.
+-- Vendors with an expired mandatory document are suspended (reason COMPLIANCE)
+-- and reinstated once the document is renewed.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.vendors
+  ADD COLUMN IF NOT EXISTS compliance_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS suspension_reason VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS suspended_at      TIMESTAMP(6);
+
+CREATE TABLE IF NOT EXISTS auth.vendor_documents (
+  id               UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id        UUID         NOT NULL REFERENCES auth.vendors(id) ON DELETE CASCADE,
+  company_id       UUID,
+  doc_type         VARCHAR(30)  NOT NULL,
+  document_number  VARCHAR(100),
+  issue_date       DATE,
+  expiry_date      DATE,
+  status           VARCHAR(20)  NOT NULL DEFAULT 'valid',
+  file_key         VARCHAR(500),
+  file_url         TEXT,
+  file_name        VARCHAR(255),
+  notes            TEXT,
+  reminders_sent   JSONB,
+  last_reminded_at TIMESTAMP(6),
+  created_by       UUID,
+  created_at       TIMESTAMP(6) DEFAULT NOW(),
+  updated_at       TIMESTAMP(6),
+  deleted_at       TIMESTAMP(6)
+);
+
+CREATE INDEX IF NOT EXISTS vendor_documents_vendor_id_doc_type_idx ON auth.vendor_documents(vendor_id, doc_type);
+CREATE INDEX IF NOT EXISTS vendor_documents_expiry_date_idx ON auth.vendor_documents(expiry_date);
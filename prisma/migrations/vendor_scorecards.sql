@@ -0,0 +1,42 @@
+-- =============================================================================
+-- VENDOR PERFORMANCE SCORECARDS
+-- Scorecards computed from deliveries, GRN rejections, supplier NCRs, quote
+-- prices and invoice disputes. Each recalculation is kept for trend history;
+-- the latest score is denormalised onto the vendor. NCRs can now be traced to
+-- the GRN / vendor that caused them.
+-- =============================================================================
+
+SET search_path TO auth;
+
+ALTER TABLE auth.vendors
+  ADD COLUMN IF NOT EXISTS scorecard_score DECIMAL(5,2),
+  ADD COLUMN IF NOT EXISTS scorecard_grade VARCHAR(2),
+  ADD COLUMN IF NOT EXISTS scored_at       TIMESTAMP(6);
+
+ALTER TABLE auth.ncrs
+  ADD COLUMN IF NOT EXISTS grn_id    UUID REFERENCES auth.inventory_grns(id),
+  ADD COLUMN IF NOT EXISTS vendor_id UUID REFERENCES auth.vendors(id);
+
+CREATE INDEX IF NOT EXISTS ncrs_vendor_id_category_idx ON auth.ncrs(vendor_id, category);
+
+CREATE TABLE IF NOT EXISTS auth.vendor_scorecards (
+  id             UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id      UUID         NOT NULL REFERENCES auth.vendors(id) ON DELETE CASCADE,
+  company_id     UUID,
+  period_start   DATE         NOT NULL,
+  period_end     DATE         NOT NULL,
+  overall_score  DECIMAL(5,2),
+  grade          VARCHAR(2),
+  on_time_rate   DECIMAL(5,4),
+  rejection_rate DECIMAL(5,4),
+  ncr_count      INTEGER      NOT NULL DEFAULT 0,
+  price_index    DECIMAL(5,4),
+  dispute_count  INTEGER      NOT NULL DEFAULT 0,
+  delivery_count INTEGER      NOT NULL DEFAULT 0,
+  grn_count      INTEGER      NOT NULL DEFAULT 0,
+  invoice_count  INTEGER      NOT NULL DEFAULT 0,
+  metrics        JSONB        NOT NULL,
+  computed_at    TIMESTAMP(6) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS vendor_scorecards_vendor_id_computed_at_idx ON auth.vendor_scorecards(vendor_id, computed_at);
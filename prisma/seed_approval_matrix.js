@@ -11,6 +11,13 @@ const prisma = require("../src/db");
  *   - PR:         Dept Head → Super Admin
  *   - PO ≤ 50K:   Dept Head only
  *   - PO > 50K:   Dept Head → Super Admin
+ *   - PO_AMENDMENT: same bands as PO, on the amended total
+ *   - PR / PO / PO_AMENDMENT short of cost code budget (BUDGET_CONTROL_POLICY
+ *     "warn"): + Accounts Manager as a final step
+ *   - PAYMENT_RUN ≤ 100K: Accounts Manager only
+ *   - PAYMENT_RUN > 100K: Accounts Manager → Super Admin
+ *   - STOCK_ADJUSTMENT (stock-take variance above STOCK_TAKE_APPROVAL_THRESHOLD):
+ *     Accounts Manager, + Super Admin above 50K gross variance
  *   - VENDOR:     Dept Head → Super Admin
  *   - PAYROLL:    Dept Head → Super Admin
  *   - PROFIT:     Dept Head → Super Admin
@@ -31,6 +38,12 @@ async function main() {
         create: { name: "Department Head", code: "dept_head", is_system_role: false }
     });
 
+    const accountsManagerRole = await prisma.role.upsert({
+        where: { code: "accounts_manager" },
+        update: {},
+        create: { name: "Accounts Manager", code: "accounts_manager", is_system_role: false }
+    });
+
     // 2. Fetch the first company (used for company_id)
     const company = await prisma.company.findFirst({ where: { is_active: true } });
     if (!company) {
@@ -41,11 +54,12 @@ async function main() {
 
     // 3. Clear existing matrices to avoid duplicates
     await prisma.approvalMatrix.deleteMany({
-        where: { doc_type: { in: ["QUOTATION", "PR", "PO", "VENDOR", "PAYROLL", "PROFIT", "PURCHASE_ORDER", "EXPENSE"] } }
+        where: { doc_type: { in: ["QUOTATION", "PR", "PO", "PO_AMENDMENT", "PAYMENT_RUN", "STOCK_ADJUSTMENT", "VENDOR", "PAYROLL", "PROFIT", "PURCHASE_ORDER", "EXPENSE"] } }
     });
 
     const dh = deptHeadRole.id;
     const sa = superAdminRole.id;
+    const am = accountsManagerRole.id;
 
     // Helper to build a matrix row
     const row = (docType, stepOrder, roleId, minAmt = null, maxAmt = null) => ({
@@ -62,6 +76,12 @@ async function main() {
         company_id: companyId,
     });
 
+    // Extra approver when the document is short of cost code budget
+    const overBudget = (docType, stepOrder) => ({
+        ...row(docType, stepOrder, am),
+        condition: { field: "budget.insufficient", op: "eq", value: true },
+    });
+
     // 4. Insert all matrix rules
     await prisma.approvalMatrix.createMany({
         data: [
@@ -80,6 +100,24 @@ async function main() {
             row("PO", 1, dh, 50000.01, null),
             row("PO", 2, sa, 50000.01, null),
 
+            // PO_AMENDMENT (increase above PO_AMENDMENT_APPROVAL_THRESHOLD): PO bands on the amended total
+            row("PO_AMENDMENT", 1, dh, 0, 50000),
+            row("PO_AMENDMENT", 1, dh, 50000.01, null),
+            row("PO_AMENDMENT", 2, sa, 50000.01, null),
+
+            // Short of budget (warn policy): Accounts Manager signs off last
+            overBudget("PR", 3),
+            overBudget("PO", 3),
+            overBudget("PO_AMENDMENT", 3),
+
+            // PAYMENT_RUN (base currency): Accounts Manager, + Super Admin above 100,000
+            row("PAYMENT_RUN", 1, am),
+            row("PAYMENT_RUN", 2, sa, 100000.01, null),
+
+            // STOCK_ADJUSTMENT (gross variance value, base currency): Accounts Manager, + Super Admin above 50,000
+            row("STOCK_ADJUSTMENT", 1, am),
+            row("STOCK_ADJUSTMENT", 2, sa, 50000.01, null),
+
             // VENDOR: Dept Head → Super Admin
             row("VENDOR", 1, dh),
             row("VENDOR", 2, sa),
@@ -112,12 +150,75 @@ async function main() {
         }
     });
 
+    // 5b. UPSERT PO amendment re-approval threshold (increase over the current total)
+    await prisma.systemSetting.upsert({
+        where: { key_company_id: { key: "PO_AMENDMENT_APPROVAL_THRESHOLD", company_id: companyId } },
+        update: {},
+        create: {
+            key: "PO_AMENDMENT_APPROVAL_THRESHOLD",
+            value: JSON.stringify({ percent: 5, amount: 5000 }),
+            label: "PO Amendment Re-approval Threshold",
+            description: "An amendment that raises the PO total by more than this percent or amount (SAR) needs approval",
+            category: "APPROVALS",
+            company_id: companyId
+        }
+    });
+
+    // 5c. UPSERT budget control policy (encumbrance checks on PR submission / PO raise)
+    await prisma.systemSetting.upsert({
+        where: { key_company_id: { key: "BUDGET_CONTROL_POLICY", company_id: companyId } },
+        update: {},
+        create: {
+            key: "BUDGET_CONTROL_POLICY",
+            value: JSON.stringify({ pr: "warn", po: "warn", tolerancePercent: 0 }),
+            label: "Budget Control Policy",
+            description: "Per stage (pr, po): off, warn (route to an extra approver) or hard_stop when cost code budget is insufficient",
+            category: "APPROVALS",
+            company_id: companyId
+        }
+    });
+
+    // 6. UPSERT SLA calendar (Sun–Thu working week) and escalation ladder
+    const slaSettings = [
+        {
+            key: "SLA_WORK_CALENDAR",
+            value: JSON.stringify({ utcOffset: "+03:00", workDays: [0, 1, 2, 3, 4], startTime: "08:00", endTime: "17:00" }),
+            label: "Approval SLA Working Calendar",
+            description: "Working days/hours used to count approval SLA business hours",
+        },
+        {
+            key: "SLA_HOLIDAYS",
+            value: JSON.stringify([]),
+            label: "Approval SLA Holidays",
+            description: "Public holidays excluded from approval SLA timers",
+        },
+        {
+            key: "SLA_ESCALATION_LADDER",
+            value: JSON.stringify([
+                { target: "manager", afterHours: 0 },
+                { target: "department_head", afterHours: 8 },
+                { target: "role", roleCode: "erp_admin", afterHours: 24 },
+            ]),
+            label: "Approval Escalation Ladder",
+            description: "Escalation levels and business hours past SLA at which each fires",
+        },
+    ];
+    for (const setting of slaSettings) {
+        await prisma.systemSetting.upsert({
+            where: { key_company_id: { key: setting.key, company_id: companyId } },
+            update: {},
+            create: { ...setting, category: "APPROVALS", company_id: companyId },
+        });
+    }
+
     console.log("✅  Approval Matrix configured successfully!");
     console.log("");
     console.log("   QUOTATION:  Dept Head → Super Admin");
     console.log("   PR:         Dept Head → Super Admin");
     console.log("   PO ≤ 50K:   Dept Head only");
     console.log("   PO > 50K:   Dept Head → Super Admin");
+    console.log("   PO_AMENDMENT: PO bands, when the increase exceeds the threshold");
+    console.log("   Over budget (PR/PO/PO_AMENDMENT): + Accounts Manager");
     console.log("   VENDOR:     Dept Head → Super Admin");
     console.log("   PAYROLL:    Dept Head → Super Admin");
     console.log("   PROFIT:     Dept Head → Super Admin");
@@ -164,6 +164,8 @@ async function main() {
         { code: "procurement.po.update",         module: "procurement", description: "Update draft POs" },
         { code: "procurement.po.approve",        module: "procurement", description: "Approve purchase orders" },
         { code: "procurement.po.issue",          module: "procurement", description: "Issue PO to vendor" },
+        { code: "procurement.agreement.read",    module: "procurement", description: "View blanket purchase agreements" },
+        { code: "procurement.agreement.manage",  module: "procurement", description: "Create and close blanket purchase agreements" },
 
         // ── Petty Cash ──────────────────────────────────────────────────────────
         { code: "pettycash.read",                module: "pettycash",   description: "View petty cash requests and expenses" },
@@ -182,8 +184,11 @@ async function main() {
         { code: "inventory.store.manage",         module: "inventory",   description: "Create and manage warehouses/stores" },
         { code: "inventory.grn.create",          module: "inventory",   description: "Create goods receipt notes" },
         { code: "inventory.issue.create",        module: "inventory",   description: "Issue materials to site" },
+        { code: "inventory.transfer.create",     module: "inventory",   description: "Create, dispatch and cancel inter-store transfers" },
+        { code: "inventory.transfer.receive",    module: "inventory",   description: "Receive inter-store transfers and record loss in transit" },
         { code: "inventory.adjust.create",       module: "inventory",   description: "Create stock adjustments" },
         { code: "inventory.adjust.approve",      module: "inventory",   description: "Approve stock adjustments" },
+        { code: "inventory.reorder.manage",      module: "inventory",   description: "Set reorder levels and run replenishment" },
         { code: "inventory.ledger.read",         module: "inventory",   description: "View full stock ledger" },
         { code: "inventory.consume.read",        module: "inventory",   description: "View material consumption records" },
 
@@ -194,6 +199,8 @@ async function main() {
         { code: "finance.match.run",             module: "finance",     description: "Run 3-way PO-GRN-Invoice match" },
         { code: "finance.payment.prepare",       module: "finance",     description: "Prepare payment run" },
         { code: "finance.payment.approve",       module: "finance",     description: "Approve payment" },
+        { code: "finance.fx.read",               module: "finance",     description: "View exchange rates and convert amounts" },
+        { code: "finance.fx.manage",             module: "finance",     description: "Maintain and import exchange rates" },
 
         // ── Execution Engine (Week 6) ────────────────────────────────────────────
         { code: "execution.read",                module: "execution",   description: "View project execution, DPRs, and dashbaords" },
@@ -278,10 +285,10 @@ async function main() {
             "project.read", "wbs.read", "item.read", "employee.read", "fleet.read", "document.read",
             "vendor.read",
             "procurement.pr.read", "procurement.rfq.read", "procurement.quote.read",
-            "procurement.comparison.read", "procurement.po.read",
+            "procurement.comparison.read", "procurement.po.read", "procurement.agreement.read",
             "pettycash.read", "petrol.read",
             "inventory.read", "inventory.ledger.read", "inventory.consume.read",
-            "finance.invoice.read", "finance.match.run",
+            "finance.invoice.read", "finance.match.run", "finance.fx.read",
             "execution.read",
             "payroll.read", "expense.read", "profitshare.read",
             "user.read", "dashboard.company", "dashboard.project", "dashboard.department", "dashboard.compliance"
@@ -359,7 +366,8 @@ async function main() {
             "procurement.vendor.select",
             "procurement.po.read", "procurement.po.create",
             "procurement.po.update", "procurement.po.issue",
-            "item.read", "inventory.read",
+            "procurement.agreement.read", "procurement.agreement.manage",
+            "item.read", "inventory.read", "finance.fx.read",
         ],
 
         // Accounts Officer
@@ -370,7 +378,7 @@ async function main() {
             "pettycash.read", "pettycash.expense.verify",
             "petrol.read", "petrol.verify",
             "finance.invoice.read", "finance.invoice.create", "finance.invoice.verify",
-            "finance.match.run", "finance.payment.prepare",
+            "finance.match.run", "finance.payment.prepare", "finance.fx.read",
             "expense.read", "expense.verify",
             "payroll.read",
             "vendor.read",
@@ -397,6 +405,10 @@ async function main() {
             "item.read",
             "inventory.read", "inventory.grn.create",
             "inventory.issue.create", "inventory.ledger.read", "inventory.consume.read",
+            "inventory.transfer.create", "inventory.transfer.receive", "inventory.adjust.create",
+            "inventory.reorder.manage",
+            // Reviews and submits the replenishment PRs drafted for their stores
+            "procurement.pr.read", "procurement.pr.update", "procurement.pr.submit",
             "procurement.po.read", "wbs.read",
         ],
 
@@ -432,10 +444,10 @@ async function main() {
             "pettycash.read", "pettycash.approve",
             "petrol.read", "petrol.verify",
             "finance.invoice.read", "finance.invoice.create", "finance.invoice.verify",
-            "finance.match.run", "finance.payment.prepare",
+            "finance.match.run", "finance.payment.prepare", "finance.fx.read", "finance.fx.manage",
             "expense.read", "expense.verify",
             "payroll.read", "profitshare.read",
-            "inventory.ledger.read",
+            "inventory.ledger.read", "inventory.adjust.approve",
             "execution.read",
             "dashboard.company"
         ],
@@ -98,6 +98,7 @@ const inventoryRoutes = require("./modules/inventory/inventory.routes");
 const projectsRoutes = require("./modules/projects/projects.routes");
 const purchaseRequisitionsRoutes = require("./modules/purchaseRequisitions/purchaseRequisitions.routes");
 const rfqsRoutes = require("./modules/rfqs/rfqs.routes");
+const vendorPortalRoutes = require("./modules/vendorPortal/vendorPortal.routes");
 const pettyCashRoutes = require("./modules/pettyCash/pettyCash.routes");
 const petrolExpensesRoutes = require("./modules/petrolExpenses/petrolExpenses.routes");
 const monitoringRoutes = require("./modules/monitoring/monitoring.routes");
@@ -108,6 +109,9 @@ const riskRoutes = require("./modules/risk/risk.routes");
 const procurementRoutes = require("./modules/procurement/procurement.routes");
 const projectPipelineRoutes = require("./modules/projectPipeline/projectPipeline.routes");
 const projectClosureRoutes = require("./modules/projectClosure/projectClosure.routes");
+const notificationsRoutes = require("./modules/notifications/notifications.routes");
+const currencyRoutes = require("./modules/currency/currency.routes");
+const paymentRunsRoutes = require("./modules/paymentRuns/paymentRuns.routes");
 
 
 
@@ -143,6 +147,7 @@ app.use("/api/inventory", inventoryRoutes);
 app.use("/api/projects", projectsRoutes);
 app.use("/api/purchase-requisitions", purchaseRequisitionsRoutes);
 app.use("/api/rfqs", rfqsRoutes);
+app.use("/api/vendor-portal", vendorPortalRoutes);
 app.use("/api/petty-cash", pettyCashRoutes);
 app.use("/api/petrol-expenses", petrolExpensesRoutes);
 app.use("/api/execution", executionRoutes);
@@ -153,6 +158,9 @@ app.use("/api/risk", riskRoutes);
 app.use("/api/procurement", procurementRoutes);
 app.use("/api/project-pipeline", projectPipelineRoutes);
 app.use("/api/project-closure", projectClosureRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/currencies", currencyRoutes);
+app.use("/api/payment-runs", paymentRunsRoutes);
 
 // ─── 7. Static Files (Uploads) ────────────────────────────────────────────────
 app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
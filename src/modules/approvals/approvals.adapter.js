@@ -79,7 +79,8 @@ async function updateDocumentStatus({ docType, docId, status }, userCtx = {}) {
  */
 async function getDocumentMeta({ docType, docId }) {
     const key = (docType || "").toUpperCase();
-    const handler = _adapters.get(`${key}:meta`);
+    // registerAdapter upper-cases the whole key, so "PR:meta" is stored as "PR:META"
+    const handler = _adapters.get(`${key}:META`);
     if (!handler) return null;
     try {
         return await handler({ docType: key, docId });
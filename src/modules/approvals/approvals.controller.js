@@ -1,6 +1,7 @@
 "use strict";
 
 const service = require("./approvals.service");
+const tokens = require("./approvals.tokens");
 
 function getIp(req) {
     return req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.socket?.remoteAddress || req.ip || null;
@@ -79,4 +80,67 @@ async function cancelApproval(req, res, next) {
     } catch (err) { next(err); }
 }
 
-module.exports = { requestApproval, getInbox, approveStep, rejectStep, sendBackStep, getHistory, cancelApproval, getRequest };
+// POST /api/approvals/simulate
+async function simulateApproval(req, res, next) {
+    try {
+        const result = await service.simulateApproval(req.body, req.user);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/approvals/bulk/approve
+async function bulkApprove(req, res, next) {
+    try {
+        const result = await service.bulkAction("approve", req.body.approvalRequestIds, req.user, req.body.remarks, getIp(req), getDevice(req));
+        return res.status(200).json({ success: true, message: `${result.succeeded} of ${result.total} approved`, data: result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/approvals/bulk/reject
+async function bulkReject(req, res, next) {
+    try {
+        const result = await service.bulkAction("reject", req.body.approvalRequestIds, req.user, req.body.remarks, getIp(req), getDevice(req));
+        return res.status(200).json({ success: true, message: `${result.succeeded} of ${result.total} rejected`, data: result });
+    } catch (err) { next(err); }
+}
+
+// ─── Action Links (no session) ────────────────────────────────────────────────
+
+/**
+ * Verifies the signed link token in the body and stands in for authenticateJWT on
+ * the /token routes: req.user is the approver the link was issued to, so the
+ * idempotency cache is scoped to them. A missing Idempotency-Key defaults to one
+ * per token, so a double-clicked link replays the first response.
+ */
+function authenticateActionToken(req, res, next) {
+    try {
+        const claims = tokens.verifyActionToken(req.body?.token);
+        req.actionToken = claims;
+        req.user = { id: claims.uid, userId: claims.uid };
+        if (!req.headers["idempotency-key"]) req.headers["idempotency-key"] = `approval-link:${claims.jti}`;
+        next();
+    } catch (err) { next(err); }
+}
+
+// POST /api/approvals/token/preview
+async function previewActionToken(req, res, next) {
+    try {
+        const result = await service.previewActionToken(req.actionToken);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/approvals/token/act
+async function actOnActionToken(req, res, next) {
+    try {
+        const { action, remarks } = req.body;
+        const result = await service.actOnActionToken(req.actionToken, action, remarks, getIp(req), getDevice(req));
+        return res.status(200).json({ success: true, message: `Approval action '${action}' recorded`, data: result });
+    } catch (err) { next(err); }
+}
+
+module.exports = {
+    requestApproval, getInbox, approveStep, rejectStep, sendBackStep, getHistory, cancelApproval, getRequest, simulateApproval,
+    bulkApprove, bulkReject,
+    authenticateActionToken, previewActionToken, actOnActionToken,
+};
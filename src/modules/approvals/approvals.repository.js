@@ -1,7 +1,9 @@
 "use strict";
 
 const prisma = require("../../db");
+const logger = require("../../logger");
 const { applyDataScope } = require("../../utils/scoping");
+const { filterMatricesByCondition } = require("./approvals.rules");
 
 // ─── Matrix Loading ───────────────────────────────────────────────────────────
 
@@ -13,14 +15,16 @@ const { applyDataScope } = require("../../utils/scoping");
  *   2. If none found, fetch global rows (project_id IS NULL)
  *   3. Apply amount range filter (min_amount <= amount AND (max_amount IS NULL OR amount <= max_amount))
  *   4. Apply department filter (if matrix row has department set, it must match)
- *   5. Order by step_order ASC
+ *   5. Drop conditional rows whose rule does not match the document attributes
+ *   6. Order by step_order ASC
  *
  * @param {string}  docType
  * @param {string}  projectId
  * @param {number}  amount
  * @param {string|null} department
+ * @param {object}  [attributes] - document attributes for conditional rows (see approvals.rules.js)
  */
-async function findMatrices(user, docType, projectId, amount, departmentId) {
+async function findMatrices(user, docType, projectId, amount, departmentId, attributes = {}) {
     const scopeWhere = applyDataScope(user);
 
     const baseWhere = {
@@ -38,20 +42,24 @@ async function findMatrices(user, docType, projectId, amount, departmentId) {
         baseWhere.OR = [{ department_id: null }, { department_id: departmentId }];
     }
 
+    const applyConditions = (rows) => filterMatricesByCondition(rows, attributes, (m, errors) => {
+        logger.warn(`Approval matrix ${m.id} has an invalid condition — applying row unconditionally`, { errors });
+    });
+
     // Project-specific
-    let matrices = await prisma.approvalMatrix.findMany({
+    let matrices = applyConditions(await prisma.approvalMatrix.findMany({
         where: { ...baseWhere, project_id: projectId },
         orderBy: { step_order: "asc" },
         include: { roles: { select: { id: true, code: true, name: true } } },
-    });
+    }));
 
     // Global fallback
     if (matrices.length === 0) {
-        matrices = await prisma.approvalMatrix.findMany({
+        matrices = applyConditions(await prisma.approvalMatrix.findMany({
             where: { ...baseWhere, project_id: null },
             orderBy: { step_order: "asc" },
             include: { roles: { select: { id: true, code: true, name: true } } },
-        });
+        }));
     }
 
     return matrices;
@@ -113,7 +121,9 @@ async function findRequestWithSteps(approvalRequestId) {
  * AND
  *   - parent request is in_progress
  * AND (sequential guard)
- *   - step.is_parallel = true OR step.step_order = request.current_step
+ *   - step.step_order = request.current_step
+ * AND (parallel groups)
+ *   - the user has not already approved another seat in the same group
  *
  * We join in JS because Prisma doesn't support cross-model computed filter.
  */
@@ -173,6 +183,13 @@ async function findInboxSteps(userCtx, userRoleId, statusFilter, departmentId) {
     // Sequential guard: only apply for pending steps
     // For approved/rejected tabs, show all matching steps (they are historical)
     if (stepStatus === "pending") {
+        const parallelRequestIds = [...new Set(steps.filter((s) => s.is_parallel).map((s) => s.approval_request_id))];
+        const filledSeats = parallelRequestIds.length === 0 ? [] : await prisma.approvalStep.findMany({
+            where: { approval_request_id: { in: parallelRequestIds }, approver_user: userId, status: "approved" },
+            select: { approval_request_id: true, step_order: true },
+        });
+        const filled = new Set(filledSeats.map((f) => `${f.approval_request_id}:${f.step_order}`));
+
         return steps.filter((s) => {
             const req = s.approval_requests;
             const roles = s.roles;
@@ -184,6 +201,10 @@ async function findInboxSteps(userCtx, userRoleId, statusFilter, departmentId) {
                 return false; 
             }
 
+            if (s.is_parallel && filled.has(`${s.approval_request_id}:${s.step_order}`)) {
+                return false;
+            }
+
             return s.step_order === req.current_step;
         });
     }
@@ -214,39 +235,6 @@ async function findNextStepOrder(approvalRequestId, currentStepOrder) {
     return next ? next.step_order : null;
 }
 
-// ─── Delegation ───────────────────────────────────────────────────────────────
-
-/**
- * Check whether userId has an active delegation window right now.
- * Returns the delegation record (with to_user) or null.
- */
-async function findPendingDelegation(userId, now) {
-    return prisma.approvalDelegation.findFirst({
-        where: {
-            from_user: userId,
-            is_active: true,
-            start_date: { lte: now },
-            end_date: { gte: now },
-        },
-    });
-}
-
-/**
- * Find all active delegations where the given user is the delegate (to_user).
- * Used to enrich inbox: steps assigned to from_user should be visible to to_user.
- */
-async function findDelegationsForInbox(toUserId, now) {
-    return prisma.approvalDelegation.findMany({
-        where: {
-            to_user: toUserId,
-            is_active: true,
-            start_date: { lte: now },
-            end_date: { gte: now },
-        },
-        select: { from_user: true },
-    });
-}
-
 // ─── Requests initiated by a User ─────────────────────────────────────────────
 
 async function findSentRequests(user) {
@@ -341,8 +329,6 @@ module.exports = {
     findInboxSteps,
     findStepsAtOrder,
     findNextStepOrder,
-    findPendingDelegation,
-    findDelegationsForInbox,
     findUserById,
     findUsersByRole,
     findHistoryByDoc,
@@ -0,0 +1,156 @@
+"use strict";
+
+/**
+ * Request Revisions (Resubmission after Send-Back)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Every submission of a document is an approval request with a revision number.
+ * A resubmission after send-back supersedes the sent-back request (revision N)
+ * with a new one (revision N + 1) and stores, in `approval_request_revisions`:
+ *
+ *   snapshot   { amount, items: [{ itemName, quantity, unit, unitPrice, totalPrice, remarks }] }
+ *   diff       field-level changes against the sent-back revision:
+ *              { fromRevision, toRevision, hasChanges,
+ *                amount: { from, to, delta } | null,
+ *                items:  { added: [line], removed: [line],
+ *                          changed: [{ itemName, fields: [{ field, from, to }] }] } }
+ *
+ * Lines are matched by item name (case-insensitive); repeated names are
+ * matched in order of appearance.
+ *
+ * With `skipApprovedSteps`, groups the sent-back request had already completed
+ * are carried over as approved — only when the amount did not increase and the
+ * new chain has the same roles at that level.
+ */
+
+const ITEM_FIELDS = ["quantity", "unit", "unitPrice", "totalPrice", "remarks"];
+const NUMERIC_FIELDS = ["quantity", "unitPrice", "totalPrice"];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+
+/**
+ * Normalise request items (API camelCase or ApprovalRequestItem rows) into snapshot lines.
+ */
+function snapshotItems(items) {
+    if (!Array.isArray(items)) return [];
+    return items.map((item) => ({
+        itemName: item.itemName ?? item.item_name ?? "",
+        quantity: toNumber(item.quantity),
+        unit: item.unit || null,
+        unitPrice: toNumber(item.unitPrice ?? item.unit_price),
+        totalPrice: toNumber(item.totalPrice ?? item.total_price),
+        remarks: item.remarks || null,
+    }));
+}
+
+function buildSnapshot(amount, items) {
+    return { amount: toNumber(amount) ?? 0, items: snapshotItems(items) };
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+function keyLines(lines) {
+    const seen = {};
+    return lines.map((line) => {
+        const name = String(line.itemName || "").trim().toLowerCase();
+        seen[name] = (seen[name] || 0) + 1;
+        return { key: `${name}#${seen[name]}`, line };
+    });
+}
+
+function sameValue(field, a, b) {
+    if (NUMERIC_FIELDS.includes(field)) return toNumber(a) === toNumber(b);
+    return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Field-level diff between two snapshots.
+ */
+function diffSnapshots(previous, current, fromRevision, toRevision) {
+    const amountFrom = toNumber(previous.amount) ?? 0;
+    const amountTo = toNumber(current.amount) ?? 0;
+
+    const before = new Map(keyLines(previous.items || []).map((e) => [e.key, e.line]));
+    const after = keyLines(current.items || []);
+
+    const added = [];
+    const changed = [];
+    for (const { key, line } of after) {
+        const old = before.get(key);
+        if (!old) {
+            added.push(line);
+            continue;
+        }
+        before.delete(key);
+        const fields = ITEM_FIELDS
+            .filter((field) => !sameValue(field, old[field], line[field]))
+            .map((field) => ({ field, from: old[field] ?? null, to: line[field] ?? null }));
+        if (fields.length > 0) changed.push({ itemName: line.itemName, fields });
+    }
+    const removed = [...before.values()];
+
+    const amount = amountFrom === amountTo
+        ? null
+        : { from: amountFrom, to: amountTo, delta: Number((amountTo - amountFrom).toFixed(2)) };
+
+    return {
+        fromRevision,
+        toRevision,
+        hasChanges: Boolean(amount) || added.length > 0 || removed.length > 0 || changed.length > 0,
+        amount,
+        items: { added, removed, changed },
+    };
+}
+
+// ─── Carry-Over of Approved Groups ────────────────────────────────────────────
+
+/**
+ * Mark the leading step groups that the sent-back request already completed as
+ * approved. Stops at the first group that cannot be carried (not completed before,
+ * or a role was added at that level). Never carries the whole chain — at least one
+ * group is left for a fresh decision.
+ *
+ * @param {object[]} stepInserts   - planned steps (mutated in place)
+ * @param {object[]} previousSteps - ApprovalStep rows of the sent-back request
+ * @param {Function} isGroupComplete - (groupSteps) => boolean
+ * @param {number}   fromRevision
+ * @returns {number[]} carried step orders
+ */
+function carryOverApprovedGroups(stepInserts, previousSteps, isGroupComplete, fromRevision) {
+    const orders = [...new Set(stepInserts.map((s) => s.step_order))].sort((a, b) => a - b);
+    const carried = [];
+
+    for (const order of orders.slice(0, -1)) {
+        const oldGroup = previousSteps.filter((s) => s.step_order === order);
+        const newGroup = stepInserts.filter((s) => s.step_order === order);
+        const oldRoles = new Set(oldGroup.map((s) => s.role_id));
+        if (oldGroup.length === 0 || !isGroupComplete(oldGroup) || newGroup.some((s) => !oldRoles.has(s.role_id))) break;
+
+        const approvals = oldGroup.filter((s) => s.status === "approved");
+        for (const step of newGroup) {
+            const idx = approvals.findIndex((s) => s.role_id === step.role_id);
+            if (idx === -1) {
+                step.status = "skipped";
+                continue;
+            }
+            const [previous] = approvals.splice(idx, 1);
+            Object.assign(step, {
+                status: "approved",
+                action: "carried_over",
+                approver_user: previous.approver_user,
+                on_behalf_of: previous.on_behalf_of || null,
+                approved_at: previous.approved_at,
+                remarks: `Carried over from revision ${fromRevision}`,
+            });
+        }
+        carried.push(order);
+    }
+    return carried;
+}
+
+module.exports = { buildSnapshot, snapshotItems, diffSnapshots, carryOverApprovedGroups };
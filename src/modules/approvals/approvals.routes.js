@@ -9,14 +9,46 @@ const {
     validateSendBackStep,
     validateInboxQuery,
     validateHistoryQuery,
+    validateSimulateApproval,
+    validateActionTokenPreview,
+    validateActionTokenAct,
+    validateBulkApprove,
+    validateBulkReject,
 } = require("./approvals.validator");
 const authenticateJWT = require("../../middleware/authenticateJWT");
 const requirePermission = require("../../middleware/requirePermission");
 const requireProjectAccess = require("../../middleware/requireProjectAccess");
+const idempotent = require("../idempotency/idempotency.middleware");
 
 const router = Router();
 
-// All approval routes require a valid JWT
+// ─── Action Links (signed one-time token instead of a session) ───────────────
+// The token travels in the body, not the URL, so it stays out of access logs.
+
+/**
+ * POST /api/approvals/token/preview
+ * Show the request behind an approval link without using the token.
+ */
+router.post(
+    "/token/preview",
+    validateActionTokenPreview,
+    controller.authenticateActionToken,
+    controller.previewActionToken
+);
+
+/**
+ * POST /api/approvals/token/act
+ * Approve / reject / send back the linked step. Consumes the token.
+ */
+router.post(
+    "/token/act",
+    validateActionTokenAct,
+    controller.authenticateActionToken,
+    idempotent(),
+    controller.actOnActionToken
+);
+
+// All other approval routes require a valid JWT
 router.use(authenticateJWT);
 
 /**
@@ -44,6 +76,43 @@ router.get("/inbox", requirePermission("approval.read"), validateInboxQuery, con
  */
 router.get("/history", requirePermission("approval.read"), validateHistoryQuery, controller.getHistory);
 
+/**
+ * POST /api/approvals/simulate
+ * Dry-run the matrix for a hypothetical document (docType, amount, project,
+ * department, requester, attributes) and return the resolved chain. Writes nothing.
+ */
+router.post(
+    "/simulate",
+    requirePermission("settings.manage"),
+    validateSimulateApproval,
+    controller.simulateApproval
+);
+
+/**
+ * POST /api/approvals/bulk/approve
+ * Approve many inbox items at once. Body: { approvalRequestIds: [uuid], remarks? }.
+ * Returns per-item success / failure; each document gets its own audit entry.
+ */
+router.post(
+    "/bulk/approve",
+    requirePermission("approval.approve"),
+    validateBulkApprove,
+    idempotent(),
+    controller.bulkApprove
+);
+
+/**
+ * POST /api/approvals/bulk/reject
+ * Reject many inbox items with one reason. Body: { approvalRequestIds: [uuid], remarks }.
+ */
+router.post(
+    "/bulk/reject",
+    requirePermission("approval.reject"),
+    validateBulkReject,
+    idempotent(),
+    controller.bulkReject
+);
+
 /**
  * POST /api/approvals/:id/approve
  * Approve the current pending step the user is assigned to.
@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Conditional Routing Rules
+ * ─────────────────────────────────────────────────────────────────────────────
+ * An ApprovalMatrix row may carry a `condition` (JSON) that is tested against
+ * attributes of the underlying document. Rows without a condition always apply;
+ * rows with a condition only apply when it evaluates to true.
+ *
+ * Attributes come from the document module's meta adapter
+ * (`registerAdapter('<DOC>:meta', ...)` returning `{ attributes }`), merged with
+ * the request basics (docType, amount, projectId, departmentId).
+ *
+ * Grammar:
+ *   { "all": [ <cond>, ... ] }          every child must match
+ *   { "any": [ <cond>, ... ] }          at least one child must match
+ *   { "not": <cond> }                   negation
+ *   { "field": "vendor.category", "op": "eq", "value": "steel" }
+ *
+ * Operators: eq, neq, in, nin, gt, gte, lt, lte, contains, exists
+ *
+ * Example — extra QA step for steel POs on projects with an open NCR:
+ *   { "all": [
+ *       { "field": "itemCategories", "op": "contains", "value": "steel" },
+ *       { "field": "project.openNcrCount", "op": "gt", "value": 0 }
+ *   ] }
+ */
+
+const OPERATORS = ["eq", "neq", "in", "nin", "gt", "gte", "lt", "lte", "contains", "exists"];
+
+/**
+ * Read a dot-separated path ("vendor.category") from the attribute bag.
+ */
+function readField(attributes, path) {
+    return String(path).split(".").reduce(
+        (obj, key) => (obj === null || obj === undefined ? undefined : obj[key]),
+        attributes
+    );
+}
+
+function normalize(value) {
+    return typeof value === "string" ? value.trim().toLowerCase() : value;
+}
+
+function compareLeaf(actual, op, expected) {
+    switch (op) {
+        case "exists":
+            return (actual !== undefined && actual !== null) === (expected !== false);
+        case "eq":
+            return normalize(actual) === normalize(expected);
+        case "neq":
+            return normalize(actual) !== normalize(expected);
+        case "in":
+            return Array.isArray(expected) && expected.map(normalize).includes(normalize(actual));
+        case "nin":
+            return Array.isArray(expected) && !expected.map(normalize).includes(normalize(actual));
+        case "contains":
+            if (Array.isArray(actual)) return actual.map(normalize).includes(normalize(expected));
+            if (typeof actual === "string") return normalize(actual).includes(normalize(expected));
+            return false;
+        case "gt":
+            return Number(actual) > Number(expected);
+        case "gte":
+            return Number(actual) >= Number(expected);
+        case "lt":
+            return Number(actual) < Number(expected);
+        case "lte":
+            return Number(actual) <= Number(expected);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validate a condition tree. Returns an array of error strings (empty = valid).
+ */
+function validateCondition(condition, path = "condition") {
+    if (condition === null || condition === undefined) return [];
+    if (typeof condition !== "object" || Array.isArray(condition)) {
+        return [`${path} must be an object`];
+    }
+
+    if (condition.all !== undefined || condition.any !== undefined) {
+        const key = condition.all !== undefined ? "all" : "any";
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            return [`${path}.${key} must be a non-empty array`];
+        }
+        return condition[key].flatMap((c, i) => validateCondition(c, `${path}.${key}[${i}]`));
+    }
+
+    if (condition.not !== undefined) {
+        return validateCondition(condition.not, `${path}.not`);
+    }
+
+    const errors = [];
+    if (!condition.field || typeof condition.field !== "string") errors.push(`${path}.field is required`);
+    if (!OPERATORS.includes(condition.op)) errors.push(`${path}.op must be one of: ${OPERATORS.join(", ")}`);
+    if (["in", "nin"].includes(condition.op) && !Array.isArray(condition.value)) {
+        errors.push(`${path}.value must be an array for '${condition.op}'`);
+    }
+    return errors;
+}
+
+/**
+ * Evaluate a condition tree against document attributes.
+ * A null/undefined condition always matches.
+ */
+function evaluateCondition(condition, attributes = {}) {
+    if (condition === null || condition === undefined) return true;
+
+    if (Array.isArray(condition.all)) return condition.all.every((c) => evaluateCondition(c, attributes));
+    if (Array.isArray(condition.any)) return condition.any.some((c) => evaluateCondition(c, attributes));
+    if (condition.not !== undefined) return !evaluateCondition(condition.not, attributes);
+
+    return compareLeaf(readField(attributes, condition.field), condition.op, condition.value);
+}
+
+/**
+ * Keep the matrix rows whose condition matches the document.
+ * A malformed condition fails safe — the row is kept (extra scrutiny rather than
+ * a silently skipped control step) and reported through `onInvalid`.
+ */
+function filterMatricesByCondition(matrices, attributes, onInvalid = () => { }) {
+    return matrices.filter((m) => {
+        if (!m.condition) return true;
+        const errors = validateCondition(m.condition);
+        if (errors.length > 0) {
+            onInvalid(m, errors);
+            return true;
+        }
+        return evaluateCondition(m.condition, attributes);
+    });
+}
+
+module.exports = { OPERATORS, validateCondition, evaluateCondition, filterMatricesByCondition };
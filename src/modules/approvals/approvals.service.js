@@ -1,10 +1,16 @@
 "use strict";
 
+const crypto = require("crypto");
 const prisma = require("../../db");
 const logger = require("../../logger");
 const { logAudit } = require("../../utils/auditLogger");
 const repo = require("./approvals.repository");
-const { updateDocumentStatus } = require("./approvals.adapter");
+const { updateDocumentStatus, getDocumentMeta } = require("./approvals.adapter");
+const { validateCondition } = require("./approvals.rules");
+const { notify, findRoleRecipients } = require("../notifications/notifications.service");
+const { resolveDelegate, findDelegators, canActFor } = require("../delegations/delegations.service");
+const tokens = require("./approvals.tokens");
+const { buildSnapshot, diffSnapshots, carryOverApprovedGroups } = require("./approvals.revisions");
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -20,12 +26,15 @@ function createAppError(message, statusCode) {
  * Strategy:
  *   1. Get all users with the required role
  *   2. Remove the document requester (self-approval block)
- *   3. For each candidate, check if they have an active delegation — swap to delegatee
+ *   3. For each candidate, follow delegations covering the document (`scope`:
+ *      docType, amount, projectId) — swap to the final delegate of the chain
  *   4. Return first valid candidate (or null if role-based and assignment deferred)
  *
  * Returning null is safe: inbox query falls back to role-based matching.
+ * `source` records how the approver was found (department_head | role | delegation |
+ * escalation_department_head | escalation_erp_admin | escalation_super_admin).
  */
-async function resolveApprover(roleId, requestedBy, departmentId, companyId) {
+async function resolveApprover(roleId, requestedBy, departmentId, companyId, scope = {}) {
     if (!roleId) return null;
 
     // Helper to find escalations if self-approval is blocked
@@ -34,7 +43,7 @@ async function resolveApprover(roleId, requestedBy, departmentId, companyId) {
         if (!adminRole) return null;
         const admins = await repo.findUsersByRole(adminRole.id, null, compId);
         const validAdmin = admins.find(a => a.id !== requestedBy);
-        return validAdmin ? { userId: validAdmin.id, delegated: false } : null;
+        return validAdmin ? { userId: validAdmin.id, delegated: false, source: `escalation_${rCode}` } : null;
     };
 
     // ─── New Logic: Support Department Head ───
@@ -48,26 +57,20 @@ async function resolveApprover(roleId, requestedBy, departmentId, companyId) {
             const headUser = await prisma.user.findFirst({
                 where: { id: dept.head_id, role_id: roleId }
             });
-            if (headUser) return { userId: headUser.id, delegated: false };
+            if (headUser) {
+                const delegate = await withDelegation(headUser.id, requestedBy, scope, "department_head");
+                if (delegate) return delegate;
+            }
         }
     }
 
     const candidates = await repo.findUsersByRole(roleId, departmentId, companyId);
-    const now = new Date();
 
     for (const user of candidates) {
         if (user.id === requestedBy) continue; 
 
-        // Check delegation
-        const delegation = await repo.findPendingDelegation(user.id, now);
-        if (delegation) {
-            if (delegation.to_user !== requestedBy) {
-                return { userId: delegation.to_user, delegated: true };
-            }
-            continue; 
-        }
-
-        return { userId: user.id, delegated: false };
+        const delegate = await withDelegation(user.id, requestedBy, scope, "role");
+        if (delegate) return delegate;
     }
 
     // ─── Escalation Logic: If requester is the only approver or no candidates found ───
@@ -77,7 +80,7 @@ async function resolveApprover(roleId, requestedBy, departmentId, companyId) {
     if (departmentId) {
         const dept = await prisma.department.findUnique({ where: { id: departmentId } });
         if (dept?.head_id && dept.head_id !== requestedBy) {
-            return { userId: dept.head_id, delegated: false };
+            return { userId: dept.head_id, delegated: false, source: "escalation_department_head" };
         }
     }
 
@@ -92,6 +95,306 @@ async function resolveApprover(roleId, requestedBy, departmentId, companyId) {
     throw createAppError(`No eligible approver found for role ${roleId}. Escalation failed as Dept Head, ERP Admin, and Super Admin are unavailable or were the requester themselves.`, 400);
 }
 
+/**
+ * Apply the approver's delegation chain (reassigning delegations only — an
+ * act-on-behalf delegate works from the original approver's step).
+ * Returns null when the chain runs into the requester: that approver is away and
+ * the next candidate should be tried.
+ */
+async function withDelegation(approverId, requestedBy, scope, source) {
+    const delegate = await resolveDelegate(approverId, scope, { excludeUserIds: [requestedBy], reassignOnly: true });
+    if (delegate.blocked) return null;
+    if (delegate.userId === approverId) return { userId: approverId, delegated: false, source };
+    return {
+        userId: delegate.userId,
+        delegated: true,
+        delegatedFrom: approverId,
+        delegationChain: delegate.chain,
+        source: "delegation",
+    };
+}
+
+/**
+ * Delegation scope of a request (doc type, amount, project).
+ */
+function requestScope(request) {
+    return { docType: request.doc_type, amount: request.amount === null ? null : Number(request.amount), projectId: request.project_id };
+}
+
+/**
+ * Approvers whose steps on this request the actor may take as delegate
+ * (directly or through a chain, with every hop covering the request).
+ */
+async function findDelegatorIdsFor(actorId, request, now = new Date()) {
+    const delegators = await findDelegators(actorId, now);
+    const scope = requestScope(request);
+    return new Set([...delegators.keys()].filter((id) => canActFor(delegators, id, scope)));
+}
+
+/**
+ * Whose seat the actor is filling: the assigned approver when acting as their
+ * delegate, or the original approver of a seat reassigned to the actor.
+ */
+function onBehalfOf(step, actorId, delegatorIds) {
+    if (step.approver_user && step.approver_user !== actorId && delegatorIds.has(step.approver_user)) return step.approver_user;
+    return step.approver_user === actorId ? step.on_behalf_of || null : null;
+}
+
+// ─── Step Groups (Parallel / Quorum) ─────────────────────────────────────────
+
+/**
+ * Completion rules for a group of steps sharing one step_order.
+ *   ALL    — every step in the group must approve (legacy sequential behaviour)
+ *   ANY    — the first approval completes the group
+ *   QUORUM — quorum_count approvals complete the group ("N of M")
+ */
+const APPROVAL_RULES = ["ALL", "ANY", "QUORUM"];
+
+function normalizeRule(rule) {
+    const value = (rule || "ALL").toUpperCase();
+    return APPROVAL_RULES.includes(value) ? value : "ALL";
+}
+
+/**
+ * Number of approvals a group needs. The rule is read from the first step that
+ * carries one; quorum is clamped to the group size so a misconfigured matrix
+ * cannot leave a request unfinishable.
+ */
+function requiredApprovals(groupSteps) {
+    const size = groupSteps.length;
+    const ruleStep = groupSteps.find((s) => s.approval_rule) || {};
+    const rule = normalizeRule(ruleStep.approval_rule);
+
+    if (rule === "ANY") return 1;
+    if (rule === "QUORUM") {
+        const quorum = Number(ruleStep.quorum_count) || size;
+        return Math.min(Math.max(quorum, 1), size);
+    }
+    return size;
+}
+
+/**
+ * Evaluate a step group after an action.
+ * Returns outcome "complete" (enough approvals), "failed" (quorum can no longer
+ * be reached) or "open" (still waiting on other members).
+ */
+function evaluateStepGroup(groupSteps) {
+    const required = requiredApprovals(groupSteps);
+    const approved = groupSteps.filter((s) => s.status === "approved").length;
+    const pending = groupSteps.filter((s) => s.status === "pending").length;
+
+    let outcome = "open";
+    if (approved >= required) outcome = "complete";
+    else if (approved + pending < required) outcome = "failed";
+
+    return { outcome, required, approved, pending };
+}
+
+/**
+ * In a parallel group an actor fills exactly one seat. Prefer the step assigned
+ * to them directly, then one held as delegate, then a role-based (unassigned) seat.
+ */
+function pickSeat(actableSteps, actor, delegatorIds) {
+    const rank = (s) => {
+        if (s.approver_user === actor.id) return 0;
+        if (s.approver_user && delegatorIds.has(s.approver_user)) return 1;
+        if (!s.approver_user && s.role_id === actor.role_id) return 2;
+        return 3;
+    };
+    return [...actableSteps].sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Lock the request row and re-read the group at `stepOrder` inside an action's
+ * transaction. Group completion must be decided from this read — the steps
+ * loaded before the transaction may already be stale when two approvers of the
+ * same group act at once.
+ */
+async function lockStepGroup(tx, approvalRequestId, stepOrder) {
+    await tx.$queryRaw`SELECT id FROM auth.approval_requests WHERE id = ${approvalRequestId}::uuid FOR UPDATE`;
+    const current = await tx.approvalRequest.findUnique({
+        where: { id: approvalRequestId },
+        select: { current_status: true, current_step: true },
+    });
+    if (current?.current_status !== "in_progress" || current.current_step !== stepOrder) {
+        throw createAppError(`Request was acted on in the meantime (now '${current?.current_status}' at step ${current?.current_step}) — reload and try again`, 409);
+    }
+    return tx.approvalStep.findMany({ where: { approval_request_id: approvalRequestId, step_order: stepOrder } });
+}
+
+/**
+ * Resolve the approver for every matrix row and build the step rows to insert.
+ * Shared by requestApproval and the matrix simulator so a dry run reports exactly
+ * the chain a real request would get.
+ *
+ * With `collectErrors`, a row whose approver cannot be resolved is returned with
+ * an `error` instead of aborting the whole chain.
+ */
+async function planApprovalSteps(matrices, requesterId, departmentId, companyId, { collectErrors = false, scope = {} } = {}) {
+    const plan = [];
+    for (const matrix of matrices) {
+        let resolved = null;
+        let error = null;
+        try {
+            resolved = await resolveApprover(matrix.role_id, requesterId, departmentId, companyId, scope);
+        } catch (err) {
+            if (!collectErrors) throw err;
+            error = err.message;
+        }
+        let approverUser = resolved?.userId || null;
+        let sharedSeat = false;
+
+        // Committee seats must be held by different people — if this user already
+        // holds a seat in the group, leave this one open to any role holder.
+        if (matrix.is_parallel && approverUser && plan.some(
+            (p) => p.step.step_order === matrix.step_order && p.step.approver_user === approverUser
+        )) {
+            approverUser = null;
+            sharedSeat = true;
+        }
+
+        plan.push({
+            matrix,
+            resolved,
+            error,
+            sharedSeat,
+            step: {
+                step_order: matrix.step_order,
+                role_id: matrix.role_id,
+                approver_user: approverUser,
+                on_behalf_of: approverUser && resolved?.delegated ? resolved.delegatedFrom : null,
+                status: "pending",
+                escalated: false,
+                sla_hours: matrix.escalation_hours ?? null,
+                is_parallel: matrix.is_parallel === true,
+                approval_rule: normalizeRule(matrix.approval_rule),
+                quorum_count: matrix.quorum_count ?? null,
+            },
+        });
+    }
+    return plan;
+}
+
+// ─── Document Attributes (Conditional Routing) ───────────────────────────────
+
+/**
+ * Build the attribute bag that conditional matrix rows are evaluated against.
+ * Document modules contribute fields through their `<DOC>:meta` adapter by
+ * returning an `attributes` object; request basics are always present.
+ */
+async function buildDocumentAttributes({ docType, docId, projectId, amount, departmentId }, overrides = {}) {
+    const meta = docId ? await getDocumentMeta({ docType, docId }) : null;
+    return {
+        ...(meta?.attributes || {}),
+        ...overrides,
+        docType,
+        amount,
+        projectId: projectId || null,
+        departmentId: departmentId || null,
+    };
+}
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+
+async function describeRequest(request) {
+    const meta = await getDocumentMeta({ docType: request.doc_type, docId: request.doc_id });
+    return meta?.title || `${request.doc_type} ${request.doc_id}`;
+}
+
+/**
+ * Tell the approvers of a step group that a request is waiting on them. Named
+ * approvers are notified directly; open seats go to every holder of the role.
+ * Never throws — a failed notification must not fail the approval action.
+ */
+async function notifyStepApprovers(request, stepOrder) {
+    try {
+        const steps = await repo.findStepsAtOrder(request.id, stepOrder);
+        const seats = new Map(); // recipient → the step their action link targets
+        for (const step of steps.filter((s) => s.status === "pending")) {
+            if (step.approver_user) {
+                if (!seats.has(step.approver_user)) seats.set(step.approver_user, step);
+                continue;
+            }
+            const holders = await findRoleRecipients(step.role_id, request.company_id, [request.requested_by]);
+            holders.forEach((id) => { if (!seats.has(id)) seats.set(id, step); });
+        }
+        seats.delete(request.requested_by);
+
+        const recipientVariables = {};
+        for (const [userId, step] of seats) {
+            try {
+                recipientVariables[userId] = await tokens.buildActionLinks(step, userId);
+            } catch (err) {
+                logger.warn(`Approval link not issued for user ${userId} on step ${step.id}: ${err.message}`);
+            }
+        }
+
+        await notify({
+            userIds: [...seats.keys()],
+            companyId: request.company_id,
+            type: "APPROVAL_ASSIGNED",
+            title: `Approval required: ${await describeRequest(request)}`,
+            message: `Step ${stepOrder} is waiting for your decision.`,
+            entity: "approval_request",
+            entityId: request.id,
+            data: { docType: request.doc_type, docId: request.doc_id, stepOrder },
+            recipientVariables,
+        });
+    } catch (err) {
+        logger.warn(`Approver notification failed for request ${request.id}: ${err.message}`);
+    }
+}
+
+/**
+ * Tell the requester about the outcome of their request. Never throws.
+ */
+async function notifyRequester(request, type, outcome, remarks = null) {
+    try {
+        await notify({
+            userIds: request.requested_by,
+            companyId: request.company_id,
+            type,
+            title: `${await describeRequest(request)} ${outcome}`,
+            message: remarks,
+            entity: "approval_request",
+            entityId: request.id,
+            priority: type === "APPROVAL_APPROVED" ? "normal" : "high",
+            data: { docType: request.doc_type, docId: request.doc_id },
+        });
+    } catch (err) {
+        logger.warn(`Requester notification failed for request ${request.id}: ${err.message}`);
+    }
+}
+
+// ─── Revisions ────────────────────────────────────────────────────────────────
+
+/**
+ * Revision number, snapshot and (after a send-back) the diff against the
+ * superseded request for a new submission. `previous` is the request being
+ * superseded, if any.
+ */
+async function buildRevision(docType, docId, existingRequest, amount, items) {
+    const latest = await prisma.approvalRequest.findFirst({
+        where: { doc_type: docType, doc_id: docId },
+        orderBy: { created_at: "desc" },
+        select: { revision: true },
+    });
+    const revision = latest ? (latest.revision || 1) + 1 : 1;
+    const snapshot = buildSnapshot(amount, items);
+
+    let diff = null;
+    if (existingRequest?.current_status === "sent_back") {
+        const stored = await prisma.approvalRequestRevision.findUnique({ where: { approval_request_id: existingRequest.id } });
+        const previousSnapshot = stored?.snapshot || buildSnapshot(
+            existingRequest.amount,
+            await prisma.approvalRequestItem.findMany({ where: { approval_request_id: existingRequest.id }, orderBy: { created_at: "asc" } })
+        );
+        diff = diffSnapshots(previousSnapshot, snapshot, existingRequest.revision || 1, revision);
+    }
+
+    return { revision, snapshot, diff, previous: existingRequest || null };
+}
+
 // ─── 1. Request Approval ──────────────────────────────────────────────────────
 
 async function requestApproval(data, actorId, ipAddress, deviceInfo) {
@@ -157,9 +460,11 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
         }
     }
 
-    // Load matching approval matrices
+    // Load matching approval matrices (conditional rows are tested against the document)
     const numericAmount = Number(amount) || 0;
-    const matrices = await repo.findMatrices(userCtx, docType, projectId, numericAmount, departmentId);
+    const revisionInfo = await buildRevision(docType, docId, existingRequest, numericAmount, items);
+    const attributes = await buildDocumentAttributes({ docType, docId, projectId, amount: numericAmount, departmentId });
+    const matrices = await repo.findMatrices(userCtx, docType, projectId, numericAmount, departmentId, attributes);
     if (!matrices || matrices.length === 0) {
         const projectDisplay = projectId || "Global/None";
         logger.warn(`Approval Matrix not found: docType=${docType}, projectId=${projectDisplay}, amount=${numericAmount}, departmentId=${departmentId}`);
@@ -175,19 +480,43 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
 
     // Resolve distinct step orders (for totalSteps count)
     const uniqueStepOrders = [...new Set(matrices.map((m) => m.step_order))].sort((a, b) => a - b);
-    const firstStepOrder = uniqueStepOrders[0];
 
-    // Build the steps to create
-    const stepInserts = [];
-    for (const matrix of matrices) {
-        const resolved = await resolveApprover(matrix.role_id, actorId, departmentId, userCtx.companyId);
-        stepInserts.push({
-            step_order: matrix.step_order,
-            role_id: matrix.role_id,
-            approver_user: resolved?.userId || null,
-            status: "pending",
-            escalated: false,
-        });
+    // Build the steps to create. Rows sharing a step_order become one concurrent
+    // group; the matrix rule is snapshotted onto each step.
+    const plan = await planApprovalSteps(matrices, actorId, departmentId, userCtx.companyId, {
+        scope: { docType, amount: numericAmount, projectId },
+    });
+    const stepInserts = plan.map((p) => ({ ...p.step }));
+
+    // Resubmission after send-back: optionally keep the groups already approved
+    let carriedOverSteps = [];
+    const sentBack = revisionInfo.previous?.current_status === "sent_back";
+    if (data.skipApprovedSteps && sentBack) {
+        if (numericAmount <= Number(revisionInfo.previous.amount || 0)) {
+            const previousSteps = await prisma.approvalStep.findMany({ where: { approval_request_id: revisionInfo.previous.id } });
+            carriedOverSteps = carryOverApprovedGroups(
+                stepInserts,
+                previousSteps,
+                (group) => evaluateStepGroup(group).outcome === "complete",
+                revisionInfo.previous.revision || 1
+            );
+        } else {
+            logger.info(`Resubmission of ${docType} ${docId} increased the amount — full re-approval required`);
+        }
+    }
+
+    const firstStepOrder = uniqueStepOrders.find((order) => !carriedOverSteps.includes(order));
+    const submittedAt = new Date();
+    for (const step of stepInserts) {
+        step.activated_at = step.step_order === firstStepOrder ? submittedAt : null;
+    }
+
+    for (const order of uniqueStepOrders) {
+        const group = stepInserts.filter((s) => s.step_order === order);
+        const quorum = group.find((s) => s.approval_rule === "QUORUM")?.quorum_count;
+        if (quorum && quorum > group.length) {
+            logger.warn(`Approval matrix for ${docType} step ${order} asks for ${quorum} approvals but only ${group.length} rows exist — clamping to ${group.length}`);
+        }
     }
 
     // Create approval_request + approval_steps in a single transaction
@@ -207,6 +536,22 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
                 attachment_url: data.attachmentUrl || null,
                 is_completed: false,
                 created_at: new Date(),
+                revision: revisionInfo.revision,
+                previous_request_id: revisionInfo.previous?.id || null,
+            },
+        });
+
+        await tx.approvalRequestRevision.create({
+            data: {
+                approval_request_id: req.id,
+                previous_request_id: revisionInfo.previous?.id || null,
+                doc_type: docType,
+                doc_id: docId,
+                revision: revisionInfo.revision,
+                snapshot: revisionInfo.snapshot,
+                diff: revisionInfo.diff,
+                carried_over_steps: carriedOverSteps.length > 0 ? carriedOverSteps : null,
+                created_by: actorId,
             },
         });
 
@@ -240,7 +585,7 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
     try {
         await updateDocumentStatus(
             { docType, docId, status: "in_approval" }, 
-            { id: actorId, companyId }
+            { id: actorId, companyId: userCtx.companyId }
         );
 
         await logAudit({
@@ -250,7 +595,11 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
             entityId: approvalRequest.id,
             action: "REQUEST_APPROVAL",
             beforeData: null,
-            afterData: { docType, docId, projectId, amount: numericAmount, totalSteps: uniqueStepOrders.length, currentStep: firstStepOrder },
+            afterData: {
+                docType, docId, projectId, amount: numericAmount, totalSteps: uniqueStepOrders.length, currentStep: firstStepOrder,
+                conditionalMatrixIds: matrices.filter((m) => m.condition).map((m) => m.id),
+                revision: revisionInfo.revision, previousRequestId: revisionInfo.previous?.id || null, carriedOverSteps,
+            },
             ipAddress,
             deviceInfo,
         });
@@ -260,11 +609,16 @@ async function requestApproval(data, actorId, ipAddress, deviceInfo) {
 
     logger.info(`Approval requested: ${docType} ${docId} → request=${approvalRequest.id} steps=${uniqueStepOrders.length}`);
 
+    await notifyStepApprovers(approvalRequest, firstStepOrder);
+
     return {
         approvalRequestId: approvalRequest.id,
         currentStatus: approvalRequest.current_status,
         totalSteps: approvalRequest.total_steps,
         currentStep: approvalRequest.current_step,
+        revision: revisionInfo.revision,
+        carriedOverSteps,
+        changes: revisionInfo.diff,
     };
 }
 
@@ -407,15 +761,17 @@ async function getInbox(userCtx, statusFilter, page = 1, pageSize = 10, reqDepar
     // 2. Delegated steps (unless we already fetched everything as admin)
     let delegatedSteps = [];
     if (!isAdmin || filter !== "pending") {
-        const activeDelegations = await repo.findDelegationsForInbox(userId, now);
-        const delegatorIds = activeDelegations.map((d) => d.from_user);
+        // Includes chains (A → B → me); each step must fall inside every hop's scope
+        const delegators = await findDelegators(userId, now);
 
-        for (const delegatorId of delegatorIds) {
+        for (const delegatorId of delegators.keys()) {
             const delegator = await repo.findUserById(delegatorId);
             if (!delegator) continue;
             const steps = await repo.findInboxSteps(userCtx, delegator.role_id, filter, delegator.department_id);
             delegatedSteps = delegatedSteps.concat(
-                steps.map((s) => ({ ...s, _delegatedFrom: delegatorId }))
+                steps
+                    .filter((s) => s.approval_requests && canActFor(delegators, delegatorId, requestScope(s.approval_requests)))
+                    .map((s) => ({ ...s, _delegatedFrom: delegatorId }))
             );
         }
     }
@@ -447,21 +803,42 @@ async function getInbox(userCtx, statusFilter, page = 1, pageSize = 10, reqDepar
             role: s.roles ? { name: s.roles.name, code: s.roles.code } : null,
             approverUser: s.approver_user,
             status: s.status,
+            isParallel: s.is_parallel || false,
+            approvalRule: s.approval_rule || "ALL",
+            quorumCount: s.quorum_count,
             submittedAt: req?.created_at,
             escalated: s.escalated,
+            escalationLevel: s.escalation_level || 0,
             delegatedFrom: s._delegatedFrom || null,
+            onBehalfOf: s.on_behalf_of || null,
+            revision: req?.revision || 1,
         };
     });
 
     const total = data.length;
     const paginated = data.slice(skip, skip + pageSize);
 
+    // Resubmissions carry the field-level diff against the sent-back version
+    const resubmittedIds = [...new Set(paginated.filter((r) => r.revision > 1).map((r) => r.approvalRequestId))];
+    if (resubmittedIds.length > 0) {
+        const revisions = await prisma.approvalRequestRevision.findMany({
+            where: { approval_request_id: { in: resubmittedIds } },
+            select: { approval_request_id: true, diff: true, carried_over_steps: true },
+        });
+        const byRequest = new Map(revisions.map((r) => [r.approval_request_id, r]));
+        for (const row of paginated) {
+            const rev = byRequest.get(row.approvalRequestId);
+            row.changes = rev?.diff || null;
+            row.carriedOverSteps = rev?.carried_over_steps || [];
+        }
+    }
+
     return { data: paginated, total, page, pageSize };
 }
 
 // ─── 3. Approve Step ──────────────────────────────────────────────────────────
 
-async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo) {
+async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo, { bulkId = null, stepId = null } = {}) {
     const actorId = userCtx.id;
     const actor = await repo.findUserById(actorId);
     if (!actor) throw createAppError("Actor user not found", 404);
@@ -485,15 +862,25 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
     // Find the step(s) this user can act on at the current step_order
     // Also allow if actor is an active delegate of the step's assigned approver
     const now = new Date();
-    const activeDelegations = await repo.findDelegationsForInbox(actorId, now);
-    const delegatorIds = new Set(activeDelegations.map((d) => d.from_user));
+    const delegatorIds = await findDelegatorIdsFor(actorId, request, now);
 
-    const actableSteps = request.approval_steps.filter((s) => {
-        if (s.step_order !== request.current_step) return false;
-        if (s.status !== "pending") return false;
+    const groupSteps = request.approval_steps.filter((s) => s.step_order === request.current_step);
+    const isParallelGroup = groupSteps.some((s) => s.is_parallel);
+
+    // A committee member approves once per group, whichever seat they held
+    if (isParallelGroup && groupSteps.some((s) => s.status === "approved" && s.approver_user === actorId)) {
+        return {
+            approvalRequestId,
+            currentStatus: request.current_status,
+            currentStep: request.current_step,
+            note: "Already approved at this step",
+        };
+    }
 
-        const roleCode = (actor.roles?.code || "").toLowerCase();
-        const isAdmin = roleCode === "super_admin" || roleCode === "erp_admin";
+    // `stepId` pins the action to one seat (action links are issued per step)
+    const canTake = (s) => {
+        if (s.status !== "pending") return false;
+        if (stepId && s.id !== stepId) return false;
         if (isAdmin) return true;
 
         // Direct assignment OR role match OR acting as delegate
@@ -502,9 +889,17 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
             s.role_id === actor.role_id ||
             (s.approver_user && delegatorIds.has(s.approver_user))
         );
-    });
+    };
+    const takeSeats = (steps) => {
+        const actable = steps.filter(canTake);
+        return isParallelGroup && actable.length > 1 ? [pickSeat(actable, actor, delegatorIds)] : actable;
+    };
+
+    const actableSteps = takeSeats(groupSteps);
 
     if (actableSteps.length === 0) {
+        if (stepId) throw createAppError("This approval step is no longer awaiting your decision", 409);
+
         // Idempotency: check if already approved at this step
         const alreadyDone = request.approval_steps.find(
             (s) => s.step_order === request.current_step &&
@@ -525,8 +920,18 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
 
     // Mark all actable steps as approved in a transaction, then advance or complete
     const result = await prisma.$transaction(async (tx) => {
+        // Seats are re-taken from a locked, fresh read of the group
+        const freshGroup = await lockStepGroup(tx, approvalRequestId, request.current_step);
+        if (isParallelGroup && freshGroup.some((s) => s.status === "approved" && s.approver_user === actorId)) {
+            return { status: request.current_status, nextStep: request.current_step, alreadyApproved: true };
+        }
+        const seats = takeSeats(freshGroup);
+        if (seats.length === 0) {
+            throw createAppError("Your step at the current step was already acted on by another approver", 409);
+        }
+
         // Approve each actable step (parallel scenario: may be only one or multiple)
-        for (const step of actableSteps) {
+        for (const step of seats) {
             await tx.approvalStep.update({
                 where: { id: step.id },
                 data: {
@@ -535,22 +940,29 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
                     remarks: remarks || null,
                     approved_at: now,
                     approver_user: actorId, // solidify who acted
+                    on_behalf_of: onBehalfOf(step, actorId, delegatorIds),
                 },
             });
         }
 
-        // Check if all mandatory steps at this step_order are satisfied  
-        // (parallel approval: ALL pending steps at same order must become approved)
-        const allStepsAtCurrentOrder = request.approval_steps.filter(
-            (s) => s.step_order === request.current_step
-        );
-        const stillPending = allStepsAtCurrentOrder.filter(
-            (s) => !actableSteps.find((a) => a.id === s.id) && s.status === "pending"
+        // Check whether the group's completion rule (ALL / ANY / QUORUM) is met
+        const groupAfter = freshGroup.map((s) =>
+            seats.find((a) => a.id === s.id) ? { ...s, status: "approved" } : s
         );
+        const group = evaluateStepGroup(groupAfter);
 
-        if (stillPending.length > 0) {
+        if (group.outcome !== "complete") {
             // More parallel approvers still need to act — stay at current step
-            return { status: request.current_status, nextStep: request.current_step };
+            return { status: request.current_status, nextStep: request.current_step, group, seats };
+        }
+
+        // Quorum reached — seats nobody filled are no longer needed
+        const unfilled = groupAfter.filter((s) => s.status === "pending").map((s) => s.id);
+        if (unfilled.length > 0) {
+            await tx.approvalStep.updateMany({
+                where: { id: { in: unfilled } },
+                data: { status: "skipped" },
+            });
         }
 
         // All steps at current order done — see if there's a next step
@@ -561,7 +973,12 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
                 where: { id: approvalRequestId },
                 data: { current_step: nextStepOrder },
             });
-            return { status: updated.current_status, nextStep: nextStepOrder };
+            // Start the SLA clock for the next group
+            await tx.approvalStep.updateMany({
+                where: { approval_request_id: approvalRequestId, step_order: nextStepOrder, status: "pending" },
+                data: { activated_at: now },
+            });
+            return { status: updated.current_status, nextStep: nextStepOrder, seats };
         } else {
             // All steps complete — mark approved
             const updated = await tx.approvalRequest.update({
@@ -572,10 +989,19 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
                     completed_at: now,
                 },
             });
-            return { status: updated.current_status, nextStep: null };
+            return { status: updated.current_status, nextStep: null, seats };
         }
     });
 
+    if (result.alreadyApproved) {
+        return {
+            approvalRequestId,
+            currentStatus: request.current_status,
+            currentStep: request.current_step,
+            note: "Already approved at this step",
+        };
+    }
+
     // Update document status if fully approved
     if (result.status === "approved") {
         await updateDocumentStatus(
@@ -591,23 +1017,34 @@ async function approveStep(approvalRequestId, userCtx, remarks, ipAddress, devic
         entityId: approvalRequestId,
         action: "APPROVE_STEP",
         beforeData: { step: request.current_step, status: "pending" },
-        afterData: { status: "approved", nextStep: result.nextStep },
+        afterData: {
+            status: "approved", nextStep: result.nextStep, stepIds: result.seats.map((s) => s.id), group: result.group || null,
+            onBehalfOf: onBehalfOf(result.seats[0], actorId, delegatorIds),
+            ...(bulkId && { bulkId }),
+        },
         ipAddress,
         deviceInfo,
     });
 
     logger.info(`Step approved: request=${approvalRequestId} by=${actorId} → status=${result.status} nextStep=${result.nextStep}`);
 
+    if (result.status === "approved") {
+        await notifyRequester(request, "APPROVAL_APPROVED", "approved", remarks);
+    } else if (!result.group && result.nextStep !== null) {
+        await notifyStepApprovers(request, result.nextStep);
+    }
+
     return {
         approvalRequestId,
         currentStatus: result.status,
         currentStep: result.nextStep,
+        ...(result.group && { groupProgress: { approved: result.group.approved, required: result.group.required } }),
     };
 }
 
 // ─── 4. Reject Step ───────────────────────────────────────────────────────────
 
-async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo) {
+async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo, { bulkId = null, stepId = null } = {}) {
     const actorId = userCtx.id;
     if (!remarks || !remarks.trim()) {
         throw createAppError("Rejection reason is mandatory.", 400);
@@ -626,21 +1063,52 @@ async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, device
     const roleCode = (actor.roles?.code || "").toLowerCase();
     const isAdmin = roleCode === "super_admin" || roleCode === "erp_admin";
 
-    // Find the step this user can act on
-    const actableStep = request.approval_steps.find((s) => {
-        if (s.step_order !== request.current_step) return false;
-        if (s.status !== "pending") return false;
-        if (isAdmin) return true;
-        return s.approver_user === actorId || s.role_id === actor.role_id;
-    });
+    const groupSteps = request.approval_steps.filter((s) => s.step_order === request.current_step);
+    const isParallelGroup = groupSteps.some((s) => s.is_parallel);
+
+    if (isParallelGroup && groupSteps.some((s) => s.status === "approved" && s.approver_user === actorId)) {
+        throw createAppError("You have already approved this step group and cannot reject another seat in it", 409);
+    }
 
-    if (!actableStep) {
+    // Find the step this user can act on (directly, by role or as delegate)
+    const delegatorIds = await findDelegatorIdsFor(actorId, request);
+    const takeSeat = (steps) => {
+        const candidates = steps.filter((s) => {
+            if (s.status !== "pending") return false;
+            if (stepId && s.id !== stepId) return false;
+            if (isAdmin) return true;
+            return s.approver_user === actorId || s.role_id === actor.role_id ||
+                (s.approver_user && delegatorIds.has(s.approver_user));
+        });
+        return isParallelGroup && candidates.length > 1
+            ? pickSeat(candidates, actor, delegatorIds)
+            : candidates[0];
+    };
+
+    if (!takeSeat(groupSteps)) {
         throw createAppError("No pending approval step found for you at the current step", 403);
     }
 
     const now = new Date();
 
-    await prisma.$transaction(async (tx) => {
+    const { actableStep, group, requestRejected } = await prisma.$transaction(async (tx) => {
+        // The seat and the group outcome come from a locked, fresh read of the group
+        const freshGroup = await lockStepGroup(tx, approvalRequestId, request.current_step);
+        if (isParallelGroup && freshGroup.some((s) => s.status === "approved" && s.approver_user === actorId)) {
+            throw createAppError("You have already approved this step group and cannot reject another seat in it", 409);
+        }
+        const actableStep = takeSeat(freshGroup);
+        if (!actableStep) {
+            throw createAppError("Your step at the current step was already acted on by another approver", 409);
+        }
+
+        // ALL groups fail on the first rejection; ANY / QUORUM groups only fail once
+        // the remaining seats can no longer reach the required approvals.
+        const group = evaluateStepGroup(freshGroup.map((s) =>
+            s.id === actableStep.id ? { ...s, status: "rejected" } : s
+        ));
+        const requestRejected = group.outcome === "failed";
+
         // Mark the step as rejected
         await tx.approvalStep.update({
             where: { id: actableStep.id },
@@ -650,9 +1118,13 @@ async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, device
                 remarks: remarks || null,
                 approved_at: now,
                 approver_user: actorId,
+                on_behalf_of: onBehalfOf(actableStep, actorId, delegatorIds),
             },
         });
 
+        // Remaining committee members can still carry the group
+        if (!requestRejected) return { actableStep, group, requestRejected };
+
         // Reject cascades to the entire request
         await tx.approvalRequest.update({
             where: { id: approvalRequestId },
@@ -671,12 +1143,15 @@ async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, device
             },
             data: { status: "skipped" },
         });
+        return { actableStep, group, requestRejected };
     });
 
-    await updateDocumentStatus(
-        { docType: request.doc_type, docId: request.doc_id, status: "rejected" },
-        { id: actorId, companyId: request.company_id }
-    );
+    if (requestRejected) {
+        await updateDocumentStatus(
+            { docType: request.doc_type, docId: request.doc_id, status: "rejected" },
+            { id: actorId, companyId: request.company_id }
+        );
+    }
 
     await logAudit({
         userId: actorId,
@@ -685,19 +1160,36 @@ async function rejectStep(approvalRequestId, userCtx, remarks, ipAddress, device
         entityId: approvalRequestId,
         action: "REJECT_STEP",
         beforeData: { step: request.current_step, status: "pending" },
-        afterData: { status: "rejected", remarks },
+        afterData: {
+            status: "rejected", remarks, stepId: actableStep.id, requestRejected, group: isParallelGroup ? group : null,
+            onBehalfOf: onBehalfOf(actableStep, actorId, delegatorIds),
+            ...(bulkId && { bulkId }),
+        },
         ipAddress,
         deviceInfo,
     });
 
-    logger.info(`Step rejected: request=${approvalRequestId} by=${actorId} at step=${request.current_step}`);
+    logger.info(`Step rejected: request=${approvalRequestId} by=${actorId} at step=${request.current_step} requestRejected=${requestRejected}`);
+
+    if (requestRejected) {
+        await notifyRequester(request, "APPROVAL_REJECTED", "rejected", remarks);
+    }
+
+    if (!requestRejected) {
+        return {
+            approvalRequestId,
+            currentStatus: request.current_status,
+            currentStep: request.current_step,
+            groupProgress: { approved: group.approved, required: group.required, pending: group.pending },
+        };
+    }
 
     return { approvalRequestId, currentStatus: "rejected" };
 }
 
 // ─── 4.5. Send Back Step ─────────────────────────────────────────────────────────
 
-async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo) {
+async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, deviceInfo, { stepId = null } = {}) {
     const actorId = userCtx.id;
     if (!remarks || !remarks.trim()) {
         throw createAppError("Reason for sending back is mandatory.", 400);
@@ -715,21 +1207,28 @@ async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, devi
     const roleCode = (actor.roles?.code || "").toLowerCase();
     const isAdmin = roleCode === "super_admin" || roleCode === "erp_admin";
 
-    // Find the step this user can act on
-    const actableStep = request.approval_steps.find((s) => {
-        if (s.step_order !== request.current_step) return false;
+    // Find the step this user can act on (directly, by role or as delegate)
+    const delegatorIds = await findDelegatorIdsFor(actorId, request);
+    const takeSeat = (steps) => steps.find((s) => {
         if (s.status !== "pending") return false;
+        if (stepId && s.id !== stepId) return false;
         if (isAdmin) return true;
-        return s.approver_user === actorId || s.role_id === actor.role_id;
+        return s.approver_user === actorId || s.role_id === actor.role_id ||
+            (s.approver_user && delegatorIds.has(s.approver_user));
     });
 
-    if (!actableStep) {
+    if (!takeSeat(request.approval_steps.filter((s) => s.step_order === request.current_step))) {
         throw createAppError("No pending approval step found for you at the current step", 403);
     }
 
     const now = new Date();
 
-    await prisma.$transaction(async (tx) => {
+    const actableStep = await prisma.$transaction(async (tx) => {
+        const actableStep = takeSeat(await lockStepGroup(tx, approvalRequestId, request.current_step));
+        if (!actableStep) {
+            throw createAppError("Your step at the current step was already acted on by another approver", 409);
+        }
+
         // Mark the step as sent_back
         await tx.approvalStep.update({
             where: { id: actableStep.id },
@@ -739,6 +1238,7 @@ async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, devi
                 remarks: remarks || null,
                 approved_at: now,
                 approver_user: actorId,
+                on_behalf_of: onBehalfOf(actableStep, actorId, delegatorIds),
             },
         });
 
@@ -760,6 +1260,7 @@ async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, devi
             },
             data: { status: "skipped" },
         });
+        return actableStep;
     });
 
     await updateDocumentStatus(
@@ -774,13 +1275,15 @@ async function sendBackStep(approvalRequestId, userCtx, remarks, ipAddress, devi
         entityId: approvalRequestId,
         action: "SEND_BACK_STEP",
         beforeData: { step: request.current_step, status: "pending" },
-        afterData: { status: "sent_back", remarks },
+        afterData: { status: "sent_back", remarks, stepId: actableStep.id, onBehalfOf: onBehalfOf(actableStep, actorId, delegatorIds) },
         ipAddress,
         deviceInfo,
     });
 
     logger.info(`Step sent_back: request=${approvalRequestId} by=${actorId} at step=${request.current_step}`);
 
+    await notifyRequester(request, "APPROVAL_SENT_BACK", "sent back for correction", remarks);
+
     return { approvalRequestId, currentStatus: "sent_back" };
 }
 
@@ -800,6 +1303,10 @@ async function getHistory(docType, docId, userCtx) {
             remarks: s.remarks,
             approvedAt: s.approved_at,
             escalated: s.escalated,
+            escalationLevel: s.escalation_level || 0,
+            isParallel: s.is_parallel || false,
+            approvalRule: s.approval_rule || "ALL",
+            quorumCount: s.quorum_count,
         })),
     }));
 }
@@ -925,20 +1432,40 @@ async function getRequestById(id) {
             });
             approverName = u?.name;
         }
+        let onBehalfOfName = null;
+        if (s.on_behalf_of) {
+            const u = await prisma.user.findUnique({
+                where: { id: s.on_behalf_of },
+                select: { name: true }
+            });
+            onBehalfOfName = u?.name;
+        }
         return {
             id: s.id,
             stepOrder: s.step_order,
             role: s.roles ? { name: s.roles.name, code: s.roles.code } : null,
             approverUser: s.approver_user,
             approverName: approverName,
+            onBehalfOf: s.on_behalf_of || null,
+            onBehalfOfName: onBehalfOfName,
             status: s.status,
             action: s.action,
             remarks: s.remarks,
             approvedAt: s.approved_at,
             escalated: s.escalated,
+            escalationLevel: s.escalation_level || 0,
+            isParallel: s.is_parallel || false,
+            approvalRule: s.approval_rule || "ALL",
+            quorumCount: s.quorum_count,
         };
     }));
 
+    // Every submission of this document, oldest first
+    const revisions = await prisma.approvalRequestRevision.findMany({
+        where: { doc_type: r.doc_type, doc_id: r.doc_id },
+        orderBy: { revision: "asc" },
+    });
+
     return {
         id: r.id,
         docType: r.doc_type,
@@ -960,7 +1487,258 @@ async function getRequestById(id) {
         steps: steps,
         items: items,
         extendedData: extendedData,
+        revision: r.revision || 1,
+        previousRequestId: r.previous_request_id || null,
+        revisions: revisions.map((rev) => ({
+            approvalRequestId: rev.approval_request_id,
+            revision: rev.revision,
+            snapshot: rev.snapshot,
+            changes: rev.diff,
+            carriedOverSteps: rev.carried_over_steps || [],
+            createdBy: rev.created_by,
+            createdAt: rev.created_at,
+        })),
+    };
+}
+
+// ─── 7. Matrix Simulator ──────────────────────────────────────────────────────
+
+/**
+ * Dry-run the approval engine for a hypothetical document. Uses the same matrix
+ * lookup, conditional rules and approver resolution as requestApproval, but writes
+ * nothing — resolution failures are reported per step instead of thrown so admins
+ * can see exactly where a chain breaks.
+ */
+async function simulateApproval(data, userCtx) {
+    const { docType, docId, projectId } = data;
+
+    const requesterRaw = await repo.findUserById(data.requesterId || userCtx.id);
+    if (!requesterRaw) throw createAppError("Requester user not found", 404);
+    if (!userCtx.isSuperAdmin && requesterRaw.company_id !== userCtx.companyId) {
+        throw createAppError("Requester belongs to another company", 403);
+    }
+
+    const requesterCtx = {
+        id: requesterRaw.id,
+        companyId: requesterRaw.company_id,
+        roleCode: requesterRaw.roles?.code || "unknown",
+        isSuperAdmin: (requesterRaw.roles?.code === "super_admin")
+    };
+    const departmentId = data.departmentId || requesterRaw.department_id;
+    const numericAmount = Number(data.amount) || 0;
+
+    const warnings = [];
+    if (docId) {
+        const existing = await repo.findActiveRequest(requesterCtx, docType, docId);
+        if (existing?.current_status === "in_progress") {
+            warnings.push(`Document already has an in-progress approval request (${existing.id})`);
+        }
+    }
+
+    const attributes = await buildDocumentAttributes(
+        { docType, docId, projectId, amount: numericAmount, departmentId },
+        data.attributes || {}
+    );
+    const matrices = await repo.findMatrices(requesterCtx, docType, projectId, numericAmount, departmentId, attributes);
+
+    const result = {
+        docType,
+        amount: numericAmount,
+        projectId: projectId || null,
+        departmentId: departmentId || null,
+        requester: { id: requesterRaw.id, name: requesterRaw.name, roleCode: requesterCtx.roleCode },
+        attributes,
+        valid: false,
+        totalSteps: 0,
+        steps: [],
+        groups: [],
+        warnings,
+        errors: [],
     };
+
+    if (!matrices || matrices.length === 0) {
+        result.errors.push(`No approval matrix configured for docType='${docType}', projectId='${projectId || "Global/None"}', amount=${numericAmount}`);
+        return result;
+    }
+
+    for (const m of matrices) {
+        const conditionErrors = m.condition ? validateCondition(m.condition) : [];
+        if (conditionErrors.length > 0) {
+            warnings.push(`Matrix ${m.id} has an invalid condition and is applied unconditionally: ${conditionErrors.join("; ")}`);
+        }
+    }
+
+    const plan = await planApprovalSteps(matrices, requesterRaw.id, departmentId, requesterCtx.companyId, {
+        collectErrors: true,
+        scope: { docType, amount: numericAmount, projectId: projectId || null },
+    });
+
+    const userIds = [...new Set(plan.flatMap((p) => [p.resolved?.userId, p.resolved?.delegatedFrom]).filter(Boolean))];
+    const users = userIds.length > 0
+        ? await prisma.user.findMany({ where: { id: { in: userIds } }, select: { id: true, name: true, email: true } })
+        : [];
+    const userMap = new Map(users.map((u) => [u.id, u]));
+
+    result.steps = plan.map(({ matrix, resolved, error, sharedSeat, step }) => {
+        const source = resolved?.source || null;
+        return {
+            matrixId: matrix.id,
+            stepOrder: step.step_order,
+            role: matrix.roles ? { id: matrix.roles.id, code: matrix.roles.code, name: matrix.roles.name } : null,
+            isParallel: step.is_parallel,
+            approvalRule: step.approval_rule,
+            quorumCount: step.quorum_count,
+            conditional: !!matrix.condition,
+            approver: step.approver_user ? userMap.get(step.approver_user) || { id: step.approver_user } : null,
+            resolution: sharedSeat ? "shared_seat" : source,
+            delegated: resolved?.delegated || false,
+            delegatedFrom: resolved?.delegatedFrom ? userMap.get(resolved.delegatedFrom) || { id: resolved.delegatedFrom } : null,
+            delegationChain: resolved?.delegationChain || null,
+            escalated: !!source && source.startsWith("escalation_"),
+            escalationHours: matrix.escalation_hours ?? null,
+            error,
+        };
+    });
+
+    const uniqueStepOrders = [...new Set(plan.map((p) => p.step.step_order))].sort((a, b) => a - b);
+    result.groups = uniqueStepOrders.map((order) => {
+        const groupSteps = plan.filter((p) => p.step.step_order === order).map((p) => p.step);
+        return {
+            stepOrder: order,
+            size: groupSteps.length,
+            isParallel: groupSteps.some((s) => s.is_parallel),
+            approvalRule: groupSteps[0].approval_rule,
+            requiredApprovals: requiredApprovals(groupSteps),
+        };
+    });
+
+    result.totalSteps = uniqueStepOrders.length;
+    result.errors = result.steps.filter((s) => s.error).map((s) => `Step ${s.stepOrder} (${s.role?.code || "no role"}): ${s.error}`);
+    result.valid = result.errors.length === 0;
+    return result;
+}
+
+// ─── 8. Action Links (Email / Deep-Link Tokens) ──────────────────────────────
+
+/**
+ * Load the token behind a verified link and check that its step is still the
+ * approver's to act on (pending, in the request's current group).
+ */
+async function loadActionContext(claims) {
+    const token = await tokens.findUsableToken(claims);
+
+    const request = await repo.findRequestWithSteps(token.approval_request_id);
+    if (!request) throw createAppError("Approval request not found", 404);
+
+    const step = request.approval_steps.find((s) => s.id === token.approval_step_id);
+    if (!step || step.status !== "pending" || request.current_status !== "in_progress" || step.step_order !== request.current_step) {
+        throw createAppError("This approval step is no longer awaiting your decision", 409);
+    }
+    return { token, request, step };
+}
+
+/**
+ * What the link page shows before the approver decides. Does not use the token.
+ */
+async function previewActionToken(claims) {
+    const { token, step } = await loadActionContext(claims);
+    return {
+        approvalRequest: await getRequestById(token.approval_request_id),
+        stepId: step.id,
+        stepOrder: step.step_order,
+        actions: tokens.TOKEN_ACTIONS,
+        expiresAt: token.expires_at,
+    };
+}
+
+/**
+ * Approve / reject / send back through a one-time link. Runs the same
+ * approveStep / rejectStep / sendBackStep logic (self-approval block, seat and
+ * delegation checks, audit with IP / device) as the authenticated endpoints,
+ * acting as the user the link was issued to — on the link's own step only, so a
+ * link never decides another seat the user happens to hold.
+ */
+async function actOnActionToken(claims, action, remarks, ipAddress, deviceInfo) {
+    if (!tokens.TOKEN_ACTIONS.includes(action)) {
+        throw createAppError(`action must be one of: ${tokens.TOKEN_ACTIONS.join(", ")}`, 400);
+    }
+
+    const { token, request, step } = await loadActionContext(claims);
+
+    const approver = await repo.findUserById(token.user_id);
+    if (!approver) throw createAppError("Approver account is not active", 403);
+
+    await tokens.claimActionToken(token.id, action, ipAddress, deviceInfo);
+
+    const userCtx = { id: token.user_id, userId: token.user_id, companyId: request.company_id };
+    const options = { stepId: step.id };
+    let result;
+    try {
+        if (action === "approve") {
+            result = await approveStep(request.id, userCtx, remarks, ipAddress, deviceInfo, options);
+        } else if (action === "reject") {
+            result = await rejectStep(request.id, userCtx, remarks, ipAddress, deviceInfo, options);
+        } else {
+            result = await sendBackStep(request.id, userCtx, remarks, ipAddress, deviceInfo, options);
+        }
+    } catch (err) {
+        await tokens.releaseActionToken(token.id);
+        throw err;
+    }
+
+    await logAudit({
+        userId: token.user_id,
+        module: "approvals",
+        entity: "approval_step",
+        entityId: request.id,
+        action: "APPROVAL_LINK_USED",
+        beforeData: null,
+        afterData: { tokenId: token.id, stepId: token.approval_step_id, action, via: "action_link" },
+        ipAddress,
+        deviceInfo,
+    });
+
+    return { action, ...result };
+}
+
+// ─── 9. Bulk Actions ──────────────────────────────────────────────────────────
+
+const BULK_ACTION_LIMIT = 100;
+
+/**
+ * Approve or reject many requests from the inbox in one call.
+ * Each item goes through approveStep / rejectStep unchanged — same seat,
+ * delegation, self-approval and tenant checks, and the same single audit entry
+ * per document (tagged with a shared bulkId). Items run one at a time so two
+ * steps of the same actor never race; a failing item does not stop the rest.
+ */
+async function bulkAction(action, approvalRequestIds, userCtx, remarks, ipAddress, deviceInfo) {
+    if (!["approve", "reject"].includes(action)) throw createAppError("action must be approve or reject", 400);
+
+    const ids = [...new Set(approvalRequestIds || [])];
+    if (ids.length === 0) throw createAppError("At least one approval request id is required", 400);
+    if (ids.length > BULK_ACTION_LIMIT) {
+        throw createAppError(`A bulk action is limited to ${BULK_ACTION_LIMIT} requests`, 400);
+    }
+
+    const bulkId = crypto.randomUUID();
+    const handler = action === "approve" ? approveStep : rejectStep;
+    const results = [];
+
+    for (const id of ids) {
+        try {
+            const data = await handler(id, userCtx, remarks, ipAddress, deviceInfo, { bulkId });
+            results.push({ approvalRequestId: id, success: true, data });
+        } catch (err) {
+            results.push({ approvalRequestId: id, success: false, statusCode: err.statusCode || 500, error: err.message });
+            if (!err.statusCode) logger.error(`Bulk ${action} failed for request=${id}: ${err.message}`);
+        }
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+    logger.info(`Bulk ${action} ${bulkId} by=${userCtx.id}: ${succeeded}/${ids.length} succeeded`);
+
+    return { bulkId, action, total: ids.length, succeeded, failed: ids.length - succeeded, results };
 }
 
 // ─── Exports ──────────────────────────────────────────────────────────────────
@@ -974,4 +1752,8 @@ module.exports = {
     getHistory,
     cancelApproval,
     getRequestById,
+    simulateApproval,
+    previewActionToken,
+    actOnActionToken,
+    bulkAction,
 };
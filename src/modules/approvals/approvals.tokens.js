@@ -0,0 +1,156 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const prisma = require("../../db");
+const logger = require("../../logger");
+
+/**
+ * Approval Action Links
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Approvers receive signed links in their approval notifications so they can
+ * approve / reject / send back a step without logging in.
+ *
+ *   JWT (typ "approval_action", jti = token row id, sid = step, rid = request, uid = approver)
+ *   signed with APPROVAL_LINK_SECRET (falls back to JWT_SECRET), expiring after
+ *   APPROVAL_LINK_TTL_HOURS (default 72).
+ *
+ * The signature proves the link was issued by us; the `approval_action_tokens`
+ * row makes it one-time — it is claimed atomically on use and released again if
+ * the action itself fails. The token is never accepted by authenticateJWT: it has
+ * no user session behind it.
+ */
+
+const TOKEN_TYPE = "approval_action";
+const TOKEN_AUDIENCE = "approval-action";
+const TOKEN_ACTIONS = ["approve", "reject", "send_back"];
+const DEFAULT_TTL_HOURS = 72;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function signingSecret() {
+    return process.env.APPROVAL_LINK_SECRET || process.env.JWT_SECRET;
+}
+
+function ttlHours() {
+    const hours = Number(process.env.APPROVAL_LINK_TTL_HOURS);
+    return hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+function linkBaseUrl() {
+    return (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+}
+
+// ─── Issue ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a one-time token for `userId` to act on `step`.
+ * Returns `{ token, expiresAt }`.
+ */
+async function issueActionToken(step, userId) {
+    const expiresAt = new Date(Date.now() + ttlHours() * 60 * 60 * 1000);
+    const row = await prisma.approvalActionToken.create({
+        data: {
+            approval_request_id: step.approval_request_id,
+            approval_step_id: step.id,
+            user_id: userId,
+            expires_at: expiresAt,
+        },
+    });
+
+    const token = jwt.sign(
+        { typ: TOKEN_TYPE, sid: step.id, rid: step.approval_request_id, uid: userId },
+        signingSecret(),
+        { jwtid: row.id, audience: TOKEN_AUDIENCE, expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+    );
+    return { token, expiresAt };
+}
+
+/**
+ * Deep links for an approval notification: one token, one link per action plus
+ * a review link. The client page reads `token` / `action` from the query string.
+ */
+async function buildActionLinks(step, userId) {
+    const { token, expiresAt } = await issueActionToken(step, userId);
+    const base = `${linkBaseUrl()}/approvals/action?token=${encodeURIComponent(token)}`;
+    return {
+        reviewLink: base,
+        approveLink: `${base}&action=approve`,
+        rejectLink: `${base}&action=reject`,
+        sendBackLink: `${base}&action=send_back`,
+        linkExpiresAt: expiresAt.toISOString(),
+    };
+}
+
+// ─── Verify / Claim ───────────────────────────────────────────────────────────
+
+/**
+ * Check signature, audience and expiry. Returns the decoded claims
+ * `{ jti, sid, rid, uid }`; does not touch the database.
+ */
+function verifyActionToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ""), signingSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (err) {
+        if (err.name === "TokenExpiredError") throw createAppError("This approval link has expired", 410);
+        throw createAppError("Invalid approval link", 401);
+    }
+    if (decoded.typ !== TOKEN_TYPE || !decoded.jti || !decoded.sid || !decoded.uid) {
+        throw createAppError("Invalid approval link", 401);
+    }
+    return decoded;
+}
+
+/**
+ * Load the token row behind verified claims and make sure it can still be used.
+ */
+async function findUsableToken(claims) {
+    const row = await prisma.approvalActionToken.findUnique({ where: { id: claims.jti } });
+    if (!row || row.approval_step_id !== claims.sid || row.user_id !== claims.uid) {
+        throw createAppError("Invalid approval link", 401);
+    }
+    if (row.used_at) throw createAppError("This approval link has already been used", 409);
+    if (row.expires_at < new Date()) throw createAppError("This approval link has expired", 410);
+    return row;
+}
+
+/**
+ * Mark the token used. The `used_at: null` guard makes concurrent clicks race
+ * safely — only one request gets count = 1.
+ */
+async function claimActionToken(id, action, ipAddress, deviceInfo) {
+    const { count } = await prisma.approvalActionToken.updateMany({
+        where: { id, used_at: null },
+        data: { used_at: new Date(), used_action: action, ip_address: ipAddress, device_info: deviceInfo },
+    });
+    if (count === 0) throw createAppError("This approval link has already been used", 409);
+}
+
+/**
+ * Undo a claim when the approval action failed (e.g. validation), so the
+ * approver can retry with the same link.
+ */
+async function releaseActionToken(id) {
+    try {
+        await prisma.approvalActionToken.update({
+            where: { id },
+            data: { used_at: null, used_action: null, ip_address: null, device_info: null },
+        });
+    } catch (err) {
+        logger.warn(`Could not release approval link ${id}: ${err.message}`);
+    }
+}
+
+module.exports = {
+    TOKEN_ACTIONS,
+    issueActionToken,
+    buildActionLinks,
+    verifyActionToken,
+    findUsableToken,
+    claimActionToken,
+    releaseActionToken,
+};
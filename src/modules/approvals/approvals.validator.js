@@ -3,8 +3,9 @@
 const { body, query, validationResult } = require("express-validator");
 
 const VALID_DOC_TYPES = [
-    "PR", "RFQ", "PO", "GRN", "MATERIAL_ISSUE",
-    "AP_INVOICE", "CLIENT_INVOICE", "PAYMENT", "PAYROLL_RUN", "RA_BILL", "DPR"
+    "PR", "RFQ", "PO", "PO_AMENDMENT", "GRN", "MATERIAL_ISSUE",
+    "AP_INVOICE", "CLIENT_INVOICE", "PAYMENT", "PAYMENT_RUN", "PAYROLL_RUN", "RA_BILL", "DPR",
+    "STOCK_ADJUSTMENT"
 ];
 
 function handleValidationErrors(req, res, next) {
@@ -52,6 +53,11 @@ const validateRequestApproval = [
         .trim()
         .isString().withMessage("department must be a string"),
 
+    body("skipApprovedSteps")
+        .optional()
+        .isBoolean().withMessage("skipApprovedSteps must be a boolean")
+        .toBoolean(),
+
     body("items")
         .optional()
         .isArray().withMessage("items must be an array"),
@@ -120,6 +126,73 @@ const validateSendBackStep = [
     handleValidationErrors,
 ];
 
+// ─── Bulk Actions ─────────────────────────────────────────────────────────────
+
+const validateBulkIds = body("approvalRequestIds")
+    .isArray({ min: 1, max: 100 }).withMessage("approvalRequestIds must be an array of 1 to 100 ids");
+
+const validateBulkApprove = [
+    validateBulkIds,
+
+    body("approvalRequestIds.*")
+        .isUUID().withMessage("each approvalRequestId must be a valid UUID"),
+
+    body("remarks")
+        .optional()
+        .trim()
+        .isString().withMessage("remarks must be a string")
+        .isLength({ max: 1000 }).withMessage("remarks too long (max 1000 chars)"),
+
+    handleValidationErrors,
+];
+
+const validateBulkReject = [
+    validateBulkIds,
+
+    body("approvalRequestIds.*")
+        .isUUID().withMessage("each approvalRequestId must be a valid UUID"),
+
+    body("remarks")
+        .trim()
+        .notEmpty().withMessage("Rejection reason (remarks) is required")
+        .isLength({ max: 1000 }).withMessage("remarks too long (max 1000 chars)"),
+
+    handleValidationErrors,
+];
+
+// ─── Action Links ─────────────────────────────────────────────────────────────
+
+const validateActionTokenPreview = [
+    body("token")
+        .trim()
+        .notEmpty().withMessage("token is required"),
+
+    handleValidationErrors,
+];
+
+const validateActionTokenAct = [
+    body("token")
+        .trim()
+        .notEmpty().withMessage("token is required"),
+
+    body("action")
+        .trim()
+        .isIn(["approve", "reject", "send_back"])
+        .withMessage("action must be approve | reject | send_back"),
+
+    body("remarks")
+        .if(body("action").isIn(["reject", "send_back"]))
+        .trim()
+        .notEmpty().withMessage("remarks are required to reject or send back"),
+
+    body("remarks")
+        .optional()
+        .isString().withMessage("remarks must be a string")
+        .isLength({ max: 1000 }).withMessage("remarks too long (max 1000 chars)"),
+
+    handleValidationErrors,
+];
+
 // ─── Inbox Query ──────────────────────────────────────────────────────────────
 
 const validateInboxQuery = [
@@ -150,6 +223,47 @@ const validateHistoryQuery = [
     handleValidationErrors,
 ];
 
+// ─── Simulate Approval ────────────────────────────────────────────────────────
+
+// docType is not restricted to VALID_DOC_TYPES: matrices also exist for module
+// doc types (VENDOR, PETTY_CASH, ...) that submit through the service directly.
+const validateSimulateApproval = [
+    body("docType")
+        .trim()
+        .notEmpty().withMessage("docType is required")
+        .toUpperCase(),
+
+    body("amount")
+        .optional()
+        .isNumeric().withMessage("amount must be a number")
+        .custom((v) => {
+            if (Number(v) < 0) throw new Error("amount cannot be negative");
+            return true;
+        }),
+
+    body("projectId")
+        .optional({ values: "falsy" })
+        .isUUID().withMessage("projectId must be a valid UUID"),
+
+    body("departmentId")
+        .optional({ values: "falsy" })
+        .isUUID().withMessage("departmentId must be a valid UUID"),
+
+    body("requesterId")
+        .optional({ values: "falsy" })
+        .isUUID().withMessage("requesterId must be a valid UUID"),
+
+    body("docId")
+        .optional({ values: "falsy" })
+        .isString().withMessage("docId must be a string"),
+
+    body("attributes")
+        .optional()
+        .isObject().withMessage("attributes must be an object"),
+
+    handleValidationErrors,
+];
+
 module.exports = {
     validateRequestApproval,
     validateApproveStep,
@@ -157,5 +271,10 @@ module.exports = {
     validateSendBackStep,
     validateInboxQuery,
     validateHistoryQuery,
+    validateSimulateApproval,
+    validateActionTokenPreview,
+    validateActionTokenAct,
+    validateBulkApprove,
+    validateBulkReject,
     VALID_DOC_TYPES,
 };
@@ -112,7 +112,7 @@ async function requestPasswordReset(req, res, next) {
         const result = await authService.requestPasswordReset(req.body.email);
 
         // Always return 200 to prevent user enumeration
-        // In production: send result.resetToken via email and never expose it here
+        // The reset link is emailed by the service; the token is never exposed in production
         const response = {
             success: true,
             message: "If the email exists, a reset link has been generated",
@@ -6,6 +6,7 @@ const crypto = require("crypto");
 const prisma = require("../../db");
 const logger = require("../../logger");
 const { logAudit } = require("../../utils/auditLogger");
+const { sendDirect } = require("../notifications/notifications.delivery");
 const { MAX_LOGIN_ATTEMPTS, RESET_TOKEN_EXPIRY_MINUTES, BCRYPT_ROUNDS } = require("./auth.constants");
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -428,7 +429,26 @@ async function requestPasswordReset(email) {
 
     logger.info(`Password reset requested: userId=${user.id}`);
 
-    // TODO (production): Send resetToken to user.email via email provider
+    // Queued through the notification outbox so a mail outage only delays the link
+    const baseUrl = (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+    try {
+        await sendDirect({
+            event: "PASSWORD_RESET",
+            channel: "EMAIL",
+            to: user.email,
+            userId: user.id,
+            companyId: user.company_id,
+            variables: {
+                recipientName: user.name,
+                resetLink: `${baseUrl}/reset-password?token=${resetToken}`,
+                expiresMinutes: RESET_TOKEN_EXPIRY_MINUTES,
+            },
+        });
+    } catch (err) {
+        // Still answer 200 — a failure here must not reveal that the account exists
+        logger.error(`Password reset email could not be queued: userId=${user.id} — ${err.message}`);
+    }
+
     return { resetToken, userId: user.id };
 }
 
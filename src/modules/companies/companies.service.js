@@ -2,6 +2,37 @@
 
 const prisma = require("../../db");
 const { applyDataScope, validateResourceAccess, MODULES } = require("../../utils/scoping");
+const { normalizeCurrency } = require("../currency/currency.service");
+const { VALUATION_METHODS } = require("../inventory/valuation.service");
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Inventory valuation method for the company. It can only change while the
+ * company has no stock movements — existing costs and FIFO layers were built
+ * under the old method.
+ */
+async function resolveValuationMethod(value, companyId = null) {
+    if (value === undefined || value === null || value === "") return undefined;
+    const method = String(value).trim().toUpperCase();
+    if (!VALUATION_METHODS.includes(method)) {
+        throw createAppError(`valuation_method must be one of ${VALUATION_METHODS.join(", ")}`, 400);
+    }
+    if (companyId) {
+        const company = await prisma.company.findUnique({ where: { id: companyId }, select: { valuation_method: true } });
+        if (company && company.valuation_method !== method) {
+            const moves = await prisma.stockLedger.count({ where: { company_id: companyId } });
+            if (moves > 0) {
+                throw createAppError("The inventory valuation method cannot change once the company has stock movements", 409);
+            }
+        }
+    }
+    return method;
+}
 
 async function getAllCompanies(user, page = 1, pageSize = 10, search = "") {
     const scope = applyDataScope(user, { module: MODULES.SYSTEM, companyModel: true });
@@ -54,6 +85,8 @@ async function createCompany(data, user) {
             email: data.email || null,
             registration_number: data.registration_number || null,
             vat_number: data.vat_number || null,
+            ...(data.base_currency && { base_currency: normalizeCurrency(data.base_currency) }),
+            ...(data.valuation_method && { valuation_method: await resolveValuationMethod(data.valuation_method) }),
             is_active: true
         }
     });
@@ -70,6 +103,8 @@ async function updateCompany(id, data, user) {
             email: data.email,
             registration_number: data.registration_number,
             vat_number: data.vat_number,
+            base_currency: data.base_currency ? normalizeCurrency(data.base_currency) : undefined,
+            valuation_method: await resolveValuationMethod(data.valuation_method, id),
             is_active: data.is_active,
             updated_at: new Date()
         }
@@ -0,0 +1,62 @@
+"use strict";
+
+const currencyService = require("./currency.service");
+const logger = require("../../logger");
+
+async function getRates(req, res, next) {
+    try {
+        const rates = await currencyService.listRates(req.query, req.user);
+        return res.status(200).json({ success: true, data: rates });
+    } catch (err) {
+        logger.error("Error in getRates:", err);
+        next(err);
+    }
+}
+
+async function convert(req, res, next) {
+    try {
+        const { amount, from, to, date } = req.query;
+        if (!(Number(amount) >= 0)) return res.status(400).json({ success: false, message: "amount must be a number" });
+        const result = await currencyService.convert(amount, from, to, date, req.user.companyId);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in convert:", err);
+        next(err);
+    }
+}
+
+async function upsertRate(req, res, next) {
+    try {
+        const rate = await currencyService.upsertRate(req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: rate });
+    } catch (err) {
+        logger.error("Error in upsertRate:", err);
+        next(err);
+    }
+}
+
+async function importRates(req, res, next) {
+    try {
+        const text = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+        if (!text) return res.status(400).json({ success: false, message: "Upload a CSV file or send it as 'csv'" });
+
+        const result = await currencyService.importRatesCsv(text, req.body || {}, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        if (err.details) return res.status(err.statusCode).json({ success: false, message: err.message, errors: err.details });
+        logger.error("Error in importRates:", err);
+        next(err);
+    }
+}
+
+async function deleteRate(req, res, next) {
+    try {
+        await currencyService.deleteRate(req.params.id, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, message: "Exchange rate deleted" });
+    } catch (err) {
+        logger.error("Error in deleteRate:", err);
+        next(err);
+    }
+}
+
+module.exports = { getRates, convert, upsertRate, importRates, deleteRate };
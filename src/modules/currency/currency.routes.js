@@ -0,0 +1,26 @@
+"use strict";
+
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const currencyController = require("./currency.controller");
+const { validateRate } = require("./currency.validator");
+const authenticateJWT = require("../../middleware/authenticateJWT");
+const requirePermission = require("../../middleware/requirePermission");
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1 * 1024 * 1024 // 1MB limit
+    }
+});
+
+router.use(authenticateJWT);
+
+router.get("/rates", requirePermission("finance.fx.read"), currencyController.getRates);
+router.get("/convert", requirePermission("finance.fx.read"), currencyController.convert);
+router.post("/rates", requirePermission("finance.fx.manage"), validateRate, currencyController.upsertRate);
+router.post("/rates/import", requirePermission("finance.fx.manage"), upload.single("file"), currencyController.importRates);
+router.delete("/rates/:id", requirePermission("finance.fx.manage"), currencyController.deleteRate);
+
+module.exports = router;
@@ -0,0 +1,294 @@
+"use strict";
+
+const prisma = require("../../db");
+const { logAudit } = require("../../utils/auditLogger");
+
+/**
+ * Currencies & Exchange Rates
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Quotes, POs, supplier invoices and payments are priced in their own
+ * currency; budgets, cost control and approval amounts are in the company base
+ * currency (Company.base_currency, SAR unless changed). POs, invoices and
+ * payments lock the rate to base currency on their date.
+ *
+ * ExchangeRate rows are dated: 1 from_currency = rate to_currency from
+ * effective_date until the next rate for the pair. A lookup takes the latest
+ * rate on or before the date — the company's own rates first, then the global
+ * (company_id = null) ones — using the inverse pair when only that exists.
+ * No rate is a 422; nothing is ever converted at a guessed rate.
+ *
+ * Rates are maintained one at a time through the API or by CSV import:
+ *   from_currency,to_currency,rate,effective_date
+ *   USD,SAR,3.75,2026-01-01
+ */
+
+const DEFAULT_BASE_CURRENCY = "SAR";
+const CSV_COLUMNS = ["from_currency", "to_currency", "rate", "effective_date"];
+const MAX_IMPORT_ROWS = 5000;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round8 = (n) => Math.round(n * 1e8) / 1e8;
+
+function startOfDay(date = new Date()) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/** Upper-case ISO 4217 code; `fallback` when none is given. */
+function normalizeCurrency(code, fallback = null) {
+    if (code === undefined || code === null || code === "") {
+        if (fallback) return fallback;
+        throw createAppError("currency is required", 400);
+    }
+    const value = String(code).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(value)) throw createAppError(`'${code}' is not a three-letter currency code`, 400);
+    return value;
+}
+
+async function getBaseCurrency(companyId, client = prisma) {
+    if (!companyId) return DEFAULT_BASE_CURRENCY;
+    const company = await client.company.findUnique({ where: { id: companyId }, select: { base_currency: true } });
+    return company?.base_currency || DEFAULT_BASE_CURRENCY;
+}
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+/**
+ * Rate for 1 `from` in `to` on `date`, or null when none is on file.
+ */
+async function findRate(from, to, date = new Date(), companyId = null, client = prisma) {
+    if (from === to) return 1;
+
+    const rows = await client.exchangeRate.findMany({
+        where: {
+            AND: [
+                { OR: [{ from_currency: from, to_currency: to }, { from_currency: to, to_currency: from }] },
+                { OR: [{ company_id: companyId || null }, { company_id: null }] },
+            ],
+            effective_date: { lte: startOfDay(date) },
+        },
+        orderBy: { effective_date: "desc" },
+    });
+    if (rows.length === 0) return null;
+
+    const own = rows.filter((r) => r.company_id);
+    const tier = own.length > 0 ? own : rows;
+    const latest = tier[0].effective_date.getTime();
+    const sameDay = tier.filter((r) => r.effective_date.getTime() === latest);
+    const row = sameDay.find((r) => r.from_currency === from) || sameDay[0];
+    return row.from_currency === from ? Number(row.rate) : round8(1 / Number(row.rate));
+}
+
+async function getRate(from, to, date = new Date(), companyId = null, client = prisma) {
+    const rate = await findRate(from, to, date, companyId, client);
+    if (rate === null) {
+        throw createAppError(`No exchange rate from ${from} to ${to} on or before ${startOfDay(date).toISOString().slice(0, 10)}`, 422);
+    }
+    return rate;
+}
+
+/**
+ * Currency and locked rate to base for a new document.
+ *
+ * @returns {{ currency: string, baseCurrency: string, exchangeRate: number }}
+ */
+async function resolveDocumentCurrency(currency, companyId, date = new Date(), client = prisma) {
+    const baseCurrency = await getBaseCurrency(companyId, client);
+    const code = normalizeCurrency(currency, baseCurrency);
+    return { currency: code, baseCurrency, exchangeRate: await getRate(code, baseCurrency, date, companyId, client) };
+}
+
+/** Amount in base currency at a document's locked rate. */
+function toBase(amount, exchangeRate) {
+    return round2(Number(amount || 0) * Number(exchangeRate ?? 1));
+}
+
+async function convert(amount, from, to, date, companyId) {
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    const rate = await getRate(source, target, date ? new Date(date) : new Date(), companyId);
+    return { amount: Number(amount), from: source, to: target, rate, converted: round2(Number(amount) * rate) };
+}
+
+// ─── Maintenance ──────────────────────────────────────────────────────────────
+
+function rateScope(user, global) {
+    if (global) {
+        if (!user.isSuperAdmin) throw createAppError("Only a super admin can maintain global exchange rates", 403);
+        return null;
+    }
+    if (!user.companyId) throw createAppError("Company context missing for the exchange rate", 400);
+    return user.companyId;
+}
+
+function parseRateRow(raw) {
+    const from = normalizeCurrency(raw.from_currency);
+    const to = normalizeCurrency(raw.to_currency);
+    if (from === to) throw createAppError("from_currency and to_currency must differ", 400);
+
+    const rate = Number(raw.rate);
+    if (!(rate > 0)) throw createAppError("rate must be a positive number", 400);
+
+    const date = new Date(raw.effective_date);
+    if (!raw.effective_date || isNaN(date.getTime())) throw createAppError("effective_date must be a date", 400);
+    return { from_currency: from, to_currency: to, rate: round8(rate), effective_date: startOfDay(date) };
+}
+
+/** Create the rate, or replace the rate already on file for that pair and day. */
+async function saveRate(row, companyId, source, actorId, client = prisma) {
+    const existing = await client.exchangeRate.findFirst({
+        where: {
+            company_id: companyId,
+            from_currency: row.from_currency,
+            to_currency: row.to_currency,
+            effective_date: row.effective_date,
+        },
+    });
+    if (existing) {
+        const updated = await client.exchangeRate.update({
+            where: { id: existing.id },
+            data: { rate: row.rate, source, updated_at: new Date() },
+        });
+        return { rate: updated, created: false };
+    }
+    const created = await client.exchangeRate.create({
+        data: { ...row, company_id: companyId, source, created_by: actorId },
+    });
+    return { rate: created, created: true };
+}
+
+async function listRates(filters, user) {
+    const where = user.isSuperAdmin && filters.scope === "global"
+        ? { company_id: null }
+        : { OR: [{ company_id: user.companyId || null }, { company_id: null }] };
+    if (filters.from) where.from_currency = normalizeCurrency(filters.from);
+    if (filters.to) where.to_currency = normalizeCurrency(filters.to);
+    if (filters.date) where.effective_date = { lte: startOfDay(new Date(filters.date)) };
+
+    return prisma.exchangeRate.findMany({
+        where,
+        orderBy: [{ from_currency: "asc" }, { to_currency: "asc" }, { effective_date: "desc" }],
+        take: Math.min(Math.max(Number(filters.limit) || 200, 1), 1000),
+    });
+}
+
+async function upsertRate(data, user, ipAddress, deviceInfo) {
+    const companyId = rateScope(user, data.global === true);
+    const row = parseRateRow(data);
+    const { rate, created } = await saveRate(row, companyId, "manual", user.id);
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "exchange_rate",
+        entityId: rate.id,
+        action: created ? "CREATE_EXCHANGE_RATE" : "UPDATE_EXCHANGE_RATE",
+        afterData: { ...row, companyId },
+        ipAddress,
+        deviceInfo,
+    });
+    return rate;
+}
+
+function parseCsv(text) {
+    const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim() !== "");
+    if (lines.length < 2) throw createAppError("The CSV needs a header row and at least one rate", 400);
+
+    const split = (line) => line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1").trim());
+    const header = split(lines[0]).map((h) => h.toLowerCase());
+    const missing = CSV_COLUMNS.filter((c) => !header.includes(c));
+    if (missing.length > 0) throw createAppError(`CSV header is missing: ${missing.join(", ")}`, 400);
+    if (lines.length - 1 > MAX_IMPORT_ROWS) throw createAppError(`A CSV import is limited to ${MAX_IMPORT_ROWS} rates`, 400);
+
+    return lines.slice(1).map((line, i) => {
+        const cells = split(line);
+        return { line: i + 2, raw: Object.fromEntries(header.map((h, j) => [h, cells[j]])) };
+    });
+}
+
+/**
+ * Import rates from CSV. Every row is validated first; if any row is invalid
+ * nothing is imported and the errors are returned with their line numbers.
+ */
+async function importRatesCsv(text, options, user, ipAddress, deviceInfo) {
+    const companyId = rateScope(user, options.global === true || options.global === "true");
+
+    const errors = [];
+    const rows = [];
+    for (const { line, raw } of parseCsv(text)) {
+        try {
+            rows.push(parseRateRow(raw));
+        } catch (err) {
+            errors.push({ line, message: err.message });
+        }
+    }
+    if (errors.length > 0) {
+        const err = createAppError(`CSV has ${errors.length} invalid row(s); nothing was imported`, 422);
+        err.details = errors;
+        throw err;
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        let created = 0;
+        let updated = 0;
+        for (const row of rows) {
+            const saved = await saveRate(row, companyId, "csv", user.id, tx);
+            if (saved.created) created++;
+            else updated++;
+        }
+        return { created, updated };
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "exchange_rate",
+        entityId: null,
+        action: "IMPORT_EXCHANGE_RATES",
+        afterData: { companyId, rows: rows.length, ...result },
+        ipAddress,
+        deviceInfo,
+    });
+    return { rows: rows.length, ...result };
+}
+
+async function deleteRate(id, user, ipAddress, deviceInfo) {
+    const rate = await prisma.exchangeRate.findUnique({ where: { id } });
+    if (!rate) throw createAppError("Exchange rate not found", 404);
+    if (rate.company_id ? rate.company_id !== user.companyId && !user.isSuperAdmin : !user.isSuperAdmin) {
+        throw createAppError("Access denied to this exchange rate", 403);
+    }
+
+    await prisma.exchangeRate.delete({ where: { id } });
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "exchange_rate",
+        entityId: id,
+        action: "DELETE_EXCHANGE_RATE",
+        beforeData: rate,
+        ipAddress,
+        deviceInfo,
+    });
+}
+
+module.exports = {
+    DEFAULT_BASE_CURRENCY,
+    normalizeCurrency,
+    getBaseCurrency,
+    findRate,
+    getRate,
+    resolveDocumentCurrency,
+    toBase,
+    convert,
+    listRates,
+    upsertRate,
+    importRatesCsv,
+    deleteRate,
+};
@@ -0,0 +1,39 @@
+"use strict";
+
+const { body, validationResult } = require("express-validator");
+
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+        });
+    }
+    next();
+}
+
+const CURRENCY = /^[A-Za-z]{3}$/;
+
+const validateRate = [
+    body("from_currency")
+        .matches(CURRENCY).withMessage("from_currency must be a three-letter currency code"),
+
+    body("to_currency")
+        .matches(CURRENCY).withMessage("to_currency must be a three-letter currency code"),
+
+    body("rate")
+        .isFloat({ gt: 0 }).withMessage("rate must be greater than zero"),
+
+    body("effective_date")
+        .isISO8601().withMessage("effective_date must be a date"),
+
+    body("global")
+        .optional()
+        .isBoolean().withMessage("global must be true or false"),
+
+    handleValidationErrors,
+];
+
+module.exports = { validateRate };
@@ -5,6 +5,7 @@ const { applyDataScope, MODULES } = require("../../utils/scoping");
 const { logAudit } = require("../../utils/auditLogger");
 const deliverySvc = require("../execution/delivery/delivery.service");
 const mobSvc = require("../execution/mobilization/mobilization.service");
+const vendorCompliance = require("../vendors/compliance.service");
 
 /**
  * Superadmin Dashboard - Consolidated group-level metrics.
@@ -67,7 +68,7 @@ async function getSuperadminDashboard() {
         }),
         prisma.inventoryStock.findMany({
             where: { company_id: { in: companyIds } },
-            include: { item: { select: { standard_price: true } } }
+            select: { company_id: true, total_value: true }
         })
     ]);
 
@@ -79,7 +80,7 @@ async function getSuperadminDashboard() {
     
     const invMap = new Map();
     inventoryAgg.forEach(stock => {
-        const val = Number(stock.quantity) * Number(stock.item?.standard_price || 0);
+        const val = Number(stock.total_value || 0);
         invMap.set(stock.company_id, (invMap.get(stock.company_id) || 0) + val);
     });
 
@@ -458,7 +459,7 @@ async function getCompanyHeadDashboard(userId, userObj) {
         }),
         prisma.inventoryStock.findMany({
             where: { company_id: companyId },
-            include: { item: { select: { standard_price: true } } }
+            select: { total_value: true }
         })
     ]);
 
@@ -469,7 +470,7 @@ async function getCompanyHeadDashboard(userId, userObj) {
     const profit = totalRevenue - totalCost;
 
     const inventoryValuation = inventoryAgg.reduce((sum, stock) => {
-        return sum + (Number(stock.quantity) * Number(stock.item?.standard_price || 0));
+        return sum + Number(stock.total_value || 0);
     }, 0);
 
     // 2. Specialized Project/Approval Stats (Parallel)
@@ -646,16 +647,31 @@ async function getComplianceDashboard(user) {
         amount: i.total_amount
     }));
 
+    // --- 5. Vendor Compliance (Vendor Documents) ---
+    const vendorDocs = await vendorCompliance.getExpiringDocuments(user, windowDate);
+    const vendorAlerts = vendorDocs.map(d => ({
+        id: d.vendor_id,
+        name: d.vendor?.name,
+        type: d.doc_type,
+        date: d.expiry_date,
+        ref: d.document_number,
+        vendorStatus: d.vendor?.status,
+        suspensionReason: d.vendor?.suspension_reason || null
+    }));
+
+    const allAlerts = [...workforceAlerts, ...fleetAlerts, ...legalAlerts, ...financialAlerts, ...vendorAlerts];
     return {
         summary: {
-            total: workforceAlerts.length + fleetAlerts.length + legalAlerts.length + financialAlerts.length,
-            expired: [...workforceAlerts, ...fleetAlerts, ...legalAlerts, ...financialAlerts].filter(a => a.date < today).length,
-            upcoming: [...workforceAlerts, ...fleetAlerts, ...legalAlerts, ...financialAlerts].filter(a => a.date >= today).length
+            total: allAlerts.length,
+            expired: allAlerts.filter(a => a.date < today).length,
+            upcoming: allAlerts.filter(a => a.date >= today).length,
+            suspendedVendors: new Set(vendorAlerts.filter(a => a.vendorStatus === "suspended").map(a => a.id)).size
         },
         workforce: workforceAlerts.sort((a, b) => a.date - b.date),
         fleet: fleetAlerts.sort((a, b) => a.date - b.date),
         legal: legalAlerts.sort((a, b) => a.date - b.date),
-        financial: financialAlerts.sort((a, b) => a.date - b.date)
+        financial: financialAlerts.sort((a, b) => a.date - b.date),
+        vendors: vendorAlerts
     };
 }
 
@@ -718,11 +734,11 @@ async function getWorkspaceSummary(user) {
     if (user.companyId || user.isSuperAdmin) {
         const invWhere = {};
         if (!user.isSuperAdmin) invWhere.company_id = user.companyId;
-        const inventory = await prisma.inventoryStock.findMany({
+        const inventory = await prisma.inventoryStock.aggregate({
             where: invWhere,
-            include: { item: { select: { standard_price: true } } }
+            _sum: { total_value: true }
         });
-        inventoryValuation = inventory.reduce((sum, stock) => sum + (Number(stock.quantity) * Number(stock.item?.standard_price || 0)), 0);
+        inventoryValuation = Number(inventory._sum.total_value || 0);
     }
 
     // 4. Expanded Stats (Financial & HR)
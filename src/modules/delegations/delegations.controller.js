@@ -8,12 +8,12 @@ const { CreateDelegationSchema } = require("./delegations.validator");
 
 async function createDelegation(req, res, next) {
     try {
-        const { fromUser, toUser, startDate, endDate } = req.validated || req.body;
+        const { fromUser, toUser, startDate, endDate, docTypes, maxAmount, projectIds, actOnBehalf } = req.validated || req.body;
         const { userId: actorId } = req.user;
         const { ipAddress, deviceInfo } = req.context || {};
 
         const delegation = await service.createDelegation(
-            { fromUser, toUser, startDate, endDate },
+            { fromUser, toUser, startDate, endDate, docTypes, maxAmount, projectIds, actOnBehalf },
             actorId, ipAddress, deviceInfo
         );
 
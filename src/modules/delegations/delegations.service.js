@@ -10,9 +10,192 @@ function createAppError(message, statusCode) {
     return err;
 }
 
+/**
+ * Delegation Scope & Chains
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A delegation may be limited to document types (doc_types), an amount ceiling
+ * (max_amount) and projects (project_ids); empty / null means unrestricted.
+ *
+ * Out-of-office chains (A → B → C) are followed hop by hop, up to
+ * MAX_CHAIN_DEPTH hops. A user is never visited twice, so A → B → A resolves to B
+ * instead of looping.
+ *
+ *   act_on_behalf = false  the approval engine assigns the step to the final delegate
+ *   act_on_behalf = true   the step stays with the original approver; the delegate
+ *                          sees it in their inbox and acts on their behalf
+ *
+ * Either way the step records both users (approver_user + on_behalf_of).
+ */
+
+const MAX_CHAIN_DEPTH = 5;
+
+function listOrNull(value) {
+    return Array.isArray(value) && value.length > 0 ? value : null;
+}
+
+/**
+ * Does the delegation apply to a document with this scope?
+ * An unknown amount / project only matches an unrestricted delegation.
+ */
+function delegationCovers(delegation, { docType, amount, projectId } = {}) {
+    const docTypes = listOrNull(delegation.doc_types);
+    if (docTypes && !docTypes.map((t) => String(t).toUpperCase()).includes(String(docType || "").toUpperCase())) return false;
+
+    if (delegation.max_amount !== null && delegation.max_amount !== undefined) {
+        if (amount === null || amount === undefined || Number(amount) > Number(delegation.max_amount)) return false;
+    }
+
+    const projects = listOrNull(delegation.project_ids);
+    if (projects && !projects.includes(projectId)) return false;
+
+    return true;
+}
+
+/**
+ * Could two delegations ever apply to the same document?
+ * (Amount ceilings always overlap near zero, so only doc types and projects matter.)
+ */
+function scopesIntersect(a, b) {
+    const intersects = (x, y) => {
+        const left = listOrNull(x);
+        const right = listOrNull(y);
+        if (!left || !right) return true;
+        return left.some((v) => right.map((r) => String(r).toUpperCase()).includes(String(v).toUpperCase()));
+    };
+    return intersects(a.doc_types, b.doc_types) && intersects(a.project_ids, b.project_ids);
+}
+
+function activeWindow(now) {
+    return { is_active: true, start_date: { lte: now }, end_date: { gte: now } };
+}
+
+/**
+ * Follow userId's active delegations for a document scope.
+ *
+ * Returns { userId, chain, delegations, blocked }:
+ *   userId      — who ends up holding the approval (userId itself if nobody covers it)
+ *   chain       — [userId, delegate, delegate's delegate, ...]
+ *   delegations — the delegation rows followed
+ *   blocked     — a hop led to an excluded user (e.g. the requester) and was not taken
+ *
+ * With `reassignOnly`, the walk stops at an act-on-behalf delegation: that step
+ * stays with the current user and the delegate acts for them.
+ */
+async function resolveDelegate(userId, scope = {}, { now = new Date(), excludeUserIds = [], reassignOnly = false } = {}) {
+    const chain = [userId];
+    const delegations = [];
+    const visited = new Set([userId]);
+    let blocked = false;
+    let current = userId;
+
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH; depth++) {
+        const candidates = await prisma.approvalDelegation.findMany({
+            where: { from_user: current, ...activeWindow(now) },
+            orderBy: { start_date: "desc" },
+        });
+        const delegation = candidates.find((d) => delegationCovers(d, scope));
+        if (!delegation || (reassignOnly && delegation.act_on_behalf)) break;
+
+        const next = delegation.to_user;
+        if (excludeUserIds.includes(next)) {
+            blocked = true;
+            break;
+        }
+        if (visited.has(next)) {
+            logger.warn(`Delegation loop ignored: ${[...chain, next].join(" → ")}`);
+            break;
+        }
+
+        visited.add(next);
+        chain.push(next);
+        delegations.push(delegation);
+        current = next;
+    }
+
+    return { userId: current, chain, delegations, blocked };
+}
+
+/**
+ * Everyone userId may currently act for, directly or through a chain
+ * (C acts for A when A → B → C). Returns Map<delegatorId, delegation[][]>,
+ * each path ordered from the delegator down to userId.
+ */
+async function findDelegators(userId, now = new Date()) {
+    const paths = new Map();
+    let frontier = [{ userId, path: [] }];
+
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH && frontier.length > 0; depth++) {
+        const next = [];
+        for (const node of frontier) {
+            const incoming = await prisma.approvalDelegation.findMany({
+                where: { to_user: node.userId, ...activeWindow(now) },
+            });
+            for (const delegation of incoming) {
+                const fromUser = delegation.from_user;
+                const path = [delegation, ...node.path];
+                // Loop-safe: skip users already on this path (and userId itself)
+                if (fromUser === userId || node.path.some((d) => d.from_user === fromUser)) continue;
+
+                if (!paths.has(fromUser)) paths.set(fromUser, []);
+                paths.get(fromUser).push(path);
+                next.push({ userId: fromUser, path });
+            }
+        }
+        frontier = next;
+    }
+    return paths;
+}
+
+/**
+ * Can a delegate act for `approverId` on a document with this scope?
+ * Every hop of at least one path must cover the document.
+ */
+function canActFor(delegators, approverId, scope) {
+    const paths = delegators.get(approverId) || [];
+    return paths.some((path) => path.every((d) => delegationCovers(d, scope)));
+}
+
+function scopeFromInput({ docTypes, maxAmount, projectIds }) {
+    return {
+        doc_types: listOrNull(docTypes) ? docTypes.map((t) => String(t).toUpperCase()) : null,
+        max_amount: maxAmount === undefined || maxAmount === null ? null : Number(maxAmount),
+        project_ids: listOrNull(projectIds),
+    };
+}
+
+/**
+ * Would fromUser → toUser close a cycle for some document? Walks toUser's
+ * delegations that overlap the period and the scope.
+ */
+async function findCycle(fromUser, toUser, scope, startDate, endDate) {
+    const seen = new Set([toUser]);
+    let frontier = [toUser];
+
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH && frontier.length > 0; depth++) {
+        const outgoing = await prisma.approvalDelegation.findMany({
+            where: {
+                from_user: { in: frontier },
+                is_active: true,
+                start_date: { lte: endDate },
+                end_date: { gte: startDate },
+            },
+        });
+        const next = [];
+        for (const d of outgoing.filter((o) => scopesIntersect(o, scope))) {
+            if (d.to_user === fromUser) return d;
+            if (!seen.has(d.to_user)) {
+                seen.add(d.to_user);
+                next.push(d.to_user);
+            }
+        }
+        frontier = next;
+    }
+    return null;
+}
+
 // ─── Create Delegation ────────────────────────────────────────────────────────
 
-async function createDelegation({ fromUser, toUser, startDate, endDate }, actorId, ipAddress, deviceInfo) {
+async function createDelegation({ fromUser, toUser, startDate, endDate, docTypes, maxAmount, projectIds, actOnBehalf }, actorId, ipAddress, deviceInfo) {
     // 1. Self-delegation guard
     if (fromUser === toUser) {
         throw createAppError("A user cannot delegate to themselves", 400);
@@ -26,32 +209,30 @@ async function createDelegation({ fromUser, toUser, startDate, endDate }, actorI
     if (!from) throw createAppError(`fromUser '${fromUser}' not found or inactive`, 404);
     if (!to) throw createAppError(`toUser '${toUser}' not found or inactive`, 404);
 
-    // 3. Circular delegation guard: check if toUser already delegates to fromUser
-    const circular = await prisma.approvalDelegation.findFirst({
-        where: {
-            from_user: toUser,
-            to_user: fromUser,
-            is_active: true,
-            end_date: { gte: new Date() },
-        },
-    });
+    const scope = scopeFromInput({ docTypes, maxAmount, projectIds });
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    // 3. Circular delegation guard: no chain from toUser may lead back to fromUser
+    const circular = await findCycle(fromUser, toUser, scope, start, end);
     if (circular) {
-        throw createAppError("Circular delegation detected — the target user already delegates back to this user", 409);
+        throw createAppError("Circular delegation detected — the target user's delegations lead back to this user", 409);
     }
 
-    // 4. Overlap check: same fromUser cannot have two active overlapping delegations
-    const overlap = await prisma.approvalDelegation.findFirst({
+    // 4. Overlap check: same fromUser cannot have two active delegations that
+    //    overlap in period and could cover the same document
+    const overlapping = await prisma.approvalDelegation.findMany({
         where: {
             from_user: fromUser,
             is_active: true,
             AND: [
-                { start_date: { lte: new Date(endDate) } },
-                { end_date: { gte: new Date(startDate) } },
+                { start_date: { lte: end } },
+                { end_date: { gte: start } },
             ],
         },
     });
-    if (overlap) {
-        throw createAppError("An active delegation for this user already overlaps with the requested period", 409);
+    if (overlapping.some((d) => scopesIntersect(d, scope))) {
+        throw createAppError("An active delegation for this user already overlaps with the requested period and scope", 409);
     }
 
     // 5. Create
@@ -59,9 +240,11 @@ async function createDelegation({ fromUser, toUser, startDate, endDate }, actorI
         data: {
             from_user: fromUser,
             to_user: toUser,
-            start_date: new Date(startDate),
-            end_date: new Date(endDate),
+            start_date: start,
+            end_date: end,
             is_active: true,
+            ...scope,
+            act_on_behalf: actOnBehalf === true,
         },
     });
 
@@ -72,7 +255,7 @@ async function createDelegation({ fromUser, toUser, startDate, endDate }, actorI
         entityId: delegation.id,
         action: "CREATE",
         beforeData: null,
-        afterData: { fromUser, toUser, startDate, endDate },
+        afterData: { fromUser, toUser, startDate, endDate, ...scope, actOnBehalf: actOnBehalf === true },
         ipAddress,
         deviceInfo,
     });
@@ -131,4 +314,12 @@ async function disableDelegation(id, actorId, ipAddress, deviceInfo) {
     return updated;
 }
 
-module.exports = { createDelegation, getDelegations, disableDelegation };
+module.exports = {
+    createDelegation,
+    getDelegations,
+    disableDelegation,
+    delegationCovers,
+    resolveDelegate,
+    findDelegators,
+    canActFor,
+};
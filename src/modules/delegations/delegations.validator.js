@@ -7,6 +7,10 @@ const CreateDelegationSchema = z.object({
     toUser: z.string().uuid("toUser must be a valid UUID"),
     startDate: z.string().datetime("startDate must be a valid ISO datetime"),
     endDate: z.string().datetime("endDate must be a valid ISO datetime"),
+    docTypes: z.array(z.string().trim().min(1)).optional(),
+    maxAmount: z.coerce.number().positive("maxAmount must be positive").optional(),
+    projectIds: z.array(z.string().uuid("projectIds must contain valid UUIDs")).optional(),
+    actOnBehalf: z.boolean().optional(),
 }).refine((d) => new Date(d.endDate) > new Date(d.startDate), {
     message: "endDate must be after startDate",
     path: ["endDate"],
@@ -1,6 +1,7 @@
 const prisma = require('../../../db');
 const { Prisma } = require('@prisma/client');
 const { applyDataScope, MODULES } = require('../../../utils/scoping');
+const { toBase } = require('../../currency/currency.service');
 
 // ─── Cost Control Dashboard & Integrated Monitoring ───────────────────────────
 async function getCostControl(project_id, user) {
@@ -26,7 +27,7 @@ async function getCostControl(project_id, user) {
       where: { wbs: { project_id } },
       include: { wbs: { select: { id: true, name: true, wbs_code: true } } }
     }),
-    // Material from inventory issues
+    // Material from inventory issues, at the valuation cost each issue was posted with
     prisma.materialIssueItem.findMany({
       where: { issue: { project_id, company_id } },
       include: { cost_code: true }
@@ -54,7 +55,7 @@ async function getCostControl(project_id, user) {
     // Committed Cost (POs)
     prisma.purchaseOrder.findMany({
       where: { project_id, company_id, status: { notIn: ['draft', 'cancelled', 'rejected'] } },
-      select: { total_amount: true, id: true }
+      select: { total_amount: true, exchange_rate: true, id: true }
     }),
     // Other actual costs (Supplier Invoices not linked to PO, or specialized payments)
     prisma.supplierInvoice.findMany({
@@ -70,11 +71,11 @@ async function getCostControl(project_id, user) {
 
   const totalBudget      = costCodes.reduce((s, cc) => s + Number(cc.budget_amount || 0), 0);
   
-  // Committed: Total value of all POs issued
-  const totalCommitted   = purchaseOrders.reduce((s, po) => s + Number(po.total_amount || 0), 0);
+  // Committed: Total value of all POs issued, in base currency at each PO's locked rate
+  const totalCommitted   = purchaseOrders.reduce((s, po) => s + toBase(po.total_amount, po.exchange_rate), 0);
   
   // Actual Cost: Integrated from Execution + Procurement
-  const totalMaterial    = materialCosts.reduce((s, m) => s + Number(m.unit_cost) * Number(m.quantity), 0);
+  const totalMaterial    = materialCosts.reduce((s, m) => s + Number(m.total_cost ?? Number(m.unit_cost) * Number(m.quantity)), 0);
   const totalLabor       = laborCosts.reduce((s, l) => s + Number(l.labor_cost || 0), 0);
   const totalEquipment   = equipCosts.reduce((s, e) => s + Number(e.equip_cost || 0), 0);
   const totalPettyCash   = Number(pettyCash._sum.estimated_cost || 0);
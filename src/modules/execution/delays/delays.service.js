@@ -1,5 +1,6 @@
 const prisma = require('../../../db');
 const { Prisma } = require('@prisma/client');
+const { notify } = require('../../notifications/notifications.service');
 
 // ─── Delay Records ────────────────────────────────────────────────────────────
 async function createDelay(data, userId, companyId) {
@@ -232,7 +233,7 @@ async function updateRFI(id, data) {
 }
 
 async function respondToRFI(id, userId, data) {
-  return prisma.rFI.update({
+  const rfi = await prisma.rFI.update({
     where: { id },
     data: {
       status: 'responded',
@@ -241,6 +242,21 @@ async function respondToRFI(id, userId, data) {
       updated_at: new Date()
     }
   });
+
+  if (rfi.raised_by !== userId) {
+    await notify({
+      userIds: rfi.raised_by,
+      companyId: rfi.company_id,
+      type: 'RFI_RESPONDED',
+      title: `RFI ${rfi.rfi_no} answered: ${rfi.subject}`,
+      message: data.response || null,
+      entity: 'rfi',
+      entityId: rfi.id,
+      data: { projectId: rfi.project_id }
+    });
+  }
+
+  return rfi;
 }
 
 // ─── Submittals ───────────────────────────────────────────────────────────────
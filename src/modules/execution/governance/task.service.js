@@ -1,4 +1,5 @@
 const prisma = require('../../../db');
+const { notify } = require('../../notifications/notifications.service');
 
 /**
  * Assign a work task from PE/PM to a Site Engineer
@@ -15,7 +16,7 @@ async function assignTask(data, actorId, companyId) {
         due_date 
     } = data;
 
-    return prisma.executionTask.create({
+    const task = await prisma.executionTask.create({
         data: {
             company_id: companyId,
             project_id,
@@ -35,6 +36,22 @@ async function assignTask(data, actorId, companyId) {
             assigned_by: { select: { name: true } }
         }
     });
+
+    if (task.assigned_to_id !== actorId) {
+        await notify({
+            userIds: task.assigned_to_id,
+            companyId,
+            type: "TASK_ASSIGNED",
+            title: `New task assigned by ${task.assigned_by?.name || "your manager"}: ${task.wbs?.name || "Work task"}`,
+            message: description || null,
+            entity: "execution_task",
+            entityId: task.id,
+            priority: ["high", "urgent"].includes(task.priority) ? "high" : "normal",
+            data: { projectId: project_id, wbsId: wbs_id, dueDate: task.due_date }
+        });
+    }
+
+    return task;
 }
 
 /**
@@ -74,10 +91,26 @@ async function updateTaskStatus(taskId, status, actorId, companyId) {
         // No extra field needed here
     }
 
-    return prisma.executionTask.update({
+    const updated = await prisma.executionTask.update({
         where: { id: taskId },
         data: updateData
     });
+
+    // Let the assigning PE/PM know the work is ready for verification
+    if (status === "completed" && task.assigned_by_id !== actorId) {
+        await notify({
+            userIds: task.assigned_by_id,
+            companyId,
+            type: "TASK_COMPLETED",
+            title: "Task completed — ready for verification",
+            message: task.description || null,
+            entity: "execution_task",
+            entityId: task.id,
+            data: { projectId: task.project_id, wbsId: task.wbs_id }
+        });
+    }
+
+    return updated;
 }
 
 /**
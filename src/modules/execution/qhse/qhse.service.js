@@ -1,5 +1,7 @@
 const prisma = require('../../../db');
 const { Prisma } = require('@prisma/client');
+const { notifyNcrResponsible } = require('../../quality/quality.service');
+const { notifyIncidentReported } = require('../../hse/hse.service');
 
 // ─── BOQ CRUD ─────────────────────────────────────────────────────────────────
 async function createBOQItem(data, userId, companyId) {
@@ -59,10 +61,12 @@ async function updateInspection(id, data, companyId) {
 async function createNCR(data, userId, companyId) {
   const count = await prisma.nCR.count({ where: { company_id: companyId } });
   const ncr_no = `NCR-${String(count + 1).padStart(5, '0')}`;
-  return prisma.nCR.create({
+  const ncr = await prisma.nCR.create({
     data: { ...data, company_id: companyId, ncr_no, raised_by: userId, created_by: userId, raised_date: data.raised_date ? new Date(data.raised_date) : new Date() },
     include: { wbs: { select: { id: true, name: true } } }
   });
+  await notifyNcrResponsible(ncr, userId);
+  return ncr;
 }
 
 async function listNCRs({ project_id, status, severity, page = 1, limit = 20 }, companyId) {
@@ -75,16 +79,21 @@ async function listNCRs({ project_id, status, severity, page = 1, limit = 20 },
 }
 
 async function updateNCR(id, data, companyId) {
-  return prisma.nCR.update({ where: { id }, data: { ...data, ...(data.target_close && { target_close: new Date(data.target_close) }), ...(data.actual_close && { actual_close: new Date(data.actual_close) }) } });
+  const before = data.responsible ? await prisma.nCR.findUnique({ where: { id }, select: { responsible: true } }) : null;
+  const ncr = await prisma.nCR.update({ where: { id }, data: { ...data, ...(data.target_close && { target_close: new Date(data.target_close) }), ...(data.actual_close && { actual_close: new Date(data.actual_close) }) } });
+  if (before && before.responsible !== ncr.responsible) await notifyNcrResponsible(ncr);
+  return ncr;
 }
 
 // ─── Safety Incident ──────────────────────────────────────────────────────────
 async function createIncident(data, userId, companyId) {
   const count = await prisma.safetyIncident.count({ where: { company_id: companyId } });
   const incident_no = `INC-${String(count + 1).padStart(5, '0')}`;
-  return prisma.safetyIncident.create({
+  const incident = await prisma.safetyIncident.create({
     data: { ...data, company_id: companyId, incident_no, created_by: userId, incident_date: new Date(data.incident_date) }
   });
+  await notifyIncidentReported(incident, userId);
+  return incident;
 }
 
 async function listIncidents({ project_id, category, status, page = 1, limit = 20 }, companyId) {
@@ -23,9 +23,9 @@ const controller = {
   },
   updateStatus: async (req, res) => {
     try {
-      const data = await svc.updateReservationStatus(req.params.id, req.body.status, req.user);
+      const data = await svc.updateReservationStatus(req.params.id, req.body.status, req.user, req.body);
       res.json({ success: true, data });
-    } catch (err) { res.status(400).json({ success: false, message: err.message }); }
+    } catch (err) { res.status(err.statusCode || 400).json({ success: false, message: err.message }); }
   }
 };
 
@@ -2,6 +2,7 @@
 
 const prisma = require("../../../db");
 const { applyDataScope } = require("../../../utils/scoping");
+const { setReservationStatus } = require("../../inventory/reservations.service");
 
 /**
  * List inventory planning requests
@@ -53,17 +54,11 @@ async function createInventoryRequest(data, user) {
 }
 
 /**
- * Update reservation status
+ * Update reservation status. RESERVED holds the quantity on the store's stock
+ * (see inventory/reservations.service); PENDING / CANCELLED release it.
  */
-async function updateReservationStatus(id, status, user) {
-  // Simple state machine for now
-  const request = await prisma.inventoryPlanningRequest.findUnique({ where: { id } });
-  if (!request) throw new Error("Request not found.");
-
-  return prisma.inventoryPlanningRequest.update({
-    where: { id },
-    data: { reservation_status: status }
-  });
+async function updateReservationStatus(id, status, user, options = {}) {
+  return setReservationStatus(id, status, user, { expiresAt: options.expires_at });
 }
 
 module.exports = {
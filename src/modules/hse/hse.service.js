@@ -2,6 +2,7 @@ const prisma = require('../../db');
 const { Prisma } = require('@prisma/client');
 const { registerAdapter } = require('../approvals/approvals.adapter');
 const { requestApproval } = require('../approvals/approvals.service');
+const { notify, findProjectRecipients } = require('../notifications/notifications.service');
 
 /**
  * Health, Safety & Environment (HSE) Service
@@ -19,7 +20,7 @@ const hseService = {
     // ISO Date strictly required for @db.Date
     const date = data.incident_date ? new Date(data.incident_date) : new Date();
 
-    return prisma.safetyIncident.create({
+    const incident = await prisma.safetyIncident.create({
       data: {
         ...data,
         company_id: companyId,
@@ -33,6 +34,28 @@ const hseService = {
         project: { select: { id: true, name: true } }
       }
     });
+
+    await hseService.notifyIncidentReported(incident, userId);
+    return incident;
+  },
+
+  /**
+   * Alert the project team that a safety incident was reported.
+   * Lost-time and fatal incidents are flagged high priority.
+   */
+  notifyIncidentReported: async (incident, userId) => {
+    const recipients = await findProjectRecipients(incident.project_id, [userId]);
+    await notify({
+      userIds: recipients,
+      companyId: incident.company_id,
+      type: 'INCIDENT_REPORTED',
+      title: `Safety incident ${incident.incident_no} reported: ${incident.category}`,
+      message: incident.description,
+      entity: 'safety_incident',
+      entityId: incident.id,
+      priority: ['LTI', 'FATALITY'].includes(incident.category) ? 'high' : 'normal',
+      data: { projectId: incident.project_id, location: incident.location, incidentDate: incident.incident_date }
+    });
   },
 
   listIncidents: async ({ project_id, category, status, company_id, page = 1, limit = 50 }, tenantId) => {
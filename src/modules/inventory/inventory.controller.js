@@ -1,8 +1,17 @@
 "use strict";
 
 const service = require("./inventory.service");
+const transfersService = require("./transfers.service");
+const valuationService = require("./valuation.service");
+const stockTakesService = require("./stockTakes.service");
+const replenishmentService = require("./replenishment.service");
 const { AppError } = service;
-const { createGRNSchema, createIssueSchema, stockFilterSchema, ledgerFilterSchema, grnFilterSchema, issueFilterSchema } = require("./inventory.validation");
+const {
+    createGRNSchema, createIssueSchema, issueReservationSchema, stockFilterSchema, ledgerFilterSchema, grnFilterSchema, issueFilterSchema,
+    valuationReportSchema, startStockTakeSchema, recordCountsSchema, stockTakeActionSchema, cancelStockTakeSchema,
+    stockTakeFilterSchema, setReorderLevelSchema, reorderLevelFilterSchema, runReplenishmentSchema,
+    createTransferSchema, dispatchTransferSchema, receiveTransferSchema, cancelTransferSchema, transferFilterSchema
+} = require("./inventory.validation");
 const logger = require("../../logger");
 
 // ─── Error Discriminator ─────────────────────────────────────────────────────
@@ -93,6 +102,229 @@ async function getIssues(req, res, next) {
     }
 }
 
+async function postReservationIssue(req, res, next) {
+    try {
+        const { error, value } = issueReservationSchema.validate(req.body || {}, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                details: error.details.map((d) => d.message)
+            });
+        }
+
+        const ipAddress = req.ip || req.headers["x-forwarded-for"];
+        const deviceInfo = req.headers["user-agent"];
+
+        const result = await service.issueReservation(req.params.id, value, req.user, ipAddress, deviceInfo);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "postReservationIssue");
+    }
+}
+
+// ─── Stock Transfers ──────────────────────────────────────────────────────────
+
+async function postTransfer(req, res, next) {
+    try {
+        const { error, value } = createTransferSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                details: error.details.map((d) => d.message)
+            });
+        }
+
+        const ipAddress = req.ip || req.headers["x-forwarded-for"];
+        const deviceInfo = req.headers["user-agent"];
+
+        const result = await transfersService.createTransfer(value, req.user, ipAddress, deviceInfo);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "postTransfer");
+    }
+}
+
+/** Shared body for the POST actions on a transfer or stock-take. */
+function documentAction(service, schema, action, context) {
+    return async function (req, res, next) {
+        try {
+            const { error, value } = schema.validate(req.body || {}, { abortEarly: false });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Validation failed",
+                    details: error.details.map((d) => d.message)
+                });
+            }
+
+            const ipAddress = req.ip || req.headers["x-forwarded-for"];
+            const deviceInfo = req.headers["user-agent"];
+
+            const result = await service[action](req.params.id, value, req.user, ipAddress, deviceInfo);
+            return res.status(200).json({ success: true, data: result });
+        } catch (err) {
+            return handleError(err, res, next, context);
+        }
+    };
+}
+
+const dispatchTransfer = documentAction(transfersService, dispatchTransferSchema, "dispatchTransfer", "dispatchTransfer");
+const receiveTransfer = documentAction(transfersService, receiveTransferSchema, "receiveTransfer", "receiveTransfer");
+const cancelTransfer = documentAction(transfersService, cancelTransferSchema, "cancelTransfer", "cancelTransfer");
+
+async function getTransfers(req, res, next) {
+    try {
+        const { error, value } = transferFilterSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+        const result = await transfersService.getTransferList(req.user, value);
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        return handleError(err, res, next, "getTransfers");
+    }
+}
+
+async function getTransfer(req, res, next) {
+    try {
+        const result = await transfersService.getTransfer(req.user, req.params.id);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "getTransfer");
+    }
+}
+
+// ─── Stock-Take ───────────────────────────────────────────────────────────────
+
+async function postStockTake(req, res, next) {
+    try {
+        const { error, value } = startStockTakeSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                details: error.details.map((d) => d.message)
+            });
+        }
+
+        const ipAddress = req.ip || req.headers["x-forwarded-for"];
+        const deviceInfo = req.headers["user-agent"];
+
+        const result = await stockTakesService.startStockTake(value, req.user, ipAddress, deviceInfo);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "postStockTake");
+    }
+}
+
+const recordStockCounts = documentAction(stockTakesService, recordCountsSchema, "recordCounts", "recordStockCounts");
+const submitStockTake = documentAction(stockTakesService, stockTakeActionSchema, "submitStockTake", "submitStockTake");
+const postStockTakeAdjustments = documentAction(stockTakesService, stockTakeActionSchema, "postStockTake", "postStockTakeAdjustments");
+const cancelStockTake = documentAction(stockTakesService, cancelStockTakeSchema, "cancelStockTake", "cancelStockTake");
+
+async function getStockTakes(req, res, next) {
+    try {
+        const { error, value } = stockTakeFilterSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+        const result = await stockTakesService.getStockTakeList(req.user, value);
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        return handleError(err, res, next, "getStockTakes");
+    }
+}
+
+async function getStockTake(req, res, next) {
+    try {
+        const result = await stockTakesService.getStockTake(req.user, req.params.id);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "getStockTake");
+    }
+}
+
+async function getCountSheet(req, res, next) {
+    try {
+        const format = req.query.format === "csv" ? "csv" : "json";
+        const result = await stockTakesService.getCountSheet(req.user, req.params.id, format);
+        if (format === "json") return res.status(200).json({ success: true, data: result });
+
+        res.setHeader("Content-Type", result.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${result.filename}"`);
+        return res.status(200).send(result.content);
+    } catch (err) {
+        return handleError(err, res, next, "getCountSheet");
+    }
+}
+
+// ─── Reorder Levels / Replenishment ───────────────────────────────────────────
+
+async function putReorderLevel(req, res, next) {
+    try {
+        const { error, value } = setReorderLevelSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                details: error.details.map((d) => d.message)
+            });
+        }
+
+        const ipAddress = req.ip || req.headers["x-forwarded-for"];
+        const deviceInfo = req.headers["user-agent"];
+
+        const result = await replenishmentService.setReorderLevel(value, req.user, ipAddress, deviceInfo);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "putReorderLevel");
+    }
+}
+
+async function deleteReorderLevel(req, res, next) {
+    try {
+        const ipAddress = req.ip || req.headers["x-forwarded-for"];
+        const deviceInfo = req.headers["user-agent"];
+
+        const result = await replenishmentService.deleteReorderLevel(req.params.id, req.user, ipAddress, deviceInfo);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "deleteReorderLevel");
+    }
+}
+
+async function getReorderLevels(req, res, next) {
+    try {
+        const { error, value } = reorderLevelFilterSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+        const result = await replenishmentService.getReorderLevels(req.user, value);
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        return handleError(err, res, next, "getReorderLevels");
+    }
+}
+
+async function runReplenishment(req, res, next) {
+    try {
+        const { error, value } = runReplenishmentSchema.validate(req.body || {}, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                details: error.details.map((d) => d.message)
+            });
+        }
+        const result = await replenishmentService.runReplenishmentForUser(value, req.user);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        return handleError(err, res, next, "runReplenishment");
+    }
+}
+
 // ─── Stock ────────────────────────────────────────────────────────────────────
 
 async function getStock(req, res, next) {
@@ -111,6 +343,21 @@ async function getStock(req, res, next) {
     }
 }
 
+// ─── Valuation ────────────────────────────────────────────────────────────────
+
+async function getValuation(req, res, next) {
+    try {
+        const { error, value } = valuationReportSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+        const result = await valuationService.getValuationReport(req.user, value);
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        return handleError(err, res, next, "getValuation");
+    }
+}
+
 // ─── Stock Ledger ─────────────────────────────────────────────────────────────
 
 async function getLedger(req, res, next) {
@@ -206,7 +453,27 @@ module.exports = {
     getGRNs,
     postMaterialIssue,
     getIssues,
+    postReservationIssue,
+    postTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    getTransfers,
+    getTransfer,
+    postStockTake,
+    recordStockCounts,
+    submitStockTake,
+    postStockTakeAdjustments,
+    cancelStockTake,
+    getStockTakes,
+    getStockTake,
+    getCountSheet,
+    putReorderLevel,
+    deleteReorderLevel,
+    getReorderLevels,
+    runReplenishment,
     getStock,
+    getValuation,
     getLedger,
     getStores,
     createStore,
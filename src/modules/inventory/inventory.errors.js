@@ -0,0 +1,14 @@
+"use strict";
+
+// ─── AppError ────────────────────────────────────────────────────────────────
+// Shared by the inventory services; controllers map isOperational errors to
+// their statusCode instead of a 500.
+class AppError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+        this.isOperational = true;
+    }
+}
+
+module.exports = { AppError };
@@ -38,6 +38,132 @@ router.get(
     controller.getIssues
 );
 
+// Convert a reservation into an issue for its project and WBS
+router.post(
+    "/reservations/:id/issue",
+    requirePermission("inventory.issue.create"),
+    controller.postReservationIssue
+);
+
+// ─── Stock-Take / Cycle Counting ──────────────────────────────────────────────
+router.post(
+    "/stock-takes",
+    requirePermission("inventory.adjust.create"),
+    idempotent(),
+    controller.postStockTake
+);
+
+router.get(
+    "/stock-takes",
+    requirePermission(["inventory.read", "inventory.adjust.approve"]),
+    controller.getStockTakes
+);
+
+router.get(
+    "/stock-takes/:id",
+    requirePermission(["inventory.read", "inventory.adjust.approve"]),
+    controller.getStockTake
+);
+
+// Count sheet — ?format=csv for a printable / spreadsheet sheet
+router.get(
+    "/stock-takes/:id/sheet",
+    requirePermission("inventory.adjust.create"),
+    controller.getCountSheet
+);
+
+router.post(
+    "/stock-takes/:id/counts",
+    requirePermission("inventory.adjust.create"),
+    controller.recordStockCounts
+);
+
+router.post(
+    "/stock-takes/:id/submit",
+    requirePermission("inventory.adjust.create"),
+    controller.submitStockTake
+);
+
+// Retry posting an approved stock-take whose automatic posting failed
+router.post(
+    "/stock-takes/:id/post",
+    requirePermission("inventory.adjust.approve"),
+    controller.postStockTakeAdjustments
+);
+
+router.post(
+    "/stock-takes/:id/cancel",
+    requirePermission("inventory.adjust.create"),
+    controller.cancelStockTake
+);
+
+// ─── Reorder Levels / Replenishment ───────────────────────────────────────────
+router.get(
+    "/reorder-levels",
+    requirePermission("inventory.read"),
+    controller.getReorderLevels
+);
+
+// Create or replace the level of a store/item
+router.put(
+    "/reorder-levels",
+    requirePermission("inventory.reorder.manage"),
+    controller.putReorderLevel
+);
+
+router.delete(
+    "/reorder-levels/:id",
+    requirePermission("inventory.reorder.manage"),
+    controller.deleteReorderLevel
+);
+
+// On-demand run of the daily replenishment job for the caller's company
+router.post(
+    "/replenishment/run",
+    requirePermission("inventory.reorder.manage"),
+    controller.runReplenishment
+);
+
+// ─── Inter-Store Transfers ────────────────────────────────────────────────────
+router.post(
+    "/transfers",
+    requirePermission("inventory.transfer.create"),
+    idempotent(),
+    controller.postTransfer
+);
+
+router.get(
+    "/transfers",
+    requirePermission("inventory.read"),
+    controller.getTransfers
+);
+
+router.get(
+    "/transfers/:id",
+    requirePermission("inventory.read"),
+    controller.getTransfer
+);
+
+router.post(
+    "/transfers/:id/dispatch",
+    requirePermission("inventory.transfer.create"),
+    controller.dispatchTransfer
+);
+
+// Partial receipts and loss-in-transit write-offs
+router.post(
+    "/transfers/:id/receive",
+    requirePermission("inventory.transfer.receive"),
+    idempotent(),
+    controller.receiveTransfer
+);
+
+router.post(
+    "/transfers/:id/cancel",
+    requirePermission("inventory.transfer.create"),
+    controller.cancelTransfer
+);
+
 // ─── Stock Snapshot ───────────────────────────────────────────────────────────
 router.get(
     "/stock",
@@ -45,6 +171,13 @@ router.get(
     controller.getStock
 );
 
+// ─── Valuation Report (WAC / FIFO, as of any date) ────────────────────────────
+router.get(
+    "/valuation",
+    requirePermission("inventory.ledger.read"),
+    controller.getValuation
+);
+
 // ─── Stock Ledger (Audit Trail) ───────────────────────────────────────────────
 router.get(
     "/ledger/:itemId",
@@ -4,15 +4,12 @@ const prisma = require("../../db");
 const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
 const { logAudit } = require("../../utils/auditLogger");
 const { updateCostCodeActual, recomputeProjectProgress } = require("../wbs/wbs.service");
-
-// ─── AppError ────────────────────────────────────────────────────────────────
-class AppError extends Error {
-    constructor(message, statusCode = 400) {
-        super(message);
-        this.statusCode = statusCode;
-        this.isOperational = true;
-    }
-}
+const { rematchHeldInvoicesForPO } = require("../purchaseOrders/matching.service");
+const { AppError } = require("./inventory.errors");
+const valuation = require("./valuation.service");
+const { getStockPositions, evaluateLevel } = require("./replenishment.service");
+const reservations = require("./reservations.service");
+const { resolveCostCodes } = require("../wbs/budget.service");
 
 // ─── Internal Helpers ────────────────────────────────────────────────────────
 
@@ -61,8 +58,7 @@ async function _scopedFind(tx, model, id, companyId, extraWhere = {}) {
  *   3. Block over-receiving per line
  *   4. Create GRN header + items
  *   5. Increment PurchaseOrderItem.received_quantity (atomic)
- *   6. Upsert InventoryStock (atomic increment)
- *   7. Append StockLedger entry (quantity always positive; move_type = GRN_IN)
+ *   6. Post GRN_IN at the PO price in base currency (stock, value, ledger, FIFO layer)
  *   8. Update PO delivery_status
  *   9. Write audit log (outside tx — non-blocking)
  */
@@ -79,8 +75,10 @@ async function createGRN(data, user, ipAddress, deviceInfo) {
         // ── 1. Validate PO ─────────────────────────────────────────────────
         const po = await _scopedFind(tx, "purchaseOrder", poId, companyId, { status: "issued" });
 
-        // ── 2. Validate Store ───────────────────────────────────────────────
-        await _scopedFind(tx, "store", storeId, companyId);
+        // ── 2. Validate Store (never the virtual in-transit store) ─────────
+        await _scopedFind(tx, "store", storeId, companyId, { is_transit: false });
+
+        const method = await valuation.getValuationMethod(companyId, tx);
 
         // ── 3. Load full PO items map ───────────────────────────────────────
         const poItems = await tx.purchaseOrderItem.findMany({
@@ -159,29 +157,17 @@ async function createGRN(data, user, ipAddress, deviceInfo) {
                 data: { received_quantity: { increment: acceptedQty } }
             });
 
-            // Atomic InventoryStock upsert
-            await tx.inventoryStock.upsert({
-                where: { store_id_item_id: { store_id: storeId, item_id: line.itemId } },
-                update: { quantity: { increment: acceptedQty } },
-                create: {
-                    company_id: companyId,
-                    store_id: storeId,
-                    item_id: line.itemId,
-                    quantity: acceptedQty
-                }
-            });
-
-            // StockLedger — quantity is ALWAYS positive; move_type defines direction
-            await tx.stockLedger.create({
-                data: {
-                    company_id: companyId,
-                    item_id: line.itemId,
-                    store_id: storeId,
-                    move_type: "GRN_IN",
-                    quantity: acceptedQty,
-                    reference_id: grnRecord.id,
-                    created_by: userId
-                }
+            // Stock in at what was actually paid — PO price at the PO's locked rate
+            await valuation.postInbound(tx, {
+                companyId,
+                storeId,
+                itemId: line.itemId,
+                moveType: "GRN_IN",
+                quantity: acceptedQty,
+                unitCost: parseFloat(poItem.unit_price) * parseFloat(po.exchange_rate ?? 1),
+                referenceId: grnRecord.id,
+                userId,
+                method
             });
         }
 
@@ -215,6 +201,9 @@ async function createGRN(data, user, ipAddress, deviceInfo) {
         deviceInfo
     });
 
+    // ── 9. Re-match invoices held for short receipt (non-blocking) ──────
+    rematchHeldInvoicesForPO(poId);
+
     return grn;
 }
 
@@ -224,12 +213,14 @@ async function createGRN(data, user, ipAddress, deviceInfo) {
  *
  * Transaction boundaries:
  *   1. Validate project, WBS, store belong to company
- *   2. For each item: validate item and costCode belong to company
- *   3. Check available stock — block if insufficient
- *   4. Create MaterialIssue header + items
- *   5. Decrement InventoryStock (atomic)
- *   6. Append StockLedger entry (quantity positive; move_type = ISSUE_OUT)
- *   7. Increment CostCode.actual_amount
+ *   2. For each item: validate item, costCode and any named reservation
+ *   3. Release expired reservations, then check available stock — on hand
+ *      less other projects' reservations — and block if insufficient
+ *   4. Create MaterialIssue header
+ *   5. Per line: draw down the project's reservations (one issue item per
+ *      reservation), post ISSUE_OUT at valuation cost (WAC or FIFO; locks the
+ *      stock row) and create the issue item carrying that cost
+ *   6. Increment CostCode.actual_amount by the real issue cost
  */
 async function createMaterialIssue(data, user, ipAddress, deviceInfo) {
     const { projectId, wbsId, storeId, items } = data;
@@ -244,21 +235,37 @@ async function createMaterialIssue(data, user, ipAddress, deviceInfo) {
         // ── 1. Validate top-level resources ────────────────────────────────
         await _scopedFind(tx, "project", projectId, companyId);
         await _scopedFind(tx, "wBS", wbsId, companyId);      // Prisma model name is 'wBS' (mapped)
-        await _scopedFind(tx, "store", storeId, companyId);
+        await _scopedFind(tx, "store", storeId, companyId, { is_transit: false });
 
         // ── 2. Validate all items before writing anything ───────────────────
+        const requested = new Map();
         for (const line of items) {
             await _scopedFind(tx, "item", line.itemId, companyId);
             await _scopedFind(tx, "costCode", line.costCodeId, companyId);
+            if (line.reservationId) {
+                const reservation = await _scopedFind(tx, "inventoryPlanningRequest", line.reservationId, companyId, { deleted_at: null });
+                if (reservation.reservation_status !== "RESERVED") {
+                    throw new AppError(`Reservation ${reservation.id} is ${reservation.reservation_status}`, 409);
+                }
+                if (reservation.project_id !== projectId || reservation.store_id !== storeId || reservation.item_id !== line.itemId) {
+                    throw new AppError(`Reservation ${reservation.id} is for another project, store or item`, 422);
+                }
+                if (reservation.wbs_id && reservation.wbs_id !== wbsId) {
+                    throw new AppError(`Reservation ${reservation.id} must be issued against its own WBS (${reservation.wbs_id})`, 422);
+                }
+            }
+            requested.set(line.itemId, (requested.get(line.itemId) ?? 0) + parseFloat(line.quantity));
+        }
 
-            const stock = await tx.inventoryStock.findUnique({
-                where: { store_id_item_id: { store_id: storeId, item_id: line.itemId } }
-            });
-            const available = parseFloat(stock?.quantity ?? 0);
-            if (available < parseFloat(line.quantity) - 1e-9) {
-                const item = await tx.item.findUnique({ where: { id: line.itemId }, select: { name: true } });
+        // ── 3. Available = on hand less other projects' reservations ────────
+        for (const [itemId, quantity] of requested) {
+            await reservations.expireReservations(tx, { storeId, itemId });
+            const stock = await reservations.getAvailableToProject(tx, { storeId, itemId, projectId });
+            if (stock.available < quantity - 1e-9) {
+                const item = await tx.item.findUnique({ where: { id: itemId }, select: { name: true } });
+                const held = stock.reservedForOthers > 0 ? ` (${stock.reservedForOthers} of ${stock.onHand} reserved for other projects)` : "";
                 throw new AppError(
-                    `Insufficient stock for "${item?.name ?? line.itemId}": available ${available}, requested ${line.quantity}`,
+                    `Insufficient stock for "${item?.name ?? itemId}": available ${stock.available}${held}, requested ${quantity}`,
                     422
                 );
             }
@@ -278,47 +285,47 @@ async function createMaterialIssue(data, user, ipAddress, deviceInfo) {
         });
 
         // ── 4. Process each line ────────────────────────────────────────────
+        const method = await valuation.getValuationMethod(companyId, tx);
         for (const line of items) {
-            // Derive unit cost from item's standard price; fallback 0 (safe assumption)
-            const itemMaster = await tx.item.findUnique({
-                where: { id: line.itemId },
-                select: { standard_price: true }
+            // One issue item per reservation drawn down, plus one for free stock
+            const chunks = await reservations.drawDownForIssue(tx, {
+                storeId,
+                itemId: line.itemId,
+                projectId,
+                wbsId,
+                quantity: line.quantity,
+                reservationId: line.reservationId
             });
-            const unitCost = parseFloat(itemMaster?.standard_price ?? 0);
 
-            await tx.materialIssueItem.create({
-                data: {
-                    issue_id: issueRecord.id,
-                    item_id: line.itemId,
-                    quantity: line.quantity,
-                    unit_cost: unitCost,
-                    cost_code_id: line.costCodeId
-                }
-            });
-
-            // Atomic stock decrement
-            await tx.inventoryStock.update({
-                where: { store_id_item_id: { store_id: storeId, item_id: line.itemId } },
-                data: { quantity: { decrement: line.quantity } }
-            });
+            for (const chunk of chunks) {
+                // Stock out at valuation cost — the cost of what actually left the store
+                const { unitCost, totalCost } = await valuation.postOutbound(tx, {
+                    companyId,
+                    storeId,
+                    itemId: line.itemId,
+                    moveType: "ISSUE_OUT",
+                    quantity: chunk.quantity,
+                    referenceId: issueRecord.id,
+                    userId,
+                    method
+                });
+
+                await tx.materialIssueItem.create({
+                    data: {
+                        issue_id: issueRecord.id,
+                        item_id: line.itemId,
+                        quantity: chunk.quantity,
+                        unit_cost: unitCost,
+                        total_cost: totalCost,
+                        cost_code_id: line.costCodeId,
+                        reservation_id: chunk.reservationId
+                    }
+                });
 
-            // StockLedger — quantity is ALWAYS positive; move_type = ISSUE_OUT
-            await tx.stockLedger.create({
-                data: {
-                    company_id: companyId,
-                    item_id: line.itemId,
-                    store_id: storeId,
-                    move_type: "ISSUE_OUT",
-                    quantity: parseFloat(line.quantity), // positive
-                    reference_id: issueRecord.id,
-                    created_by: userId
+                // Update CostCode actual_amount
+                if (totalCost > 0) {
+                    await updateCostCodeActual(tx, null, 'material', totalCost, line.costCodeId);
                 }
-            });
-
-            // Update CostCode actual_amount
-            const costImpact = parseFloat(line.quantity) * unitCost;
-            if (costImpact > 0) {
-                await updateCostCodeActual(tx, null, 'material', costImpact, line.costCodeId);
             }
         }
 
@@ -343,6 +350,56 @@ async function createMaterialIssue(data, user, ipAddress, deviceInfo) {
     return issue;
 }
 
+// ─── issueReservation ────────────────────────────────────────────────────────
+/**
+ * Convert a reservation into a material issue for its project, store and
+ * WBS. A reservation without a WBS needs data.wbsId; one with a WBS refuses
+ * any other. Quantity defaults to everything still open; the cost code
+ * defaults to the WBS material cost code.
+ */
+async function issueReservation(reservationId, data, user, ipAddress, deviceInfo) {
+    const reservation = await prisma.inventoryPlanningRequest.findFirst({
+        where: { id: reservationId, company_id: user.companyId, deleted_at: null }
+    });
+    if (!reservation) throw new AppError("Reservation not found or access denied", 404);
+    if (reservation.reservation_status !== "RESERVED") {
+        throw new AppError(`Reservation is ${reservation.reservation_status}; only RESERVED stock can be issued`, 409);
+    }
+    if (reservation.expires_at && new Date(reservation.expires_at) < new Date()) {
+        throw new AppError("Reservation has expired; reserve it again before issuing", 409);
+    }
+
+    // A reservation raised without a WBS is issued against the WBS the caller names
+    let wbsId = reservation.wbs_id;
+    if (!wbsId) {
+        if (!data.wbsId) throw new AppError("Reservation has no WBS; wbsId is required", 422);
+        wbsId = data.wbsId;
+    } else if (data.wbsId && data.wbsId !== wbsId) {
+        throw new AppError(`Reservation must be issued against its own WBS (${wbsId})`, 422);
+    }
+
+    const open = reservations.openQty(reservation);
+    const quantity = data.quantity ?? open;
+    if (quantity > open + 1e-9) {
+        throw new AppError(`Only ${open} left on the reservation, requested ${quantity}`, 422);
+    }
+
+    const costCodeId = data.costCodeId ?? (await resolveCostCodes(wbsId))(reservation.item_id);
+    if (!costCodeId) throw new AppError("WBS has no material cost code; costCodeId is required", 422);
+
+    return createMaterialIssue(
+        {
+            projectId: reservation.project_id,
+            wbsId,
+            storeId: reservation.store_id,
+            items: [{ itemId: reservation.item_id, costCodeId, quantity, reservationId }]
+        },
+        user,
+        ipAddress,
+        deviceInfo
+    );
+}
+
 // ─── getStockSnapshot ─────────────────────────────────────────────────────────
 async function getStockSnapshot(user, filters = {}) {
     const { storeId, itemId, page = 1, pageSize = 20 } = filters;
@@ -365,7 +422,49 @@ async function getStockSnapshot(user, filters = {}) {
         prisma.inventoryStock.count({ where })
     ]);
 
-    return { data, total, page, pageSize };
+    // Reorder level of each row, with its on-order / reserved position
+    const levels = await prisma.reorderLevel.findMany({
+        where: {
+            store_id: { in: [...new Set(data.map((s) => s.store_id))] },
+            item_id: { in: [...new Set(data.map((s) => s.item_id))] }
+        }
+    });
+    const levelMap = new Map(levels.map((l) => [`${l.store_id}:${l.item_id}`, l]));
+    const positions = new Map();
+    for (const companyId of new Set(levels.map((l) => l.company_id))) {
+        const own = levels.filter((l) => l.company_id === companyId);
+        const found = await getStockPositions(
+            companyId,
+            [...new Set(own.map((l) => l.store_id))],
+            [...new Set(own.map((l) => l.item_id))]
+        );
+        for (const [key, value] of found) positions.set(key, value);
+    }
+
+    return {
+        data: data.map((s) => {
+            const key = `${s.store_id}:${s.item_id}`;
+            const level = levelMap.get(key);
+            return {
+                ...s,
+                available_qty: Math.max(parseFloat(s.quantity) - parseFloat(s.reserved_qty ?? 0), 0),
+                reorder_level: level
+                    ? {
+                        id: level.id,
+                        min_qty: level.min_qty,
+                        reorder_point: level.reorder_point,
+                        max_qty: level.max_qty,
+                        lead_time_days: level.lead_time_days,
+                        is_active: level.is_active,
+                        ...evaluateLevel(level, positions.get(key))
+                    }
+                    : null
+            };
+        }),
+        total,
+        page,
+        pageSize
+    };
 }
 
 // ─── getStockLedger ───────────────────────────────────────────────────────────
@@ -501,6 +600,7 @@ async function getExcess(user, page = 1, pageSize = 20) {
 async function getStores(user) {
     const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false });
     where.is_active = true;
+    where.is_transit = false;
     
     return await prisma.store.findMany({
         where,
@@ -556,17 +656,27 @@ async function addStock(user, data) {
     }
 
     const qty = parseFloat(quantity) || 0;
-
-    return await prisma.inventoryStock.upsert({
-        where: { store_id_item_id: { store_id, item_id } },
-        update: { quantity: { increment: qty } },
-        create: {
-            company_id: companyId,
-            store_id,
-            item_id,
+    if (qty <= 0) throw new AppError("quantity must be greater than 0", 400);
+
+    // Ledgered as ADJUST_IN at the item's standard price so valuation stays whole
+    return await prisma.$transaction(async (tx) => {
+        const item = await _scopedFind(tx, "item", item_id, companyId);
+        await _scopedFind(tx, "store", store_id, companyId, { is_transit: false });
+
+        await valuation.postInbound(tx, {
+            companyId,
+            storeId: store_id,
+            itemId: item_id,
+            moveType: "ADJUST_IN",
             quantity: qty,
-        },
-        include: { item: { select: { id: true, name: true, unit: true } } }
+            unitCost: parseFloat(item.standard_price ?? 0),
+            userId: user.id
+        });
+
+        return tx.inventoryStock.findUnique({
+            where: { store_id_item_id: { store_id, item_id } },
+            include: { item: { select: { id: true, name: true, unit: true } } }
+        });
     });
 }
 
@@ -603,6 +713,7 @@ module.exports = {
     AppError,
     createGRN,
     createMaterialIssue,
+    issueReservation,
     getStockSnapshot,
     getStockLedger,
     getGRNList,
@@ -2,6 +2,8 @@
 
 const Joi = require("joi");
 
+const MOVE_TYPES = ["GRN_IN", "ISSUE_OUT", "ADJUST_IN", "ADJUST_OUT", "TRANSFER_IN", "TRANSFER_OUT", "TRANSIT_LOSS"];
+
 // ─── createGRN ────────────────────────────────────────────────────────────────
 const createGRNSchema = Joi.object({
     poId: Joi.string().uuid().required().messages({
@@ -68,6 +70,10 @@ const createIssueSchema = Joi.object({
                 quantity: Joi.number().positive().required().messages({
                     "number.positive": "quantity must be greater than 0",
                     "any.required": "quantity is required"
+                }),
+                // Reservation of the project to draw down first
+                reservationId: Joi.string().uuid().optional().messages({
+                    "string.uuid": "reservationId must be a valid UUID"
                 })
             })
         )
@@ -79,6 +85,20 @@ const createIssueSchema = Joi.object({
         })
 });
 
+// ─── Issue a Reservation ──────────────────────────────────────────────────────
+const issueReservationSchema = Joi.object({
+    quantity: Joi.number().positive().optional().messages({
+        "number.positive": "quantity must be greater than 0"
+    }),
+    costCodeId: Joi.string().uuid().optional().messages({
+        "string.uuid": "costCodeId must be a valid UUID"
+    }),
+    // Only for reservations made without a WBS
+    wbsId: Joi.string().uuid().optional().messages({
+        "string.uuid": "wbsId must be a valid UUID"
+    })
+});
+
 // ─── Stock Query Filters ──────────────────────────────────────────────────────
 const stockFilterSchema = Joi.object({
     storeId: Joi.string().uuid().optional(),
@@ -108,18 +128,215 @@ const issueFilterSchema = Joi.object({
 const ledgerFilterSchema = Joi.object({
     storeId: Joi.string().uuid().optional(),
     moveType: Joi.string()
-        .valid("GRN_IN", "ISSUE_OUT", "ADJUST_IN", "ADJUST_OUT")
+        .valid(...MOVE_TYPES)
         .optional()
-        .messages({ "any.only": "moveType must be one of GRN_IN, ISSUE_OUT, ADJUST_IN, ADJUST_OUT" }),
+        .messages({ "any.only": `moveType must be one of ${MOVE_TYPES.join(", ")}` }),
     page: Joi.number().integer().min(1).default(1),
     pageSize: Joi.number().integer().min(1).max(200).default(50)
 });
 
+// ─── Valuation Report ─────────────────────────────────────────────────────────
+const valuationReportSchema = Joi.object({
+    asOf: Joi.date().iso().optional().messages({ "date.format": "asOf must be an ISO date (YYYY-MM-DD)" }),
+    storeId: Joi.string().uuid().optional(),
+    itemId: Joi.string().uuid().optional(),
+    includeTransit: Joi.boolean().default(true)
+});
+
+// ─── Stock-Take ───────────────────────────────────────────────────────────────
+const startStockTakeSchema = Joi.object({
+    storeId: Joi.string().uuid().required().messages({
+        "string.uuid": "storeId must be a valid UUID",
+        "any.required": "storeId is required"
+    }),
+    scope: Joi.string().valid("full", "cycle").default("full"),
+    itemIds: Joi.when("scope", {
+        is: "cycle",
+        then: Joi.array().items(Joi.string().uuid()).min(1).required().messages({
+            "array.min": "a cycle count needs at least one item",
+            "any.required": "itemIds is required for a cycle count"
+        }),
+        otherwise: Joi.forbidden().messages({ "any.unknown": "itemIds is only allowed for a cycle count" })
+    }),
+    blind: Joi.boolean().default(false),
+    remarks: Joi.string().trim().max(500).allow(null, "").optional()
+});
+
+const recordCountsSchema = Joi.object({
+    lines: Joi.array()
+        .items(
+            Joi.object({
+                itemId: Joi.string().uuid().required().messages({
+                    "string.uuid": "itemId must be a valid UUID",
+                    "any.required": "itemId is required"
+                }),
+                countedQty: Joi.number().min(0).required().messages({
+                    "number.min": "countedQty cannot be negative",
+                    "any.required": "countedQty is required"
+                }),
+                remarks: Joi.string().trim().max(500).allow(null, "").optional()
+            })
+        )
+        .min(1)
+        .unique("itemId")
+        .required()
+        .messages({
+            "array.min": "lines must contain at least one count",
+            "array.unique": "each item may be counted once per request",
+            "any.required": "lines array is required"
+        })
+});
+
+// submit / post take no body
+const stockTakeActionSchema = Joi.object({});
+
+const cancelStockTakeSchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow(null, "").optional()
+});
+
+const stockTakeFilterSchema = Joi.object({
+    storeId: Joi.string().uuid().optional(),
+    status: Joi.string()
+        .valid("counting", "pending_approval", "sent_back", "approved", "posted", "rejected", "cancelled")
+        .optional(),
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(200).default(20)
+});
+
+// ─── Reorder Levels / Replenishment ───────────────────────────────────────────
+const setReorderLevelSchema = Joi.object({
+    storeId: Joi.string().uuid().required().messages({
+        "string.uuid": "storeId must be a valid UUID",
+        "any.required": "storeId is required"
+    }),
+    itemId: Joi.string().uuid().required().messages({
+        "string.uuid": "itemId must be a valid UUID",
+        "any.required": "itemId is required"
+    }),
+    minQty: Joi.number().min(0).default(0),
+    reorderPoint: Joi.number().min(Joi.ref("minQty")).required().messages({
+        "number.min": "reorderPoint cannot be below minQty",
+        "any.required": "reorderPoint is required"
+    }),
+    maxQty: Joi.number().positive().greater(Joi.ref("reorderPoint")).required().messages({
+        "number.greater": "maxQty must be greater than reorderPoint",
+        "any.required": "maxQty is required"
+    }),
+    leadTimeDays: Joi.number().integer().min(0).max(365).default(0),
+    isActive: Joi.boolean().default(true)
+});
+
+const reorderLevelFilterSchema = Joi.object({
+    storeId: Joi.string().uuid().optional(),
+    itemId: Joi.string().uuid().optional(),
+    belowReorderPoint: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(200).default(20)
+});
+
+const runReplenishmentSchema = Joi.object({
+    storeId: Joi.string().uuid().optional()
+});
+
+// ─── Stock Transfers ──────────────────────────────────────────────────────────
+const createTransferSchema = Joi.object({
+    fromStoreId: Joi.string().uuid().required().messages({
+        "string.uuid": "fromStoreId must be a valid UUID",
+        "any.required": "fromStoreId is required"
+    }),
+    toStoreId: Joi.string().uuid().required().messages({
+        "string.uuid": "toStoreId must be a valid UUID",
+        "any.required": "toStoreId is required"
+    }),
+    vehicleNo: Joi.string().trim().max(50).allow(null, "").optional(),
+    remarks: Joi.string().trim().max(500).allow(null, "").optional(),
+    items: Joi.array()
+        .items(
+            Joi.object({
+                itemId: Joi.string().uuid().required().messages({
+                    "string.uuid": "itemId must be a valid UUID",
+                    "any.required": "itemId is required"
+                }),
+                quantity: Joi.number().positive().required().messages({
+                    "number.positive": "quantity must be greater than 0",
+                    "any.required": "quantity is required"
+                })
+            })
+        )
+        .min(1)
+        .required()
+        .messages({
+            "array.min": "items must contain at least one line",
+            "any.required": "items array is required"
+        })
+});
+
+const dispatchTransferSchema = Joi.object({
+    vehicleNo: Joi.string().trim().max(50).allow(null, "").optional()
+});
+
+const receiveTransferSchema = Joi.object({
+    remarks: Joi.string().trim().max(500).allow(null, "").optional(),
+    items: Joi.array()
+        .items(
+            Joi.object({
+                transferItemId: Joi.string().uuid().required().messages({
+                    "string.uuid": "transferItemId must be a valid UUID",
+                    "any.required": "transferItemId is required"
+                }),
+                qtyReceived: Joi.number().min(0).default(0),
+                qtyLost: Joi.number().min(0).default(0),
+                lossReason: Joi.string().trim().max(500).when("qtyLost", {
+                    is: Joi.number().greater(0),
+                    then: Joi.required(),
+                    otherwise: Joi.optional().allow(null, "")
+                }).messages({ "any.required": "lossReason is required when qtyLost is greater than 0" })
+            }).custom((line, helpers) => {
+                if (line.qtyReceived + line.qtyLost <= 0) return helpers.message("each line must receive or write off a quantity");
+                return line;
+            })
+        )
+        .min(1)
+        .required()
+        .messages({
+            "array.min": "items must contain at least one line",
+            "any.required": "items array is required"
+        })
+});
+
+const cancelTransferSchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow(null, "").optional()
+});
+
+const transferFilterSchema = Joi.object({
+    status: Joi.string()
+        .valid("draft", "in_transit", "partially_received", "received", "cancelled")
+        .optional(),
+    storeId: Joi.string().uuid().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(200).default(20)
+});
+
 module.exports = {
     createGRNSchema,
     createIssueSchema,
+    issueReservationSchema,
     stockFilterSchema,
     ledgerFilterSchema,
     grnFilterSchema,
-    issueFilterSchema
+    issueFilterSchema,
+    valuationReportSchema,
+    startStockTakeSchema,
+    recordCountsSchema,
+    stockTakeActionSchema,
+    cancelStockTakeSchema,
+    stockTakeFilterSchema,
+    setReorderLevelSchema,
+    reorderLevelFilterSchema,
+    runReplenishmentSchema,
+    createTransferSchema,
+    dispatchTransferSchema,
+    receiveTransferSchema,
+    cancelTransferSchema,
+    transferFilterSchema
 };
@@ -0,0 +1,451 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { notify } = require("../notifications/notifications.service");
+const { AppError } = require("./inventory.errors");
+
+/**
+ * Reorder Levels & Replenishment
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Each store/item can carry a min (safety stock), reorder point, max and lead
+ * time. Its position is
+ *
+ *   projected = on hand + on order − reserved
+ *
+ *   on hand    InventoryStock.quantity
+ *   on order   open PO lines (not cancelled / rejected) less what has been
+ *              received, for POs raised from a replenishment PR of the store.
+ *              Other POs are not tied to a store until their GRN.
+ *   reserved   InventoryStock.reserved_qty — open RESERVED planning requests
+ *   requested  lines of open replenishment PRs of the store that have no PO
+ *              yet; once a PO is raised, what it orders counts as on order
+ *
+ * The daily job (src/workers/replenishment.worker.js) drafts the items whose
+ * projected + requested quantity is at or below the reorder point onto one
+ * draft PR per store, for max − (projected + requested). A store that already
+ * has a draft gets the new items added to it. Store keepers review, edit and
+ * submit the drafts through /purchase-requisitions; required dates are today
+ * plus the lead time, and lines below the minimum are marked urgent.
+ */
+
+const OPEN_PR_STATUSES = ["draft", "submitted", "sent_back", "approved_for_rfq"];
+const CLOSED_PO_STATUSES = ["cancelled", "rejected"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+const keyOf = (storeId, itemId) => `${storeId}:${itemId}`;
+
+function startOfDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+async function _generatePrNo(tx) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await tx.purchaseRequisition.count({ where: { pr_no: { startsWith: `RPR-${datePart}-` } } });
+    return `RPR-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+// ─── Stock Position ──────────────────────────────────────────────────────────
+
+/**
+ * On hand, on order, reserved and requested quantity per store/item.
+ *
+ * @returns {Promise<Map<string, { onHand: number, onOrder: number, reserved: number, requested: number }>>}
+ *          keyed by "storeId:itemId"
+ */
+async function getStockPositions(companyId, storeIds, itemIds, client = prisma) {
+    const positions = new Map();
+    const positionOf = (storeId, itemId) => {
+        const key = keyOf(storeId, itemId);
+        if (!positions.has(key)) positions.set(key, { onHand: 0, onOrder: 0, reserved: 0, requested: 0 });
+        return positions.get(key);
+    };
+    if (storeIds.length === 0 || itemIds.length === 0) return positions;
+
+    const [stocks, poLines, prLines] = await Promise.all([
+        client.inventoryStock.findMany({
+            where: { company_id: companyId, store_id: { in: storeIds }, item_id: { in: itemIds } },
+            select: { store_id: true, item_id: true, quantity: true, reserved_qty: true }
+        }),
+        client.purchaseOrderItem.findMany({
+            where: {
+                item_id: { in: itemIds },
+                purchase_order: {
+                    company_id: companyId,
+                    deleted_at: null,
+                    status: { notIn: CLOSED_PO_STATUSES },
+                    requisition: { store_id: { in: storeIds } }
+                }
+            },
+            select: {
+                item_id: true,
+                quantity: true,
+                received_quantity: true,
+                purchase_order: { select: { requisition: { select: { store_id: true } } } }
+            }
+        }),
+        client.purchaseRequisitionItem.findMany({
+            where: {
+                item_id: { in: itemIds },
+                requisition: {
+                    company_id: companyId,
+                    store_id: { in: storeIds },
+                    status: { in: OPEN_PR_STATUSES },
+                    deleted_at: null,
+                    purchase_orders: { none: { status: { notIn: CLOSED_PO_STATUSES } } }
+                }
+            },
+            select: { item_id: true, quantity: true, requisition: { select: { store_id: true } } }
+        })
+    ]);
+
+    for (const s of stocks) {
+        const position = positionOf(s.store_id, s.item_id);
+        position.onHand += parseFloat(s.quantity);
+        position.reserved += parseFloat(s.reserved_qty ?? 0);
+    }
+    for (const l of poLines) {
+        const open = parseFloat(l.quantity) - parseFloat(l.received_quantity ?? 0);
+        if (open > EPSILON) positionOf(l.purchase_order.requisition.store_id, l.item_id).onOrder += open;
+    }
+    for (const l of prLines) positionOf(l.requisition.store_id, l.item_id).requested += parseFloat(l.quantity);
+
+    return positions;
+}
+
+/** Compare a position with its reorder level. */
+function evaluateLevel(level, position = {}) {
+    const onHand = round6(position.onHand ?? 0);
+    const onOrder = round6(position.onOrder ?? 0);
+    const reserved = round6(position.reserved ?? 0);
+    const requested = round6(position.requested ?? 0);
+    const projected = round6(onHand + onOrder - reserved);
+    const covered = round6(projected + requested);
+    const reorderPoint = parseFloat(level.reorder_point);
+    const belowReorderPoint = level.is_active && covered <= reorderPoint + EPSILON;
+
+    return {
+        on_hand: onHand,
+        on_order: onOrder,
+        reserved,
+        requested,
+        projected,
+        below_min: projected < parseFloat(level.min_qty) - EPSILON,
+        below_reorder_point: belowReorderPoint,
+        suggested_qty: belowReorderPoint ? Math.max(round6(parseFloat(level.max_qty) - covered), 0) : 0
+    };
+}
+
+// ─── setReorderLevel ─────────────────────────────────────────────────────────
+/** Create or replace the reorder level of a store/item. */
+async function setReorderLevel(data, user, ipAddress, deviceInfo) {
+    const { storeId, itemId, minQty, reorderPoint, maxQty, leadTimeDays, isActive } = data;
+    await validateResourceAccess(prisma, "store", storeId, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const { companyId, id: userId } = user;
+    const store = await prisma.store.findFirst({ where: { id: storeId, company_id: companyId, is_transit: false } });
+    if (!store) throw new AppError("store not found or access denied", 404);
+    const item = await prisma.item.findFirst({ where: { id: itemId, company_id: companyId } });
+    if (!item) throw new AppError("item not found or access denied", 404);
+
+    const existing = await prisma.reorderLevel.findUnique({
+        where: { store_id_item_id: { store_id: storeId, item_id: itemId } }
+    });
+    const values = {
+        min_qty: minQty,
+        reorder_point: reorderPoint,
+        max_qty: maxQty,
+        lead_time_days: leadTimeDays,
+        is_active: isActive
+    };
+    const level = await prisma.reorderLevel.upsert({
+        where: { store_id_item_id: { store_id: storeId, item_id: itemId } },
+        update: { ...values, updated_at: new Date() },
+        create: { ...values, company_id: companyId, store_id: storeId, item_id: itemId, created_by: userId }
+    });
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "reorder_level",
+        entityId: level.id,
+        action: existing ? "UPDATE_REORDER_LEVEL" : "CREATE_REORDER_LEVEL",
+        beforeData: existing
+            ? {
+                minQty: Number(existing.min_qty),
+                reorderPoint: Number(existing.reorder_point),
+                maxQty: Number(existing.max_qty),
+                leadTimeDays: existing.lead_time_days,
+                isActive: existing.is_active
+            }
+            : null,
+        afterData: { storeId, itemId, minQty, reorderPoint, maxQty, leadTimeDays, isActive },
+        ipAddress,
+        deviceInfo
+    });
+
+    return level;
+}
+
+// ─── deleteReorderLevel ──────────────────────────────────────────────────────
+async function deleteReorderLevel(levelId, user, ipAddress, deviceInfo) {
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: true, noSoftDelete: true });
+    const level = await prisma.reorderLevel.findFirst({ where: { ...where, id: levelId } });
+    if (!level) throw new AppError("Reorder level not found or access denied", 404);
+
+    await prisma.reorderLevel.delete({ where: { id: levelId } });
+
+    logAudit({
+        userId: user.id,
+        module: "inventory",
+        entity: "reorder_level",
+        entityId: levelId,
+        action: "DELETE_REORDER_LEVEL",
+        beforeData: { storeId: level.store_id, itemId: level.item_id, reorderPoint: Number(level.reorder_point) },
+        ipAddress,
+        deviceInfo
+    });
+
+    return { id: levelId, deleted: true };
+}
+
+// ─── getReorderLevels ────────────────────────────────────────────────────────
+/** Reorder levels with their current position; `belowReorderPoint` keeps only those due. */
+async function getReorderLevels(user, filters = {}) {
+    const { storeId, itemId, belowReorderPoint, page = 1, pageSize = 20 } = filters;
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+
+    if (storeId) where.store_id = storeId;
+    if (itemId) where.item_id = itemId;
+
+    const levels = await prisma.reorderLevel.findMany({
+        where,
+        include: {
+            item: { select: { id: true, name: true, unit: true, category: true } },
+            store: { select: { id: true, name: true } }
+        },
+        orderBy: [{ store_id: "asc" }, { item_id: "asc" }]
+    });
+
+    const byCompany = new Map();
+    for (const l of levels) {
+        if (!byCompany.has(l.company_id)) byCompany.set(l.company_id, []);
+        byCompany.get(l.company_id).push(l);
+    }
+    const positions = new Map();
+    for (const [companyId, group] of byCompany) {
+        const found = await getStockPositions(
+            companyId,
+            [...new Set(group.map((l) => l.store_id))],
+            [...new Set(group.map((l) => l.item_id))]
+        );
+        for (const [key, value] of found) positions.set(key, value);
+    }
+
+    let data = levels.map((l) => ({ ...l, position: evaluateLevel(l, positions.get(keyOf(l.store_id, l.item_id))) }));
+    if (belowReorderPoint !== undefined) data = data.filter((l) => l.position.below_reorder_point === belowReorderPoint);
+
+    return {
+        data: data.slice((page - 1) * pageSize, page * pageSize),
+        total: data.length,
+        page,
+        pageSize
+    };
+}
+
+// ─── Replenishment Run ───────────────────────────────────────────────────────
+
+/**
+ * Put a store's shortfalls on its draft PR, creating the draft if needed.
+ *
+ * Transaction boundaries:
+ *   1. Lock the store's open draft (if any); skip items already on it
+ *   2. Estimate line prices from the item standard price
+ *   3. Create the draft or add the lines to it
+ */
+async function _draftStorePR(store, shortfalls) {
+    const today = startOfDay();
+
+    return prisma.$transaction(async (tx) => {
+        // ── 1. Existing draft ───────────────────────────────────────────────
+        const draft = await tx.purchaseRequisition.findFirst({
+            where: { company_id: store.company_id, store_id: store.id, status: "draft", deleted_at: null },
+            include: { purchaseRequisitionItems: { select: { item_id: true } } },
+            orderBy: { created_at: "desc" }
+        });
+        if (draft) {
+            await tx.$queryRaw`SELECT id FROM auth.purchase_requisitions WHERE id = ${draft.id}::uuid FOR UPDATE`;
+        }
+        const onDraft = new Set((draft?.purchaseRequisitionItems ?? []).map((i) => i.item_id));
+        const lines = shortfalls.filter((s) => !onDraft.has(s.level.item_id));
+        if (lines.length === 0) return null;
+
+        // ── 2. Line prices ──────────────────────────────────────────────────
+        const items = await tx.item.findMany({
+            where: { id: { in: lines.map((l) => l.level.item_id) } },
+            select: { id: true, standard_price: true }
+        });
+        const priceMap = new Map(items.map((i) => [i.id, Number(i.standard_price || 0)]));
+
+        const prItemsData = lines.map(({ level, position }) => {
+            const unitPrice = priceMap.get(level.item_id) || 0;
+            const stock = `on hand ${position.on_hand}, on order ${position.on_order}, reserved ${position.reserved}`;
+            return {
+                item_id: level.item_id,
+                quantity: position.suggested_qty,
+                required_date: new Date(today.getTime() + level.lead_time_days * DAY_MS),
+                remarks: position.below_min
+                    ? `URGENT: below minimum ${Number(level.min_qty)} (${stock})`
+                    : `At or below reorder point ${Number(level.reorder_point)} (${stock})`,
+                estimated_unit_price: unitPrice,
+                estimated_total_price: unitPrice * position.suggested_qty
+            };
+        });
+
+        // ── 3. Create or extend the draft ───────────────────────────────────
+        if (draft) {
+            await tx.purchaseRequisitionItem.createMany({
+                data: prItemsData.map((i) => ({ ...i, requisition_id: draft.id }))
+            });
+            await tx.purchaseRequisition.update({ where: { id: draft.id }, data: { updated_at: new Date() } });
+            return { pr: draft, created: false, lineCount: prItemsData.length };
+        }
+
+        const pr = await tx.purchaseRequisition.create({
+            data: {
+                pr_no: await _generatePrNo(tx),
+                company_id: store.company_id,
+                store_id: store.id,
+                reason: `Stock replenishment for ${store.name}`,
+                is_emergency: false,
+                status: "draft",
+                purchaseRequisitionItems: { create: prItemsData }
+            }
+        });
+        return { pr, created: true, lineCount: prItemsData.length };
+    });
+}
+
+/** Store keepers of the company — they review and submit the drafts. */
+async function _storeKeepers(companyId) {
+    const users = await prisma.user.findMany({
+        where: { company_id: companyId, is_active: true, deleted_at: null, roles: { code: "storekeeper" } },
+        select: { id: true }
+    });
+    return users.map((u) => u.id);
+}
+
+/**
+ * Check every active reorder level (optionally of one company / store) and
+ * draft PRs for the shortfalls. Run daily by the replenishment worker and on
+ * demand through POST /inventory/replenishment/run.
+ */
+async function runReplenishment({ companyId = null, storeId = null, userId = null } = {}) {
+    const levels = await prisma.reorderLevel.findMany({
+        where: {
+            is_active: true,
+            ...(companyId && { company_id: companyId }),
+            ...(storeId && { store_id: storeId }),
+            store: { is_active: true, is_transit: false, deleted_at: null }
+        },
+        include: { store: { select: { id: true, name: true, company_id: true } } }
+    });
+
+    const totals = { levels: levels.length, due: 0, drafted: 0, extended: 0, lines: 0, errorCount: 0, requisitions: [] };
+
+    const byCompany = new Map();
+    for (const l of levels) {
+        if (!byCompany.has(l.company_id)) byCompany.set(l.company_id, []);
+        byCompany.get(l.company_id).push(l);
+    }
+
+    for (const [cid, group] of byCompany) {
+        let positions;
+        try {
+            positions = await getStockPositions(
+                cid,
+                [...new Set(group.map((l) => l.store_id))],
+                [...new Set(group.map((l) => l.item_id))]
+            );
+        } catch (err) {
+            totals.errorCount++;
+            logger.error(`[Replenishment] Company ${cid} positions failed: ${err.message}`);
+            continue;
+        }
+
+        const byStore = new Map();
+        for (const level of group) {
+            const position = evaluateLevel(level, positions.get(keyOf(level.store_id, level.item_id)));
+            if (!position.below_reorder_point || position.suggested_qty <= EPSILON) continue;
+            totals.due++;
+            if (!byStore.has(level.store_id)) byStore.set(level.store_id, { store: level.store, shortfalls: [] });
+            byStore.get(level.store_id).shortfalls.push({ level, position });
+        }
+
+        let keepers = null;
+        for (const { store, shortfalls } of byStore.values()) {
+            try {
+                const result = await _draftStorePR(store, shortfalls);
+                if (!result) continue;
+
+                totals[result.created ? "drafted" : "extended"]++;
+                totals.lines += result.lineCount;
+                totals.requisitions.push({ id: result.pr.id, prNo: result.pr.pr_no, store: store.name, lines: result.lineCount });
+
+                logAudit({
+                    userId,
+                    module: "inventory",
+                    entity: "purchase_requisition",
+                    entityId: result.pr.id,
+                    action: result.created ? "DRAFT_REPLENISHMENT_PR" : "EXTEND_REPLENISHMENT_PR",
+                    afterData: {
+                        prNo: result.pr.pr_no,
+                        storeId: store.id,
+                        items: shortfalls.map((s) => ({ itemId: s.level.item_id, quantity: s.position.suggested_qty }))
+                    }
+                });
+
+                keepers = keepers ?? await _storeKeepers(cid);
+                await notify({
+                    userIds: keepers,
+                    companyId: cid,
+                    type: "REPLENISHMENT_DRAFTED",
+                    title: `Replenishment PR ${result.pr.pr_no} drafted for ${store.name}`,
+                    message: `${result.lineCount} item(s) at or below reorder point — review and submit`,
+                    entity: "purchase_requisition",
+                    entityId: result.pr.id,
+                    link: `/purchase-requisitions/${result.pr.id}`,
+                    priority: shortfalls.some((s) => s.position.below_min) ? "high" : "normal",
+                    data: { storeId: store.id, prNo: result.pr.pr_no }
+                });
+            } catch (err) {
+                totals.errorCount++;
+                logger.error(`[Replenishment] Store ${store.id} failed: ${err.message}`);
+            }
+        }
+    }
+
+    return totals;
+}
+
+/** On-demand run for the caller's company (or one of its stores). */
+async function runReplenishmentForUser(data, user) {
+    if (data.storeId) {
+        await validateResourceAccess(prisma, "store", data.storeId, user, { module: MODULES.INVENTORY, isWrite: true });
+    }
+    return runReplenishment({ companyId: user.companyId, storeId: data.storeId, userId: user.id });
+}
+
+module.exports = {
+    getStockPositions,
+    evaluateLevel,
+    setReorderLevel,
+    deleteReorderLevel,
+    getReorderLevels,
+    runReplenishment,
+    runReplenishmentForUser
+};
@@ -0,0 +1,312 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { logAudit } = require("../../utils/auditLogger");
+const { AppError } = require("./inventory.errors");
+
+/**
+ * Stock Reservations
+ * ─────────────────────────────────────────────────────────────────────────────
+ * An InventoryPlanningRequest with a store can hold stock for its project:
+ *
+ *   PENDING ──reserve──▶ RESERVED ──issues──▶ ISSUED
+ *                          │  ▲
+ *            expires_at ───┤  └── re-reserve ── EXPIRED
+ *                          └── release ──▶ PENDING / CANCELLED
+ *
+ * While RESERVED its open quantity (quantity − issued_qty) sits in
+ * InventoryStock.reserved_qty. A material issue to a project may use the
+ * store's free stock plus that project's own reservations; other projects'
+ * reservations are off limits. The issue draws the project's reservations down
+ * — the one named on the line, then those for the issue's WBS, then those
+ * without a WBS, then the rest — one issue line per reservation.
+ *
+ * Expired reservations are released by the hourly worker
+ * (src/workers/reservationExpiry.worker.js) and, for the items concerned,
+ * at the start of every material issue.
+ *
+ * SystemSetting INVENTORY_RESERVATION_SETTINGS (company row, falling back to
+ * the company_id = null row):
+ *   { "holdDays": 14 }   reservations expire holdDays after the required date
+ *                        (or after reserving, without one) unless an explicit
+ *                        expiry is given
+ */
+
+const RESERVATION_STATUSES = ["PENDING", "RESERVED", "ISSUED", "EXPIRED", "CANCELLED"];
+const TRANSITIONS = {
+    PENDING: ["RESERVED", "CANCELLED"],
+    RESERVED: ["PENDING", "CANCELLED"],
+    EXPIRED: ["RESERVED", "CANCELLED"],
+    ISSUED: [],
+    CANCELLED: [],
+};
+const DEFAULT_SETTINGS = { holdDays: 14 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+const openQty = (r) => round6(parseFloat(r.quantity) - parseFloat(r.issued_qty ?? 0));
+
+function startOfDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+async function getReservationSettings(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "INVENTORY_RESERVATION_SETTINGS", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_SETTINGS;
+
+    try {
+        const holdDays = Number(JSON.parse(row.value).holdDays);
+        return { holdDays: Number.isInteger(holdDays) && holdDays >= 0 ? holdDays : DEFAULT_SETTINGS.holdDays };
+    } catch (err) {
+        logger.warn("[Reservations] INVENTORY_RESERVATION_SETTINGS is not valid JSON — using defaults");
+        return DEFAULT_SETTINGS;
+    }
+}
+
+/** Lock the stock row for the rest of the transaction and return it. */
+async function _lockStock(tx, storeId, itemId) {
+    await tx.$queryRaw`SELECT id FROM auth.inventory_stocks WHERE store_id = ${storeId}::uuid AND item_id = ${itemId}::uuid FOR UPDATE`;
+    return tx.inventoryStock.findUnique({
+        where: { store_id_item_id: { store_id: storeId, item_id: itemId } }
+    });
+}
+
+/** Give a reservation's open quantity back to the store. */
+async function _release(tx, reservation, status) {
+    const open = openQty(reservation);
+    if (open > EPSILON) {
+        const stock = await _lockStock(tx, reservation.store_id, reservation.item_id);
+        if (stock) {
+            await tx.inventoryStock.update({
+                where: { id: stock.id },
+                data: { reserved_qty: { decrement: Math.min(open, parseFloat(stock.reserved_qty)) } }
+            });
+        }
+    }
+    return tx.inventoryPlanningRequest.update({
+        where: { id: reservation.id },
+        data: { reservation_status: status }
+    });
+}
+
+// ─── Availability ────────────────────────────────────────────────────────────
+
+/**
+ * What a project may issue from a store: on hand less the reservations of
+ * other projects. Locks the stock row.
+ */
+async function getAvailableToProject(tx, { storeId, itemId, projectId }) {
+    const stock = await _lockStock(tx, storeId, itemId);
+    const onHand = parseFloat(stock?.quantity ?? 0);
+    const reserved = parseFloat(stock?.reserved_qty ?? 0);
+
+    const own = projectId
+        ? await tx.inventoryPlanningRequest.findMany({
+            where: { store_id: storeId, item_id: itemId, project_id: projectId, reservation_status: "RESERVED", deleted_at: null },
+            select: { quantity: true, issued_qty: true }
+        })
+        : [];
+    const ownReserved = round6(own.reduce((sum, r) => sum + openQty(r), 0));
+    const reservedForOthers = round6(Math.max(reserved - ownReserved, 0));
+
+    return {
+        onHand,
+        reserved,
+        ownReserved,
+        reservedForOthers,
+        available: round6(Math.max(onHand - reservedForOthers, 0))
+    };
+}
+
+// ─── Status Changes ──────────────────────────────────────────────────────────
+
+/**
+ * Move a planning request to RESERVED, PENDING (release), EXPIRED or CANCELLED.
+ * ISSUED is reached only through material issues.
+ *
+ * Transaction boundaries:
+ *   1. Lock the request; check the transition
+ *   2. RESERVED: lock the stock row, check free stock, hold the open quantity
+ *      Otherwise: give a held quantity back
+ *
+ * @param {{ expiresAt?: Date|string }} [options] - explicit expiry when reserving
+ */
+async function setReservationStatus(requestId, status, user, options = {}, ipAddress, deviceInfo) {
+    const next = String(status || "").toUpperCase();
+    if (!RESERVATION_STATUSES.includes(next)) {
+        throw new AppError(`status must be one of ${RESERVATION_STATUSES.join(", ")}`, 400);
+    }
+    if (next === "ISSUED") {
+        throw new AppError("Reservations are issued through POST /inventory/reservations/:id/issue or a material issue", 422);
+    }
+
+    const existing = await prisma.inventoryPlanningRequest.findFirst({
+        where: { id: requestId, ...(user.isSuperAdmin ? {} : { company_id: user.companyId }), deleted_at: null }
+    });
+    if (!existing) throw new AppError("Planning request not found or access denied", 404);
+
+    const settings = next === "RESERVED" ? await getReservationSettings(existing.company_id) : null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+        // ── 1. Lock and check the transition ────────────────────────────────
+        await tx.$queryRaw`SELECT id FROM auth.inventory_planning_requests WHERE id = ${requestId}::uuid FOR UPDATE`;
+        const request = await tx.inventoryPlanningRequest.findUnique({ where: { id: requestId } });
+        if (request.reservation_status === next) return request;
+        if (!TRANSITIONS[request.reservation_status]?.includes(next)) {
+            throw new AppError(`Cannot move a ${request.reservation_status} request to ${next}`, 409);
+        }
+
+        // ── 2. Hold or release stock ────────────────────────────────────────
+        if (next !== "RESERVED") {
+            return request.reservation_status === "RESERVED"
+                ? _release(tx, request, next)
+                : tx.inventoryPlanningRequest.update({ where: { id: requestId }, data: { reservation_status: next } });
+        }
+
+        if (!request.store_id) throw new AppError("A reservation needs a store", 422);
+        const open = openQty(request);
+        const stock = await _lockStock(tx, request.store_id, request.item_id);
+        const free = round6(parseFloat(stock?.quantity ?? 0) - parseFloat(stock?.reserved_qty ?? 0));
+        if (free < open - EPSILON) {
+            const item = await tx.item.findUnique({ where: { id: request.item_id }, select: { name: true } });
+            throw new AppError(
+                `Cannot reserve ${open} of "${item?.name ?? request.item_id}": only ${Math.max(free, 0)} unreserved in the store`,
+                422
+            );
+        }
+        await tx.inventoryStock.update({
+            where: { id: stock.id },
+            data: { reserved_qty: { increment: open } }
+        });
+
+        // Held to the end of the holdDays-th day after the required date (or today)
+        const now = new Date();
+        const from = startOfDay(request.required_date && new Date(request.required_date) > now ? new Date(request.required_date) : now);
+        return tx.inventoryPlanningRequest.update({
+            where: { id: requestId },
+            data: {
+                reservation_status: "RESERVED",
+                reserved_at: now,
+                expires_at: options.expiresAt ? new Date(options.expiresAt) : new Date(from.getTime() + (settings.holdDays + 1) * DAY_MS)
+            }
+        });
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "inventory",
+        entity: "inventory_reservation",
+        entityId: requestId,
+        action: `RESERVATION_${next}`,
+        beforeData: { status: existing.reservation_status },
+        afterData: {
+            status: updated.reservation_status,
+            storeId: updated.store_id,
+            itemId: updated.item_id,
+            quantity: openQty(updated),
+            expiresAt: updated.expires_at ?? null
+        },
+        ipAddress,
+        deviceInfo
+    });
+
+    return updated;
+}
+
+// ─── Expiry ──────────────────────────────────────────────────────────────────
+
+/**
+ * Release RESERVED requests past their expiry, optionally only for one
+ * store/item. Runs inside the caller's transaction when `tx` is given.
+ *
+ * @returns {Promise<number>} reservations expired
+ */
+async function expireReservations(tx = null, { storeId, itemId, now = new Date() } = {}) {
+    const client = tx || prisma;
+    const due = await client.inventoryPlanningRequest.findMany({
+        where: {
+            reservation_status: "RESERVED",
+            expires_at: { lt: now },
+            deleted_at: null,
+            ...(storeId && { store_id: storeId }),
+            ...(itemId && { item_id: itemId })
+        }
+    });
+
+    let expired = 0;
+    for (const reservation of due) {
+        const released = tx
+            ? await _release(tx, reservation, "EXPIRED")
+            : await prisma.$transaction(async (t) => {
+                await t.$queryRaw`SELECT id FROM auth.inventory_planning_requests WHERE id = ${reservation.id}::uuid FOR UPDATE`;
+                const current = await t.inventoryPlanningRequest.findUnique({ where: { id: reservation.id } });
+                return current.reservation_status === "RESERVED" ? _release(t, current, "EXPIRED") : null;
+            });
+        if (!released) continue;
+        expired++;
+        logger.info(`[Reservations] Reservation ${reservation.id} expired — released ${openQty(reservation)} of item ${reservation.item_id}`);
+    }
+    return expired;
+}
+
+// ─── Issue Draw-Down ─────────────────────────────────────────────────────────
+
+/**
+ * Split an issue line over the project's reservations and draw them down.
+ * Call after getAvailableToProject (which holds the stock row lock).
+ *
+ * @returns {Promise<Array<{ reservationId: string|null, quantity: number }>>}
+ */
+async function drawDownForIssue(tx, { storeId, itemId, projectId, wbsId, quantity, reservationId = null }) {
+    const reservations = await tx.inventoryPlanningRequest.findMany({
+        where: { store_id: storeId, item_id: itemId, project_id: projectId, reservation_status: "RESERVED", deleted_at: null },
+        orderBy: [{ required_date: "asc" }, { reserved_at: "asc" }]
+    });
+    const rank = (r) => (r.id === reservationId ? 0 : r.wbs_id === wbsId ? 1 : !r.wbs_id ? 2 : 3);
+    reservations.sort((a, b) => rank(a) - rank(b));
+
+    const chunks = [];
+    let remaining = round6(parseFloat(quantity));
+    let drawn = 0;
+    for (const r of reservations) {
+        if (remaining <= EPSILON) break;
+        const open = openQty(r);
+        const take = round6(Math.min(remaining, open));
+        if (take <= EPSILON) continue;
+
+        await tx.inventoryPlanningRequest.update({
+            where: { id: r.id },
+            data: {
+                issued_qty: { increment: take },
+                ...(open - take <= EPSILON && { reservation_status: "ISSUED" })
+            }
+        });
+        chunks.push({ reservationId: r.id, quantity: take });
+        drawn += take;
+        remaining = round6(remaining - take);
+    }
+
+    if (drawn > EPSILON) {
+        await tx.inventoryStock.update({
+            where: { store_id_item_id: { store_id: storeId, item_id: itemId } },
+            data: { reserved_qty: { decrement: round6(drawn) } }
+        });
+    }
+    if (remaining > EPSILON) chunks.push({ reservationId: null, quantity: remaining });
+    return chunks;
+}
+
+module.exports = {
+    RESERVATION_STATUSES,
+    getReservationSettings,
+    getAvailableToProject,
+    setReservationStatus,
+    expireReservations,
+    drawDownForIssue,
+    openQty
+};
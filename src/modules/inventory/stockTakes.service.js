@@ -0,0 +1,656 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { registerAdapter } = require("../approvals/approvals.adapter");
+const { requestApproval } = require("../approvals/approvals.service");
+const { AppError } = require("./inventory.errors");
+const { getValuationMethod, postInbound, postOutbound } = require("./valuation.service");
+
+/**
+ * Stock-Take & Cycle Counting
+ * ─────────────────────────────────────────────────────────────────────────────
+ *   start    freeze the book quantity, value and unit cost of every item in the
+ *            store (full) or of the chosen items (cycle)
+ *   count    count sheets (JSON or CSV); counted quantities can be entered in
+ *            several passes. A blind session hides book quantities and
+ *            variances until it is submitted.
+ *   submit   variance = counted − frozen quantity, valued at the frozen unit
+ *            cost. If the gross variance value is within the company's
+ *            STOCK_TAKE_APPROVAL_THRESHOLD the adjustments post at once;
+ *            above it the session goes to the approval engine as
+ *            STOCK_ADJUSTMENT and posts when approved.
+ *   post     ADJUST_IN at the frozen unit cost, ADJUST_OUT at the current
+ *            valuation cost (WAC / FIFO), all in one transaction
+ *
+ * Counts are compared with the frozen snapshot, so nothing may move in or out
+ * of the counted items between freeze and count: while a session is counting
+ * or sent back, valuation.service refuses every movement of its items (of the
+ * whole store for a full count) other than the session's own adjustments.
+ * Each item can be in only one open session per store.
+ *
+ * SystemSetting STOCK_TAKE_APPROVAL_THRESHOLD (company row, falling back to
+ * the company_id = null row), base currency:  { "amount": 5000 }
+ */
+
+const DEFAULT_APPROVAL_THRESHOLD = 5000;
+const OPEN_STATUSES = ["counting", "pending_approval", "sent_back", "approved"];
+const COUNTING_STATUSES = ["counting", "sent_back"];
+const EPSILON = 1e-9;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+async function _generateCountNo(tx, companyId) {
+    const today = new Date();
+    const datePart = today.toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await tx.stockTake.count({ where: { company_id: companyId } });
+    return `STK-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+async function getApprovalThreshold(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "STOCK_TAKE_APPROVAL_THRESHOLD", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_APPROVAL_THRESHOLD;
+
+    try {
+        const amount = Number(JSON.parse(row.value).amount);
+        return amount >= 0 ? amount : DEFAULT_APPROVAL_THRESHOLD;
+    } catch (err) {
+        logger.warn("[StockTake] STOCK_TAKE_APPROVAL_THRESHOLD is not valid JSON — using default");
+        return DEFAULT_APPROVAL_THRESHOLD;
+    }
+}
+
+const lineInclude = { item: { select: { id: true, name: true, unit: true, category: true } } };
+
+async function _loadStockTake(client, id, companyId) {
+    const take = await client.stockTake.findFirst({
+        where: { id, company_id: companyId },
+        include: {
+            store: { select: { id: true, name: true } },
+            lines: { include: lineInclude, orderBy: { id: "asc" } }
+        }
+    });
+    if (!take) throw new AppError("Stock-take not found or access denied", 404);
+    return take;
+}
+
+/** Blind sessions keep book quantities and variances hidden until submitted. */
+function _present(take) {
+    if (!take.blind || !COUNTING_STATUSES.includes(take.status)) return take;
+    return {
+        ...take,
+        net_variance_value: null,
+        gross_variance_value: null,
+        lines: take.lines.map(({ snapshot_qty, snapshot_value, variance_qty, variance_value, ...line }) => line)
+    };
+}
+
+/** Unit cost of stock not on the books at freeze: current average, else standard price. */
+async function _unitCostFor(tx, storeId, itemId) {
+    const stock = await tx.inventoryStock.findUnique({
+        where: { store_id_item_id: { store_id: storeId, item_id: itemId } }
+    });
+    if (stock && parseFloat(stock.quantity) > EPSILON) {
+        return round6(parseFloat(stock.total_value) / parseFloat(stock.quantity));
+    }
+    const item = await tx.item.findUnique({ where: { id: itemId }, select: { standard_price: true } });
+    return round6(parseFloat(item?.standard_price ?? 0));
+}
+
+// ─── startStockTake ──────────────────────────────────────────────────────────
+/**
+ * Open a session and freeze the snapshot.
+ *
+ * Transaction boundaries:
+ *   1. Validate store (physical) and, for a cycle count, the items
+ *   2. Block items already in another open session of the store
+ *   3. Freeze quantity, value and unit cost per item
+ *   4. Create the session + lines
+ */
+async function startStockTake(data, user, ipAddress, deviceInfo) {
+    const { storeId, scope = "full", itemIds = [], blind = false, remarks } = data;
+    await validateResourceAccess(prisma, "store", storeId, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const { companyId, id: userId } = user;
+
+    const take = await prisma.$transaction(async (tx) => {
+        // ── 1. Validate store and items ─────────────────────────────────────
+        const store = await tx.store.findFirst({ where: { id: storeId, company_id: companyId, is_transit: false } });
+        if (!store) throw new AppError("store not found or access denied", 404);
+
+        let stocks;
+        if (scope === "cycle") {
+            const items = await tx.item.findMany({ where: { id: { in: itemIds }, company_id: companyId }, select: { id: true } });
+            if (items.length !== new Set(itemIds).size) throw new AppError("One or more items not found or access denied", 404);
+            const rows = await tx.inventoryStock.findMany({ where: { store_id: storeId, item_id: { in: itemIds } } });
+            const byItem = new Map(rows.map((r) => [r.item_id, r]));
+            stocks = [...new Set(itemIds)].map((itemId) => byItem.get(itemId) ?? { item_id: itemId, quantity: 0, total_value: 0 });
+        } else {
+            stocks = await tx.inventoryStock.findMany({ where: { store_id: storeId } });
+            if (stocks.length === 0) throw new AppError(`Store "${store.name}" has no stock records to count`, 422);
+        }
+
+        // ── 2. One open session per store item ──────────────────────────────
+        const clash = await tx.stockTakeLine.findFirst({
+            where: {
+                item_id: { in: stocks.map((s) => s.item_id) },
+                stock_take: { store_id: storeId, status: { in: OPEN_STATUSES } }
+            },
+            include: { stock_take: { select: { count_no: true } }, item: { select: { name: true } } }
+        });
+        if (clash) {
+            throw new AppError(`"${clash.item?.name ?? clash.item_id}" is already being counted in ${clash.stock_take.count_no}`, 409);
+        }
+
+        // ── 3. Freeze the snapshot ──────────────────────────────────────────
+        const lines = [];
+        for (const s of stocks) {
+            const qty = parseFloat(s.quantity);
+            const value = parseFloat(s.total_value);
+            lines.push({
+                item_id: s.item_id,
+                snapshot_qty: qty,
+                snapshot_value: value,
+                unit_cost: qty > EPSILON ? round6(value / qty) : await _unitCostFor(tx, storeId, s.item_id)
+            });
+        }
+
+        // ── 4. Session + lines ──────────────────────────────────────────────
+        return tx.stockTake.create({
+            data: {
+                count_no: await _generateCountNo(tx, companyId),
+                company_id: companyId,
+                store_id: storeId,
+                scope,
+                blind,
+                remarks: remarks || null,
+                frozen_at: new Date(),
+                created_by: userId,
+                lines: { create: lines }
+            }
+        });
+    });
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_take",
+        entityId: take.id,
+        action: "START_STOCK_TAKE",
+        afterData: { countNo: take.count_no, storeId, scope, blind },
+        ipAddress,
+        deviceInfo
+    });
+
+    return getStockTake(user, take.id);
+}
+
+// ─── recordCounts ────────────────────────────────────────────────────────────
+/**
+ * Enter counted quantities; a later count for the same item replaces the
+ * earlier one. Items found on the shelf but not on the books are added to a
+ * full stock-take with a book quantity of zero.
+ */
+async function recordCounts(stockTakeId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+    const existing = await _loadStockTake(prisma, stockTakeId, companyId);
+    await validateResourceAccess(prisma, "store", existing.store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM auth.inventory_stock_takes WHERE id = ${stockTakeId}::uuid FOR UPDATE`;
+        const take = await _loadStockTake(tx, stockTakeId, companyId);
+        if (!COUNTING_STATUSES.includes(take.status)) {
+            throw new AppError(`Stock-take ${take.count_no} is ${take.status}; counts can no longer change`, 409);
+        }
+
+        const lineMap = new Map(take.lines.map((l) => [l.item_id, l]));
+        const now = new Date();
+        for (const count of data.lines) {
+            const line = lineMap.get(count.itemId);
+            if (line) {
+                await tx.stockTakeLine.update({
+                    where: { id: line.id },
+                    data: {
+                        counted_qty: count.countedQty,
+                        counted_by: userId,
+                        counted_at: now,
+                        remarks: count.remarks ?? line.remarks
+                    }
+                });
+                continue;
+            }
+
+            if (take.scope === "cycle") {
+                throw new AppError(`Item ${count.itemId} is not part of cycle count ${take.count_no}`, 422);
+            }
+            const item = await tx.item.findFirst({ where: { id: count.itemId, company_id: companyId } });
+            if (!item) throw new AppError("item not found or access denied", 404);
+
+            const created = await tx.stockTakeLine.create({
+                data: {
+                    stock_take_id: stockTakeId,
+                    item_id: count.itemId,
+                    snapshot_qty: 0,
+                    snapshot_value: 0,
+                    unit_cost: await _unitCostFor(tx, take.store_id, count.itemId),
+                    counted_qty: count.countedQty,
+                    counted_by: userId,
+                    counted_at: now,
+                    remarks: count.remarks ?? null
+                }
+            });
+            lineMap.set(count.itemId, created);
+        }
+
+        await tx.stockTake.update({ where: { id: stockTakeId }, data: { updated_at: now } });
+    });
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_take",
+        entityId: stockTakeId,
+        action: "RECORD_STOCK_COUNT",
+        afterData: { countNo: existing.count_no, lineCount: data.lines.length },
+        ipAddress,
+        deviceInfo
+    });
+
+    return getStockTake(user, stockTakeId);
+}
+
+// ─── Posting ─────────────────────────────────────────────────────────────────
+
+/**
+ * Post the variances of a locked session: ADJUST_IN at the frozen unit cost,
+ * ADJUST_OUT at the current valuation cost. Caller holds the row lock.
+ */
+async function _postAdjustments(tx, take, userId) {
+    const method = await getValuationMethod(take.company_id, tx);
+    let posted = 0;
+
+    for (const line of take.lines) {
+        const variance = parseFloat(line.variance_qty ?? 0);
+        if (Math.abs(variance) <= EPSILON) continue;
+
+        const movement = {
+            companyId: take.company_id,
+            storeId: take.store_id,
+            itemId: line.item_id,
+            quantity: Math.abs(variance),
+            label: line.item?.name ?? line.item_id,
+            referenceId: take.id,
+            stockTakeId: take.id,
+            userId,
+            method
+        };
+        const result = variance > 0
+            ? await postInbound(tx, { ...movement, moveType: "ADJUST_IN", unitCost: parseFloat(line.unit_cost) })
+            : await postOutbound(tx, { ...movement, moveType: "ADJUST_OUT", allowReserved: true });
+
+        await tx.stockTakeLine.update({
+            where: { id: line.id },
+            data: { posted_value: variance > 0 ? result.totalCost : -result.totalCost }
+        });
+        posted++;
+    }
+
+    const now = new Date();
+    await tx.stockTake.update({
+        where: { id: take.id },
+        data: { status: "posted", posted_by: userId, posted_at: now, updated_at: now }
+    });
+    return posted;
+}
+
+/** Lock, re-check status and post; shared by submit, manual post and the approval adapter. */
+async function _lockAndPost(stockTakeId, companyId, userId, allowedStatuses) {
+    return prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM auth.inventory_stock_takes WHERE id = ${stockTakeId}::uuid FOR UPDATE`;
+        const take = await _loadStockTake(tx, stockTakeId, companyId);
+        if (!allowedStatuses.includes(take.status)) {
+            throw new AppError(`Stock-take ${take.count_no} is ${take.status}; adjustments cannot be posted`, 409);
+        }
+        return _postAdjustments(tx, take, userId);
+    });
+}
+
+// ─── submitStockTake ─────────────────────────────────────────────────────────
+/**
+ * Close counting and compute variances.
+ *
+ * Transaction boundaries:
+ *   1. Lock the session; every line must be counted
+ *   2. Variance qty and value per line, net and gross totals
+ *   3. Within threshold: post now. Above: pending_approval (approval requested
+ *      after the transaction commits)
+ */
+async function submitStockTake(stockTakeId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+    const existing = await _loadStockTake(prisma, stockTakeId, companyId);
+    await validateResourceAccess(prisma, "store", existing.store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const threshold = await getApprovalThreshold(companyId);
+
+    const outcome = await prisma.$transaction(async (tx) => {
+        // ── 1. Lock and check counts ────────────────────────────────────────
+        await tx.$queryRaw`SELECT id FROM auth.inventory_stock_takes WHERE id = ${stockTakeId}::uuid FOR UPDATE`;
+        const take = await _loadStockTake(tx, stockTakeId, companyId);
+        if (!COUNTING_STATUSES.includes(take.status)) {
+            throw new AppError(`Stock-take ${take.count_no} is ${take.status}; only a session being counted can be submitted`, 409);
+        }
+        const uncounted = take.lines.filter((l) => l.counted_qty === null || l.counted_qty === undefined);
+        if (uncounted.length > 0) {
+            throw new AppError(
+                `${uncounted.length} line(s) not counted yet: ${uncounted.slice(0, 5).map((l) => l.item?.name ?? l.item_id).join(", ")}`,
+                422
+            );
+        }
+
+        // ── 2. Variances ────────────────────────────────────────────────────
+        let net = 0;
+        let gross = 0;
+        const lines = [];
+        for (const line of take.lines) {
+            const varianceQty = round6(parseFloat(line.counted_qty) - parseFloat(line.snapshot_qty));
+            const varianceValue = round2(varianceQty * parseFloat(line.unit_cost));
+            net += varianceValue;
+            gross += Math.abs(varianceValue);
+            const updated = await tx.stockTakeLine.update({
+                where: { id: line.id },
+                data: { variance_qty: varianceQty, variance_value: varianceValue },
+                include: lineInclude
+            });
+            lines.push(updated);
+        }
+        net = round2(net);
+        gross = round2(gross);
+
+        const now = new Date();
+        const needsApproval = gross > threshold;
+        await tx.stockTake.update({
+            where: { id: stockTakeId },
+            data: {
+                status: needsApproval ? "pending_approval" : take.status,
+                net_variance_value: net,
+                gross_variance_value: gross,
+                submitted_by: userId,
+                submitted_at: now,
+                updated_at: now
+            }
+        });
+
+        // ── 3. Post now when within threshold ───────────────────────────────
+        if (!needsApproval) {
+            await _postAdjustments(tx, { ...take, lines }, userId);
+        }
+        return { take, lines, net, gross, needsApproval, previousStatus: take.status };
+    });
+
+    if (outcome.needsApproval) {
+        const varianceLines = outcome.lines.filter((l) => Math.abs(parseFloat(l.variance_qty)) > EPSILON);
+        try {
+            const approval = await requestApproval({
+                docType: "STOCK_ADJUSTMENT",
+                docId: stockTakeId,
+                projectId: null,
+                amount: outcome.gross,
+                remarks: `Stock-take ${existing.count_no} at ${existing.store.name}: ${varianceLines.length} variance line(s), net ${outcome.net}`,
+                items: varianceLines.map((l) => ({
+                    itemName: l.item?.name ?? l.item_id,
+                    quantity: parseFloat(l.variance_qty),
+                    unit: l.item?.unit ?? null,
+                    unitPrice: parseFloat(l.unit_cost),
+                    totalPrice: parseFloat(l.variance_value)
+                }))
+            }, userId, ipAddress, deviceInfo);
+
+            await prisma.stockTake.update({
+                where: { id: stockTakeId },
+                data: { approval_request_id: approval.approvalRequestId }
+            });
+        } catch (err) {
+            // Reopen for counting so the submit can be retried
+            await prisma.stockTake.update({
+                where: { id: stockTakeId },
+                data: { status: outcome.previousStatus, updated_at: new Date() }
+            });
+            throw err;
+        }
+    }
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_take",
+        entityId: stockTakeId,
+        action: "SUBMIT_STOCK_TAKE",
+        beforeData: { status: outcome.previousStatus },
+        afterData: {
+            countNo: existing.count_no,
+            netVarianceValue: outcome.net,
+            grossVarianceValue: outcome.gross,
+            threshold,
+            status: outcome.needsApproval ? "pending_approval" : "posted"
+        },
+        ipAddress,
+        deviceInfo
+    });
+
+    return getStockTake(user, stockTakeId);
+}
+
+// ─── postStockTake ───────────────────────────────────────────────────────────
+/**
+ * Post an approved session. Runs automatically on approval; this is the
+ * retry when that failed (e.g. stock issued from the store since the freeze).
+ */
+async function postStockTake(stockTakeId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+    const existing = await _loadStockTake(prisma, stockTakeId, companyId);
+    await validateResourceAccess(prisma, "store", existing.store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const posted = await _lockAndPost(stockTakeId, companyId, userId, ["approved"]);
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_take",
+        entityId: stockTakeId,
+        action: "POST_STOCK_TAKE",
+        beforeData: { status: existing.status },
+        afterData: { countNo: existing.count_no, adjustmentLines: posted },
+        ipAddress,
+        deviceInfo
+    });
+
+    return getStockTake(user, stockTakeId);
+}
+
+// ─── cancelStockTake ─────────────────────────────────────────────────────────
+async function cancelStockTake(stockTakeId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+    const existing = await _loadStockTake(prisma, stockTakeId, companyId);
+    await validateResourceAccess(prisma, "store", existing.store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const { count } = await prisma.stockTake.updateMany({
+        where: { id: stockTakeId, company_id: companyId, status: { in: COUNTING_STATUSES } },
+        data: {
+            status: "cancelled",
+            remarks: data.reason ? [existing.remarks, `Cancelled: ${data.reason}`].filter(Boolean).join("\n") : existing.remarks,
+            updated_at: new Date()
+        }
+    });
+    if (count === 0) {
+        throw new AppError(`Stock-take ${existing.count_no} is ${existing.status}; only a session being counted can be cancelled`, 409);
+    }
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_take",
+        entityId: stockTakeId,
+        action: "CANCEL_STOCK_TAKE",
+        beforeData: { status: existing.status },
+        afterData: { countNo: existing.count_no, status: "cancelled", reason: data.reason || null },
+        ipAddress,
+        deviceInfo
+    });
+
+    return getStockTake(user, stockTakeId);
+}
+
+// ─── Approval Adapter ────────────────────────────────────────────────────────
+
+registerAdapter("STOCK_ADJUSTMENT", async ({ docId, status, userId }) => {
+    const next = {
+        in_approval: "pending_approval",
+        approved: "approved",
+        rejected: "rejected",
+        cancelled: "cancelled",
+        sent_back: "sent_back",
+    }[status];
+    if (!next) return;
+
+    const { count } = await prisma.stockTake.updateMany({
+        where: { id: docId, status: { in: ["pending_approval", "sent_back"] } },
+        data: { status: next, updated_at: new Date() },
+    });
+    if (count === 0 || next !== "approved") return;
+
+    const take = await prisma.stockTake.findUnique({ where: { id: docId }, select: { company_id: true, count_no: true } });
+    try {
+        await _lockAndPost(docId, take.company_id, userId ?? null, ["approved"]);
+    } catch (err) {
+        // Stays "approved" — POST /inventory/stock-takes/:id/post retries
+        logger.error(`[StockTake] Posting approved stock-take ${take.count_no} failed: ${err.message}`);
+    }
+});
+
+registerAdapter("STOCK_ADJUSTMENT:meta", async ({ docId }) => {
+    const take = await prisma.stockTake.findUnique({
+        where: { id: docId },
+        include: { store: { select: { name: true } }, lines: { select: { variance_qty: true, variance_value: true } } },
+    });
+    if (!take) return null;
+
+    const varianceLines = take.lines.filter((l) => Math.abs(parseFloat(l.variance_qty ?? 0)) > EPSILON);
+    const gains = varianceLines.filter((l) => parseFloat(l.variance_value) > 0);
+    const losses = varianceLines.filter((l) => parseFloat(l.variance_value) < 0);
+    return {
+        title: `Stock Adjustment: ${take.count_no}`,
+        amount: Number(take.gross_variance_value ?? 0),
+        description: `${take.scope === "cycle" ? "Cycle count" : "Stock-take"} at ${take.store.name}: ${varianceLines.length} of ${take.lines.length} line(s) differ, net ${Number(take.net_variance_value ?? 0)}`,
+        attributes: {
+            store: take.store.name,
+            scope: take.scope,
+            blind: take.blind,
+            netVarianceValue: Number(take.net_variance_value ?? 0),
+            gainValue: round2(gains.reduce((s, l) => s + parseFloat(l.variance_value), 0)),
+            lossValue: round2(losses.reduce((s, l) => s + parseFloat(l.variance_value), 0)),
+        },
+    };
+});
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+async function getStockTakeList(user, filters = {}) {
+    const { storeId, status, page = 1, pageSize = 20 } = filters;
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+
+    if (storeId) where.store_id = storeId;
+    if (status) where.status = status;
+
+    const [data, total] = await Promise.all([
+        prisma.stockTake.findMany({
+            where,
+            include: {
+                store: { select: { id: true, name: true } },
+                _count: { select: { lines: true } }
+            },
+            orderBy: { created_at: "desc" },
+            skip: (page - 1) * pageSize,
+            take: pageSize
+        }),
+        prisma.stockTake.count({ where })
+    ]);
+
+    return { data: data.map(_present), total, page, pageSize };
+}
+
+async function getStockTake(user, stockTakeId) {
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+    const take = await prisma.stockTake.findFirst({
+        where: { ...where, id: stockTakeId },
+        include: {
+            store: { select: { id: true, name: true } },
+            lines: { include: lineInclude, orderBy: { id: "asc" } }
+        }
+    });
+    if (!take) throw new AppError("Stock-take not found or access denied", 404);
+    return _present(take);
+}
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Count sheet for the counters, sorted by item name. Blind sessions leave the
+ * book quantity off. CSV columns line up with POST /:id/counts.
+ *
+ * @param {string} format - "json" | "csv"
+ */
+async function getCountSheet(user, stockTakeId, format = "json") {
+    const take = await getStockTake(user, stockTakeId);
+    const showBook = !(take.blind && COUNTING_STATUSES.includes(take.status));
+
+    const rows = [...take.lines]
+        .sort((a, b) => String(a.item?.name ?? "").localeCompare(String(b.item?.name ?? "")))
+        .map((l, i) => ({
+            line: i + 1,
+            itemId: l.item_id,
+            itemName: l.item?.name ?? null,
+            category: l.item?.category ?? null,
+            unit: l.item?.unit ?? null,
+            ...(showBook ? { bookQty: parseFloat(l.snapshot_qty) } : {}),
+            countedQty: l.counted_qty === null || l.counted_qty === undefined ? null : parseFloat(l.counted_qty),
+            remarks: l.remarks ?? null
+        }));
+
+    const sheet = {
+        countNo: take.count_no,
+        store: take.store,
+        scope: take.scope,
+        blind: take.blind,
+        status: take.status,
+        frozenAt: take.frozen_at,
+        rows
+    };
+    if (format !== "csv") return sheet;
+
+    const columns = ["line", "itemId", "itemName", "category", "unit", ...(showBook ? ["bookQty"] : []), "countedQty", "remarks"];
+    const content = [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\n");
+    return { filename: `${take.count_no}.csv`, contentType: "text/csv; charset=utf-8", content };
+}
+
+module.exports = {
+    getApprovalThreshold,
+    startStockTake,
+    recordCounts,
+    submitStockTake,
+    postStockTake,
+    cancelStockTake,
+    getStockTakeList,
+    getStockTake,
+    getCountSheet
+};
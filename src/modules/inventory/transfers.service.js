@@ -0,0 +1,448 @@
+"use strict";
+
+const prisma = require("../../db");
+const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { AppError } = require("./inventory.errors");
+const { getValuationMethod, postInbound, postOutbound } = require("./valuation.service");
+
+/**
+ * Inter-Store Stock Transfers
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A transfer moves material between two stores of the same company:
+ *
+ *   draft ─dispatch─▶ in_transit ─receive─▶ partially_received ─receive─▶ received
+ *     └─cancel─▶ cancelled
+ *
+ * Dispatch takes the full quantity out of the source store and puts it into
+ * the company's virtual in-transit store (Store.is_transit), so stock on the
+ * road is still visible in the snapshot and the ledger. Each receipt moves part
+ * of it on to the destination store; whatever will never arrive is written off
+ * from the in-transit store as TRANSIT_LOSS with a reason. The transfer is
+ * received once every line is fully received or lost. Dispatch only takes the
+ * source store's free stock; quantities reserved for projects stay behind.
+ *
+ * Ledger entries (quantity always positive, cost carried at valuation cost):
+ *   dispatch  TRANSFER_OUT @ source   + TRANSFER_IN  @ in-transit  (ref transfer)
+ *   receipt   TRANSFER_OUT @ in-transit + TRANSFER_IN @ destination (ref receipt)
+ *   loss      TRANSIT_LOSS @ in-transit                            (ref receipt)
+ */
+
+const TRANSIT_STORE_NAME = "In Transit";
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+async function _generateTransferNo(tx, companyId) {
+    const today = new Date();
+    const datePart = today.toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await tx.stockTransfer.count({ where: { company_id: companyId } });
+    return `TRF-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+/** Physical (non-transit), active store of the company. */
+async function _findStore(tx, storeId, companyId) {
+    const store = await tx.store.findFirst({
+        where: { id: storeId, company_id: companyId, is_transit: false, is_active: true }
+    });
+    if (!store) throw new AppError("store not found or access denied", 404);
+    return store;
+}
+
+/** The company's in-transit store, created on first use. */
+async function _getTransitStore(tx, companyId) {
+    const existing = await tx.store.findFirst({ where: { company_id: companyId, is_transit: true } });
+    if (existing) return existing;
+    return tx.store.create({
+        data: {
+            company_id: companyId,
+            name: TRANSIT_STORE_NAME,
+            description: "Virtual location for stock dispatched on a transfer and not yet received",
+            is_transit: true,
+            is_active: true
+        }
+    });
+}
+
+/**
+ * Move stock between two stores at its valuation cost: TRANSFER_OUT at the
+ * source's WAC / FIFO cost, TRANSFER_IN carrying exactly that value.
+ */
+async function _move(tx, m, fromStoreId, toStoreId) {
+    const out = await postOutbound(tx, { ...m, storeId: fromStoreId, moveType: "TRANSFER_OUT" });
+    await postInbound(tx, { ...m, storeId: toStoreId, moveType: "TRANSFER_IN", totalCost: out.totalCost });
+    return out;
+}
+
+const _outstanding = (line) =>
+    parseFloat(line.qty_dispatched) - parseFloat(line.qty_received) - parseFloat(line.qty_lost);
+
+async function _loadTransfer(tx, transferId, companyId) {
+    const transfer = await tx.stockTransfer.findFirst({
+        where: { id: transferId, company_id: companyId },
+        include: { items: { include: { item: { select: { id: true, name: true } } } } }
+    });
+    if (!transfer) throw new AppError("Stock transfer not found or access denied", 404);
+    return transfer;
+}
+
+// ─── createTransfer ──────────────────────────────────────────────────────────
+/**
+ * Draft a transfer. Stock is not touched until dispatch.
+ */
+async function createTransfer(data, user, ipAddress, deviceInfo) {
+    const { fromStoreId, toStoreId, vehicleNo, remarks, items } = data;
+
+    if (fromStoreId === toStoreId) {
+        throw new AppError("Source and destination store must differ", 422);
+    }
+    const itemIds = items.map((l) => l.itemId);
+    if (new Set(itemIds).size !== itemIds.length) {
+        throw new AppError("Each item may appear only once on a transfer", 422);
+    }
+
+    await validateResourceAccess(prisma, "store", fromStoreId, user, { module: MODULES.INVENTORY, isWrite: true });
+    await validateResourceAccess(prisma, "store", toStoreId, user, { module: MODULES.INVENTORY, isWrite: false });
+
+    const { companyId, id: userId } = user;
+
+    const transfer = await prisma.$transaction(async (tx) => {
+        // ── 1. Validate stores and items ────────────────────────────────────
+        await _findStore(tx, fromStoreId, companyId);
+        await _findStore(tx, toStoreId, companyId);
+        for (const line of items) {
+            const item = await tx.item.findFirst({ where: { id: line.itemId, company_id: companyId } });
+            if (!item) throw new AppError("item not found or access denied", 404);
+        }
+
+        // ── 2. Create header + lines ────────────────────────────────────────
+        return tx.stockTransfer.create({
+            data: {
+                transfer_no: await _generateTransferNo(tx, companyId),
+                company_id: companyId,
+                from_store_id: fromStoreId,
+                to_store_id: toStoreId,
+                vehicle_no: vehicleNo || null,
+                remarks: remarks || null,
+                created_by: userId,
+                items: {
+                    create: items.map((l) => ({ item_id: l.itemId, qty_dispatched: l.quantity }))
+                }
+            },
+            include: { items: true }
+        });
+    });
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_transfer",
+        entityId: transfer.id,
+        action: "CREATE_TRANSFER",
+        afterData: { transferNo: transfer.transfer_no, fromStoreId, toStoreId, lineCount: items.length },
+        ipAddress,
+        deviceInfo
+    });
+
+    return transfer;
+}
+
+// ─── dispatchTransfer ────────────────────────────────────────────────────────
+/**
+ * Ship a draft transfer.
+ *
+ * Transaction boundaries:
+ *   1. Claim the draft (status guard — a transfer is dispatched once)
+ *   2. Resolve the company's in-transit store
+ *   3. Per line: TRANSFER_OUT at source, TRANSFER_IN in transit at the same value
+ */
+async function dispatchTransfer(transferId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+
+    const existing = await _loadTransfer(prisma, transferId, companyId);
+    await validateResourceAccess(prisma, "store", existing.from_store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const transfer = await prisma.$transaction(async (tx) => {
+        // ── 1. Claim the draft ──────────────────────────────────────────────
+        const now = new Date();
+        const { count } = await tx.stockTransfer.updateMany({
+            where: { id: transferId, company_id: companyId, status: "draft" },
+            data: {
+                status: "in_transit",
+                dispatched_by: userId,
+                dispatched_at: now,
+                updated_at: now,
+                ...(data.vehicleNo ? { vehicle_no: data.vehicleNo } : {})
+            }
+        });
+        if (count === 0) {
+            throw new AppError(`Transfer ${existing.transfer_no} is ${existing.status}; only a draft can be dispatched`, 409);
+        }
+
+        // ── 2. In-transit location ──────────────────────────────────────────
+        await _findStore(tx, existing.from_store_id, companyId);
+        await _findStore(tx, existing.to_store_id, companyId);
+        const transit = await _getTransitStore(tx, companyId);
+        const method = await getValuationMethod(companyId, tx);
+
+        // ── 3. Move each line into transit, both legs against the transfer ──
+        for (const line of existing.items) {
+            await _move(tx, {
+                companyId,
+                itemId: line.item_id,
+                quantity: parseFloat(line.qty_dispatched),
+                label: line.item?.name ?? line.item_id,
+                referenceId: transferId,
+                userId,
+                method
+            }, existing.from_store_id, transit.id);
+        }
+
+        return tx.stockTransfer.findUnique({ where: { id: transferId }, include: { items: true } });
+    });
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_transfer",
+        entityId: transferId,
+        action: "DISPATCH_TRANSFER",
+        beforeData: { status: existing.status },
+        afterData: { transferNo: transfer.transfer_no, status: transfer.status, lineCount: transfer.items.length },
+        ipAddress,
+        deviceInfo
+    });
+
+    return transfer;
+}
+
+// ─── receiveTransfer ─────────────────────────────────────────────────────────
+/**
+ * Record a (possibly partial) receipt at the destination store.
+ *
+ * Transaction boundaries:
+ *   1. Lock the transfer row so concurrent receipts cannot over-receive
+ *   2. Validate every line against its outstanding in-transit quantity
+ *   3. Create the receipt header + lines
+ *   4. Received: in-transit → destination, TRANSFER_OUT + TRANSFER_IN
+ *   5. Lost: written off from in-transit, TRANSIT_LOSS
+ *   6. Roll line totals up and set partially_received / received
+ */
+async function receiveTransfer(transferId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+    const { remarks, items } = data;
+
+    const existing = await _loadTransfer(prisma, transferId, companyId);
+    await validateResourceAccess(prisma, "store", existing.to_store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const result = await prisma.$transaction(async (tx) => {
+        // ── 1. Lock and reload ──────────────────────────────────────────────
+        await tx.$queryRaw`SELECT id FROM auth.inventory_transfers WHERE id = ${transferId}::uuid FOR UPDATE`;
+        const transfer = await _loadTransfer(tx, transferId, companyId);
+        if (!["in_transit", "partially_received"].includes(transfer.status)) {
+            throw new AppError(`Transfer ${transfer.transfer_no} is ${transfer.status}; nothing is in transit`, 409);
+        }
+
+        // ── 2. Validate lines ───────────────────────────────────────────────
+        const lineMap = new Map(transfer.items.map((l) => [l.id, l]));
+        const seen = new Set();
+        for (const line of items) {
+            const transferItem = lineMap.get(line.transferItemId);
+            if (!transferItem) {
+                throw new AppError(`Transfer line ${line.transferItemId} not found in ${transfer.transfer_no}`, 422);
+            }
+            if (seen.has(line.transferItemId)) {
+                throw new AppError(`Transfer line ${line.transferItemId} appears more than once`, 422);
+            }
+            seen.add(line.transferItemId);
+
+            const outstanding = _outstanding(transferItem);
+            const settled = parseFloat(line.qtyReceived ?? 0) + parseFloat(line.qtyLost ?? 0);
+            if (settled > outstanding + 1e-9) {
+                throw new AppError(
+                    `Over-receiving on "${transferItem.item?.name ?? transferItem.item_id}": in transit ${outstanding}, attempted ${settled}`,
+                    422
+                );
+            }
+        }
+
+        const transit = await _getTransitStore(tx, companyId);
+        const method = await getValuationMethod(companyId, tx);
+
+        // ── 3. Receipt header ───────────────────────────────────────────────
+        const receipt = await tx.stockTransferReceipt.create({
+            data: { transfer_id: transferId, received_by: userId, remarks: remarks || null }
+        });
+
+        for (const line of items) {
+            const transferItem = lineMap.get(line.transferItemId);
+            const itemId = transferItem.item_id;
+            const movement = { companyId, itemId, label: transferItem.item?.name ?? itemId, referenceId: receipt.id, userId, method };
+            const received = parseFloat(line.qtyReceived ?? 0);
+            const lost = parseFloat(line.qtyLost ?? 0);
+
+            await tx.stockTransferReceiptItem.create({
+                data: {
+                    receipt_id: receipt.id,
+                    transfer_item_id: transferItem.id,
+                    qty_received: received,
+                    qty_lost: lost,
+                    loss_reason: lost > 0 ? line.lossReason : null
+                }
+            });
+
+            // ── 4. Received quantity reaches the destination ────────────────
+            if (received > 0) {
+                await _move(tx, { ...movement, quantity: received }, transit.id, transfer.to_store_id);
+            }
+
+            // ── 5. Lost quantity leaves the books ───────────────────────────
+            if (lost > 0) {
+                await postOutbound(tx, { ...movement, storeId: transit.id, moveType: "TRANSIT_LOSS", quantity: lost, allowReserved: true });
+            }
+
+            await tx.stockTransferItem.update({
+                where: { id: transferItem.id },
+                data: {
+                    qty_received: { increment: received },
+                    qty_lost: { increment: lost }
+                }
+            });
+        }
+
+        // ── 6. Transfer status ──────────────────────────────────────────────
+        const refreshed = await tx.stockTransferItem.findMany({ where: { transfer_id: transferId } });
+        const complete = refreshed.every((l) => _outstanding(l) <= 1e-9);
+        const now = new Date();
+        const updated = await tx.stockTransfer.update({
+            where: { id: transferId },
+            data: {
+                status: complete ? "received" : "partially_received",
+                completed_at: complete ? now : null,
+                updated_at: now
+            },
+            include: { items: true }
+        });
+
+        return { transfer: updated, receipt, previousStatus: transfer.status };
+    });
+
+    const lost = items.filter((l) => parseFloat(l.qtyLost ?? 0) > 0);
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_transfer",
+        entityId: transferId,
+        action: "RECEIVE_TRANSFER",
+        beforeData: { status: result.previousStatus },
+        afterData: {
+            transferNo: result.transfer.transfer_no,
+            receiptId: result.receipt.id,
+            status: result.transfer.status,
+            lineCount: items.length,
+            lossLines: lost.map((l) => ({ transferItemId: l.transferItemId, qtyLost: l.qtyLost, reason: l.lossReason }))
+        },
+        ipAddress,
+        deviceInfo
+    });
+
+    return { ...result.transfer, receipt: result.receipt };
+}
+
+// ─── cancelTransfer ──────────────────────────────────────────────────────────
+/**
+ * Cancel a draft. Once dispatched, stock in transit has to be received or
+ * written off as lost instead.
+ */
+async function cancelTransfer(transferId, data, user, ipAddress, deviceInfo) {
+    const { companyId, id: userId } = user;
+
+    const existing = await _loadTransfer(prisma, transferId, companyId);
+    await validateResourceAccess(prisma, "store", existing.from_store_id, user, { module: MODULES.INVENTORY, isWrite: true });
+
+    const { count } = await prisma.stockTransfer.updateMany({
+        where: { id: transferId, company_id: companyId, status: "draft" },
+        data: {
+            status: "cancelled",
+            remarks: data.reason ? [existing.remarks, `Cancelled: ${data.reason}`].filter(Boolean).join("\n") : existing.remarks,
+            updated_at: new Date()
+        }
+    });
+    if (count === 0) {
+        throw new AppError(
+            `Transfer ${existing.transfer_no} is ${existing.status}; only a draft can be cancelled — receive or write off stock in transit`,
+            409
+        );
+    }
+
+    logAudit({
+        userId,
+        module: "inventory",
+        entity: "stock_transfer",
+        entityId: transferId,
+        action: "CANCEL_TRANSFER",
+        beforeData: { status: existing.status },
+        afterData: { transferNo: existing.transfer_no, status: "cancelled", reason: data.reason || null },
+        ipAddress,
+        deviceInfo
+    });
+
+    return prisma.stockTransfer.findUnique({ where: { id: transferId }, include: { items: true } });
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+const transferInclude = {
+    from_store: { select: { id: true, name: true } },
+    to_store: { select: { id: true, name: true } },
+    items: { include: { item: { select: { id: true, name: true, unit: true } } } }
+};
+
+function _withOutstanding(transfer) {
+    return {
+        ...transfer,
+        items: transfer.items.map((l) => ({ ...l, qty_in_transit: Math.max(_outstanding(l), 0) }))
+    };
+}
+
+async function getTransferList(user, filters = {}) {
+    const { status, storeId, page = 1, pageSize = 20 } = filters;
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+
+    if (status) where.status = status;
+    if (storeId) where.OR = [{ from_store_id: storeId }, { to_store_id: storeId }];
+
+    const [data, total] = await Promise.all([
+        prisma.stockTransfer.findMany({
+            where,
+            include: transferInclude,
+            orderBy: { created_at: "desc" },
+            skip: (page - 1) * pageSize,
+            take: pageSize
+        }),
+        prisma.stockTransfer.count({ where })
+    ]);
+
+    return { data: data.map(_withOutstanding), total, page, pageSize };
+}
+
+async function getTransfer(user, transferId) {
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+    const transfer = await prisma.stockTransfer.findFirst({
+        where: { ...where, id: transferId },
+        include: {
+            ...transferInclude,
+            receipts: { include: { items: true }, orderBy: { received_at: "asc" } }
+        }
+    });
+    if (!transfer) throw new AppError("Stock transfer not found or access denied", 404);
+    return _withOutstanding(transfer);
+}
+
+module.exports = {
+    createTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    getTransferList,
+    getTransfer
+};
@@ -0,0 +1,313 @@
+"use strict";
+
+const prisma = require("../../db");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { getBaseCurrency } = require("../currency/currency.service");
+const { AppError } = require("./inventory.errors");
+
+/**
+ * Inventory Valuation
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Every stock movement goes through postInbound / postOutbound, which update
+ * InventoryStock (quantity + total_value) and write the StockLedger entry with
+ * its base-currency cost, inside the caller's transaction.
+ *
+ * Company.valuation_method decides what an outbound movement costs:
+ *   WAC   moving weighted average per store/item — total_value / quantity
+ *   FIFO  oldest InventoryCostLayer first; every inbound movement opens a layer
+ *
+ * Taking the last unit out of a store always takes exactly the remaining
+ * total_value, so rounding never leaves value behind on zero stock. The method
+ * cannot change once the company has stock movements (see companies.service).
+ *
+ * Items being counted are frozen: while a stock-take session is counting (or
+ * sent back for a recount), nothing moves in or out of its items — every item
+ * of the store for a full count — except the session's own adjustments
+ * (`stockTakeId`). Counts are compared with the frozen snapshot.
+ */
+
+const VALUATION_METHODS = ["WAC", "FIFO"];
+const INBOUND_MOVES = ["GRN_IN", "ADJUST_IN", "TRANSFER_IN"];
+const OUTBOUND_MOVES = ["ISSUE_OUT", "ADJUST_OUT", "TRANSFER_OUT", "TRANSIT_LOSS"];
+// Stock-take statuses in which counts can still change (see stockTakes.service)
+const FROZEN_STOCK_TAKE_STATUSES = ["counting", "sent_back"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+const EPSILON = 1e-9;
+
+async function getValuationMethod(companyId, client = prisma) {
+    const company = await client.company.findUnique({ where: { id: companyId }, select: { valuation_method: true } });
+    return company?.valuation_method || "WAC";
+}
+
+function _ledgerEntry(tx, m, quantity, unitCost, totalCost) {
+    return tx.stockLedger.create({
+        data: {
+            company_id: m.companyId,
+            item_id: m.itemId,
+            store_id: m.storeId,
+            move_type: m.moveType,
+            quantity,
+            unit_cost: unitCost,
+            total_cost: totalCost,
+            reference_id: m.referenceId ?? null,
+            created_by: m.userId ?? null
+        }
+    });
+}
+
+/** Refuse a movement of an item that a stock-take session is counting in the store. */
+async function _assertNotFrozen(tx, m) {
+    const session = await tx.stockTake.findFirst({
+        where: {
+            store_id: m.storeId,
+            status: { in: FROZEN_STOCK_TAKE_STATUSES },
+            ...(m.stockTakeId && { id: { not: m.stockTakeId } }),
+            OR: [{ scope: "full" }, { lines: { some: { item_id: m.itemId } } }]
+        },
+        select: { count_no: true }
+    });
+    if (session) {
+        throw new AppError(
+            `"${m.label ?? m.itemId}" is being counted in stock-take ${session.count_no}; it cannot move until the count is submitted`,
+            409
+        );
+    }
+}
+
+// ─── postInbound ─────────────────────────────────────────────────────────────
+/**
+ * Add stock at a known cost. Pass `totalCost` when the value is carried over
+ * from another store (transfers) so it arrives unchanged; otherwise
+ * `unitCost` × quantity.
+ *
+ * @returns {Promise<{ ledger: object, unitCost: number, totalCost: number }>}
+ */
+async function postInbound(tx, m) {
+    if (!INBOUND_MOVES.includes(m.moveType)) throw new AppError(`${m.moveType} is not an inbound movement`, 500);
+    await _assertNotFrozen(tx, m);
+
+    const quantity = parseFloat(m.quantity);
+    const totalCost = m.totalCost !== undefined ? round2(m.totalCost) : round2(quantity * parseFloat(m.unitCost ?? 0));
+    const unitCost = m.totalCost !== undefined ? round6(totalCost / quantity) : round6(parseFloat(m.unitCost ?? 0));
+    const method = m.method || await getValuationMethod(m.companyId, tx);
+
+    await tx.inventoryStock.upsert({
+        where: { store_id_item_id: { store_id: m.storeId, item_id: m.itemId } },
+        update: { quantity: { increment: quantity }, total_value: { increment: totalCost } },
+        create: {
+            company_id: m.companyId,
+            store_id: m.storeId,
+            item_id: m.itemId,
+            quantity,
+            total_value: totalCost
+        }
+    });
+
+    const ledger = await _ledgerEntry(tx, m, quantity, unitCost, totalCost);
+
+    if (method === "FIFO") {
+        await tx.inventoryCostLayer.create({
+            data: {
+                company_id: m.companyId,
+                store_id: m.storeId,
+                item_id: m.itemId,
+                ledger_id: ledger.id,
+                qty_in: quantity,
+                qty_remaining: quantity,
+                unit_cost: unitCost
+            }
+        });
+    }
+
+    return { ledger, unitCost, totalCost };
+}
+
+// ─── postOutbound ────────────────────────────────────────────────────────────
+/**
+ * Take stock out at its valuation cost. The stock row is locked for the rest
+ * of the transaction so concurrent movements serialise on it and can never
+ * take the balance below zero.
+ *
+ * Only free stock (on hand − reserved_qty) can leave: stock reserved for a
+ * project stays put. A material issue draws its project's reservations down
+ * first, so what it takes is free by then. Write-offs of stock that is gone
+ * anyway (stock-take shortfall, transit loss) pass `allowReserved`.
+ *
+ * @returns {Promise<{ ledger: object, unitCost: number, totalCost: number }>}
+ */
+async function postOutbound(tx, m) {
+    if (!OUTBOUND_MOVES.includes(m.moveType)) throw new AppError(`${m.moveType} is not an outbound movement`, 500);
+    await _assertNotFrozen(tx, m);
+
+    const quantity = parseFloat(m.quantity);
+    const method = m.method || await getValuationMethod(m.companyId, tx);
+
+    await tx.$queryRaw`SELECT id FROM auth.inventory_stocks WHERE store_id = ${m.storeId}::uuid AND item_id = ${m.itemId}::uuid FOR UPDATE`;
+    const stock = await tx.inventoryStock.findUnique({
+        where: { store_id_item_id: { store_id: m.storeId, item_id: m.itemId } }
+    });
+    const onHand = parseFloat(stock?.quantity ?? 0);
+    const onHandValue = parseFloat(stock?.total_value ?? 0);
+    const reserved = m.allowReserved ? 0 : parseFloat(stock?.reserved_qty ?? 0);
+    const available = round6(Math.max(onHand - reserved, 0));
+    if (available < quantity - EPSILON) {
+        const held = reserved > EPSILON ? ` (${round6(reserved)} of ${onHand} reserved)` : "";
+        throw new AppError(
+            `Insufficient stock for "${m.label ?? m.itemId}": available ${available}${held}, requested ${quantity}`,
+            422
+        );
+    }
+
+    const averageCost = onHand > 0 ? onHandValue / onHand : 0;
+    let totalCost;
+
+    if (method === "FIFO") {
+        // Layers cover everything received since FIFO was set; stock that
+        // predates its layers (opening balances) is what the stock row holds
+        // beyond them, and is costed at its own value / quantity.
+        const layers = await tx.inventoryCostLayer.findMany({
+            where: { store_id: m.storeId, item_id: m.itemId, qty_remaining: { gt: 0 } },
+            orderBy: [{ received_at: "asc" }, { id: "asc" }]
+        });
+        const layeredQty = layers.reduce((s, l) => s + parseFloat(l.qty_remaining), 0);
+        const layeredValue = layers.reduce((s, l) => s + parseFloat(l.qty_remaining) * parseFloat(l.unit_cost), 0);
+        const preLayerQty = onHand - layeredQty;
+        const preLayerCost = preLayerQty > EPSILON ? Math.max(onHandValue - layeredValue, 0) / preLayerQty : averageCost;
+        let needed = quantity;
+        let cost = 0;
+        for (const layer of layers) {
+            if (needed <= EPSILON) break;
+            const take = Math.min(needed, parseFloat(layer.qty_remaining));
+            cost += take * parseFloat(layer.unit_cost);
+            needed -= take;
+            await tx.inventoryCostLayer.update({
+                where: { id: layer.id },
+                data: { qty_remaining: { decrement: take } }
+            });
+        }
+        if (needed > EPSILON) cost += needed * preLayerCost;
+        totalCost = round2(cost);
+    } else {
+        totalCost = round2(quantity * averageCost);
+    }
+    if (Math.abs(onHand - quantity) <= EPSILON) totalCost = round2(onHandValue);
+
+    await tx.inventoryStock.update({
+        where: { store_id_item_id: { store_id: m.storeId, item_id: m.itemId } },
+        data: { quantity: { decrement: quantity }, total_value: { decrement: totalCost } }
+    });
+
+    const unitCost = quantity > 0 ? round6(totalCost / quantity) : 0;
+    const ledger = await _ledgerEntry(tx, m, quantity, unitCost, totalCost);
+
+    return { ledger, unitCost, totalCost };
+}
+
+// ─── getValuationReport ──────────────────────────────────────────────────────
+/**
+ * Quantity and value per store/item as of the end of `asOf` (default: now).
+ * Starts from the current InventoryStock balances and rolls back every ledger
+ * movement made after the cut-off.
+ */
+async function getValuationReport(user, filters = {}) {
+    const { asOf, storeId, itemId, includeTransit = true } = filters;
+    const where = applyDataScope(user, { module: MODULES.INVENTORY, isWrite: false, noSoftDelete: true });
+    if (storeId) where.store_id = storeId;
+    if (itemId) where.item_id = itemId;
+    if (!includeTransit) where.store = { is_transit: false };
+
+    let cutoff = null;
+    if (asOf) {
+        const d = new Date(asOf);
+        cutoff = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+    }
+
+    const [stocks, later] = await Promise.all([
+        prisma.inventoryStock.findMany({
+            where,
+            select: { store_id: true, item_id: true, quantity: true, total_value: true }
+        }),
+        cutoff
+            ? prisma.stockLedger.groupBy({
+                by: ["store_id", "item_id", "move_type"],
+                where: { ...where, created_at: { gte: cutoff } },
+                _sum: { quantity: true, total_cost: true }
+            })
+            : []
+    ]);
+
+    const rows = new Map();
+    const rowFor = (s, i) => {
+        const key = `${s}:${i}`;
+        if (!rows.has(key)) rows.set(key, { store_id: s, item_id: i, quantity: 0, value: 0 });
+        return rows.get(key);
+    };
+    for (const s of stocks) {
+        const row = rowFor(s.store_id, s.item_id);
+        row.quantity += parseFloat(s.quantity);
+        row.value += parseFloat(s.total_value);
+    }
+    for (const g of later) {
+        // Undo the movement: inbound moves came in after the cut-off, outbound went out
+        const sign = INBOUND_MOVES.includes(g.move_type) ? -1 : 1;
+        const row = rowFor(g.store_id, g.item_id);
+        row.quantity += sign * parseFloat(g._sum.quantity ?? 0);
+        row.value += sign * parseFloat(g._sum.total_cost ?? 0);
+    }
+
+    const held = [...rows.values()].filter((r) => Math.abs(r.quantity) > EPSILON || Math.abs(r.value) >= 0.005);
+    const [stores, items] = await Promise.all([
+        prisma.store.findMany({
+            where: { id: { in: [...new Set(held.map((r) => r.store_id))] } },
+            select: { id: true, name: true, is_transit: true }
+        }),
+        prisma.item.findMany({
+            where: { id: { in: [...new Set(held.map((r) => r.item_id))] } },
+            select: { id: true, name: true, unit: true, category: true }
+        })
+    ]);
+    const storeMap = new Map(stores.map((s) => [s.id, s]));
+    const itemMap = new Map(items.map((i) => [i.id, i]));
+
+    const data = held
+        .map((r) => ({
+            store: storeMap.get(r.store_id) ?? { id: r.store_id },
+            item: itemMap.get(r.item_id) ?? { id: r.item_id },
+            quantity: round6(r.quantity),
+            value: round2(r.value),
+            unit_cost: Math.abs(r.quantity) > EPSILON ? round6(r.value / r.quantity) : 0
+        }))
+        .sort((a, b) =>
+            String(a.store.name ?? "").localeCompare(String(b.store.name ?? "")) ||
+            String(a.item.name ?? "").localeCompare(String(b.item.name ?? ""))
+        );
+
+    const byStore = new Map();
+    for (const r of data) {
+        const entry = byStore.get(r.store.id) ?? { store: r.store, value: 0, lines: 0 };
+        entry.value = round2(entry.value + r.value);
+        entry.lines += 1;
+        byStore.set(r.store.id, entry);
+    }
+
+    return {
+        asOf: cutoff ? new Date(cutoff.getTime() - 1) : new Date(),
+        method: user.companyId ? await getValuationMethod(user.companyId) : null,
+        baseCurrency: await getBaseCurrency(user.companyId),
+        totalValue: round2(data.reduce((s, r) => s + r.value, 0)),
+        byStore: [...byStore.values()],
+        data
+    };
+}
+
+module.exports = {
+    VALUATION_METHODS,
+    INBOUND_MOVES,
+    OUTBOUND_MOVES,
+    getValuationMethod,
+    postInbound,
+    postOutbound,
+    getValuationReport
+};
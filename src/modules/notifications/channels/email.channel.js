@@ -0,0 +1,40 @@
+"use strict";
+
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP email channel.
+ *
+ * Env: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS / 465),
+ *      SMTP_IGNORE_TLS ("true" for local stub servers), SMTP_USER, SMTP_PASS, MAIL_FROM
+ */
+
+let transporter = null;
+
+function getTransporter() {
+    if (transporter) return transporter;
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+
+    transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        ignoreTLS: process.env.SMTP_IGNORE_TLS === "true",
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+    });
+    return transporter;
+}
+
+async function send({ to, subject, body }) {
+    const info = await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || "ERP <no-reply@localhost>",
+        to,
+        subject: subject || "(no subject)",
+        text: body,
+    });
+    return { providerId: info.messageId };
+}
+
+module.exports = { send };
@@ -0,0 +1,28 @@
+"use strict";
+
+/**
+ * Delivery Channel Registry
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Maps a channel name (EMAIL | SMS | WEBHOOK) to an implementation exposing
+ * `async send({ to, subject, body, payload, secret, deliveryId, event })`.
+ * A different provider replaces the default with registerChannel() at boot.
+ */
+
+const _channels = new Map();
+
+function registerChannel(name, impl) {
+    if (!impl || typeof impl.send !== "function") {
+        throw new Error(`registerChannel: '${name}' must implement send()`);
+    }
+    _channels.set(name.toUpperCase(), impl);
+}
+
+function getChannel(name) {
+    return _channels.get(String(name || "").toUpperCase()) || null;
+}
+
+registerChannel("EMAIL", require("./email.channel"));
+registerChannel("SMS", require("./sms.channel"));
+registerChannel("WEBHOOK", require("./webhook.channel"));
+
+module.exports = { registerChannel, getChannel };
@@ -0,0 +1,29 @@
+"use strict";
+
+const axios = require("axios");
+
+/**
+ * SMS channel — generic HTTP gateway.
+ * POSTs { to, from, message } as JSON with a bearer token. Gateways with a
+ * different contract plug in their own implementation via registerChannel("SMS", ...).
+ *
+ * Env: SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN, SMS_SENDER_ID, SMS_TIMEOUT_MS (10000)
+ */
+
+async function send({ to, body }) {
+    if (!process.env.SMS_GATEWAY_URL) throw new Error("SMS_GATEWAY_URL is not configured");
+
+    const res = await axios.post(
+        process.env.SMS_GATEWAY_URL,
+        { to, from: process.env.SMS_SENDER_ID || "ERP", message: body },
+        {
+            timeout: Number(process.env.SMS_TIMEOUT_MS) || 10000,
+            headers: process.env.SMS_GATEWAY_TOKEN
+                ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+                : {},
+        }
+    );
+    return { providerId: res.data?.id || res.data?.messageId || null };
+}
+
+module.exports = { send };
@@ -0,0 +1,36 @@
+"use strict";
+
+const axios = require("axios");
+const crypto = require("crypto");
+
+/**
+ * Generic HTTP webhook channel.
+ * POSTs the event payload as JSON. When the subscription has a secret, the raw
+ * body is signed: X-ERP-Signature: sha256=<hex HMAC-SHA256(secret, body)>.
+ *
+ * Env: WEBHOOK_TIMEOUT_MS (10000)
+ */
+
+function sign(secret, rawBody) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+}
+
+async function send({ to, payload, secret, deliveryId, event }) {
+    const rawBody = JSON.stringify(payload || {});
+    const headers = {
+        "Content-Type": "application/json",
+        "X-ERP-Event": event,
+        "X-ERP-Delivery": deliveryId,
+    };
+    if (secret) headers["X-ERP-Signature"] = sign(secret, rawBody);
+
+    const res = await axios.post(to, rawBody, {
+        headers,
+        timeout: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+        // Hand the pre-serialised body to axios untouched so the signature matches
+        transformRequest: [(data) => data],
+    });
+    return { providerId: null, status: res.status };
+}
+
+module.exports = { send, sign };
@@ -0,0 +1,160 @@
+"use strict";
+
+const service = require("./notifications.service");
+
+// GET /api/notifications?type=APPROVAL_ASSIGNED,TASK_ASSIGNED&unread=true
+async function listNotifications(req, res, next) {
+    try {
+        const result = await service.listNotifications(req.user.id, {
+            type: req.query.type,
+            unread: req.query.unread,
+            page: req.query.page || 1,
+            pageSize: req.query.pageSize || 20,
+        });
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) { next(err); }
+}
+
+// GET /api/notifications/unread-count
+async function getUnreadCount(req, res, next) {
+    try {
+        const result = await service.getUnreadCount(req.user.id);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// PATCH /api/notifications/:id/read
+async function markRead(req, res, next) {
+    try {
+        const result = await service.markRead(req.params.id, req.user.id);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// PATCH /api/notifications/read-all?type=APPROVAL_ASSIGNED
+async function markAllRead(req, res, next) {
+    try {
+        const result = await service.markAllRead(req.user.id, req.query.type);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// ─── Delivery Settings ────────────────────────────────────────────────────────
+
+// Super admins may manage tenant-wide rows (companyId: null) or another company's
+function targetCompany(req) {
+    if (req.user.isSuperAdmin && req.body?.companyId !== undefined) return req.body.companyId;
+    if (req.user.isSuperAdmin && req.query?.companyId !== undefined) return req.query.companyId || null;
+    return req.user.companyId;
+}
+
+// GET /api/notifications/preferences
+async function getPreferences(req, res, next) {
+    try {
+        const result = await service.getPreferences(req.user.id);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// PUT /api/notifications/preferences
+async function updatePreferences(req, res, next) {
+    try {
+        const result = await service.updatePreferences(req.user.id, req.body.preferences);
+        return res.status(200).json({ success: true, message: "Preferences saved", data: result });
+    } catch (err) { next(err); }
+}
+
+// GET /api/notifications/templates
+async function listTemplates(req, res, next) {
+    try {
+        const result = await service.listTemplates(targetCompany(req));
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// PUT /api/notifications/templates
+async function upsertTemplate(req, res, next) {
+    try {
+        const result = await service.upsertTemplate(req.body, targetCompany(req));
+        return res.status(200).json({ success: true, message: "Template saved", data: result });
+    } catch (err) { next(err); }
+}
+
+// DELETE /api/notifications/templates/:id
+async function deleteTemplate(req, res, next) {
+    try {
+        await service.deleteTemplate(req.params.id, req.user.companyId, req.user.isSuperAdmin);
+        return res.status(200).json({ success: true, message: "Template deleted" });
+    } catch (err) { next(err); }
+}
+
+// GET /api/notifications/webhooks
+async function listWebhooks(req, res, next) {
+    try {
+        const result = await service.listWebhooks(targetCompany(req));
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/notifications/webhooks
+async function createWebhook(req, res, next) {
+    try {
+        const result = await service.createWebhook(req.body, targetCompany(req), req.user.id);
+        return res.status(201).json({ success: true, message: "Webhook registered — store the secret, it is not shown again", data: result });
+    } catch (err) { next(err); }
+}
+
+// PATCH /api/notifications/webhooks/:id/disable
+async function disableWebhook(req, res, next) {
+    try {
+        const result = await service.disableWebhook(req.params.id, req.user.companyId, req.user.isSuperAdmin);
+        return res.status(200).json({ success: true, message: "Webhook disabled", data: result });
+    } catch (err) { next(err); }
+}
+
+// GET /api/notifications/outbox?status=dead&channel=EMAIL
+async function listOutbox(req, res, next) {
+    try {
+        const result = await service.listOutbox({
+            status: req.query.status,
+            channel: req.query.channel,
+            page: req.query.page || 1,
+            pageSize: req.query.pageSize || 20,
+        }, req.user.companyId, req.user.isSuperAdmin);
+        return res.status(200).json({ success: true, ...result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/notifications/outbox/:id/retry
+async function retryOutbox(req, res, next) {
+    try {
+        const result = await service.retryOutbox(req.params.id, req.user.companyId, req.user.isSuperAdmin);
+        return res.status(200).json({ success: true, message: "Message re-queued", data: result });
+    } catch (err) { next(err); }
+}
+
+// POST /api/notifications/test
+async function sendTestMessage(req, res, next) {
+    try {
+        const result = await service.sendTestMessage(req.body, req.user.companyId, req.user.id);
+        return res.status(202).json({ success: true, message: "Test message queued", data: result });
+    } catch (err) { next(err); }
+}
+
+module.exports = {
+    listNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    getPreferences,
+    updatePreferences,
+    listTemplates,
+    upsertTemplate,
+    deleteTemplate,
+    listWebhooks,
+    createWebhook,
+    disableWebhook,
+    listOutbox,
+    retryOutbox,
+    sendTestMessage,
+};
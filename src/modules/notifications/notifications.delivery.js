@@ -0,0 +1,366 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { getChannel } = require("./channels");
+
+/**
+ * Outbound Notification Delivery
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Email / SMS / webhook messages are written to `notification_outbox` first and
+ * sent afterwards, so a crash or provider outage never loses a message:
+ *
+ *   enqueue → pending → sending → sent
+ *                 ↑         │
+ *                 └─ retry ─┘  (exponential backoff; dead after max_attempts)
+ *
+ * New rows are sent immediately in the background; the delivery worker
+ * (src/workers/notificationDelivery.worker.js) picks up retries and anything
+ * left behind by a restart.
+ *
+ * Templates: NotificationTemplate rows (company → tenant-wide) override the
+ * built-in defaults below. Placeholders use {{name}} / {{nested.path}}.
+ */
+
+const USER_CHANNELS = ["EMAIL", "SMS"];
+const CHANNEL_DEFAULTS = { EMAIL: true, SMS: false }; // when the user has no preference
+const RETRY_BASE_SECONDS = 60;
+const STALE_SENDING_MINUTES = 10;
+
+const DEFAULT_TEMPLATES = {
+    "*": {
+        EMAIL: {
+            subject: "{{title}}",
+            body: "Hello {{recipientName}},\n\n{{title}}\n\n{{message}}\n\n— {{appName}}",
+        },
+        SMS: { subject: null, body: "{{appName}}: {{title}}" },
+    },
+    APPROVAL_ASSIGNED: {
+        EMAIL: {
+            subject: "{{title}}",
+            body: "Hello {{recipientName}},\n\n{{title}}\n\n{{message}}\n\n"
+                + "Approve: {{approveLink}}\nReject: {{rejectLink}}\nSend back: {{sendBackLink}}\n"
+                + "Review first: {{reviewLink}}\n\n"
+                + "These links work once and expire at {{linkExpiresAt}}. Do not forward this email.\n\n— {{appName}}",
+        },
+    },
+    RFQ_INVITATION: {
+        EMAIL: {
+            subject: "Request for quotation {{rfqNo}}",
+            body: "Hello {{recipientName}},\n\nYou are invited to quote for {{rfqNo}}. "
+                + "Quotes are accepted until {{quoteDeadline}}.\n\n"
+                + "Open the vendor portal to view the lines, ask questions and submit your quote:\n\n{{portalLink}}\n\n"
+                + "This link is personal to your company and expires at {{linkExpiresAt}}.\n\n— {{appName}}",
+        },
+    },
+    VENDOR_DOCUMENT_EXPIRY: {
+        EMAIL: {
+            subject: "Your {{docType}} document expires on {{expiryDate}}",
+            body: "Hello {{recipientName}},\n\nOur records show your {{docType}} (no. {{documentNumber}}) expires on {{expiryDate}} "
+                + "({{daysLeft}} day(s) from today).\n\nPlease send us the renewed document before it expires. "
+                + "Vendors with expired mandatory documents cannot receive new purchase orders or RFQ invitations.\n\n— {{appName}}",
+        },
+    },
+    PASSWORD_RESET: {
+        EMAIL: {
+            subject: "Reset your {{appName}} password",
+            body: "Hello {{recipientName}},\n\nA password reset was requested for your account. "
+                + "Open the link below to choose a new password:\n\n{{resetLink}}\n\n"
+                + "The link expires in {{expiresMinutes}} minutes. If you did not request this, you can ignore this email.\n\n— {{appName}}",
+        },
+    },
+};
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+
+function appName() {
+    return process.env.APP_NAME || "ERP";
+}
+
+function readPath(vars, path) {
+    return path.split(".").reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), vars);
+}
+
+/**
+ * Replace {{placeholders}}; unknown placeholders render as empty strings.
+ */
+function renderTemplate(template, vars = {}) {
+    if (!template) return template;
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = readPath(vars, path);
+        return value === undefined || value === null ? "" : String(value);
+    });
+}
+
+async function resolveTemplate(event, channel, companyId) {
+    const rows = await prisma.notificationTemplate.findMany({
+        where: {
+            event: { in: [event, "*"] },
+            channel,
+            is_active: true,
+            OR: [{ company_id: companyId || null }, { company_id: null }],
+        },
+    });
+
+    // Most specific first: company + event, global + event, company + *, global + *
+    const rank = (t) => (t.event === event ? 0 : 2) + (t.company_id ? 0 : 1);
+    const row = rows.sort((a, b) => rank(a) - rank(b))[0];
+    if (row) return { subject: row.subject, body: row.body };
+
+    return DEFAULT_TEMPLATES[event]?.[channel] || DEFAULT_TEMPLATES["*"][channel] || null;
+}
+
+// ─── Preferences ──────────────────────────────────────────────────────────────
+
+/**
+ * Event-specific preference beats the user's "*" preference, which beats the channel default.
+ */
+function isChannelEnabled(preferences, event, channel) {
+    const exact = preferences.find((p) => p.event === event && p.channel === channel);
+    if (exact) return exact.enabled;
+    const wildcard = preferences.find((p) => p.event === "*" && p.channel === channel);
+    if (wildcard) return wildcard.enabled;
+    return CHANNEL_DEFAULTS[channel] || false;
+}
+
+function recipientFor(user, channel) {
+    if (channel === "EMAIL") return user.email || null;
+    if (channel === "SMS") return user.phone || null;
+    return null;
+}
+
+// ─── Enqueue ──────────────────────────────────────────────────────────────────
+
+async function buildUserMessages({ event, userIds, companyId, variables, recipientVariables }) {
+    const users = await prisma.user.findMany({
+        where: { id: { in: userIds }, is_active: true, deleted_at: null },
+        select: { id: true, name: true, email: true, phone: true },
+    });
+    if (users.length === 0) return [];
+
+    const preferences = await prisma.notificationPreference.findMany({
+        where: { user_id: { in: users.map((u) => u.id) } },
+    });
+
+    const templates = {};
+    for (const channel of USER_CHANNELS) {
+        templates[channel] = await resolveTemplate(event, channel, companyId);
+    }
+
+    const rows = [];
+    for (const user of users) {
+        const userPrefs = preferences.filter((p) => p.user_id === user.id);
+        for (const channel of USER_CHANNELS) {
+            const template = templates[channel];
+            const to = recipientFor(user, channel);
+            if (!template || !to || !isChannelEnabled(userPrefs, event, channel)) continue;
+
+            const vars = { appName: appName(), recipientName: user.name, ...variables, ...(recipientVariables?.[user.id] || {}) };
+            rows.push({
+                company_id: companyId || null,
+                user_id: user.id,
+                event,
+                channel,
+                recipient: to,
+                subject: renderTemplate(template.subject, vars),
+                body: renderTemplate(template.body, vars),
+            });
+        }
+    }
+    return rows;
+}
+
+async function buildWebhookMessages({ event, companyId, payload }) {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+        where: { is_active: true, company_id: companyId || null },
+    });
+
+    return subscriptions
+        .filter((s) => Array.isArray(s.events) && (s.events.includes("*") || s.events.includes(event)))
+        .map((s) => ({
+            company_id: companyId || null,
+            event,
+            channel: "WEBHOOK",
+            recipient: s.url,
+            webhook_id: s.id,
+            payload: { event, companyId: companyId || null, occurredAt: new Date().toISOString(), data: payload },
+        }));
+}
+
+/**
+ * Insert outbox rows and return their ids (createMany does not return ids).
+ */
+async function insertOutbox(rows) {
+    const ids = [];
+    for (const data of rows) {
+        const row = await prisma.notificationOutbox.create({ data, select: { id: true } });
+        ids.push(row.id);
+    }
+    return ids;
+}
+
+function kick(ids) {
+    if (ids.length === 0) return;
+    setImmediate(() => {
+        processOutbox({ ids }).catch((err) => logger.error(`[Delivery] Immediate send failed: ${err.message}`));
+    });
+}
+
+/**
+ * Fan an event out to the users' enabled channels and the company's webhooks.
+ * `recipientVariables` (userId → variables) only reach that user's own messages.
+ * Never throws — delivery problems must not break the emitting action.
+ */
+async function dispatch({ event, userIds = [], companyId = null, variables = {}, recipientVariables = null, payload = null }) {
+    try {
+        const rows = [
+            ...(userIds.length > 0 ? await buildUserMessages({ event, userIds, companyId, variables, recipientVariables }) : []),
+            ...await buildWebhookMessages({ event, companyId, payload: payload || variables }),
+        ];
+        const ids = await insertOutbox(rows);
+        kick(ids);
+        return ids.length;
+    } catch (err) {
+        logger.error(`[Delivery] Failed to dispatch ${event}: ${err.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Queue a transactional message to an explicit address (e.g. password reset).
+ * Bypasses user preferences — the user asked for this message. WEBHOOK posts
+ * the variables as the event payload instead of rendering a template.
+ */
+async function sendDirect({ event, channel = "EMAIL", to, userId = null, companyId = null, variables = {} }) {
+    const row = { company_id: companyId, user_id: userId, event, channel, recipient: to };
+
+    if (channel === "WEBHOOK") {
+        row.payload = { event, companyId, occurredAt: new Date().toISOString(), data: variables };
+    } else {
+        const template = await resolveTemplate(event, channel, companyId);
+        if (!template) throw new Error(`No ${channel} template for ${event}`);
+
+        const vars = { appName: appName(), ...variables };
+        row.subject = renderTemplate(template.subject, vars);
+        row.body = renderTemplate(template.body, vars);
+    }
+
+    const [id] = await insertOutbox([row]);
+    kick([id]);
+    return id;
+}
+
+// ─── Send / Retry ─────────────────────────────────────────────────────────────
+
+function backoffSeconds(attempts) {
+    return RETRY_BASE_SECONDS * Math.pow(5, Math.max(attempts - 1, 0)); // 1m, 5m, 25m, ~2h, ~10h
+}
+
+async function deliver(row) {
+    const channel = getChannel(row.channel);
+    if (!channel) throw new Error(`No delivery channel registered for ${row.channel}`);
+
+    let secret = null;
+    if (row.webhook_id) {
+        const subscription = await prisma.webhookSubscription.findUnique({ where: { id: row.webhook_id } });
+        if (!subscription?.is_active) throw new Error("Webhook subscription is no longer active");
+        secret = subscription.secret;
+    }
+
+    return channel.send({
+        to: row.recipient,
+        subject: row.subject,
+        body: row.body,
+        payload: row.payload,
+        secret,
+        deliveryId: row.id,
+        event: row.event,
+    });
+}
+
+/**
+ * Send due outbox rows (or the given ids). Each row is claimed with a
+ * pending → sending transition so concurrent workers never double-send.
+ */
+async function processOutbox({ limit = 50, ids = null } = {}) {
+    const now = new Date();
+    let sent = 0;
+    let failed = 0;
+
+    // Recover rows stuck in "sending" by a process that died mid-delivery
+    await prisma.notificationOutbox.updateMany({
+        where: { status: "sending", updated_at: { lt: new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000) } },
+        data: { status: "pending" },
+    });
+
+    const due = await prisma.notificationOutbox.findMany({
+        where: {
+            status: "pending",
+            next_attempt_at: { lte: now },
+            ...(ids && { id: { in: ids } }),
+        },
+        orderBy: { next_attempt_at: "asc" },
+        take: limit,
+    });
+
+    for (const row of due) {
+        const { count } = await prisma.notificationOutbox.updateMany({
+            where: { id: row.id, status: "pending" },
+            data: { status: "sending", updated_at: new Date() },
+        });
+        if (count === 0) continue; // claimed elsewhere
+
+        const attempts = row.attempts + 1;
+        try {
+            await deliver(row);
+            await prisma.notificationOutbox.update({
+                where: { id: row.id },
+                data: { status: "sent", attempts, sent_at: new Date(), last_error: null, updated_at: new Date() },
+            });
+            sent++;
+        } catch (err) {
+            failed++;
+            const dead = attempts >= row.max_attempts;
+            await prisma.notificationOutbox.update({
+                where: { id: row.id },
+                data: {
+                    status: dead ? "dead" : "pending",
+                    attempts,
+                    last_error: String(err.message || err).slice(0, 2000),
+                    next_attempt_at: new Date(Date.now() + backoffSeconds(attempts) * 1000),
+                    updated_at: new Date(),
+                },
+            });
+            logger.warn(`[Delivery] ${row.channel} ${row.event} → ${row.recipient} failed (attempt ${attempts}/${row.max_attempts}): ${err.message}`);
+        }
+    }
+
+    return { sent, failed };
+}
+
+/**
+ * Put a dead (or pending) row back at the front of the queue.
+ */
+async function retryOutbox(id) {
+    const row = await prisma.notificationOutbox.findUnique({ where: { id } });
+    if (!row) return null;
+    if (row.status === "sent") return row;
+
+    const updated = await prisma.notificationOutbox.update({
+        where: { id },
+        data: { status: "pending", next_attempt_at: new Date(), max_attempts: Math.max(row.max_attempts, row.attempts + 1), updated_at: new Date() },
+    });
+    kick([id]);
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    USER_CHANNELS,
+    renderTemplate,
+    isChannelEnabled,
+    dispatch,
+    sendDirect,
+    processOutbox,
+    retryOutbox,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const { Router } = require("express");
+const controller = require("./notifications.controller");
+const {
+    validateListQuery,
+    validateIdParam,
+    validateMarkAllRead,
+    validatePreferences,
+    validateTemplate,
+    validateWebhook,
+    validateOutboxQuery,
+    validateTestMessage,
+} = require("./notifications.validator");
+const authenticateJWT = require("../../middleware/authenticateJWT");
+const requirePermission = require("../../middleware/requirePermission");
+
+const router = Router();
+
+// Every user reads their own feed — no extra permission required
+router.use(authenticateJWT);
+
+/**
+ * GET /api/notifications
+ * The caller's notifications, newest first. Filter by type (comma-separated) and unread.
+ */
+router.get("/", validateListQuery, controller.listNotifications);
+
+/**
+ * GET /api/notifications/unread-count
+ * Unread total plus a per-type breakdown (for badges).
+ */
+router.get("/unread-count", controller.getUnreadCount);
+
+/**
+ * PATCH /api/notifications/read-all
+ * Mark all (or all of one type) as read.
+ */
+router.patch("/read-all", validateMarkAllRead, controller.markAllRead);
+
+/**
+ * GET /api/notifications/preferences
+ * PUT /api/notifications/preferences
+ * The caller's email / SMS opt-ins per event ("*" = every event).
+ */
+router.get("/preferences", controller.getPreferences);
+router.put("/preferences", validatePreferences, controller.updatePreferences);
+
+// ─── Delivery administration ──────────────────────────────────────────────────
+
+const manage = requirePermission("settings.manage");
+
+/**
+ * GET/PUT /api/notifications/templates — per-event email / SMS templates.
+ * DELETE /api/notifications/templates/:id — fall back to the built-in default.
+ */
+router.get("/templates", manage, controller.listTemplates);
+router.put("/templates", manage, validateTemplate, controller.upsertTemplate);
+router.delete("/templates/:id", manage, validateIdParam, controller.deleteTemplate);
+
+/**
+ * GET/POST /api/notifications/webhooks — outbound HTTP webhook subscriptions.
+ * PATCH /api/notifications/webhooks/:id/disable
+ */
+router.get("/webhooks", manage, controller.listWebhooks);
+router.post("/webhooks", manage, validateWebhook, controller.createWebhook);
+router.patch("/webhooks/:id/disable", manage, validateIdParam, controller.disableWebhook);
+
+/**
+ * GET /api/notifications/outbox — delivery queue with status and last error.
+ * POST /api/notifications/outbox/:id/retry — re-queue a dead message.
+ */
+router.get("/outbox", manage, validateOutboxQuery, controller.listOutbox);
+router.post("/outbox/:id/retry", manage, validateIdParam, controller.retryOutbox);
+
+/**
+ * POST /api/notifications/test
+ * Queue a test message on a channel to verify SMTP / SMS / webhook configuration.
+ */
+router.post("/test", manage, validateTestMessage, controller.sendTestMessage);
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark a single notification as read.
+ */
+router.patch("/:id/read", validateIdParam, controller.markRead);
+
+module.exports = router;
@@ -0,0 +1,409 @@
+"use strict";
+
+const crypto = require("crypto");
+const prisma = require("../../db");
+const logger = require("../../logger");
+const delivery = require("./notifications.delivery");
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Event types emitted by the ERP modules. The feed can be filtered by any of these.
+ */
+const NOTIFICATION_TYPES = [
+    "APPROVAL_ASSIGNED",
+    "APPROVAL_ESCALATED",
+    "APPROVAL_SENT_BACK",
+    "APPROVAL_APPROVED",
+    "APPROVAL_REJECTED",
+    "RFI_RESPONDED",
+    "NCR_ASSIGNED",
+    "TASK_ASSIGNED",
+    "TASK_COMPLETED",
+    "INCIDENT_REPORTED",
+    "VENDOR_DOCUMENT_EXPIRING",
+    "VENDOR_SUSPENDED",
+    "REPLENISHMENT_DRAFTED",
+];
+
+// Outbound-only events (no in-app row): transactional mail and channel tests
+const DELIVERY_ONLY_EVENTS = ["PASSWORD_RESET", "RFQ_INVITATION", "VENDOR_DOCUMENT_EXPIRY", "TEST"];
+
+const CHANNELS = ["EMAIL", "SMS", "WEBHOOK"];
+
+// ─── Emission ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create an in-app notification for one or more users and queue its email / SMS /
+ * webhook deliveries (see notifications.delivery.js).
+ * Never throws — a failed notification must not break the action that emitted it.
+ *
+ * @param {object}          payload
+ * @param {string|string[]} payload.userIds   - recipient user id(s); falsy / duplicate ids are dropped
+ * @param {string}          payload.type      - one of NOTIFICATION_TYPES
+ * @param {string}          payload.title
+ * @param {string}          [payload.message]
+ * @param {string}          [payload.entity]   - e.g. "approval_request", "rfi"
+ * @param {string}          [payload.entityId]
+ * @param {string}          [payload.link]     - client route to open
+ * @param {string}          [payload.priority] - low | normal | high
+ * @param {object}          [payload.data]     - extra context for the client
+ * @param {object}          [payload.recipientVariables] - userId → extra email/SMS template
+ *                                                variables (e.g. signed action links); never
+ *                                                stored on the in-app row or sent to webhooks
+ * @returns {Promise<number>} notifications created
+ */
+async function notify({ userIds, companyId = null, type, title, message = null, entity = null, entityId = null, link = null, priority = "normal", data = null, recipientVariables = null }) {
+    try {
+        const recipients = [...new Set((Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean))];
+        if (recipients.length === 0) return 0;
+
+        const { count } = await prisma.notification.createMany({
+            data: recipients.map((userId) => ({
+                user_id: userId,
+                company_id: companyId,
+                type,
+                title,
+                message,
+                entity,
+                entity_id: entityId ? String(entityId) : null,
+                link,
+                priority,
+                data,
+            })),
+        });
+
+        await delivery.dispatch({
+            event: type,
+            userIds: recipients,
+            companyId,
+            variables: { ...(data || {}), title, message: message || "", entity, entityId },
+            recipientVariables,
+            payload: { title, message, entity, entityId, priority, recipients, data },
+        });
+        return count;
+    } catch (err) {
+        logger.error(`[Notifications] Failed to emit ${type}: ${err.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Active users holding a role (company-scoped), for notifying role-based steps.
+ * Like notify(), returns an empty list rather than throwing.
+ */
+async function findRoleRecipients(roleId, companyId, excludeUserIds = []) {
+    if (!roleId) return [];
+    try {
+        const users = await prisma.user.findMany({
+            where: {
+                role_id: roleId,
+                is_active: true,
+                deleted_at: null,
+                ...(companyId && { company_id: companyId }),
+            },
+            select: { id: true },
+        });
+        return users.map((u) => u.id).filter((id) => !excludeUserIds.includes(id));
+    } catch (err) {
+        logger.error(`[Notifications] Failed to resolve role recipients: ${err.message}`);
+        return [];
+    }
+}
+
+/**
+ * Active members of a project team (UserProject), for project-wide alerts.
+ */
+async function findProjectRecipients(projectId, excludeUserIds = []) {
+    if (!projectId) return [];
+    try {
+        const members = await prisma.userProject.findMany({
+            where: { project_id: projectId, revoked_at: null },
+            select: { user_id: true },
+        });
+        return members.map((m) => m.user_id).filter((id) => id && !excludeUserIds.includes(id));
+    } catch (err) {
+        logger.error(`[Notifications] Failed to resolve project recipients: ${err.message}`);
+        return [];
+    }
+}
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+function mapNotification(n) {
+    return {
+        id: n.id,
+        type: n.type,
+        title: n.title,
+        message: n.message,
+        entity: n.entity,
+        entityId: n.entity_id,
+        link: n.link,
+        priority: n.priority,
+        data: n.data,
+        isRead: n.is_read,
+        readAt: n.read_at,
+        createdAt: n.created_at,
+    };
+}
+
+async function listNotifications(userId, { type, unread, page = 1, pageSize = 20 } = {}) {
+    const where = {
+        user_id: userId,
+        ...(type && { type: { in: String(type).split(",").map((t) => t.trim().toUpperCase()) } }),
+        ...(unread === true && { is_read: false }),
+    };
+
+    const [total, rows] = await Promise.all([
+        prisma.notification.count({ where }),
+        prisma.notification.findMany({
+            where,
+            orderBy: { created_at: "desc" },
+            skip: (page - 1) * pageSize,
+            take: pageSize,
+        }),
+    ]);
+
+    return { data: rows.map(mapNotification), total, page, pageSize };
+}
+
+async function getUnreadCount(userId) {
+    const grouped = await prisma.notification.groupBy({
+        by: ["type"],
+        where: { user_id: userId, is_read: false },
+        _count: { _all: true },
+    });
+
+    const byType = {};
+    let total = 0;
+    for (const g of grouped) {
+        byType[g.type] = g._count._all;
+        total += g._count._all;
+    }
+    return { total, byType };
+}
+
+async function markRead(notificationId, userId) {
+    const notification = await prisma.notification.findFirst({
+        where: { id: notificationId, user_id: userId },
+    });
+    if (!notification) throw createAppError("Notification not found", 404);
+    if (notification.is_read) return mapNotification(notification);
+
+    const updated = await prisma.notification.update({
+        where: { id: notificationId },
+        data: { is_read: true, read_at: new Date() },
+    });
+    return mapNotification(updated);
+}
+
+async function markAllRead(userId, type = null) {
+    const { count } = await prisma.notification.updateMany({
+        where: {
+            user_id: userId,
+            is_read: false,
+            ...(type && { type: String(type).toUpperCase() }),
+        },
+        data: { is_read: true, read_at: new Date() },
+    });
+    return { updated: count };
+}
+
+// ─── Delivery Preferences ─────────────────────────────────────────────────────
+
+async function getPreferences(userId) {
+    const rows = await prisma.notificationPreference.findMany({
+        where: { user_id: userId },
+        orderBy: [{ event: "asc" }, { channel: "asc" }],
+    });
+    return {
+        defaults: { EMAIL: true, SMS: false },
+        preferences: rows.map((p) => ({ event: p.event, channel: p.channel, enabled: p.enabled })),
+    };
+}
+
+/**
+ * Upsert the caller's channel preferences. `event` may be "*" for all events.
+ */
+async function updatePreferences(userId, preferences) {
+    for (const pref of preferences) {
+        const event = pref.event.toUpperCase();
+        const channel = pref.channel.toUpperCase();
+        await prisma.notificationPreference.upsert({
+            where: { user_id_event_channel: { user_id: userId, event, channel } },
+            update: { enabled: pref.enabled, updated_at: new Date() },
+            create: { user_id: userId, event, channel, enabled: pref.enabled, updated_at: new Date() },
+        });
+    }
+    return getPreferences(userId);
+}
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+
+async function listTemplates(companyId) {
+    const rows = await prisma.notificationTemplate.findMany({
+        where: { OR: [{ company_id: companyId || null }, { company_id: null }] },
+        orderBy: [{ event: "asc" }, { channel: "asc" }],
+    });
+    return { templates: rows, defaults: delivery.DEFAULT_TEMPLATES };
+}
+
+async function upsertTemplate({ event, channel, subject, body, isActive = true }, companyId) {
+    const key = { event: event.toUpperCase(), channel: channel.toUpperCase(), company_id: companyId || null };
+    const existing = await prisma.notificationTemplate.findFirst({ where: key });
+    if (existing) {
+        return prisma.notificationTemplate.update({
+            where: { id: existing.id },
+            data: { subject: subject ?? null, body, is_active: isActive, updated_at: new Date() },
+        });
+    }
+    return prisma.notificationTemplate.create({
+        data: { ...key, subject: subject ?? null, body, is_active: isActive },
+    });
+}
+
+async function deleteTemplate(id, companyId, isSuperAdmin) {
+    const template = await prisma.notificationTemplate.findUnique({ where: { id } });
+    if (!template || (!isSuperAdmin && template.company_id !== companyId)) {
+        throw createAppError("Template not found", 404);
+    }
+    await prisma.notificationTemplate.delete({ where: { id } });
+}
+
+// ─── Webhooks ─────────────────────────────────────────────────────────────────
+
+function mapWebhook(w, { revealSecret = false } = {}) {
+    return {
+        id: w.id,
+        companyId: w.company_id,
+        name: w.name,
+        url: w.url,
+        events: w.events,
+        isActive: w.is_active,
+        hasSecret: !!w.secret,
+        ...(revealSecret && { secret: w.secret }),
+        createdAt: w.created_at,
+    };
+}
+
+async function listWebhooks(companyId) {
+    const rows = await prisma.webhookSubscription.findMany({
+        where: { company_id: companyId || null },
+        orderBy: { created_at: "desc" },
+    });
+    return rows.map((w) => mapWebhook(w));
+}
+
+/**
+ * Register a webhook. The signing secret is generated when not supplied and is
+ * only returned in this response.
+ */
+async function createWebhook({ name, url, events, secret }, companyId, actorId) {
+    const created = await prisma.webhookSubscription.create({
+        data: {
+            company_id: companyId || null,
+            name,
+            url,
+            events: events.map((e) => e.toUpperCase()),
+            secret: secret || crypto.randomBytes(24).toString("hex"),
+            created_by: actorId,
+        },
+    });
+    return mapWebhook(created, { revealSecret: true });
+}
+
+async function disableWebhook(id, companyId, isSuperAdmin) {
+    const webhook = await prisma.webhookSubscription.findUnique({ where: { id } });
+    if (!webhook || (!isSuperAdmin && webhook.company_id !== companyId)) {
+        throw createAppError("Webhook not found", 404);
+    }
+    const updated = await prisma.webhookSubscription.update({
+        where: { id },
+        data: { is_active: false, updated_at: new Date() },
+    });
+    return mapWebhook(updated);
+}
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+
+async function listOutbox({ status, channel, page = 1, pageSize = 20 }, companyId, isSuperAdmin) {
+    const where = {
+        ...(!isSuperAdmin && { company_id: companyId }),
+        ...(status && { status }),
+        ...(channel && { channel: channel.toUpperCase() }),
+    };
+    const [total, rows] = await Promise.all([
+        prisma.notificationOutbox.count({ where }),
+        prisma.notificationOutbox.findMany({
+            where,
+            orderBy: { created_at: "desc" },
+            skip: (page - 1) * pageSize,
+            take: pageSize,
+            // Bodies may carry one-time links (password reset) — not listed
+            select: {
+                id: true, event: true, channel: true, recipient: true, subject: true, status: true,
+                attempts: true, max_attempts: true, next_attempt_at: true, last_error: true,
+                sent_at: true, created_at: true,
+            },
+        }),
+    ]);
+    return { data: rows, total, page, pageSize };
+}
+
+async function retryOutbox(id, companyId, isSuperAdmin) {
+    const row = await prisma.notificationOutbox.findUnique({ where: { id }, select: { company_id: true } });
+    if (!row || (!isSuperAdmin && row.company_id !== companyId)) {
+        throw createAppError("Outbox message not found", 404);
+    }
+    const updated = await delivery.retryOutbox(id);
+    return { id: updated.id, status: updated.status, attempts: updated.attempts };
+}
+
+/**
+ * Queue a test message so administrators can verify a channel's configuration.
+ */
+async function sendTestMessage({ channel, to }, companyId, actorId) {
+    const id = await delivery.sendDirect({
+        event: "TEST",
+        channel: channel.toUpperCase(),
+        to,
+        userId: actorId,
+        companyId,
+        variables: {
+            recipientName: "there",
+            title: "Test notification",
+            message: `This is a test ${channel.toUpperCase()} message sent at ${new Date().toISOString()}.`,
+        },
+    });
+    return { outboxId: id };
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DELIVERY_ONLY_EVENTS,
+    CHANNELS,
+    notify,
+    findRoleRecipients,
+    findProjectRecipients,
+    listNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    getPreferences,
+    updatePreferences,
+    listTemplates,
+    upsertTemplate,
+    deleteTemplate,
+    listWebhooks,
+    createWebhook,
+    disableWebhook,
+    listOutbox,
+    retryOutbox,
+    sendTestMessage,
+};
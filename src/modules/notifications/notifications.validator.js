@@ -0,0 +1,170 @@
+"use strict";
+
+const { body, query, param, validationResult } = require("express-validator");
+const { NOTIFICATION_TYPES, DELIVERY_ONLY_EVENTS, CHANNELS } = require("./notifications.service");
+
+const TEMPLATE_EVENTS = [...NOTIFICATION_TYPES, ...DELIVERY_ONLY_EVENTS, "*"];
+
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+        });
+    }
+    next();
+}
+
+const isKnownTypeList = (value) => {
+    const unknown = String(value).split(",").map((t) => t.trim().toUpperCase()).filter((t) => !NOTIFICATION_TYPES.includes(t));
+    if (unknown.length > 0) throw new Error(`Unknown notification type(s): ${unknown.join(", ")}`);
+    return true;
+};
+
+// ─── Feed Query ───────────────────────────────────────────────────────────────
+
+const validateListQuery = [
+    query("type").optional().trim().custom(isKnownTypeList),
+
+    query("unread")
+        .optional()
+        .isBoolean().withMessage("unread must be true or false")
+        .toBoolean(),
+
+    query("page").optional().isInt({ min: 1 }).withMessage("page must be a positive integer").toInt(),
+
+    query("pageSize").optional().isInt({ min: 1, max: 100 }).withMessage("pageSize must be between 1 and 100").toInt(),
+
+    handleValidationErrors,
+];
+
+// ─── Id Param ─────────────────────────────────────────────────────────────────
+
+const validateIdParam = [
+    param("id").isUUID().withMessage("id must be a valid UUID"),
+
+    handleValidationErrors,
+];
+
+// ─── Mark Read ────────────────────────────────────────────────────────────────
+
+const validateMarkAllRead = [
+    query("type")
+        .optional()
+        .trim()
+        .toUpperCase()
+        .isIn(NOTIFICATION_TYPES)
+        .withMessage(`type must be one of: ${NOTIFICATION_TYPES.join(", ")}`),
+
+    handleValidationErrors,
+];
+
+// ─── Delivery Preferences ─────────────────────────────────────────────────────
+
+const validatePreferences = [
+    body("preferences")
+        .isArray({ min: 1 }).withMessage("preferences must be a non-empty array"),
+
+    body("preferences.*.event")
+        .trim()
+        .toUpperCase()
+        .isIn([...NOTIFICATION_TYPES, "*"])
+        .withMessage(`event must be "*" or one of: ${NOTIFICATION_TYPES.join(", ")}`),
+
+    body("preferences.*.channel")
+        .trim()
+        .toUpperCase()
+        .isIn(["EMAIL", "SMS"]).withMessage("channel must be EMAIL or SMS"),
+
+    body("preferences.*.enabled")
+        .isBoolean({ strict: true }).withMessage("enabled must be a boolean"),
+
+    handleValidationErrors,
+];
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+
+const validateTemplate = [
+    body("event")
+        .trim()
+        .toUpperCase()
+        .isIn(TEMPLATE_EVENTS)
+        .withMessage(`event must be one of: ${TEMPLATE_EVENTS.join(", ")}`),
+
+    body("channel")
+        .trim()
+        .toUpperCase()
+        .isIn(["EMAIL", "SMS"]).withMessage("channel must be EMAIL or SMS"),
+
+    body("subject")
+        .optional({ values: "null" })
+        .isString().withMessage("subject must be a string")
+        .isLength({ max: 300 }).withMessage("subject too long (max 300 chars)"),
+
+    body("body")
+        .isString().withMessage("body must be a string")
+        .notEmpty().withMessage("body is required"),
+
+    body("isActive").optional().isBoolean().withMessage("isActive must be a boolean").toBoolean(),
+
+    handleValidationErrors,
+];
+
+// ─── Webhooks ─────────────────────────────────────────────────────────────────
+
+const validateWebhook = [
+    body("name").trim().notEmpty().withMessage("name is required").isLength({ max: 200 }),
+
+    body("url")
+        .trim()
+        .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+        .withMessage("url must be an http(s) URL"),
+
+    body("events")
+        .isArray({ min: 1 }).withMessage("events must be a non-empty array"),
+
+    body("events.*")
+        .trim()
+        .toUpperCase()
+        .isIn([...NOTIFICATION_TYPES, "*"])
+        .withMessage(`events must be "*" or one of: ${NOTIFICATION_TYPES.join(", ")}`),
+
+    body("secret").optional().isString().isLength({ min: 16, max: 200 }).withMessage("secret must be 16-200 characters"),
+
+    handleValidationErrors,
+];
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+
+const validateOutboxQuery = [
+    query("status").optional().isIn(["pending", "sending", "sent", "dead"]).withMessage("status must be pending | sending | sent | dead"),
+    query("channel").optional().trim().toUpperCase().isIn(CHANNELS).withMessage(`channel must be one of: ${CHANNELS.join(", ")}`),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("pageSize").optional().isInt({ min: 1, max: 100 }).toInt(),
+
+    handleValidationErrors,
+];
+
+const validateTestMessage = [
+    body("channel")
+        .trim()
+        .toUpperCase()
+        .isIn(CHANNELS).withMessage(`channel must be one of: ${CHANNELS.join(", ")}`),
+
+    body("to").trim().notEmpty().withMessage("to is required (email, phone number or URL)"),
+
+    handleValidationErrors,
+];
+
+module.exports = {
+    validateListQuery,
+    validateIdParam,
+    validateMarkAllRead,
+    validatePreferences,
+    validateTemplate,
+    validateWebhook,
+    validateOutboxQuery,
+    validateTestMessage,
+};
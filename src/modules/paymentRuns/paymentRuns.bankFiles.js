@@ -0,0 +1,276 @@
+"use strict";
+
+/**
+ * Payment Run Bank Files
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Pure builders and parsers for the files exchanged with the bank — no
+ * database access, so the formats can be checked in isolation.
+ *
+ *   buildCsv        one row per transfer, for banks taking a flat upload
+ *   buildPain001    ISO 20022 customer credit transfer initiation
+ *                   (pain.001.001.03), one PmtInf block for the run
+ *   parseStatement  a bank statement as CSV or camt.053 / camt.054 XML, reduced
+ *                   to { reference, amount, currency, date, status, ... } rows
+ *
+ * Vendor.bank_details is free-form JSON; creditorFromBankDetails() reads the
+ * usual spellings (iban, bic / swift / swift_code, account_number / account_no,
+ * bank_name, account_name / beneficiary_name).
+ */
+
+const MAX_STATEMENT_ROWS = 20000;
+const PAID_STATUSES = ["book", "booked", "paid", "settled", "executed", "acsc", "accp"];
+const REJECTED_STATUSES = ["rjct", "rejected", "returned", "failed", "canc", "cancelled"];
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function pick(details, keys) {
+    for (const key of keys) {
+        const value = details[key];
+        if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+    }
+    return null;
+}
+
+/**
+ * Creditor account for a vendor, or null when the bank details carry neither
+ * an IBAN nor an account number.
+ */
+function creditorFromBankDetails(vendorName, bankDetails) {
+    const details = bankDetails && typeof bankDetails === "object" ? bankDetails : {};
+    const iban = pick(details, ["iban", "IBAN"]);
+    const accountNumber = pick(details, ["account_number", "accountNumber", "account_no"]);
+    if (!iban && !accountNumber) return null;
+
+    return {
+        name: pick(details, ["account_name", "accountName", "beneficiary_name", "beneficiary"]) || vendorName,
+        iban: iban ? iban.replace(/\s+/g, "").toUpperCase() : null,
+        bic: (pick(details, ["bic", "BIC", "swift", "swift_code", "swiftCode"]) || "").replace(/\s+/g, "").toUpperCase() || null,
+        accountNumber,
+        bankName: pick(details, ["bank_name", "bankName", "bank"]),
+    };
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const money = (n) => Number(n).toFixed(2);
+const isoDate = (d) => new Date(d).toISOString().slice(0, 10);
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object}   run   - PaymentRun
+ * @param {object[]} items - [{ end_to_end_id, amount, creditor, invoice: { invoice_number } }]
+ */
+function buildCsv(run, items) {
+    const header = [
+        "run_no", "end_to_end_id", "execution_date", "beneficiary_name", "iban", "bic",
+        "account_number", "bank_name", "amount", "currency", "remittance",
+    ];
+    const rows = items.map((i) => [
+        run.run_no, i.end_to_end_id, isoDate(run.payment_date), i.creditor.name, i.creditor.iban, i.creditor.bic,
+        i.creditor.accountNumber, i.creditor.bankName, money(i.amount), run.currency, `Invoice ${i.invoice.invoice_number}`,
+    ]);
+    return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function xml(value, max = 140) {
+    return String(value ?? "")
+        .slice(0, max)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function accountXml(account) {
+    return account.iban
+        ? `<Id><IBAN>${xml(account.iban, 34)}</IBAN></Id>`
+        : `<Id><Othr><Id>${xml(account.accountNumber, 34)}</Id></Othr></Id>`;
+}
+
+function agentXml(tag, bic) {
+    return bic ? `<${tag}><FinInstnId><BIC>${xml(bic, 11)}</BIC></FinInstnId></${tag}>` : "";
+}
+
+/**
+ * @param {object}   run
+ * @param {object[]} items
+ * @param {object}   debtor  - { name, iban?, accountNumber?, bic?, chargeBearer? }
+ * @param {object}   header  - { messageId, createdAt, initiatingParty }
+ */
+function buildPain001(run, items, debtor, { messageId, createdAt = new Date(), initiatingParty }) {
+    const total = money(items.reduce((s, i) => s + Number(i.amount), 0));
+    const count = items.length;
+
+    const transfers = items.map((i) => [
+        "<CdtTrfTxInf>",
+        `<PmtId><EndToEndId>${xml(i.end_to_end_id, 35)}</EndToEndId></PmtId>`,
+        `<Amt><InstdAmt Ccy="${xml(run.currency, 3)}">${money(i.amount)}</InstdAmt></Amt>`,
+        agentXml("CdtrAgt", i.creditor.bic),
+        `<Cdtr><Nm>${xml(i.creditor.name)}</Nm></Cdtr>`,
+        `<CdtrAcct>${accountXml(i.creditor)}</CdtrAcct>`,
+        `<RmtInf><Ustrd>${xml(`Invoice ${i.invoice.invoice_number}`)}</Ustrd></RmtInf>`,
+        "</CdtTrfTxInf>",
+    ].join(""));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+        "<CstmrCdtTrfInitn>",
+        "<GrpHdr>",
+        `<MsgId>${xml(messageId, 35)}</MsgId>`,
+        `<CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>`,
+        `<NbOfTxs>${count}</NbOfTxs>`,
+        `<CtrlSum>${total}</CtrlSum>`,
+        `<InitgPty><Nm>${xml(initiatingParty || debtor.name)}</Nm></InitgPty>`,
+        "</GrpHdr>",
+        "<PmtInf>",
+        `<PmtInfId>${xml(run.run_no, 35)}</PmtInfId>`,
+        "<PmtMtd>TRF</PmtMtd>",
+        "<BtchBookg>true</BtchBookg>",
+        `<NbOfTxs>${count}</NbOfTxs>`,
+        `<CtrlSum>${total}</CtrlSum>`,
+        `<ReqdExctnDt>${isoDate(run.payment_date)}</ReqdExctnDt>`,
+        `<Dbtr><Nm>${xml(debtor.name)}</Nm></Dbtr>`,
+        `<DbtrAcct>${accountXml(debtor)}<Ccy>${xml(run.currency, 3)}</Ccy></DbtrAcct>`,
+        agentXml("DbtrAgt", debtor.bic) || "<DbtrAgt><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></DbtrAgt>",
+        `<ChrgBr>${xml(debtor.chargeBearer || "SHAR", 4)}</ChrgBr>`,
+        ...transfers,
+        "</PmtInf>",
+        "</CstmrCdtTrfInitn>",
+        "</Document>",
+    ].filter(Boolean).join("\n") + "\n";
+}
+
+// ─── Statement ────────────────────────────────────────────────────────────────
+
+function statementStatus(raw) {
+    const value = String(raw || "").trim().toLowerCase();
+    if (!value || PAID_STATUSES.includes(value)) return "paid";
+    if (REJECTED_STATUSES.includes(value)) return "rejected";
+    return "pending";
+}
+
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ",") { cells.push(cell.trim()); cell = ""; }
+        else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * CSV statement: reference (or end_to_end_id), amount, currency, value_date
+ * (or booking_date / date) and optionally status, bank_reference, reason.
+ */
+function parseStatementCsv(text) {
+    const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
+    if (lines.length < 2) throw createAppError("The statement needs a header row and at least one entry", 400);
+
+    const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+    const col = (...names) => names.map((n) => header.indexOf(n)).find((i) => i >= 0);
+    const ref = col("end_to_end_id", "reference", "end_to_end_reference");
+    const amount = col("amount");
+    if (ref === undefined || amount === undefined) {
+        throw createAppError("Statement header needs a reference (or end_to_end_id) and an amount column", 400);
+    }
+    const currency = col("currency", "ccy");
+    const date = col("value_date", "booking_date", "date");
+    const status = col("status");
+    const bankRef = col("bank_reference", "transaction_id");
+    const reason = col("reason", "return_reason");
+
+    return lines.slice(1).map((line, i) => {
+        const cells = splitCsvLine(line);
+        const at = (idx) => (idx === undefined ? null : cells[idx] || null);
+        return {
+            line: i + 2,
+            reference: at(ref),
+            amount: Math.abs(Number(String(at(amount) || "").replace(/,/g, ""))),
+            currency: at(currency) ? at(currency).toUpperCase() : null,
+            date: at(date),
+            status: statementStatus(at(status)),
+            bankReference: at(bankRef),
+            reason: at(reason),
+        };
+    });
+}
+
+function tag(source, name) {
+    const m = new RegExp(`<(?:\\w+:)?${name}(\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`).exec(source);
+    return m ? { attrs: m[1] || "", text: m[2].trim() } : null;
+}
+
+function tagsOf(source, name) {
+    return source.match(new RegExp(`<(?:\\w+:)?${name}[\\s>][\\s\\S]*?</(?:\\w+:)?${name}>`, "g")) || [];
+}
+
+function decodeXml(text) {
+    return String(text)
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+/**
+ * camt.053 / camt.054: every Ntry, one row per TxDtls carrying an EndToEndId.
+ * Booked debits are paid; reversals and returned / rejected entries are
+ * rejected; anything still pending is reported but not settled.
+ */
+function parseStatementCamt(text) {
+    const rows = [];
+    tagsOf(text, "Ntry").forEach((entry, n) => {
+        const stsTag = tag(entry, "Sts");
+        const sts = stsTag ? (tag(stsTag.text, "Cd")?.text || stsTag.text) : "";
+        const reversed = tag(entry, "RvslInd")?.text === "true";
+        const bookingDate = tag(entry, "BookgDt") || tag(entry, "ValDt");
+        const date = bookingDate ? (tag(bookingDate.text, "Dt") || tag(bookingDate.text, "DtTm"))?.text : null;
+        const entryRef = tag(entry, "AcctSvcrRef")?.text || null;
+
+        for (const tx of tagsOf(entry, "TxDtls")) {
+            const e2e = tag(tx, "EndToEndId")?.text;
+            if (!e2e || e2e === "NOTPROVIDED") continue;
+            const amt = tag(tx, "Amt") || tag(entry, "Amt");
+            const ccy = /Ccy="([A-Za-z]{3})"/.exec(amt?.attrs || "");
+            const returned = tag(tx, "RtrInf");
+            rows.push({
+                line: n + 1,
+                reference: decodeXml(e2e),
+                amount: Math.abs(Number(amt?.text)),
+                currency: ccy ? ccy[1].toUpperCase() : null,
+                date,
+                status: reversed || returned ? "rejected" : statementStatus(sts),
+                bankReference: tag(tx, "AcctSvcrRef")?.text || entryRef,
+                reason: returned ? (tag(returned.text, "AddtlInf")?.text || tag(returned.text, "Cd")?.text || "Returned") : null,
+            });
+        }
+    });
+    if (rows.length === 0) throw createAppError("No entries with an end-to-end reference were found in the statement", 400);
+    return rows;
+}
+
+function parseStatement(text) {
+    const source = String(text || "").replace(/^\uFEFF/, "").trim();
+    if (!source) throw createAppError("The statement is empty", 400);
+    const rows = source.startsWith("<") ? parseStatementCamt(source) : parseStatementCsv(source);
+    if (rows.length > MAX_STATEMENT_ROWS) throw createAppError(`A statement import is limited to ${MAX_STATEMENT_ROWS} entries`, 400);
+    return rows;
+}
+
+module.exports = { creditorFromBankDetails, buildCsv, buildPain001, parseStatement };
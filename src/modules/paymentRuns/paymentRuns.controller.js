@@ -0,0 +1,94 @@
+"use strict";
+
+const paymentRunsService = require("./paymentRuns.service");
+const logger = require("../../logger");
+
+async function listRuns(req, res, next) {
+    try {
+        const runs = await paymentRunsService.listRuns(req.query, req.user);
+        return res.status(200).json({ success: true, data: runs });
+    } catch (err) {
+        logger.error("Error in listRuns:", err);
+        next(err);
+    }
+}
+
+async function getRun(req, res, next) {
+    try {
+        const run = await paymentRunsService.getRun(req.params.id, req.user);
+        return res.status(200).json({ success: true, data: run });
+    } catch (err) {
+        logger.error("Error in getRun:", err);
+        next(err);
+    }
+}
+
+async function proposeRun(req, res, next) {
+    try {
+        const result = await paymentRunsService.proposeRun(req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in proposeRun:", err);
+        next(err);
+    }
+}
+
+async function removeItem(req, res, next) {
+    try {
+        const run = await paymentRunsService.removeItem(req.params.id, req.params.itemId, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: run });
+    } catch (err) {
+        logger.error("Error in removeItem:", err);
+        next(err);
+    }
+}
+
+async function submitRun(req, res, next) {
+    try {
+        const run = await paymentRunsService.submitRun(req.params.id, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: run });
+    } catch (err) {
+        logger.error("Error in submitRun:", err);
+        next(err);
+    }
+}
+
+async function cancelRun(req, res, next) {
+    try {
+        const run = await paymentRunsService.cancelRun(req.params.id, req.body || {}, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: run });
+    } catch (err) {
+        logger.error("Error in cancelRun:", err);
+        next(err);
+    }
+}
+
+async function exportRun(req, res, next) {
+    try {
+        const file = await paymentRunsService.exportRun(
+            req.params.id, req.query.format || "csv", req.user, req.ip, req.headers["user-agent"]
+        );
+        res.setHeader("Content-Type", file.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+        if (file.withdrawn.length > 0) res.setHeader("X-Withdrawn-Invoices", file.withdrawn.map((w) => w.invoiceNumber).join(","));
+        return res.status(200).send(file.content);
+    } catch (err) {
+        logger.error("Error in exportRun:", err);
+        next(err);
+    }
+}
+
+async function importStatement(req, res, next) {
+    try {
+        const text = req.file ? req.file.buffer.toString("utf8") : req.body?.statement;
+        if (!text) return res.status(400).json({ success: false, message: "Upload a statement file or send it as 'statement'" });
+
+        const result = await paymentRunsService.importStatement(text, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in importStatement:", err);
+        next(err);
+    }
+}
+
+module.exports = { listRuns, getRun, proposeRun, removeItem, submitRun, cancelRun, exportRun, importStatement };
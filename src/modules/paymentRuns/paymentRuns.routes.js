@@ -0,0 +1,31 @@
+"use strict";
+
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const paymentRunsController = require("./paymentRuns.controller");
+const { validateProposal } = require("./paymentRuns.validator");
+const authenticateJWT = require("../../middleware/authenticateJWT");
+const requirePermission = require("../../middleware/requirePermission");
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
+
+const READ = ["finance.payment.prepare", "finance.payment.approve", "finance.invoice.read"];
+
+router.use(authenticateJWT);
+
+router.get("/", requirePermission(READ), paymentRunsController.listRuns);
+router.post("/", requirePermission("finance.payment.prepare"), validateProposal, paymentRunsController.proposeRun);
+router.post("/statements", requirePermission("finance.payment.prepare"), upload.single("file"), paymentRunsController.importStatement);
+router.get("/:id", requirePermission(READ), paymentRunsController.getRun);
+router.delete("/:id/items/:itemId", requirePermission("finance.payment.prepare"), paymentRunsController.removeItem);
+router.post("/:id/submit", requirePermission("finance.payment.prepare"), paymentRunsController.submitRun);
+router.post("/:id/cancel", requirePermission("finance.payment.prepare"), paymentRunsController.cancelRun);
+router.get("/:id/export", requirePermission("finance.payment.prepare"), paymentRunsController.exportRun);
+
+module.exports = router;
@@ -0,0 +1,643 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { registerAdapter } = require("../approvals/approvals.adapter");
+const { requestApproval } = require("../approvals/approvals.service");
+const { processPayment } = require("../purchaseOrders/finance.service");
+const { getBaseCurrency, getRate, normalizeCurrency, toBase } = require("../currency/currency.service");
+const { creditorFromBankDetails, buildCsv, buildPain001, parseStatement } = require("./paymentRuns.bankFiles");
+
+/**
+ * Supplier Payment Runs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A run pays due supplier invoices in one currency through the bank:
+ *
+ *   propose    select invoices that are due (due_date on or before due_before),
+ *              payable (not on hold; PO invoices matched or overridden) and not
+ *              already in an open run, optionally for given vendors / projects;
+ *              each is proposed for its outstanding balance. Vendors without an
+ *              IBAN or account number in bank_details are left out and listed.
+ *              Proposal and export lock the invoices, so two runs never hold
+ *              the same invoice in flight.
+ *   submit     PAYMENT_RUN through the approval engine, amount in base currency
+ *   export     once approved: CSV or pain.001.001.03 for the bank. Invoices
+ *              paid, put on hold or sent to the bank in another run since the
+ *              proposal are withdrawn from the file; the rest move to
+ *              "exported". The run can be re-exported (a new pain.001 MsgId
+ *              each time) until the statement settles it.
+ *   reconcile  a bank statement (CSV or camt.053 / camt.054) matched on the
+ *              end-to-end id: booked entries record the SupplierPayment
+ *              (finance.service#processPayment), rejected / returned ones free
+ *              the invoice for a later run. A run with nothing left in flight
+ *              is completed.
+ *
+ * The pain.001 debtor comes from SystemSetting PAYMENT_RUN_DEBTOR_ACCOUNT
+ * (company row, falling back to the company_id = null row):
+ *   { "name": "...", "iban": "SA...", "bic": "...", "chargeBearer": "SHAR" }
+ */
+
+const OPEN_RUN_STATUSES = ["draft", "pending_approval", "sent_back", "approved", "exported"];
+const EDITABLE_STATUSES = ["draft", "sent_back"];
+const PAYABLE_INVOICE_STATUSES = ["pending", "partially_paid"];
+const EPSILON = 0.005;
+const RUN_NO_ATTEMPTS = 5;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function startOfDay(date = new Date()) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw createAppError(`${field} must be a date`, 400);
+    return startOfDay(date);
+}
+
+async function generateRunNo(tx) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await tx.paymentRun.count({ where: { run_no: { startsWith: `PRUN-${datePart}` } } });
+    return `PRUN-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+/**
+ * run_no is the day's count + 1, so two runs proposed at the same moment can
+ * pick the same number. The unique index refuses the later one; its
+ * transaction is retried and counts the run that won.
+ */
+async function withRunNoRetry(create) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await create();
+        } catch (err) {
+            const onRunNo = err.code === "P2002" && [].concat(err.meta?.target || []).includes("run_no");
+            if (!onRunNo || attempt >= RUN_NO_ATTEMPTS) throw err;
+        }
+    }
+}
+
+async function lockInvoices(tx, invoiceIds) {
+    if (invoiceIds.length === 0) return;
+    await tx.$queryRaw`SELECT id FROM auth.supplier_invoices WHERE id = ANY(${invoiceIds}::uuid[]) FOR UPDATE`;
+}
+
+async function getDebtorAccount(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "PAYMENT_RUN_DEBTOR_ACCOUNT", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return null;
+
+    try {
+        const raw = JSON.parse(row.value);
+        const account = creditorFromBankDetails(raw.name, raw);
+        return account && { ...account, chargeBearer: raw.chargeBearer || "SHAR" };
+    } catch (err) {
+        logger.warn("[Payment Run] PAYMENT_RUN_DEBTOR_ACCOUNT is not valid JSON — pain.001 export is unavailable");
+        return null;
+    }
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+const RUN_INCLUDE = {
+    items: {
+        orderBy: { end_to_end_id: "asc" },
+        include: {
+            vendor: { select: { id: true, name: true, bank_details: true } },
+            invoice: {
+                select: {
+                    id: true, invoice_number: true, invoice_date: true, due_date: true, total_amount: true,
+                    status: true, match_status: true, po_id: true, hold_reason: true, payments: { select: { amount: true } },
+                },
+            },
+        },
+    },
+};
+
+async function findScopedRun(id, user, isWrite, include = RUN_INCLUDE) {
+    const where = applyDataScope(user, { module: MODULES.FINANCE, isWrite });
+    where.id = id;
+    const run = await prisma.paymentRun.findFirst({ where, include: include || undefined });
+    if (!run) throw createAppError("Payment run not found or access denied.", 404);
+    return run;
+}
+
+const outstandingOf = (invoice) =>
+    round2(Number(invoice.total_amount) - invoice.payments.reduce((s, p) => s + Number(p.amount), 0));
+
+function isPayable(invoice) {
+    return PAYABLE_INVOICE_STATUSES.includes(invoice.status)
+        && (!invoice.po_id || ["matched", "overridden"].includes(invoice.match_status));
+}
+
+/** Why a proposed item can no longer go to the bank, or null when it can. */
+function withdrawalReason(item, exportedInRunNo) {
+    if (exportedInRunNo) return `Invoice was sent to the bank in payment run ${exportedInRunNo}`;
+    if (isPayable(item.invoice) && outstandingOf(item.invoice) >= Number(item.amount) - EPSILON) return null;
+    return item.invoice.status === "on_hold"
+        ? `Invoice is on hold: ${item.invoice.hold_reason || "three-way match exception"}`
+        : `Invoice is ${item.invoice.status} with ${outstandingOf(item.invoice)} outstanding`;
+}
+
+async function refreshTotals(tx, run) {
+    const items = await tx.paymentRunItem.findMany({
+        where: { run_id: run.id, status: { in: ["proposed", "exported", "paid"] } },
+        select: { amount: true },
+    });
+    const total = round2(items.reduce((s, i) => s + Number(i.amount), 0));
+    const baseCurrency = await getBaseCurrency(run.company_id, tx);
+    const rate = await getRate(run.currency, baseCurrency, run.payment_date, run.company_id, tx);
+    return tx.paymentRun.update({
+        where: { id: run.id },
+        data: { total_amount: total, base_amount: toBase(total, rate), item_count: items.length, updated_at: new Date() },
+    });
+}
+
+// ─── Proposal ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build a draft payment run from the invoices due by `due_before`.
+ *
+ * @param {object} data - { due_before?, payment_date?, currency?, vendor_ids?, project_ids?, notes?, company_id? }
+ * @returns {{ run: object, skipped: object[] }}
+ */
+async function proposeRun(data, user, ipAddress, deviceInfo) {
+    const companyId = user.isSuperAdmin ? (data.company_id || user.companyId) : user.companyId;
+    if (!companyId) throw createAppError("Company context missing for the payment run", 400);
+
+    const dueBefore = data.due_before ? parseDate(data.due_before, "due_before") : startOfDay();
+    const paymentDate = data.payment_date ? parseDate(data.payment_date, "payment_date") : startOfDay();
+    if (paymentDate < startOfDay()) throw createAppError("payment_date cannot be in the past", 400);
+    const baseCurrency = await getBaseCurrency(companyId);
+    const currency = normalizeCurrency(data.currency, baseCurrency);
+    const vendorIds = Array.isArray(data.vendor_ids) ? data.vendor_ids.filter(Boolean) : [];
+    const projectIds = Array.isArray(data.project_ids) ? data.project_ids.filter(Boolean) : [];
+
+    const candidates = {
+        company_id: companyId,
+        currency,
+        status: { in: PAYABLE_INVOICE_STATUSES },
+        due_date: { lte: dueBefore },
+        OR: [{ po_id: null }, { match_status: { in: ["matched", "overridden"] } }],
+        ...(vendorIds.length > 0 && { vendor_id: { in: vendorIds } }),
+        ...(projectIds.length > 0 && { purchase_order: { project_id: { in: projectIds } } }),
+        payment_run_items: { none: { status: { in: ["proposed", "exported"] }, run: { status: { in: OPEN_RUN_STATUSES } } } },
+    };
+    const invoices = await prisma.supplierInvoice.findMany({
+        where: candidates,
+        orderBy: [{ due_date: "asc" }, { invoice_number: "asc" }],
+        include: {
+            payments: { select: { amount: true } },
+            vendor: { select: { id: true, name: true, bank_details: true } },
+        },
+    });
+
+    const skipped = [];
+    const selected = [];
+    for (const invoice of invoices) {
+        const outstanding = outstandingOf(invoice);
+        if (outstanding <= EPSILON) continue;
+        if (!creditorFromBankDetails(invoice.vendor.name, invoice.vendor.bank_details)) {
+            skipped.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, vendor: invoice.vendor.name, reason: "Vendor has no IBAN or account number" });
+            continue;
+        }
+        selected.push({ invoice, outstanding });
+    }
+    if (selected.length === 0) {
+        throw createAppError(`No payable ${currency} invoices are due by ${dueBefore.toISOString().slice(0, 10)}${skipped.length > 0 ? ` (${skipped.length} skipped for missing bank details)` : ""}`, 422);
+    }
+
+    // A proposal running at the same time (or a payment) holds these invoices
+    // until it commits; what it took is no longer a candidate once the lock is ours.
+    let taken = [];
+    const run = await withRunNoRetry(() => prisma.$transaction(async (tx) => {
+        await lockInvoices(tx, selected.map(({ invoice }) => invoice.id));
+        const still = await tx.supplierInvoice.findMany({
+            where: { ...candidates, id: { in: selected.map(({ invoice }) => invoice.id) } },
+            include: { payments: { select: { amount: true } } },
+        });
+        const current = new Map(still.map((i) => [i.id, outstandingOf(i)]));
+        const items = [];
+        taken = [];
+        for (const { invoice } of selected) {
+            const outstanding = current.get(invoice.id);
+            if (outstanding > EPSILON) items.push({ invoice, outstanding });
+            else taken.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, vendor: invoice.vendor.name, reason: "Taken by another payment run or paid in the meantime" });
+        }
+        if (items.length === 0) {
+            throw createAppError("The due invoices were taken by another payment run or paid in the meantime", 409);
+        }
+
+        const runNo = await generateRunNo(tx);
+        const created = await tx.paymentRun.create({
+            data: {
+                run_no: runNo,
+                company_id: companyId,
+                currency,
+                payment_date: paymentDate,
+                criteria: { due_before: dueBefore.toISOString().slice(0, 10), vendor_ids: vendorIds, project_ids: projectIds },
+                notes: data.notes || null,
+                created_by: user.id,
+                items: {
+                    create: items.map(({ invoice, outstanding }, idx) => ({
+                        invoice_id: invoice.id,
+                        vendor_id: invoice.vendor_id,
+                        amount: outstanding,
+                        end_to_end_id: `${runNo}-${String(idx + 1).padStart(4, "0")}`,
+                    })),
+                },
+            },
+        });
+        return refreshTotals(tx, created);
+    }));
+    skipped.push(...taken);
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "payment_run",
+        entityId: run.id,
+        action: "PROPOSE_PAYMENT_RUN",
+        afterData: { runNo: run.run_no, currency, total: Number(run.total_amount), items: run.item_count, criteria: run.criteria, skipped: skipped.length },
+        ipAddress,
+        deviceInfo,
+    });
+
+    return { run: await findScopedRun(run.id, user, false), skipped };
+}
+
+/** Take an invoice out of a draft or sent-back run. */
+async function removeItem(runId, itemId, user, ipAddress, deviceInfo) {
+    const run = await findScopedRun(runId, user, true, { items: { select: { id: true, invoice_id: true } } });
+    if (!EDITABLE_STATUSES.includes(run.status)) {
+        throw createAppError(`Invoices can only be removed while the run is draft or sent back (status '${run.status}')`, 409);
+    }
+    const item = run.items.find((i) => i.id === itemId);
+    if (!item) throw createAppError("Invoice is not in this payment run", 404);
+    if (run.items.length === 1) throw createAppError("A payment run needs at least one invoice — cancel the run instead", 422);
+
+    await prisma.$transaction(async (tx) => {
+        await tx.paymentRunItem.delete({ where: { id: itemId } });
+        await refreshTotals(tx, run);
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "payment_run",
+        entityId: runId,
+        action: "REMOVE_PAYMENT_RUN_ITEM",
+        beforeData: { itemId, invoiceId: item.invoice_id },
+        ipAddress,
+        deviceInfo,
+    });
+    return findScopedRun(runId, user, false);
+}
+
+// ─── Approval ─────────────────────────────────────────────────────────────────
+
+async function submitRun(runId, user, ipAddress, deviceInfo) {
+    const run = await findScopedRun(runId, user, true);
+    if (!EDITABLE_STATUSES.includes(run.status)) {
+        throw createAppError(`Only draft or sent-back payment runs can be submitted (status '${run.status}')`, 409);
+    }
+
+    const approval = await requestApproval({
+        docType: "PAYMENT_RUN",
+        docId: run.id,
+        projectId: null,
+        amount: Number(run.base_amount),
+        remarks: `Payment run ${run.run_no}: ${run.item_count} invoice(s), ${Number(run.total_amount)} ${run.currency}`,
+        items: run.items.map((i) => ({
+            itemName: `${i.vendor.name} — invoice ${i.invoice.invoice_number}`,
+            quantity: 1,
+            unit: null,
+            unitPrice: Number(i.amount),
+            totalPrice: Number(i.amount),
+        })),
+    }, user.id, ipAddress, deviceInfo);
+
+    return prisma.paymentRun.update({
+        where: { id: runId },
+        data: { status: "pending_approval", approval_request_id: approval.approvalRequestId, updated_at: new Date() },
+    });
+}
+
+/** Cancel a run that has not been sent to the bank. */
+async function cancelRun(runId, data, user, ipAddress, deviceInfo) {
+    const run = await findScopedRun(runId, user, true, null);
+    if (![...EDITABLE_STATUSES, "approved"].includes(run.status)) {
+        throw createAppError(`Payment run cannot be cancelled in status '${run.status}'`, 409);
+    }
+
+    const cancelled = await prisma.paymentRun.update({
+        where: { id: runId },
+        data: {
+            status: "cancelled",
+            notes: data.reason ? [run.notes, `Cancelled: ${data.reason}`].filter(Boolean).join("\n") : run.notes,
+            updated_at: new Date(),
+        },
+    });
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "payment_run",
+        entityId: runId,
+        action: "CANCEL_PAYMENT_RUN",
+        beforeData: { status: run.status },
+        afterData: { status: "cancelled", reason: data.reason || null },
+        ipAddress,
+        deviceInfo,
+    });
+    return cancelled;
+}
+
+registerAdapter("PAYMENT_RUN", async ({ docId, status }) => {
+    const next = {
+        in_approval: "pending_approval",
+        approved: "approved",
+        rejected: "rejected",
+        cancelled: "cancelled",
+        sent_back: "sent_back",
+    }[status];
+    if (!next) return;
+    await prisma.paymentRun.updateMany({
+        where: { id: docId, status: { in: ["pending_approval", "sent_back"] } },
+        data: { status: next, updated_at: new Date() },
+    });
+});
+
+registerAdapter("PAYMENT_RUN:meta", async ({ docId }) => {
+    const run = await prisma.paymentRun.findUnique({
+        where: { id: docId },
+        include: { items: { select: { vendor_id: true, amount: true } } },
+    });
+    if (!run) return null;
+
+    const vendorIds = [...new Set(run.items.map((i) => i.vendor_id))];
+    return {
+        title: `Payment Run: ${run.run_no}`,
+        amount: Number(run.base_amount),
+        description: `${run.item_count} invoice(s) to ${vendorIds.length} vendor(s), ${Number(run.total_amount)} ${run.currency} on ${run.payment_date.toISOString().slice(0, 10)}`,
+        attributes: {
+            currency: run.currency,
+            vendorCount: vendorIds.length,
+            invoiceCount: run.item_count,
+            largestPayment: Math.max(0, ...run.items.map((i) => Number(i.amount))),
+        },
+    };
+});
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * Produce the bank file for an approved (or already exported) run.
+ *
+ * @param {string} format - "csv" | "pain001"
+ * @returns {{ filename: string, contentType: string, content: string, withdrawn: object[] }}
+ */
+async function exportRun(runId, format, user, ipAddress, deviceInfo) {
+    if (!["csv", "pain001"].includes(format)) throw createAppError("format must be csv or pain001", 400);
+
+    const run = await findScopedRun(runId, user, true);
+    if (!["approved", "exported"].includes(run.status)) {
+        throw createAppError(`Only approved payment runs can be exported (status '${run.status}')`, 409);
+    }
+
+    const debtor = format === "pain001" ? await getDebtorAccount(run.company_id) : null;
+    if (format === "pain001" && !debtor) {
+        throw createAppError("Set PAYMENT_RUN_DEBTOR_ACCOUNT (name, iban or account_number, bic) before exporting pain.001", 422);
+    }
+
+    const exportCount = run.export_count + 1;
+    const messageId = `${run.run_no}-E${exportCount}`;
+    const now = new Date();
+
+    // Invoices are locked and re-read so a payment, a hold or another run's
+    // export that landed since the run was loaded withdraws the item here.
+    const { withdrawn, exportable } = await prisma.$transaction(async (tx) => {
+        const proposedInvoiceIds = run.items.filter((i) => i.status === "proposed").map((i) => i.invoice_id);
+        await lockInvoices(tx, proposedInvoiceIds);
+        const items = await tx.paymentRunItem.findMany({
+            where: { run_id: runId, status: { in: ["proposed", "exported"] } },
+            orderBy: RUN_INCLUDE.items.orderBy,
+            include: RUN_INCLUDE.items.include,
+        });
+        const elsewhere = await tx.paymentRunItem.findMany({
+            where: { invoice_id: { in: proposedInvoiceIds }, status: "exported", run_id: { not: runId } },
+            select: { invoice_id: true, run: { select: { run_no: true } } },
+        });
+        const exportedIn = new Map(elsewhere.map((e) => [e.invoice_id, e.run.run_no]));
+
+        const withdrawn = [];
+        const exportable = [];
+        const missingBank = [];
+        for (const item of items) {
+            const reason = item.status === "proposed" && withdrawalReason(item, exportedIn.get(item.invoice_id));
+            if (reason) {
+                withdrawn.push({ id: item.id, invoiceNumber: item.invoice.invoice_number, reason });
+                continue;
+            }
+            const creditor = item.status === "exported" && item.creditor
+                ? item.creditor
+                : creditorFromBankDetails(item.vendor.name, item.vendor.bank_details);
+            if (!creditor) missingBank.push(item.vendor.name);
+            exportable.push({ ...item, creditor });
+        }
+        if (missingBank.length > 0) {
+            throw createAppError(`Bank details are missing for: ${[...new Set(missingBank)].join(", ")}`, 422);
+        }
+        if (exportable.length === 0) throw createAppError("Nothing in this payment run is left to send to the bank", 422);
+
+        for (const w of withdrawn) {
+            await tx.paymentRunItem.update({ where: { id: w.id }, data: { status: "withdrawn", failure_reason: w.reason } });
+        }
+        for (const item of exportable.filter((i) => i.status === "proposed")) {
+            await tx.paymentRunItem.update({ where: { id: item.id }, data: { status: "exported", creditor: item.creditor } });
+        }
+        await tx.paymentRun.update({
+            where: { id: runId },
+            data: { status: "exported", export_count: exportCount, message_id: messageId, exported_at: now, exported_by: user.id },
+        });
+        if (withdrawn.length > 0) await refreshTotals(tx, run);
+        return { withdrawn, exportable };
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "payment_run",
+        entityId: runId,
+        action: "EXPORT_PAYMENT_RUN",
+        afterData: { format, messageId, transfers: exportable.length, withdrawn },
+        ipAddress,
+        deviceInfo,
+    });
+
+    if (format === "csv") {
+        return { filename: `${run.run_no}.csv`, contentType: "text/csv; charset=utf-8", content: buildCsv(run, exportable), withdrawn };
+    }
+    const company = await prisma.company.findUnique({ where: { id: run.company_id }, select: { name: true } });
+    return {
+        filename: `${run.run_no}.pain001.xml`,
+        contentType: "application/xml; charset=utf-8",
+        content: buildPain001(run, exportable, debtor, { messageId, createdAt: now, initiatingParty: company?.name }),
+        withdrawn,
+    };
+}
+
+// ─── Reconciliation ───────────────────────────────────────────────────────────
+
+/**
+ * Settle exported payment run items from a bank statement.
+ *
+ * @returns {{ entries, paid[], rejected[], alreadySettled[], pending[], unmatched[], exceptions[], completedRuns[] }}
+ */
+async function importStatement(text, user, ipAddress, deviceInfo) {
+    const rows = parseStatement(text);
+    const references = [...new Set(rows.map((r) => r.reference).filter(Boolean))];
+
+    const runScope = applyDataScope(user, { module: MODULES.FINANCE, isWrite: true });
+    const items = await prisma.paymentRunItem.findMany({
+        where: { end_to_end_id: { in: references }, run: runScope },
+        include: { run: { select: { id: true, run_no: true, currency: true } }, invoice: { select: { invoice_number: true } } },
+    });
+    const byReference = new Map(items.map((i) => [i.end_to_end_id, i]));
+
+    const result = { entries: rows.length, paid: [], rejected: [], alreadySettled: [], pending: [], unmatched: [], exceptions: [], completedRuns: [] };
+    const touchedRuns = new Set();
+
+    for (const row of rows) {
+        const item = byReference.get(row.reference);
+        if (!item) {
+            result.unmatched.push({ line: row.line, reference: row.reference, amount: row.amount });
+            continue;
+        }
+        const label = { line: row.line, reference: row.reference, runNo: item.run.run_no, invoiceNumber: item.invoice.invoice_number };
+        if (row.status === "pending") {
+            result.pending.push(label);
+            continue;
+        }
+        if (item.status !== "exported") {
+            result.alreadySettled.push({ ...label, status: item.status });
+            continue;
+        }
+
+        try {
+            const rejected = row.status === "rejected";
+            if (!rejected && Math.abs(row.amount - Number(item.amount)) > EPSILON) {
+                throw createAppError(`Statement amount ${row.amount} differs from the transfer amount ${Number(item.amount)}`, 422);
+            }
+            if (!rejected && row.currency && row.currency !== item.run.currency) {
+                throw createAppError(`Statement currency ${row.currency} differs from the run currency ${item.run.currency}`, 422);
+            }
+
+            const settled = await prisma.$transaction(async (tx) => {
+                // Claim the item while it is still in flight, so an overlapping
+                // import of the same entry finds it settled instead of paying twice
+                const { count } = await tx.paymentRunItem.updateMany({
+                    where: { id: item.id, status: "exported" },
+                    data: {
+                        status: rejected ? "rejected" : "paid",
+                        ...(rejected && { failure_reason: row.reason || "Rejected by the bank" }),
+                        bank_reference: row.bankReference,
+                        settled_at: new Date(),
+                    },
+                });
+                if (count === 0) return { claimed: false };
+                if (rejected) return { claimed: true };
+
+                const p = await processPayment({
+                    invoiceId: item.invoice_id,
+                    amount: Number(item.amount),
+                    paymentMethod: "bank_transfer",
+                    referenceNumber: row.bankReference || item.end_to_end_id,
+                    paymentDate: row.date ? new Date(row.date) : undefined,
+                    notes: `Payment run ${item.run.run_no} (${item.end_to_end_id})`,
+                }, tx, item.id);
+                await tx.paymentRunItem.update({ where: { id: item.id }, data: { payment_id: p.id } });
+                return { claimed: true, payment: p };
+            });
+
+            if (!settled.claimed) {
+                const current = await prisma.paymentRunItem.findUnique({ where: { id: item.id }, select: { status: true } });
+                result.alreadySettled.push({ ...label, status: current?.status });
+                continue;
+            }
+            if (rejected) result.rejected.push({ ...label, reason: row.reason || null });
+            else result.paid.push({ ...label, paymentId: settled.payment.id, paymentNumber: settled.payment.payment_number });
+            item.status = row.status;
+            touchedRuns.add(item.run.id);
+        } catch (err) {
+            result.exceptions.push({ ...label, message: err.message });
+        }
+    }
+
+    for (const runId of touchedRuns) {
+        const inFlight = await prisma.paymentRunItem.count({ where: { run_id: runId, status: "exported" } });
+        if (inFlight > 0) continue;
+        const completed = await prisma.paymentRun.updateMany({
+            where: { id: runId, status: "exported" },
+            data: { status: "completed", completed_at: new Date(), updated_at: new Date() },
+        });
+        if (completed.count > 0) result.completedRuns.push(items.find((i) => i.run.id === runId).run.run_no);
+    }
+
+    logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "payment_run",
+        entityId: null,
+        action: "IMPORT_BANK_STATEMENT",
+        afterData: {
+            entries: rows.length,
+            paid: result.paid.length,
+            rejected: result.rejected.length,
+            unmatched: result.unmatched.length,
+            exceptions: result.exceptions.length,
+            completedRuns: result.completedRuns,
+        },
+        ipAddress,
+        deviceInfo,
+    });
+    return result;
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+async function listRuns(filters, user) {
+    const where = applyDataScope(user, { module: MODULES.FINANCE, isWrite: false });
+    if (filters.status) where.status = filters.status;
+
+    return prisma.paymentRun.findMany({
+        where,
+        orderBy: { created_at: "desc" },
+        take: Math.min(Math.max(Number(filters.limit) || 50, 1), 200),
+    });
+}
+
+async function getRun(runId, user) {
+    return findScopedRun(runId, user, false);
+}
+
+module.exports = {
+    proposeRun,
+    removeItem,
+    submitRun,
+    cancelRun,
+    exportRun,
+    importStatement,
+    listRuns,
+    getRun,
+};
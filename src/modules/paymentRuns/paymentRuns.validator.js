@@ -0,0 +1,51 @@
+"use strict";
+
+const { body, validationResult } = require("express-validator");
+
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+        });
+    }
+    next();
+}
+
+const validateProposal = [
+    body("due_before")
+        .optional({ nullable: true })
+        .isISO8601().withMessage("due_before must be a date"),
+
+    body("payment_date")
+        .optional({ nullable: true })
+        .isISO8601().withMessage("payment_date must be a date"),
+
+    body("currency")
+        .optional({ nullable: true })
+        .matches(/^[A-Za-z]{3}$/).withMessage("currency must be a three-letter currency code"),
+
+    body("vendor_ids")
+        .optional()
+        .isArray().withMessage("vendor_ids must be an array"),
+
+    body("vendor_ids.*")
+        .isUUID().withMessage("each vendor id must be a UUID"),
+
+    body("project_ids")
+        .optional()
+        .isArray().withMessage("project_ids must be an array"),
+
+    body("project_ids.*")
+        .isUUID().withMessage("each project id must be a UUID"),
+
+    body("notes")
+        .optional({ nullable: true })
+        .isString().isLength({ max: 2000 }).withMessage("notes too long (max 2000 chars)"),
+
+    handleValidationErrors,
+];
+
+module.exports = { validateProposal };
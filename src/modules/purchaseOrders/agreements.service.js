@@ -0,0 +1,356 @@
+"use strict";
+
+const prisma = require("../../db");
+const { logAudit } = require("../../utils/auditLogger");
+const { buildPOCreateData, submitPOForApproval } = require("./purchaseOrders.service");
+const { evaluatePOBudget, enforceBudget } = require("../wbs/budget.service");
+const { assertVendorsCompliant } = require("../vendors/compliance.service");
+const { getBaseCurrency } = require("../currency/currency.service");
+
+/**
+ * Blanket Purchase Agreements
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Agreed unit rates with one vendor, valid between valid_from and valid_to and
+ * capped at value_cap. Recurring items (cement, diesel, …) are ordered through
+ * call-off POs priced from the agreement lines — no RFQ per order.
+ *
+ * Utilisation is derived from the call-off POs themselves (rejected and
+ * cancelled POs release their value), so it cannot drift from the POs. A
+ * call-off locks the agreement row while it checks the cap and the optional
+ * per-item max_quantity, so concurrent call-offs cannot overrun either.
+ */
+
+const RELEASED_PO_STATUSES = ["rejected", "cancelled"];
+const PO_CREATOR_ROLES = ["procurement_officer", "erp_admin", "super_admin"];
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function round(n) {
+    return Number(Number(n).toFixed(2));
+}
+
+function startOfToday() {
+    const d = new Date();
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function companyWhere(user) {
+    return user.isSuperAdmin ? {} : { company_id: user.companyId };
+}
+
+async function _generateAgreementNo() {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await prisma.blanketAgreement.count();
+    return `BPA-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+// ─── Utilisation ──────────────────────────────────────────────────────────────
+
+/**
+ * Committed value and called-off quantity per item across live call-off POs.
+ */
+async function agreementUtilisation(client, agreementId) {
+    const pos = await client.purchaseOrder.findMany({
+        where: { agreement_id: agreementId, deleted_at: null, status: { notIn: RELEASED_PO_STATUSES } },
+        select: { amount: true, items: { select: { item_id: true, quantity: true } } }
+    });
+
+    const calledOff = new Map();
+    for (const po of pos) {
+        for (const line of po.items) {
+            calledOff.set(line.item_id, (calledOff.get(line.item_id) || 0) + Number(line.quantity));
+        }
+    }
+    return {
+        callOffCount: pos.length,
+        committedValue: pos.reduce((acc, po) => acc + Number(po.amount), 0),
+        calledOff
+    };
+}
+
+function describeAgreement(agreement, utilisation) {
+    const today = startOfToday();
+    return {
+        ...agreement,
+        isExpired: new Date(agreement.valid_to) < today,
+        callOffCount: utilisation.callOffCount,
+        committedValue: round(utilisation.committedValue),
+        remainingValue: round(Number(agreement.value_cap) - utilisation.committedValue),
+        lines: (agreement.lines || []).map((line) => {
+            const used = utilisation.calledOff.get(line.item_id) || 0;
+            return {
+                ...line,
+                calledOffQuantity: used,
+                remainingQuantity: line.max_quantity === null ? null : Number(line.max_quantity) - used
+            };
+        })
+    };
+}
+
+// ─── Agreements ──────────────────────────────────────────────────────────────
+
+async function getAllAgreements(user, { page = 1, pageSize = 50, status, vendorId, itemId } = {}) {
+    const where = {
+        ...companyWhere(user),
+        ...(status && { status }),
+        ...(vendorId && { vendor_id: vendorId }),
+        ...(itemId && { lines: { some: { item_id: itemId } } })
+    };
+
+    const [total, rows] = await Promise.all([
+        prisma.blanketAgreement.count({ where }),
+        prisma.blanketAgreement.findMany({
+            where,
+            skip: (page - 1) * pageSize,
+            take: pageSize,
+            orderBy: { created_at: "desc" },
+            include: {
+                vendor: { select: { name: true } },
+                project: { select: { name: true, code: true } },
+                lines: { include: { item: { select: { name: true } } } }
+            }
+        })
+    ]);
+
+    const data = [];
+    for (const row of rows) data.push(describeAgreement(row, await agreementUtilisation(prisma, row.id)));
+    return { data, total, page, pageSize };
+}
+
+async function getAgreementById(id, user) {
+    const agreement = await prisma.blanketAgreement.findFirst({
+        where: { id, ...companyWhere(user) },
+        include: {
+            vendor: { select: { name: true } },
+            project: { select: { name: true, code: true } },
+            lines: { include: { item: { select: { name: true, unit: true } } } },
+            purchase_orders: {
+                where: { deleted_at: null },
+                select: { id: true, po_number: true, status: true, amount: true, created_at: true },
+                orderBy: { created_at: "desc" }
+            }
+        }
+    });
+    if (!agreement) return null;
+    return describeAgreement(agreement, await agreementUtilisation(prisma, id));
+}
+
+/**
+ * data = { vendor_id, project_id?, title, valid_from, valid_to, value_cap,
+ *          payment_terms?, delivery_terms?, notes?, rfq_id?,
+ *          lines: [{ item_id, unit_rate, unit?, max_quantity? }] }
+ */
+async function createAgreement(data, user, ipAddress, deviceInfo) {
+    const companyId = user.isSuperAdmin ? (data.company_id || user.companyId) : user.companyId;
+    if (!companyId) throw createAppError("Company context missing for agreement creation.", 400);
+
+    const lines = Array.isArray(data.lines) ? data.lines : [];
+    if (lines.length === 0) throw createAppError("An agreement needs at least one rate line", 400);
+    if (new Set(lines.map((l) => l.item_id)).size !== lines.length) throw createAppError("Each item may appear only once on an agreement", 400);
+    if (lines.some((l) => !(Number(l.unit_rate) > 0))) throw createAppError("Every line needs a positive unit rate", 400);
+    if (!(Number(data.value_cap) > 0)) throw createAppError("value_cap must be greater than zero", 400);
+
+    const validFrom = new Date(data.valid_from);
+    const validTo = new Date(data.valid_to);
+    if (isNaN(validFrom) || isNaN(validTo) || validTo < validFrom) throw createAppError("valid_to must be on or after valid_from", 400);
+
+    const vendor = await prisma.vendor.findFirst({ where: { id: data.vendor_id, deleted_at: null } });
+    if (!vendor) throw createAppError("Vendor not found", 404);
+    if (vendor.company_id && vendor.company_id !== companyId) throw createAppError("Vendor belongs to another company", 403);
+    if (vendor.status !== "active") throw createAppError(`Vendor is not active (status '${vendor.status}')`, 422);
+
+    const items = await prisma.item.findMany({ where: { id: { in: lines.map((l) => l.item_id) } }, select: { id: true, unit: true } });
+    const units = new Map(items.map((i) => [i.id, i.unit]));
+    if (items.length !== lines.length) throw createAppError("One or more items were not found", 400);
+
+    const agreement = await prisma.blanketAgreement.create({
+        data: {
+            agreement_no: data.agreement_no || await _generateAgreementNo(),
+            company_id: companyId,
+            vendor_id: data.vendor_id,
+            project_id: data.project_id || null,
+            title: data.title,
+            valid_from: validFrom,
+            valid_to: validTo,
+            value_cap: Number(data.value_cap),
+            status: "active",
+            payment_terms: data.payment_terms || null,
+            delivery_terms: data.delivery_terms || null,
+            notes: data.notes || null,
+            rfq_id: data.rfq_id || null,
+            created_by: user.id,
+            lines: {
+                create: lines.map((l) => ({
+                    item_id: l.item_id,
+                    unit: l.unit || units.get(l.item_id) || null,
+                    unit_rate: Number(l.unit_rate),
+                    max_quantity: l.max_quantity !== undefined && l.max_quantity !== null ? Number(l.max_quantity) : null
+                }))
+            }
+        },
+        include: { lines: true }
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "blanket_agreement",
+        entityId: agreement.id,
+        action: "CREATE_BLANKET_AGREEMENT",
+        afterData: { agreementNo: agreement.agreement_no, vendorId: agreement.vendor_id, valueCap: Number(agreement.value_cap), lineCount: lines.length },
+        ipAddress,
+        deviceInfo
+    });
+
+    return agreement;
+}
+
+/**
+ * Close (fulfilled / no longer needed) or cancel an agreement. Existing
+ * call-off POs are untouched; no further call-offs are accepted.
+ */
+async function closeAgreement(id, status, reason, user, ipAddress, deviceInfo) {
+    if (!["closed", "cancelled"].includes(status)) throw createAppError("status must be closed or cancelled", 400);
+
+    const agreement = await prisma.blanketAgreement.findFirst({ where: { id, ...companyWhere(user) } });
+    if (!agreement) throw createAppError("Agreement not found", 404);
+    if (agreement.status !== "active") throw createAppError(`Agreement is already ${agreement.status}`, 409);
+
+    const updated = await prisma.blanketAgreement.update({
+        where: { id },
+        data: {
+            status,
+            notes: reason ? [agreement.notes, `${status}: ${reason}`].filter(Boolean).join("\n") : agreement.notes,
+            updated_at: new Date()
+        }
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "blanket_agreement",
+        entityId: id,
+        action: status === "closed" ? "CLOSE_BLANKET_AGREEMENT" : "CANCEL_BLANKET_AGREEMENT",
+        beforeData: { status: agreement.status },
+        afterData: { status, reason: reason || null },
+        ipAddress,
+        deviceInfo
+    });
+    return updated;
+}
+
+// ─── Call-Offs ───────────────────────────────────────────────────────────────
+
+/**
+ * Raise a call-off PO against an active agreement at the agreed rates.
+ * data = { items: [{ item_id, quantity, cost_code_id? }], project_id?, delivery_terms?, notes? }
+ */
+async function createCallOff(agreementId, data, user, ipAddress, deviceInfo) {
+    if (!PO_CREATOR_ROLES.includes(user.roleCode)) {
+        throw createAppError("Unauthorized: Role not allowed to draft POs.", 403);
+    }
+    const requested = Array.isArray(data.items) ? data.items : [];
+    if (requested.length === 0) throw createAppError("A call-off needs at least one line", 400);
+    if (requested.some((l) => !(Number(l.quantity) > 0))) throw createAppError("Every call-off line needs a positive quantity", 400);
+
+    const { po, items, amount } = await prisma.$transaction(async (tx) => {
+        // Serialise call-offs on this agreement while the cap is checked
+        await tx.$queryRaw`SELECT id FROM auth.blanket_agreements WHERE id = ${agreementId}::uuid FOR UPDATE`;
+
+        const agreement = await tx.blanketAgreement.findFirst({
+            where: { id: agreementId, ...companyWhere(user) },
+            include: { lines: { include: { item: { select: { name: true } } } } }
+        });
+        if (!agreement) throw createAppError("Agreement not found", 404);
+        if (agreement.status !== "active") throw createAppError(`Agreement is ${agreement.status}`, 409);
+        await assertVendorsCompliant(agreement.vendor_id, "raise a call-off for");
+
+        const today = startOfToday();
+        if (today < new Date(agreement.valid_from) || today > new Date(agreement.valid_to)) {
+            throw createAppError(`Agreement is only valid from ${new Date(agreement.valid_from).toISOString().slice(0, 10)} to ${new Date(agreement.valid_to).toISOString().slice(0, 10)}`, 422);
+        }
+
+        const projectId = data.project_id || agreement.project_id || null;
+        if (agreement.project_id && projectId !== agreement.project_id) {
+            throw createAppError("This agreement is restricted to its own project", 422);
+        }
+
+        const lineByItem = new Map(agreement.lines.map((l) => [l.item_id, l]));
+        const utilisation = await agreementUtilisation(tx, agreementId);
+        const poItems = requested.map((r) => {
+            const line = lineByItem.get(r.item_id);
+            if (!line) throw createAppError(`Item ${r.item_id} is not covered by agreement ${agreement.agreement_no}`, 422);
+
+            const quantity = Number(r.quantity);
+            if (line.max_quantity !== null) {
+                const remaining = Number(line.max_quantity) - (utilisation.calledOff.get(r.item_id) || 0);
+                if (quantity > remaining + 1e-9) {
+                    throw createAppError(`${line.item?.name || r.item_id}: only ${remaining} ${line.unit || ""} left on the agreement`.trim(), 422);
+                }
+            }
+            return {
+                item_id: r.item_id,
+                item_name: line.item?.name || "Unspecified Item",
+                unit: line.unit,
+                quantity,
+                unit_price: Number(line.unit_rate),
+                cost_code_id: r.cost_code_id || null
+            };
+        });
+
+        const callOffValue = poItems.reduce((acc, i) => acc + i.quantity * i.unit_price, 0);
+        const remainingValue = Number(agreement.value_cap) - utilisation.committedValue;
+        if (callOffValue > remainingValue + 0.005) {
+            throw createAppError(`Call-off value ${round(callOffValue)} exceeds the remaining agreement value ${round(remainingValue)}`, 422);
+        }
+        enforceBudget(await evaluatePOBudget({ companyId: agreement.company_id, items: poItems }), "this call-off");
+
+        const created = await tx.purchaseOrder.create({
+            data: buildPOCreateData({
+                vendor_id: agreement.vendor_id,
+                project_id: projectId,
+                agreement_id: agreement.id,
+                delivery_terms: data.delivery_terms || agreement.delivery_terms,
+                payment_terms: agreement.payment_terms,
+                notes: data.notes || `Call-off against ${agreement.agreement_no}`
+            }, poItems, {
+                companyId: agreement.company_id,
+                actorId: user.id,
+                actorDeptId: user.department_id || user.departmentId,
+                amount: callOffValue,
+                // Agreement rates are in the company base currency
+                currency: await getBaseCurrency(agreement.company_id, tx)
+            }),
+            include: { items: true }
+        });
+        return { po: created, items: poItems, amount: callOffValue };
+    });
+
+    await submitPOForApproval(po, items, user.id);
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "blanket_agreement",
+        entityId: agreementId,
+        action: "CREATE_CALL_OFF",
+        afterData: { purchaseOrderId: po.id, poNumber: po.po_number, amount: round(amount) },
+        ipAddress,
+        deviceInfo
+    });
+
+    return po;
+}
+
+module.exports = {
+    getAllAgreements,
+    getAgreementById,
+    createAgreement,
+    closeAgreement,
+    createCallOff
+};
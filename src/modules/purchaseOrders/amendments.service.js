@@ -0,0 +1,590 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { registerAdapter } = require("../approvals/approvals.adapter");
+const { requestApproval } = require("../approvals/approvals.service");
+const { invoicedByPoItem } = require("./matching.service");
+const { evaluatePOBudget, enforceBudget, budgetAttributes, syncPOCommitment } = require("../wbs/budget.service");
+const { toBase } = require("../currency/currency.service");
+
+/**
+ * PO Amendments (Change Orders)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Once a PO is issued it only changes through a numbered amendment:
+ *
+ *   header   delivery_terms, payment_terms, notes, terms_conditions
+ *   lines    { id, quantity?, unit_price?, delivery_date?, description? }
+ *   add      new lines (same shape as createPO items)
+ *   remove   PO line ids
+ *
+ * Every amendment stores before/after snapshots of the PO and a field-level
+ * diff. A line can never go below what was already received through GRNs (or
+ * billed on live invoices), and a line with receipts or invoices cannot be
+ * removed — checked when the amendment is raised and again, under a row lock,
+ * when it is applied.
+ *
+ * If the amendment raises the PO amount by more than the threshold in
+ * SystemSetting PO_AMENDMENT_APPROVAL_THRESHOLD (company row, falling back to
+ * the company_id = null row):
+ *   { "percent": 5, "amount": 5000 }   — the larger allowance applies
+ * it goes through the approval engine as PO_AMENDMENT and is applied on final
+ * approval; otherwise it is applied straight away. The threshold amount and
+ * the approval amount are in base currency, at the PO's locked rate. Applying bumps
+ * PurchaseOrder.revision and re-syncs the PO's budget commitment.
+ *
+ * An increase is also checked against cost code budget (BUDGET_CONTROL_POLICY,
+ * "po" stage — see wbs/budget.service.js): hard_stop refuses it, warn sends it
+ * for approval whatever the threshold says.
+ */
+
+const DEFAULT_THRESHOLD = { percent: 0, amount: 0 };
+const OPEN_STATUSES = ["pending_approval", "sent_back"];
+const HEADER_FIELDS = ["delivery_terms", "payment_terms", "notes", "terms_conditions"];
+const LINE_FIELDS = ["quantity", "unit_price", "delivery_date", "description"];
+const QTY_EPSILON = 1e-9;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// ─── Threshold ────────────────────────────────────────────────────────────────
+
+async function getApprovalThreshold(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "PO_AMENDMENT_APPROVAL_THRESHOLD", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_THRESHOLD;
+
+    try {
+        const raw = JSON.parse(row.value);
+        return {
+            percent: Math.max(Number(raw.percent) || 0, 0),
+            amount: Math.max(Number(raw.amount) || 0, 0),
+        };
+    } catch (err) {
+        logger.warn("[PO Amendment] PO_AMENDMENT_APPROVAL_THRESHOLD is not valid JSON — every increase needs approval");
+        return DEFAULT_THRESHOLD;
+    }
+}
+
+function needsApproval(amountBefore, amountAfter, threshold) {
+    const increase = amountAfter - amountBefore;
+    if (increase <= 0.005) return false;
+    const allowance = Math.max((amountBefore * threshold.percent) / 100, threshold.amount);
+    return increase > allowance + 0.005;
+}
+
+// ─── Snapshots & Diff ─────────────────────────────────────────────────────────
+
+function toDateOnly(value) {
+    if (!value) return null;
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function snapshotLine(item) {
+    return {
+        id: item.id,
+        item_id: item.item_id || null,
+        item_name: item.item_name,
+        description: item.description || null,
+        unit: item.unit || null,
+        quantity: Number(item.quantity),
+        received_quantity: Number(item.received_quantity ?? 0),
+        unit_price: Number(item.unit_price),
+        total_price: Number(item.total_price),
+        delivery_date: toDateOnly(item.delivery_date),
+        is_service: item.is_service === true,
+        cost_code_id: item.cost_code_id || null,
+    };
+}
+
+function snapshotPO(po, items) {
+    return {
+        revision: po.revision ?? 0,
+        ...Object.fromEntries(HEADER_FIELDS.map((f) => [f, po[f] ?? null])),
+        amount: Number(po.amount),
+        vat_amount: Number(po.vat_amount ?? 0),
+        total_amount: Number(po.total_amount ?? po.amount),
+        items: items.map(snapshotLine),
+    };
+}
+
+/**
+ * Apply the requested changes to a snapshot. Validates the operations against
+ * the current lines and what has been received / invoiced on them.
+ *
+ * @returns {{ after: object, diff: object }}
+ */
+function planAmendment(before, changes, invoiced) {
+    const byId = new Map(before.items.map((l) => [l.id, l]));
+    const errors = [];
+
+    const removeIds = new Set(changes.remove || []);
+    for (const id of removeIds) {
+        const line = byId.get(id);
+        if (!line) { errors.push(`Line ${id} is not on this PO`); continue; }
+        if (line.received_quantity > QTY_EPSILON || (invoiced.get(id) || 0) > QTY_EPSILON) {
+            errors.push(`"${line.item_name}" has receipts or invoices and cannot be removed — reduce it to the received quantity instead`);
+        }
+    }
+
+    const updates = new Map();
+    for (const u of changes.lines || []) {
+        const line = byId.get(u.id);
+        if (!line) { errors.push(`Line ${u.id} is not on this PO`); continue; }
+        if (removeIds.has(u.id)) { errors.push(`Line "${line.item_name}" cannot be both changed and removed`); continue; }
+        updates.set(u.id, u);
+    }
+
+    const diffLines = [];
+    const afterItems = [];
+    for (const line of before.items) {
+        if (removeIds.has(line.id)) {
+            diffLines.push({ id: line.id, item_name: line.item_name, change: "removed", total_price: line.total_price });
+            continue;
+        }
+        const u = updates.get(line.id);
+        if (!u) { afterItems.push(line); continue; }
+
+        const next = { ...line };
+        if (u.quantity !== undefined) next.quantity = Number(u.quantity);
+        if (u.unit_price !== undefined) next.unit_price = Number(u.unit_price);
+        if (u.delivery_date !== undefined) next.delivery_date = toDateOnly(u.delivery_date);
+        if (u.description !== undefined) next.description = u.description || null;
+
+        if (!(next.quantity > 0)) errors.push(`Quantity for "${line.item_name}" must be greater than zero`);
+        if (!(next.unit_price >= 0)) errors.push(`Unit price for "${line.item_name}" must be zero or more`);
+        if (u.delivery_date && !next.delivery_date) errors.push(`Delivery date for "${line.item_name}" is not a valid date`);
+        const floor = Math.max(line.received_quantity, invoiced.get(line.id) || 0);
+        if (next.quantity < floor - QTY_EPSILON) {
+            errors.push(`"${line.item_name}" cannot drop below ${floor} — already received ${line.received_quantity}, invoiced ${invoiced.get(line.id) || 0}`);
+        }
+        next.total_price = round2(next.quantity * next.unit_price);
+
+        const fields = {};
+        for (const f of LINE_FIELDS) {
+            if (next[f] !== line[f]) fields[f] = { from: line[f], to: next[f] };
+        }
+        if (Object.keys(fields).length > 0) diffLines.push({ id: line.id, item_name: line.item_name, change: "updated", fields });
+        afterItems.push(next);
+    }
+
+    (changes.add || []).forEach((a, idx) => {
+        const quantity = Number(a.quantity);
+        const unitPrice = Number(a.unit_price ?? a.unitPrice);
+        const name = a.item_name || a.itemName;
+        if (!name && !a.item_id) errors.push(`New line ${idx + 1} needs an item_id or item_name`);
+        if (!(quantity > 0)) errors.push(`New line ${idx + 1} needs a quantity greater than zero`);
+        if (!(unitPrice >= 0)) errors.push(`New line ${idx + 1} needs a unit price`);
+        const line = {
+            id: null,
+            item_id: a.item_id || a.itemId || null,
+            item_name: name || "Unspecified Item",
+            description: a.description || null,
+            unit: a.unit || null,
+            quantity,
+            received_quantity: 0,
+            unit_price: unitPrice,
+            total_price: round2(quantity * unitPrice),
+            delivery_date: toDateOnly(a.delivery_date || a.deliveryDate),
+            is_service: (a.is_service ?? a.isService) === true,
+            cost_code_id: a.cost_code_id || a.costCodeId || null,
+        };
+        diffLines.push({ id: null, item_name: line.item_name, change: "added", quantity, unit_price: unitPrice, total_price: line.total_price });
+        afterItems.push(line);
+    });
+
+    if (afterItems.length === 0) errors.push("An amendment cannot remove every line — cancel the PO instead");
+    if (errors.length > 0) throw createAppError(`Amendment rejected: ${errors.join("; ")}`, 422);
+
+    const header = {};
+    const after = { ...before, revision: before.revision + 1, items: afterItems };
+    for (const f of HEADER_FIELDS) {
+        const value = changes.header?.[f];
+        if (value !== undefined && value !== before[f]) {
+            after[f] = value;
+            header[f] = { from: before[f], to: value };
+        }
+    }
+    after.amount = round2(afterItems.reduce((sum, l) => sum + l.total_price, 0));
+    // The PO keeps no VAT rate, so the rate implied by its current VAT carries over to the new net
+    after.vat_amount = before.amount > 0 ? round2((before.vat_amount * after.amount) / before.amount) : before.vat_amount;
+    after.total_amount = round2(after.amount + after.vat_amount);
+
+    if (diffLines.length === 0 && Object.keys(header).length === 0) {
+        throw createAppError("The amendment does not change anything", 400);
+    }
+
+    return {
+        after,
+        diff: { header, lines: diffLines, amount: { from: before.amount, to: after.amount } },
+    };
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+async function findScopedPO(poId, user, isWrite) {
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite });
+    where.id = poId;
+    const po = await prisma.purchaseOrder.findFirst({ where, include: { items: { orderBy: { id: "asc" } } } });
+    if (!po) throw createAppError("PO not found or access denied.", 404);
+    return po;
+}
+
+function normalizeChanges(data) {
+    return {
+        header: data.header || {},
+        lines: Array.isArray(data.lines) ? data.lines : [],
+        add: Array.isArray(data.add) ? data.add : [],
+        remove: Array.isArray(data.remove) ? data.remove : [],
+    };
+}
+
+// ─── Raise ────────────────────────────────────────────────────────────────────
+
+/**
+ * Raise an amendment on an issued PO. Applied immediately unless the increase
+ * is above the threshold, in which case it waits for PO_AMENDMENT approval.
+ *
+ * @param {string} poId
+ * @param {object} data - { reason, header?, lines?, add?, remove? }
+ */
+async function createAmendment(poId, data, user, ipAddress, deviceInfo) {
+    const allowed = ["procurement_officer", "erp_admin", "super_admin"];
+    if (!allowed.includes(user.roleCode)) {
+        throw createAppError("Unauthorized: Role not allowed to amend POs.", 403);
+    }
+    if (!data.reason || !String(data.reason).trim()) throw createAppError("A reason is required for a PO amendment", 400);
+
+    const po = await findScopedPO(poId, user, true);
+    if (po.status !== "issued") {
+        throw createAppError(`Only issued POs can be amended (status '${po.status}')`, 409);
+    }
+
+    const open = await prisma.purchaseOrderAmendment.findFirst({
+        where: { purchase_order_id: poId, status: { in: OPEN_STATUSES } },
+        select: { amendment_no: true, status: true },
+    });
+    if (open) {
+        throw createAppError(`Amendment #${open.amendment_no} is still ${open.status} — resolve it before raising another`, 409);
+    }
+
+    const changes = normalizeChanges(data);
+    const before = snapshotPO(po, po.items);
+    const invoiced = await invoicedByPoItem(po.items.map((i) => i.id), null);
+    const { after, diff } = planAmendment(before, changes, invoiced);
+
+    let budgetShort = false;
+    if (after.amount > before.amount + 0.005) {
+        const budget = enforceBudget(
+            await evaluatePOBudget({
+                companyId: po.company_id, poId, requisitionId: po.requisition_id, items: after.items, exchangeRate: po.exchange_rate,
+            }),
+            `this amendment to ${po.po_number}`
+        );
+        budgetShort = budget.insufficient;
+    }
+
+    const threshold = await getApprovalThreshold(po.company_id);
+    const requiresApproval = budgetShort || needsApproval(toBase(before.amount, po.exchange_rate), toBase(after.amount, po.exchange_rate), threshold);
+
+    const last = await prisma.purchaseOrderAmendment.findFirst({
+        where: { purchase_order_id: poId },
+        orderBy: { amendment_no: "desc" },
+        select: { amendment_no: true },
+    });
+
+    const amendment = await prisma.purchaseOrderAmendment.create({
+        data: {
+            purchase_order_id: poId,
+            amendment_no: (last?.amendment_no || 0) + 1,
+            status: "pending_approval",
+            reason: String(data.reason).trim(),
+            changes,
+            before_snapshot: before,
+            after_snapshot: after,
+            diff,
+            amount_before: before.amount,
+            amount_after: after.amount,
+            requires_approval: requiresApproval,
+            created_by: user.id,
+        },
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "purchase_order",
+        entityId: poId,
+        action: "RAISE_PO_AMENDMENT",
+        afterData: { amendmentId: amendment.id, amendmentNo: amendment.amendment_no, diff, requiresApproval },
+        ipAddress,
+        deviceInfo,
+    });
+
+    if (!requiresApproval) {
+        return applyAmendment(amendment.id, user.id);
+    }
+
+    try {
+        const approval = await requestApproval({
+            docType: "PO_AMENDMENT",
+            docId: amendment.id,
+            projectId: po.project_id,
+            amount: toBase(after.amount, po.exchange_rate),
+            remarks: `Amendment #${amendment.amendment_no} to ${po.po_number}: ${amendment.reason}`,
+            items: after.items.map((l) => ({
+                itemName: l.item_name,
+                quantity: l.quantity,
+                unit: l.unit,
+                unitPrice: l.unit_price,
+                totalPrice: l.total_price,
+            })),
+        }, user.id, ipAddress, deviceInfo);
+
+        return prisma.purchaseOrderAmendment.update({
+            where: { id: amendment.id },
+            data: { approval_request_id: approval.approvalRequestId },
+        });
+    } catch (err) {
+        await prisma.purchaseOrderAmendment.update({
+            where: { id: amendment.id },
+            data: { status: "cancelled", failure_reason: `Approval could not be requested: ${err.message}` },
+        });
+        throw err;
+    }
+}
+
+// ─── Apply ────────────────────────────────────────────────────────────────────
+
+/**
+ * Write an amendment onto its PO. Lines are locked and re-validated against
+ * the receipts / invoices at this moment; on failure the amendment is marked
+ * apply_failed with the reason and the PO is left untouched.
+ */
+async function applyAmendment(amendmentId, actorId) {
+    const amendment = await prisma.purchaseOrderAmendment.findUnique({ where: { id: amendmentId } });
+    if (!amendment) throw createAppError("Amendment not found", 404);
+    if (!OPEN_STATUSES.includes(amendment.status)) {
+        throw createAppError(`Amendment is already ${amendment.status}`, 409);
+    }
+    const poId = amendment.purchase_order_id;
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // Block GRN increments on these lines while the floor is re-checked
+            await tx.$queryRaw`SELECT id FROM auth.purchase_order_items WHERE purchase_order_id = ${poId}::uuid FOR UPDATE`;
+
+            const po = await tx.purchaseOrder.findUnique({ where: { id: poId }, include: { items: { orderBy: { id: "asc" } } } });
+            if (!po || po.status !== "issued") {
+                throw createAppError(`PO is no longer issued (status '${po?.status || "deleted"}')`, 409);
+            }
+
+            const before = snapshotPO(po, po.items);
+            const invoiced = await invoicedByPoItem(po.items.map((i) => i.id), null);
+            const { after, diff } = planAmendment(before, amendment.changes, invoiced);
+
+            const removeIds = new Set(amendment.changes.remove || []);
+            const updatedIds = new Set((amendment.changes.lines || []).map((l) => l.id));
+            if (removeIds.size > 0) {
+                await tx.purchaseOrderItem.deleteMany({ where: { id: { in: [...removeIds] }, purchase_order_id: poId } });
+            }
+
+            const created = [];
+            for (const line of after.items) {
+                const fields = {
+                    description: line.description,
+                    quantity: line.quantity,
+                    unit_price: line.unit_price,
+                    total_price: line.total_price,
+                    delivery_date: line.delivery_date ? new Date(line.delivery_date) : null,
+                };
+                if (line.id) {
+                    if (!updatedIds.has(line.id)) continue;
+                    await tx.purchaseOrderItem.update({ where: { id: line.id }, data: fields });
+                } else {
+                    const row = await tx.purchaseOrderItem.create({
+                        data: {
+                            ...fields,
+                            purchase_order_id: poId,
+                            item_id: line.item_id,
+                            item_name: line.item_name,
+                            unit: line.unit,
+                            is_service: line.is_service,
+                            cost_code_id: line.cost_code_id,
+                        },
+                    });
+                    line.id = row.id;
+                    created.push(row);
+                }
+            }
+
+            const anyReceived = after.items.some((l) => l.received_quantity > QTY_EPSILON);
+            const deliveryStatus = anyReceived
+                ? (after.items.every((l) => l.received_quantity >= l.quantity - QTY_EPSILON) ? "complete" : "partial")
+                : po.delivery_status;
+
+            await tx.purchaseOrder.update({
+                where: { id: poId },
+                data: {
+                    ...Object.fromEntries(HEADER_FIELDS.map((f) => [f, after[f]])),
+                    amount: after.amount,
+                    vat_amount: after.vat_amount,
+                    total_amount: after.total_amount,
+                    ...(Number(po.subtotal) > 0 && { subtotal: after.amount }),
+                    revision: after.revision,
+                    delivery_status: deliveryStatus,
+                    updated_at: new Date(),
+                },
+            });
+            await syncPOCommitment(poId, actorId || null, tx);
+
+            // New stock lines get delivery tracking, as issued lines did
+            for (const row of created.filter((r) => !r.is_service)) {
+                const expected = row.delivery_date || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+                await tx.deliveryTracking.create({
+                    data: {
+                        company_id: po.company_id,
+                        project_id: po.project_id || null,
+                        po_id: poId,
+                        item_id: row.item_id,
+                        expected_date: expected,
+                        status: "pending",
+                        remarks: `Added by amendment #${amendment.amendment_no} to PO ${po.po_number}`,
+                    },
+                });
+            }
+
+            return tx.purchaseOrderAmendment.update({
+                where: { id: amendmentId },
+                data: {
+                    status: "applied",
+                    before_snapshot: before,
+                    after_snapshot: after,
+                    diff,
+                    amount_before: before.amount,
+                    amount_after: after.amount,
+                    applied_by: actorId || null,
+                    applied_at: new Date(),
+                    failure_reason: null,
+                },
+            });
+        });
+
+        logAudit({
+            userId: actorId || null,
+            module: "procurement",
+            entity: "purchase_order",
+            entityId: poId,
+            action: "APPLY_PO_AMENDMENT",
+            beforeData: result.before_snapshot,
+            afterData: { amendmentId, amendmentNo: result.amendment_no, revision: result.after_snapshot.revision, ...result.after_snapshot },
+        });
+        return result;
+    } catch (err) {
+        await prisma.purchaseOrderAmendment.update({
+            where: { id: amendmentId },
+            data: { status: "apply_failed", failure_reason: err.message },
+        });
+        logger.warn(`[PO Amendment] #${amendment.amendment_no} on PO ${poId} could not be applied: ${err.message}`);
+        throw err;
+    }
+}
+
+// ─── Approval Engine Hooks ────────────────────────────────────────────────────
+
+registerAdapter("PO_AMENDMENT", async ({ docId, status, userId }) => {
+    if (status === "approved") {
+        await applyAmendment(docId, userId);
+        return;
+    }
+
+    const next = { in_approval: "pending_approval", rejected: "rejected", cancelled: "cancelled", sent_back: "sent_back" }[status];
+    if (!next) return;
+    await prisma.purchaseOrderAmendment.updateMany({
+        where: { id: docId, status: { in: OPEN_STATUSES } },
+        data: { status: next },
+    });
+});
+
+registerAdapter("PO_AMENDMENT:meta", async ({ docId }) => {
+    const amendment = await prisma.purchaseOrderAmendment.findUnique({
+        where: { id: docId },
+        include: {
+            purchase_order: {
+                select: {
+                    id: true, po_number: true, company_id: true, requisition_id: true, currency: true, exchange_rate: true,
+                    vendor: { select: { id: true, name: true } },
+                },
+            },
+        },
+    });
+    if (!amendment) return null;
+
+    const po = amendment.purchase_order;
+    const budget = po
+        ? await evaluatePOBudget({
+            companyId: po.company_id,
+            poId: po.id,
+            requisitionId: po.requisition_id,
+            items: amendment.after_snapshot?.items || [],
+            exchangeRate: po.exchange_rate,
+        })
+        : { checked: false, mode: "off", insufficient: false, shortfall: 0 };
+
+    const diff = amendment.diff || {};
+    const counts = (diff.lines || []).reduce((acc, l) => ({ ...acc, [l.change]: (acc[l.change] || 0) + 1 }), {});
+    return {
+        title: `PO Amendment #${amendment.amendment_no}: ${amendment.purchase_order?.po_number}`,
+        amount: toBase(amendment.amount_after, po?.exchange_rate),
+        description: `${amendment.reason} (${Number(amendment.amount_before)} → ${Number(amendment.amount_after)}${po?.currency ? ` ${po.currency}` : ""})`,
+        attributes: {
+            vendor: { id: amendment.purchase_order?.vendor?.id || null },
+            increase: toBase(Number(amendment.amount_after) - Number(amendment.amount_before), po?.exchange_rate),
+            linesAdded: counts.added || 0,
+            linesUpdated: counts.updated || 0,
+            linesRemoved: counts.removed || 0,
+            budget: budgetAttributes(budget),
+        },
+    };
+});
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+async function listAmendments(poId, user) {
+    const po = await findScopedPO(poId, user, false);
+    const amendments = await prisma.purchaseOrderAmendment.findMany({
+        where: { purchase_order_id: poId },
+        orderBy: { amendment_no: "desc" },
+        select: {
+            id: true, amendment_no: true, status: true, reason: true, diff: true,
+            amount_before: true, amount_after: true, requires_approval: true, approval_request_id: true,
+            failure_reason: true, created_by: true, created_at: true, applied_by: true, applied_at: true,
+        },
+    });
+    return { poId, poNumber: po.po_number, revision: po.revision ?? 0, amendments };
+}
+
+async function getAmendment(poId, amendmentId, user) {
+    await findScopedPO(poId, user, false);
+    return prisma.purchaseOrderAmendment.findFirst({ where: { id: amendmentId, purchase_order_id: poId } });
+}
+
+module.exports = {
+    createAmendment,
+    applyAmendment,
+    listAmendments,
+    getAmendment,
+    getApprovalThreshold,
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+const prisma = require("../../db");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { createPO } = require("./purchaseOrders.service");
+const { resolveCostCodes } = require("../wbs/budget.service");
+
+/**
+ * PO Generation from an RFQ Award
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Turns the award recorded by rfqs.service#compareQuotes into draft POs — one
+ * per awarded vendor, so a split award yields several POs. Lines carry the
+ * awarded quantity and unit price in the quote's currency, its delivery days, the
+ * RFQ / quote / requisition references and a cost code — the override for
+ * the item, else the requisition line's cost code, else the PR WBS material
+ * cost code — so the PO draws down the budget the PR reserved. Each award
+ * line remembers its PO, so an award is only ever converted once: a run first
+ * claims all pending lines (po_claimed_at) and only then creates POs, so a
+ * concurrent run (double click) finds nothing to claim.
+ */
+
+// A claim older than this belongs to a run that died without releasing it
+const CLAIM_TTL_MS = 15 * 60 * 1000;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/**
+ * Create draft POs from the latest (or given) comparison of an RFQ.
+ *
+ * @param {string} rfqId
+ * @param {object} data - { comparisonId?, costCodes?: { [itemId]: costCodeId }, payment_terms?, notes? }
+ * @param {object} user - req.user
+ * @returns {{ rfqId, comparisonId, purchaseOrders: object[] }}
+ */
+async function createPOsFromAward(rfqId, data, user) {
+    const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, prefix: "requisition" });
+    rfqWhere.id = rfqId;
+    const rfq = await prisma.rFQ.findFirst({
+        where: rfqWhere,
+        include: { requisition: { select: { id: true, company_id: true, project_id: true, wbs_id: true } } }
+    });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+    if (rfq.status !== "vendor_selected") {
+        throw createAppError(`RFQ must have an awarded vendor before a PO can be generated (status '${rfq.status}')`, 409);
+    }
+
+    const comparison = await prisma.comparisonEngine.findFirst({
+        where: { rfq_id: rfqId, ...(data.comparisonId && { id: data.comparisonId }) },
+        orderBy: { created_at: "desc" },
+        include: {
+            awards: {
+                include: {
+                    quote: { select: { id: true, currency: true, delivery_days: true } },
+                    quote_item: { select: { item: { select: { name: true, unit: true } } } }
+                }
+            }
+        }
+    });
+    if (!comparison) throw createAppError("No award has been recorded for this RFQ", 404);
+    if (comparison.awards.length === 0) {
+        throw createAppError("This comparison predates line-level awards — run the comparison again to record them", 422);
+    }
+
+    // POs raised from any other comparison of this RFQ already cover the award
+    const ordered = await prisma.comparisonAward.findFirst({
+        where: { rfq_id: rfqId, comparison_id: { not: comparison.id }, purchase_order_id: { not: null } },
+        select: { comparison_id: true }
+    });
+    if (ordered) {
+        throw createAppError(`Purchase orders have already been generated for this RFQ from comparison ${ordered.comparison_id}`, 409);
+    }
+
+    const pending = comparison.awards.filter((a) => !a.purchase_order_id);
+    if (pending.length === 0) throw createAppError("Purchase orders have already been generated for this award", 409);
+
+    // Claim every pending line before creating anything. A partial claim means
+    // another run holds some lines — throwing rolls back the ones taken here.
+    const claimedAt = new Date();
+    await prisma.$transaction(async (tx) => {
+        const { count } = await tx.comparisonAward.updateMany({
+            where: {
+                id: { in: pending.map((a) => a.id) },
+                purchase_order_id: null,
+                OR: [{ po_claimed_at: null }, { po_claimed_at: { lt: new Date(claimedAt.getTime() - CLAIM_TTL_MS) } }],
+            },
+            data: { po_claimed_at: claimedAt },
+        });
+        if (count !== pending.length) {
+            throw createAppError("Purchase orders for this award are already being generated", 409);
+        }
+    });
+
+    try {
+        return await generatePOs(rfq, comparison, pending, data, user);
+    } catch (err) {
+        // Lines whose PO was not created go back to the pool
+        await prisma.comparisonAward.updateMany({
+            where: { id: { in: pending.map((a) => a.id) }, purchase_order_id: null, po_claimed_at: claimedAt },
+            data: { po_claimed_at: null },
+        });
+        throw err;
+    }
+}
+
+/**
+ * Create one draft PO per awarded vendor for claimed award lines and link the
+ * lines to their PO.
+ */
+async function generatePOs(rfq, comparison, pending, data, user) {
+    const prLines = await prisma.purchaseRequisitionItem.findMany({
+        where: { requisition_id: rfq.requisition_id, cost_code_id: { not: null } },
+        select: { item_id: true, cost_code_id: true }
+    });
+    const prCostCodes = Object.fromEntries(prLines.filter((l) => l.item_id).map((l) => [l.item_id, l.cost_code_id]));
+    const costCodeFor = await resolveCostCodes(rfq.requisition?.wbs_id, { ...prCostCodes, ...(data.costCodes || {}) });
+    const byVendor = new Map();
+    for (const award of pending) {
+        if (!byVendor.has(award.vendor_id)) byVendor.set(award.vendor_id, []);
+        byVendor.get(award.vendor_id).push(award);
+    }
+
+    const stamp = Date.now();
+    const purchaseOrders = [];
+    let seq = 0;
+    for (const [vendorId, awards] of byVendor) {
+        seq++;
+        const quote = awards[0].quote;
+        const po = await createPO({
+            po_number: byVendor.size > 1 ? `PO-${stamp}-${seq}` : `PO-${stamp}`,
+            company_id: rfq.requisition?.company_id,
+            project_id: rfq.requisition?.project_id || null,
+            vendor_id: vendorId,
+            requisition_id: rfq.requisition_id,
+            rfq_id: rfq.id,
+            quote_id: quote.id,
+            currency: quote.currency,
+            delivery_terms: quote.delivery_days !== null && quote.delivery_days !== undefined
+                ? `Delivery within ${quote.delivery_days} day(s) of PO issue`
+                : null,
+            payment_terms: data.payment_terms || null,
+            notes: data.notes || `Generated from RFQ ${rfq.rfq_no} (${comparison.award_mode || "single"} award)`,
+            items: awards.map((a) => ({
+                item_id: a.item_id,
+                item_name: a.quote_item?.item?.name || "Unspecified Item",
+                unit: a.quote_item?.item?.unit || null,
+                quantity: Number(a.quantity),
+                unit_price: Number(a.unit_price),
+                cost_code_id: costCodeFor(a.item_id)
+            }))
+        }, user);
+
+        await prisma.comparisonAward.updateMany({
+            where: { id: { in: awards.map((a) => a.id) }, purchase_order_id: null },
+            data: { purchase_order_id: po.id, po_claimed_at: null }
+        });
+        purchaseOrders.push(po);
+    }
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "rfq",
+        entityId: rfq.id,
+        action: "GENERATE_PO_FROM_AWARD",
+        afterData: {
+            comparisonId: comparison.id,
+            purchaseOrders: purchaseOrders.map((po) => ({ id: po.id, poNumber: po.po_number, vendorId: po.vendor_id, amount: Number(po.amount) }))
+        }
+    });
+
+    return { rfqId: rfq.id, comparisonId: comparison.id, purchaseOrders };
+}
+
+module.exports = { createPOsFromAward };
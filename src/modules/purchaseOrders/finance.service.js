@@ -1,77 +1,224 @@
 "use strict";
 
 const prisma = require("../../db");
+const { runThreeWayMatch, assertPayable } = require("./matching.service");
+const { recordInvoiceActuals, reverseInvoiceActuals } = require("../wbs/budget.service");
+const { logAudit } = require("../../utils/auditLogger");
+const { resolveDocumentCurrency, getBaseCurrency, getRate, normalizeCurrency, toBase } = require("../currency/currency.service");
 
-async function createInvoice(data) {
-    const { poId, vendorId, invoiceNumber, amount, taxAmount, invoiceDate, dueDate, attachments } = data;
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+async function _generatePaymentNo(tx) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const count = await tx.supplierPayment.count();
+    return `PAY-${datePart}-${String(count + 1).padStart(4, "0")}`;
+}
+
+/**
+ * Record a supplier invoice. `lines` ([{ poItemId, description, quantity, unitPrice }])
+ * are matched against the PO and its GRNs straight away (see matching.service.js);
+ * a PO invoice that does not match is created on hold. A PO invoice also moves
+ * the PO's budget commitment to actual cost (see wbs/budget.service.js).
+ * The invoice is in the PO's currency, and the exchange rate to base is the
+ * rate on the invoice date.
+ */
+async function createInvoice(data, user = null) {
+    const { poId, vendorId, invoiceNumber, taxAmount, invoiceDate, dueDate, attachments } = data;
+    const lines = Array.isArray(data.lines) ? data.lines : [];
+
+    let po = null;
+    if (poId) {
+        po = await prisma.purchaseOrder.findUnique({ where: { id: poId }, select: { id: true, company_id: true, vendor_id: true, currency: true } });
+        if (!po) throw createAppError("Purchase Order not found", 404);
+        if (user && !user.isSuperAdmin && po.company_id !== user.companyId) {
+            throw createAppError("Access denied: purchase order belongs to another company", 403);
+        }
+    }
+
+    const companyId = po?.company_id || user?.companyId || null;
+    const { currency, exchangeRate } = await resolveDocumentCurrency(
+        data.currency || po?.currency, companyId, new Date(invoiceDate)
+    );
+    if (po && currency !== po.currency) {
+        throw createAppError(`Invoice currency ${currency} does not match the purchase order currency ${po.currency}`, 400);
+    }
+
+    const lineRows = lines.map((l) => ({
+        po_item_id: l.poItemId || null,
+        description: l.description || null,
+        quantity: Number(l.quantity),
+        unit_price: Number(l.unitPrice),
+        line_total: Number((Number(l.quantity) * Number(l.unitPrice)).toFixed(2)),
+    }));
+    if (lineRows.some((l) => !(l.quantity > 0) || !(l.unit_price >= 0))) {
+        throw createAppError("Every invoice line needs a positive quantity and a unit price", 400);
+    }
 
-    const totalAmount = Number(amount) + (Number(taxAmount) || 0);
+    // Header amount defaults to the sum of the lines
+    const amount = data.amount !== undefined && data.amount !== null && data.amount !== ""
+        ? Number(data.amount)
+        : lineRows.reduce((sum, l) => sum + l.line_total, 0);
+    const totalAmount = amount + (Number(taxAmount) || 0);
 
     const invoice = await prisma.supplierInvoice.create({
         data: {
             invoice_number: invoiceNumber,
             po_id: poId || null,
-            vendor_id: vendorId,
+            vendor_id: vendorId || po?.vendor_id,
+            company_id: companyId,
+            currency,
+            exchange_rate: exchangeRate,
             amount: amount,
             tax_amount: taxAmount || 0,
             total_amount: totalAmount,
             invoice_date: new Date(invoiceDate),
             due_date: dueDate ? new Date(dueDate) : null,
             status: "pending",
-            attachments: attachments || null
+            attachments: attachments || null,
+            created_by: user?.id || null,
+            lines: lineRows.length > 0 ? { create: lineRows } : undefined,
         }
     });
 
-    return invoice;
+    if (!poId) return invoice;
+    await recordInvoiceActuals(invoice.id, user?.id || null);
+    return runThreeWayMatch(invoice.id, user?.id || null);
 }
 
-async function processPayment(data) {
+/**
+ * Pay (part of) a supplier invoice in the invoice currency. The payment is
+ * converted at the rate on the payment date; the difference to the invoice's
+ * rate is the realized FX gain (+) or loss (−) in base currency.
+ *
+ * An invoice sent to the bank in a payment run cannot be paid by hand until
+ * the run is settled; `runItemId` is given when the settlement itself pays it.
+ */
+async function processPayment(data, tx = null, runItemId = null) {
+    if (!tx) return prisma.$transaction((t) => processPayment(data, t, runItemId));
     const { invoiceId, amount, paymentMethod, referenceNumber, notes } = data;
 
-    const payment = await prisma.$transaction(async (tx) => {
-        const p = await tx.supplierPayment.create({
-            data: {
-                invoice_id: invoiceId,
-                amount: amount,
-                payment_method: paymentMethod || null,
-                reference_number: referenceNumber || null,
-                notes: notes || null
-            }
+    await tx.$queryRaw`SELECT id FROM auth.supplier_invoices WHERE id = ${invoiceId}::uuid FOR UPDATE`;
+    const invoice = await tx.supplierInvoice.findUnique({ where: { id: invoiceId }, include: { payments: true } });
+    if (!invoice) throw createAppError("Supplier invoice not found", 404);
+    assertPayable(invoice);
+
+    const alreadyPaid = invoice.payments.reduce((acc, pay) => acc + Number(pay.amount), 0);
+    const outstanding = Number(invoice.total_amount) - alreadyPaid;
+    if (!(Number(amount) > 0)) throw createAppError("Payment amount must be positive", 400);
+    if (Number(amount) > outstanding + 0.005) {
+        throw createAppError(`Payment ${Number(amount)} exceeds the outstanding balance ${outstanding.toFixed(2)}`, 422);
+    }
+    if (data.currency && normalizeCurrency(data.currency) !== invoice.currency) {
+        throw createAppError(`Payments against this invoice must be in ${invoice.currency}`, 400);
+    }
+    if (!runItemId) {
+        const inFlight = await tx.paymentRunItem.findFirst({
+            where: { invoice_id: invoiceId, status: "exported" },
+            select: { run: { select: { run_no: true } } }
         });
+        if (inFlight) {
+            throw createAppError(`Invoice ${invoice.invoice_number} was sent to the bank in payment run ${inFlight.run.run_no} and awaits the statement`, 409);
+        }
+    }
+
+    const paymentDate = data.paymentDate ? new Date(data.paymentDate) : new Date();
+    if (isNaN(paymentDate.getTime())) throw createAppError("paymentDate must be a date", 400);
+    const baseCurrency = await getBaseCurrency(invoice.company_id, tx);
+    const paymentRate = await getRate(invoice.currency, baseCurrency, paymentDate, invoice.company_id, tx);
+    const baseAmount = toBase(amount, paymentRate);
+    const fxGainLoss = toBase(amount, invoice.exchange_rate) - baseAmount;
+
+    const payment = await tx.supplierPayment.create({
+        data: {
+            payment_number: await _generatePaymentNo(tx),
+            invoice_id: invoiceId,
+            amount: amount,
+            payment_date: paymentDate,
+            currency: invoice.currency,
+            exchange_rate: paymentRate,
+            base_amount: baseAmount,
+            fx_gain_loss: Math.round(fxGainLoss * 100) / 100,
+            payment_method: paymentMethod || null,
+            reference_number: referenceNumber || null,
+            notes: notes || null
+        }
+    });
 
-        // Update invoice status
-        const invoice = await tx.supplierInvoice.findUnique({
+    // Update invoice status
+    const totalPaid = alreadyPaid + Number(amount);
+    if (totalPaid >= Number(invoice.total_amount) - 0.005) {
+        await tx.supplierInvoice.update({
             where: { id: invoiceId },
-            include: { payments: true }
+            data: { status: "paid" }
         });
 
-        const totalPaid = invoice.payments.reduce((acc, pay) => acc + Number(pay.amount), 0);
-        
-        if (totalPaid >= Number(invoice.total_amount)) {
-            await tx.supplierInvoice.update({
-                where: { id: invoiceId },
-                data: { status: "paid" }
+        // If linked to a PO, check if PO should be 'completed'
+        if (invoice.po_id) {
+            // Simplified: mark PO as completed if invoice is paid
+            await tx.purchaseOrder.update({
+                where: { id: invoice.po_id },
+                data: { status: "completed", updated_at: new Date() }
             });
+        }
+    } else {
+        await tx.supplierInvoice.update({
+            where: { id: invoiceId },
+            data: { status: "partially_paid" }
+        });
+    }
 
-            // If linked to a PO, check if PO should be 'completed'
-            if (invoice.po_id) {
-                // Simplified: mark PO as completed if invoice is paid
-                await tx.purchaseOrder.update({
-                    where: { id: invoice.po_id },
-                    data: { status: "completed", updated_at: new Date() }
-                });
-            }
-        } else {
-            await tx.supplierInvoice.update({
-                where: { id: invoiceId },
-                data: { status: "partially_paid" }
-            });
+    return payment;
+}
+
+/**
+ * Cancel a supplier invoice that nothing has been paid against. Its budget
+ * entries are reversed: the PO commitment it relieved comes back (unless the PO
+ * is no longer open) and its actual cost goes away.
+ */
+async function cancelInvoice(invoiceId, reason, user, ipAddress, deviceInfo) {
+    if (!reason || !String(reason).trim()) throw createAppError("A reason is required to cancel an invoice", 400);
+
+    const { before, updated } = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM auth.supplier_invoices WHERE id = ${invoiceId}::uuid FOR UPDATE`;
+        const current = await tx.supplierInvoice.findUnique({ where: { id: invoiceId }, include: { payments: true } });
+        if (!current) throw createAppError("Supplier invoice not found", 404);
+        if (!user.isSuperAdmin && current.company_id !== user.companyId) {
+            throw createAppError("Access denied: invoice belongs to another company", 403);
+        }
+        if (current.status === "cancelled") throw createAppError("Invoice is already cancelled", 409);
+        if (current.payments.length > 0) {
+            throw createAppError(`Invoice ${current.invoice_number} has payments against it and cannot be cancelled`, 409);
+        }
+        const inRun = await tx.paymentRunItem.findFirst({
+            where: { invoice_id: invoiceId, status: { in: ["proposed", "exported"] } },
+            select: { run: { select: { run_no: true } } }
+        });
+        if (inRun) {
+            throw createAppError(`Invoice ${current.invoice_number} is in payment run ${inRun.run.run_no} — take it out of the run first`, 409);
         }
 
-        return p;
+        const cancelled = await tx.supplierInvoice.update({ where: { id: invoiceId }, data: { status: "cancelled" } });
+        await reverseInvoiceActuals(invoiceId, user.id, tx);
+        return { before: current, updated: cancelled };
     });
 
-    return payment;
+    await logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "supplier_invoice",
+        entityId: invoiceId,
+        action: "CANCEL_INVOICE",
+        beforeData: { status: before.status, matchStatus: before.match_status },
+        afterData: { status: "cancelled", reason: String(reason).trim() },
+        ipAddress,
+        deviceInfo,
+    });
+
+    return updated;
 }
 
 async function getInvoicesByPO(poId) {
@@ -84,4 +231,4 @@ async function getInvoicesByPO(poId) {
     });
 }
 
-module.exports = { createInvoice, processPayment, getInvoicesByPO };
+module.exports = { createInvoice, processPayment, cancelInvoice, getInvoicesByPO };
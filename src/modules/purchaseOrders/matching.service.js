@@ -0,0 +1,386 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { logAudit } = require("../../utils/auditLogger");
+
+/**
+ * Three-Way Match (PO ↔ GRN ↔ Supplier Invoice)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Each invoice line references a PO line and is checked against:
+ *
+ *   price     invoice unit price ≤ PO unit price (GRN-captured price when received)
+ *             + price tolerance
+ *   quantity  invoice qty ≤ accepted GRN qty (received − rejected)
+ *             − qty already invoiced on other open invoices
+ *             + quantity tolerance
+ *
+ * Line results: matched | price_variance | qty_variance | not_received | not_on_po.
+ * Header: the lines must add up to the invoice amount (within 0.01).
+ *
+ * Header-only invoices (no lines) are matched on value instead: the invoice
+ * amount must not exceed the accepted GRN value of the PO less what other live
+ * invoices already bill, plus the price percentage tolerance.
+ *
+ * Any failure → match_status "exception", status "on_hold" with a hold_reason;
+ * the invoice shows up in the exceptions queue and cannot be paid until it
+ * re-matches (e.g. after the missing GRN is posted) or is released with a reason.
+ *
+ * Tolerances come from SystemSetting INVOICE_MATCH_TOLERANCES (company row,
+ * falling back to the company_id = null row):
+ *   { "pricePercent": 2, "priceAmount": 0, "qtyPercent": 0 }
+ * The larger of pricePercent / priceAmount applies per unit.
+ */
+
+const DEFAULT_TOLERANCES = { pricePercent: 0, priceAmount: 0, qtyPercent: 0 };
+const OPEN_INVOICE_STATUSES = ["pending", "on_hold", "partially_paid", "paid"];
+const AMOUNT_EPSILON = 0.01;
+
+const REASONS = {
+    price_variance: "price above PO",
+    qty_variance: "quantity above received",
+    not_received: "nothing received yet",
+    not_on_po: "line not on the PO",
+};
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function round(value, places = 4) {
+    return Number(Number(value).toFixed(places));
+}
+
+// ─── Tolerances ───────────────────────────────────────────────────────────────
+
+async function getMatchTolerances(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "INVOICE_MATCH_TOLERANCES", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_TOLERANCES;
+
+    try {
+        const raw = JSON.parse(row.value);
+        return {
+            pricePercent: Math.max(Number(raw.pricePercent) || 0, 0),
+            priceAmount: Math.max(Number(raw.priceAmount) || 0, 0),
+            qtyPercent: Math.max(Number(raw.qtyPercent) || 0, 0),
+        };
+    } catch (err) {
+        logger.warn("[Match] INVOICE_MATCH_TOLERANCES is not valid JSON — using zero tolerance");
+        return DEFAULT_TOLERANCES;
+    }
+}
+
+// ─── Line Matching ────────────────────────────────────────────────────────────
+
+/**
+ * Accepted GRN quantity and GRN-captured price per PO line.
+ */
+async function receivedByPoItem(poItemIds) {
+    const grnItems = await prisma.gRNItem.findMany({
+        where: { po_item_id: { in: poItemIds }, grn: { deleted_at: null } },
+        select: { po_item_id: true, qty_received: true, qty_rejected: true, unit_price: true },
+    });
+
+    const map = new Map();
+    for (const g of grnItems) {
+        const entry = map.get(g.po_item_id) || { accepted: 0, value: 0 };
+        const accepted = Number(g.qty_received) - Number(g.qty_rejected || 0);
+        entry.accepted += accepted;
+        entry.value += accepted * Number(g.unit_price);
+        map.set(g.po_item_id, entry);
+    }
+    return map;
+}
+
+/**
+ * Quantity already billed per PO line on live invoices (other than
+ * `excludeInvoiceId`, when given).
+ */
+async function invoicedByPoItem(poItemIds, excludeInvoiceId) {
+    const lines = await prisma.supplierInvoiceLine.findMany({
+        where: {
+            po_item_id: { in: poItemIds },
+            ...(excludeInvoiceId && { invoice_id: { not: excludeInvoiceId } }),
+            invoice: { status: { in: OPEN_INVOICE_STATUSES } },
+        },
+        select: { po_item_id: true, quantity: true },
+    });
+
+    const map = new Map();
+    for (const l of lines) map.set(l.po_item_id, (map.get(l.po_item_id) || 0) + Number(l.quantity));
+    return map;
+}
+
+/**
+ * Value already billed against a PO on live invoices other than `excludeInvoiceId`.
+ */
+async function invoicedValueForPO(poId, excludeInvoiceId) {
+    const agg = await prisma.supplierInvoice.aggregate({
+        where: { po_id: poId, id: { not: excludeInvoiceId }, status: { in: OPEN_INVOICE_STATUSES } },
+        _sum: { amount: true },
+    });
+    return Number(agg._sum.amount || 0);
+}
+
+/**
+ * Value match for an invoice without lines. Returns the hold reason (or null)
+ * and the figures it was based on.
+ */
+async function matchHeader(invoice, po, tolerances) {
+    const received = await receivedByPoItem(po.items.map((i) => i.id));
+    const acceptedValue = [...received.values()].reduce((sum, r) => sum + r.value, 0);
+    const invoicedElsewhere = await invoicedValueForPO(po.id, invoice.id);
+    const billable = acceptedValue - invoicedElsewhere;
+    const allowance = billable * tolerances.pricePercent / 100;
+
+    const detail = {
+        acceptedValue: round(acceptedValue, 2),
+        invoicedElsewhere: round(invoicedElsewhere, 2),
+        billable: round(billable, 2),
+    };
+
+    let reason = null;
+    if (acceptedValue <= 0) reason = "Nothing received on the PO yet";
+    else if (Number(invoice.amount) > billable + allowance + AMOUNT_EPSILON) {
+        reason = `Invoice amount ${Number(invoice.amount)} exceeds the received value not yet invoiced (${round(billable, 2)})`;
+    }
+    return { reason, detail };
+}
+
+function matchLine(line, poItem, received, invoicedElsewhere, tolerances) {
+    if (!poItem) return { status: "not_on_po", detail: null };
+
+    const accepted = received?.accepted || 0;
+    const expectedPrice = received && accepted > 0 ? received.value / accepted : Number(poItem.unit_price);
+    const billable = accepted - invoicedElsewhere;
+    const priceAllowance = Math.max(expectedPrice * tolerances.pricePercent / 100, tolerances.priceAmount);
+    const qtyAllowance = billable * tolerances.qtyPercent / 100;
+
+    const detail = {
+        ordered: Number(poItem.quantity),
+        accepted: round(accepted),
+        invoicedElsewhere: round(invoicedElsewhere),
+        billable: round(billable),
+        expectedUnitPrice: round(expectedPrice),
+        priceVariance: round(Number(line.unit_price) - expectedPrice),
+        qtyVariance: round(Number(line.quantity) - billable),
+    };
+
+    let status = "matched";
+    if (accepted <= 0) status = "not_received";
+    else if (Number(line.quantity) > billable + qtyAllowance + 1e-9) status = "qty_variance";
+    else if (Number(line.unit_price) > expectedPrice + priceAllowance + 1e-9) status = "price_variance";
+
+    return { status, detail };
+}
+
+// ─── Run Match ────────────────────────────────────────────────────────────────
+
+/**
+ * Match an invoice and persist the line results, match status and hold.
+ * Paid, partially paid and cancelled invoices cannot be re-matched. Pass `user`
+ * to restrict the match to invoices of the user's company.
+ */
+async function runThreeWayMatch(invoiceId, actorId = null, user = null) {
+    const invoice = await prisma.supplierInvoice.findUnique({
+        where: { id: invoiceId },
+        include: { lines: true, purchase_order: { include: { items: true } } },
+    });
+    if (!invoice) throw createAppError("Supplier invoice not found", 404);
+    if (!invoice.po_id) throw createAppError("Invoice is not linked to a purchase order — nothing to match", 422);
+    if (user && !user.isSuperAdmin && invoice.purchase_order.company_id !== user.companyId) {
+        throw createAppError("Access denied: invoice belongs to another company", 403);
+    }
+    if (["paid", "partially_paid", "cancelled"].includes(invoice.status)) {
+        throw createAppError(`Cannot re-match an invoice in '${invoice.status}' status`, 409);
+    }
+
+    const po = invoice.purchase_order;
+    const tolerances = await getMatchTolerances(invoice.company_id || po.company_id);
+    const poItemMap = new Map(po.items.map((i) => [i.id, i]));
+    const poItemIds = invoice.lines.map((l) => l.po_item_id).filter(Boolean);
+    const [received, invoiced] = await Promise.all([
+        receivedByPoItem(poItemIds),
+        invoicedByPoItem(poItemIds, invoice.id),
+    ]);
+
+    const results = invoice.lines.map((line) => {
+        const poItem = line.po_item_id ? poItemMap.get(line.po_item_id) : null;
+        const billedBefore = invoiced.get(line.po_item_id) || 0;
+        const { status, detail } = matchLine(line, poItem, received.get(line.po_item_id), billedBefore, tolerances);
+        // Two lines on the same PO item share its received quantity
+        if (poItem) invoiced.set(line.po_item_id, billedBefore + Number(line.quantity));
+        return { line, status, detail };
+    });
+
+    const reasons = [];
+    const header = invoice.lines.length === 0 ? await matchHeader(invoice, po, tolerances) : null;
+    if (header?.reason) reasons.push(header.reason);
+    if (invoice.vendor_id !== po.vendor_id) reasons.push("Invoice vendor differs from the PO vendor");
+
+    const linesTotal = invoice.lines.reduce((sum, l) => sum + Number(l.line_total), 0);
+    if (invoice.lines.length > 0 && Math.abs(linesTotal - Number(invoice.amount)) > AMOUNT_EPSILON) {
+        reasons.push(`Line total ${round(linesTotal, 2)} does not equal invoice amount ${Number(invoice.amount)}`);
+    }
+    for (const r of results.filter((x) => x.status !== "matched")) {
+        const name = r.line.description || poItemMap.get(r.line.po_item_id)?.item_name || r.line.id;
+        reasons.push(`${name}: ${REASONS[r.status]}`);
+    }
+
+    const matched = reasons.length === 0;
+    const now = new Date();
+
+    const updated = await prisma.$transaction(async (tx) => {
+        for (const r of results) {
+            await tx.supplierInvoiceLine.update({
+                where: { id: r.line.id },
+                data: { match_status: r.status, match_detail: r.detail },
+            });
+        }
+        return tx.supplierInvoice.update({
+            where: { id: invoice.id },
+            data: {
+                match_status: matched ? "matched" : "exception",
+                status: matched ? "pending" : "on_hold",
+                hold_reason: matched ? null : reasons.join("; "),
+                matched_at: now,
+                match_summary: {
+                    tolerances,
+                    linesTotal: round(linesTotal, 2),
+                    header: header?.detail || null,
+                    lines: results.map((r) => ({ lineId: r.line.id, poItemId: r.line.po_item_id, status: r.status })),
+                    reasons,
+                },
+            },
+            include: { lines: true },
+        });
+    });
+
+    await logAudit({
+        userId: actorId,
+        module: "finance",
+        entity: "supplier_invoice",
+        entityId: invoice.id,
+        action: matched ? "THREE_WAY_MATCHED" : "THREE_WAY_EXCEPTION",
+        beforeData: { matchStatus: invoice.match_status, status: invoice.status },
+        afterData: { matchStatus: updated.match_status, status: updated.status, reasons },
+    });
+
+    if (!matched) logger.warn(`[Match] Invoice ${invoice.invoice_number} on hold: ${reasons.join("; ")}`);
+    return updated;
+}
+
+/**
+ * Re-run the match for held invoices of a PO — called after a GRN is posted so
+ * invoices that arrived before the goods clear on their own. Never throws.
+ */
+async function rematchHeldInvoicesForPO(poId) {
+    try {
+        const held = await prisma.supplierInvoice.findMany({
+            where: { po_id: poId, match_status: "exception", status: "on_hold" },
+            select: { id: true },
+        });
+        for (const inv of held) {
+            await runThreeWayMatch(inv.id).catch((err) => logger.warn(`[Match] Re-match of ${inv.id} failed: ${err.message}`));
+        }
+        return held.length;
+    } catch (err) {
+        logger.error(`[Match] Re-match for PO ${poId} failed: ${err.message}`);
+        return 0;
+    }
+}
+
+// ─── Exceptions Queue ─────────────────────────────────────────────────────────
+
+async function getMatchExceptions(user, { page = 1, pageSize = 20 } = {}) {
+    const where = {
+        match_status: "exception",
+        status: "on_hold",
+        ...(user.isSuperAdmin ? {} : { purchase_order: { company_id: user.companyId } }),
+    };
+
+    const [total, data] = await Promise.all([
+        prisma.supplierInvoice.count({ where }),
+        prisma.supplierInvoice.findMany({
+            where,
+            include: {
+                lines: true,
+                vendor: { select: { id: true, name: true } },
+                purchase_order: { select: { id: true, po_number: true, project_id: true } },
+            },
+            orderBy: { matched_at: "asc" }, // oldest exceptions first
+            skip: (page - 1) * pageSize,
+            take: pageSize,
+        }),
+    ]);
+
+    return { data, total, page, pageSize };
+}
+
+/**
+ * Release a held invoice for payment without a clean match (e.g. agreed price
+ * increase). Requires a reason; the override is audited.
+ */
+async function releaseHold(invoiceId, reason, user, ipAddress, deviceInfo) {
+    if (!reason || !String(reason).trim()) throw createAppError("A reason is required to release an invoice hold", 400);
+
+    const invoice = await prisma.supplierInvoice.findUnique({ where: { id: invoiceId }, include: { purchase_order: true } });
+    if (!invoice) throw createAppError("Supplier invoice not found", 404);
+    if (!user.isSuperAdmin && invoice.purchase_order && invoice.purchase_order.company_id !== user.companyId) {
+        throw createAppError("Access denied: invoice belongs to another company", 403);
+    }
+    if (invoice.status !== "on_hold") throw createAppError(`Invoice is not on hold (status '${invoice.status}')`, 409);
+
+    const updated = await prisma.supplierInvoice.update({
+        where: { id: invoiceId },
+        data: {
+            status: "pending",
+            match_status: "overridden",
+            released_by: user.id,
+            released_at: new Date(),
+            release_reason: String(reason).trim(),
+        },
+    });
+
+    await logAudit({
+        userId: user.id,
+        module: "finance",
+        entity: "supplier_invoice",
+        entityId: invoiceId,
+        action: "RELEASE_MATCH_HOLD",
+        beforeData: { status: invoice.status, matchStatus: invoice.match_status, holdReason: invoice.hold_reason },
+        afterData: { status: "pending", matchStatus: "overridden", reason: String(reason).trim() },
+        ipAddress,
+        deviceInfo,
+    });
+
+    return updated;
+}
+
+/**
+ * Payment gate: PO-backed invoices must be matched or released.
+ */
+function assertPayable(invoice) {
+    if (invoice.status === "on_hold") {
+        throw createAppError(`Invoice ${invoice.invoice_number} is on hold: ${invoice.hold_reason || "three-way match exception"}`, 409);
+    }
+    if (invoice.po_id && !["matched", "overridden"].includes(invoice.match_status)) {
+        throw createAppError(`Invoice ${invoice.invoice_number} has not passed the three-way match`, 409);
+    }
+}
+
+module.exports = {
+    DEFAULT_TOLERANCES,
+    getMatchTolerances,
+    runThreeWayMatch,
+    invoicedByPoItem,
+    rematchHeldInvoicesForPO,
+    getMatchExceptions,
+    releaseHold,
+    assertPayable,
+};
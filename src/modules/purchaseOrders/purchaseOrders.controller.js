@@ -5,6 +5,10 @@ const logger = require("../../logger");
 
 const fulfillmentService = require("./fulfillment.service");
 const financeService = require("./finance.service");
+const matchingService = require("./matching.service");
+const awardService = require("./award.service");
+const agreementsService = require("./agreements.service");
+const amendmentsService = require("./amendments.service");
 
 async function getAllPurchaseOrders(req, res, next) {
     try {
@@ -58,6 +62,16 @@ async function issuePO(req, res, next) {
     }
 }
 
+async function cancelPO(req, res, next) {
+    try {
+        const po = await purchaseOrdersService.cancelPO(req.params.id, req.body || {}, req.user);
+        return res.status(200).json({ success: true, data: po });
+    } catch (err) {
+        logger.error("Error in cancelPO:", err);
+        next(err);
+    }
+}
+
 async function recordReceipt(req, res, next) {
     try {
         const receipt = await fulfillmentService.recordReceipt({
@@ -86,7 +100,7 @@ async function createInvoice(req, res, next) {
         const invoice = await financeService.createInvoice({
             ...req.body,
             poId: req.params.id
-        });
+        }, req.user);
         return res.status(201).json({ success: true, data: invoice });
     } catch (err) {
         logger.error("Error in createInvoice:", err);
@@ -114,14 +128,184 @@ async function getInvoicesByPO(req, res, next) {
     }
 }
 
+async function getMatchExceptions(req, res, next) {
+    try {
+        const p = parseInt(req.query.page) || 1;
+        const ps = parseInt(req.query.pageSize) || 20;
+        const result = await matchingService.getMatchExceptions(req.user, { page: p, pageSize: ps });
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in getMatchExceptions:", err);
+        next(err);
+    }
+}
+
+async function rematchInvoice(req, res, next) {
+    try {
+        const invoice = await matchingService.runThreeWayMatch(req.params.invoiceId, req.user.id, req.user);
+        return res.status(200).json({ success: true, data: invoice });
+    } catch (err) {
+        logger.error("Error in rematchInvoice:", err);
+        next(err);
+    }
+}
+
+async function releaseInvoiceHold(req, res, next) {
+    try {
+        const invoice = await matchingService.releaseHold(
+            req.params.invoiceId,
+            req.body.reason,
+            req.user,
+            req.ip,
+            req.headers["user-agent"]
+        );
+        return res.status(200).json({ success: true, data: invoice });
+    } catch (err) {
+        logger.error("Error in releaseInvoiceHold:", err);
+        next(err);
+    }
+}
+
+async function cancelInvoice(req, res, next) {
+    try {
+        const invoice = await financeService.cancelInvoice(
+            req.params.invoiceId,
+            req.body.reason,
+            req.user,
+            req.ip,
+            req.headers["user-agent"]
+        );
+        return res.status(200).json({ success: true, data: invoice });
+    } catch (err) {
+        logger.error("Error in cancelInvoice:", err);
+        next(err);
+    }
+}
+
+async function createPOsFromAward(req, res, next) {
+    try {
+        const result = await awardService.createPOsFromAward(req.params.rfqId, req.body, req.user);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in createPOsFromAward:", err);
+        next(err);
+    }
+}
+
+async function getAllAgreements(req, res, next) {
+    try {
+        const { status, vendorId, itemId } = req.query;
+        const p = parseInt(req.query.page) || 1;
+        const ps = parseInt(req.query.pageSize) || 50;
+        const result = await agreementsService.getAllAgreements(req.user, { page: p, pageSize: ps, status, vendorId, itemId });
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in getAllAgreements:", err);
+        next(err);
+    }
+}
+
+async function getAgreementById(req, res, next) {
+    try {
+        const agreement = await agreementsService.getAgreementById(req.params.agreementId, req.user);
+        if (!agreement) return res.status(404).json({ success: false, message: "Agreement not found" });
+        return res.status(200).json({ success: true, data: agreement });
+    } catch (err) {
+        logger.error("Error in getAgreementById:", err);
+        next(err);
+    }
+}
+
+async function createAgreement(req, res, next) {
+    try {
+        const agreement = await agreementsService.createAgreement(req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(201).json({ success: true, data: agreement });
+    } catch (err) {
+        logger.error("Error in createAgreement:", err);
+        next(err);
+    }
+}
+
+async function closeAgreement(req, res, next) {
+    try {
+        const agreement = await agreementsService.closeAgreement(
+            req.params.agreementId,
+            req.body.status || "closed",
+            req.body.reason,
+            req.user,
+            req.ip,
+            req.headers["user-agent"]
+        );
+        return res.status(200).json({ success: true, data: agreement });
+    } catch (err) {
+        logger.error("Error in closeAgreement:", err);
+        next(err);
+    }
+}
+
+async function createCallOff(req, res, next) {
+    try {
+        const po = await agreementsService.createCallOff(req.params.agreementId, req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(201).json({ success: true, data: po });
+    } catch (err) {
+        logger.error("Error in createCallOff:", err);
+        next(err);
+    }
+}
+
+async function getAmendments(req, res, next) {
+    try {
+        const result = await amendmentsService.listAmendments(req.params.id, req.user);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in getAmendments:", err);
+        next(err);
+    }
+}
+
+async function getAmendmentById(req, res, next) {
+    try {
+        const amendment = await amendmentsService.getAmendment(req.params.id, req.params.amendmentId, req.user);
+        if (!amendment) return res.status(404).json({ success: false, message: "Amendment not found" });
+        return res.status(200).json({ success: true, data: amendment });
+    } catch (err) {
+        logger.error("Error in getAmendmentById:", err);
+        next(err);
+    }
+}
+
+async function createAmendment(req, res, next) {
+    try {
+        const amendment = await amendmentsService.createAmendment(req.params.id, req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(201).json({ success: true, data: amendment });
+    } catch (err) {
+        logger.error("Error in createAmendment:", err);
+        next(err);
+    }
+}
+
 module.exports = { 
     getAllPurchaseOrders, 
     getPOById, 
     createPO, 
     issuePO,
+    cancelPO,
     recordReceipt,
     getReceiptsByPO,
     createInvoice,
     processPayment,
-    getInvoicesByPO
+    getInvoicesByPO,
+    getMatchExceptions,
+    rematchInvoice,
+    releaseInvoiceHold,
+    cancelInvoice,
+    createPOsFromAward,
+    getAllAgreements,
+    getAgreementById,
+    createAgreement,
+    closeAgreement,
+    createCallOff,
+    getAmendments,
+    getAmendmentById,
+    createAmendment
 };
@@ -12,11 +12,33 @@ router.get("/", requirePermission("procurement.po.read"), purchaseOrdersControll
 router.post("/", requirePermission("procurement.po.create"), purchaseOrdersController.createPO);
 router.post("/payment", requirePermission("procurement.po.update"), purchaseOrdersController.processPayment); // Global payment endpoint or PO specific? I'll add specific ones too
 
+// PO generation from an awarded RFQ (one PO per awarded vendor)
+router.post("/from-rfq/:rfqId", requirePermission("procurement.po.create"), purchaseOrdersController.createPOsFromAward);
+
+// Blanket purchase agreements and call-off POs
+router.get("/agreements", requirePermission("procurement.agreement.read"), purchaseOrdersController.getAllAgreements);
+router.post("/agreements", requirePermission("procurement.agreement.manage"), purchaseOrdersController.createAgreement);
+router.get("/agreements/:agreementId", requirePermission("procurement.agreement.read"), purchaseOrdersController.getAgreementById);
+router.post("/agreements/:agreementId/close", requirePermission("procurement.agreement.manage"), purchaseOrdersController.closeAgreement);
+router.post("/agreements/:agreementId/call-offs", requirePermission("procurement.po.create"), purchaseOrdersController.createCallOff);
+
+// Three-way match (PO ↔ GRN ↔ invoice)
+router.get("/invoices/exceptions", requirePermission("finance.invoice.read"), purchaseOrdersController.getMatchExceptions);
+router.post("/invoices/:invoiceId/match", requirePermission("finance.match.run"), purchaseOrdersController.rematchInvoice);
+router.post("/invoices/:invoiceId/release", requirePermission("finance.invoice.verify"), purchaseOrdersController.releaseInvoiceHold);
+router.post("/invoices/:invoiceId/cancel", requirePermission("finance.invoice.verify"), purchaseOrdersController.cancelInvoice);
+
 router.get("/:id", requirePermission("procurement.po.read"), purchaseOrdersController.getPOById);
 router.post("/:id/issue", requirePermission("procurement.po.issue"), purchaseOrdersController.issuePO);
+router.post("/:id/cancel", requirePermission("procurement.po.update"), purchaseOrdersController.cancelPO);
 router.post("/:id/receipt", requirePermission("procurement.po.update"), purchaseOrdersController.recordReceipt);
 router.get("/:id/receipts", requirePermission("procurement.po.read"), purchaseOrdersController.getReceiptsByPO);
 router.post("/:id/invoice", requirePermission("procurement.po.update"), purchaseOrdersController.createInvoice);
 router.get("/:id/invoices", requirePermission("procurement.po.read"), purchaseOrdersController.getInvoicesByPO);
 
+// Amendments (change orders) to issued POs
+router.get("/:id/amendments", requirePermission("procurement.po.read"), purchaseOrdersController.getAmendments);
+router.post("/:id/amendments", requirePermission("procurement.po.update"), purchaseOrdersController.createAmendment);
+router.get("/:id/amendments/:amendmentId", requirePermission("procurement.po.read"), purchaseOrdersController.getAmendmentById);
+
 module.exports = router;
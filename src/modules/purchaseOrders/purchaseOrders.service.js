@@ -4,6 +4,9 @@ const prisma = require("../../db");
 const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
 const { registerAdapter } = require("../approvals/approvals.adapter");
 const { requestApproval } = require("../approvals/approvals.service");
+const { assertVendorsCompliant } = require("../vendors/compliance.service");
+const { evaluatePOBudget, enforceBudget, budgetAttributes, syncPOCommitment } = require("../wbs/budget.service");
+const { resolveDocumentCurrency, toBase } = require("../currency/currency.service");
 
 /**
  * Register PO Status Adapter
@@ -11,7 +14,7 @@ const { requestApproval } = require("../approvals/approvals.service");
 /**
  * Register PO Status Adapter
  */
-registerAdapter("PO", async ({ docId, status }) => {
+registerAdapter("PO", async ({ docId, status, userId }) => {
     let finalStatus = "draft";
     
     if (status === "in_approval" || status === "submitted") {
@@ -32,6 +35,11 @@ registerAdapter("PO", async ({ docId, status }) => {
         data: { status: finalStatus, updated_at: new Date() }
     });
 
+    // Issue turns the PR reservation into a commitment; rejection / cancellation releases it
+    if (["issued", "rejected", "cancelled"].includes(finalStatus)) {
+        await syncPOCommitment(docId, userId);
+    }
+
     // Phase 3: Auto-create Delivery Tracking on Issue
     if (finalStatus === "issued") {
         const po = await prisma.purchaseOrder.findUnique({
@@ -85,6 +93,61 @@ registerAdapter("PO", async ({ docId, status }) => {
     }
 });
 
+/**
+ * PO meta adapter — inbox display plus the attributes conditional approval
+ * rules can test (vendor category, single-source, item / cost categories, open NCRs,
+ * budget availability).
+ */
+registerAdapter("PO:meta", async ({ docId }) => {
+    const po = await prisma.purchaseOrder.findUnique({
+        where: { id: docId },
+        include: {
+            vendor: { select: { id: true, name: true, category: true, status: true, scorecard_score: true } },
+            items: {
+                include: {
+                    item: { select: { category: true } },
+                    cost_code: { select: { category: true } }
+                }
+            }
+        }
+    });
+    if (!po) return null;
+
+    const openNcrCount = po.project_id
+        ? await prisma.nCR.count({ where: { project_id: po.project_id, status: { not: "closed" } } })
+        : 0;
+    const unique = (values) => [...new Set(values.filter(Boolean).map(v => String(v).toLowerCase()))];
+    const budget = await evaluatePOBudget({
+        companyId: po.company_id,
+        poId: po.id,
+        requisitionId: po.requisition_id,
+        items: po.items,
+        exchangeRate: po.exchange_rate
+    });
+
+    return {
+        title: `Purchase Order: ${po.po_number}`,
+        amount: toBase(po.total_amount ?? po.amount, po.exchange_rate),
+        description: `${po.items.length} line(s) from ${po.vendor?.name || "unassigned vendor"}`,
+        attributes: {
+            vendor: {
+                id: po.vendor_id,
+                category: po.vendor?.category || null,
+                status: po.vendor?.status || null,
+                score: po.vendor?.scorecard_score === null || po.vendor?.scorecard_score === undefined ? null : Number(po.vendor.scorecard_score)
+            },
+            currency: po.currency,
+            singleSource: po.is_single_source === true,
+            itemCategories: unique(po.items.map(i => i.item?.category)),
+            costCategories: unique(po.items.map(i => i.cost_code?.category)),
+            hasServiceLines: po.items.some(i => i.is_service === true),
+            fromRfq: !!po.rfq_id,
+            project: { id: po.project_id, openNcrCount },
+            budget: budgetAttributes(budget)
+        }
+    };
+});
+
 async function getAllPurchaseOrders(user, page = 1, pageSize = 50, filters = {}) {
     const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false, projectFilter: true });
 
@@ -170,6 +233,9 @@ async function createPO(data, user) {
         }
     }
 
+    // Suspended vendors and vendors with expired mandatory documents get no new POs
+    await assertVendorsCompliant(data.vendor_id, "raise a PO for");
+
     if (data.requisition_id) {
         const pr = await prisma.purchaseRequisition.findFirst({
             where: { id: data.requisition_id, company_id: companyId }
@@ -177,56 +243,85 @@ async function createPO(data, user) {
         if (!pr) throw new Error("Reference Requisition not found or access denied.");
     }
 
+    // Priced in the vendor's currency; the rate to base is locked at creation
+    const { currency, exchangeRate } = await resolveDocumentCurrency(data.currency, companyId);
+
+    enforceBudget(
+        await evaluatePOBudget({ companyId, requisitionId: data.requisition_id, items, exchangeRate }),
+        "this purchase order"
+    );
+
     const po = await prisma.purchaseOrder.create({
-        data: {
-            po_number: data.po_number || `PO-${Date.now()}`,
-            company_id: companyId,
-            department_id: data.department_id || actorDeptId,
-            project_id: data.project_id || null,
-            vendor_id: data.vendor_id,
-            requisition_id: data.requisition_id || null,
-            rfq_id: data.rfq_id || null,
-            quote_id: data.quote_id || null,
-            delivery_terms: data.delivery_terms || null,
-            payment_terms: data.payment_terms || null,
-            subtotal: data.subtotal || 0,
-            vat_amount: data.vat_amount || 0,
-            total_amount: data.total_amount || amountToUse,
-            amount: amountToUse,
-            status: "draft",
-            created_by: actorId,
-            notes: data.notes || null,
-            terms_conditions: data.terms_conditions || null,
-            items: {
-                create: items.map(item => {
-                    const up = Number(item.unitPrice ?? item.unit_price ?? 0);
-                    const qty = Number(item.quantity ?? 0);
-                    const tp = !isNaN(up * qty) ? (up * qty) : 0;
-                    return {
-                        item_id: item.item_id || item.itemId || null,
-                        item_name: item.itemName || item.item_name || "Unspecified Item",
-                        description: item.description || null,
-                        quantity: qty,
-                        unit: item.unit || null,
-                        unit_price: up,
-                        total_price: tp,
-                        is_service: item.isService || false
-                    };
-                })
-            }
-        },
+        data: buildPOCreateData(data, items, { companyId, actorId, actorDeptId, amount: amountToUse, currency, exchangeRate }),
         include: {
             items: true
         }
     });
 
-    // Initiate Approval Request
+    await submitPOForApproval(po, items, actorId);
+
+    return po;
+}
+
+/**
+ * Prisma create payload for a draft PO and its lines — shared by createPO,
+ * PO generation from an RFQ award and blanket-agreement call-offs.
+ */
+function buildPOCreateData(data, items, { companyId, actorId, actorDeptId, amount, currency, exchangeRate = 1 }) {
+    return {
+        po_number: data.po_number || `PO-${Date.now()}`,
+        company_id: companyId,
+        department_id: data.department_id || actorDeptId,
+        project_id: data.project_id || null,
+        vendor_id: data.vendor_id,
+        requisition_id: data.requisition_id || null,
+        rfq_id: data.rfq_id || null,
+        quote_id: data.quote_id || null,
+        agreement_id: data.agreement_id || null,
+        delivery_terms: data.delivery_terms || null,
+        payment_terms: data.payment_terms || null,
+        subtotal: data.subtotal || 0,
+        vat_amount: data.vat_amount || 0,
+        total_amount: data.total_amount || amount,
+        amount: amount,
+        ...(currency && { currency }),
+        exchange_rate: exchangeRate,
+        status: "draft",
+        created_by: actorId,
+        notes: data.notes || null,
+        terms_conditions: data.terms_conditions || null,
+        is_single_source: data.is_single_source === true,
+        single_source_reason: data.single_source_reason || null,
+        items: {
+            create: items.map(item => {
+                const up = Number(item.unitPrice ?? item.unit_price ?? 0);
+                const qty = Number(item.quantity ?? 0);
+                const tp = !isNaN(up * qty) ? (up * qty) : 0;
+                return {
+                    item_id: item.item_id || item.itemId || null,
+                    item_name: item.itemName || item.item_name || "Unspecified Item",
+                    description: item.description || null,
+                    quantity: qty,
+                    unit: item.unit || null,
+                    unit_price: up,
+                    total_price: tp,
+                    is_service: item.isService || false,
+                    cost_code_id: item.cost_code_id || item.costCodeId || null,
+                    delivery_date: item.delivery_date || item.deliveryDate ? new Date(item.delivery_date || item.deliveryDate) : null
+                };
+            })
+        }
+    };
+}
+
+// Initiate Approval Request — the approval amount is in base currency
+async function submitPOForApproval(po, items, actorId) {
     await requestApproval({
         docType: "PO",
         docId: po.id,
         projectId: po.project_id,
-        amount: po.amount,
-        remarks: `Purchase Order for ${po.amount} SAR`,
+        amount: toBase(po.amount, po.exchange_rate),
+        remarks: `Purchase Order for ${po.amount} ${po.currency || "SAR"}`,
         items: items.map(item => {
             const up = Number(item.unitPrice ?? item.unit_price ?? 0);
             const qty = Number(item.quantity ?? 0);
@@ -239,8 +334,6 @@ async function createPO(data, user) {
             };
         })
     }, actorId);
-
-    return po;
 }
 
 async function issuePO(id, user) {
@@ -259,10 +352,51 @@ async function issuePO(id, user) {
     // but usually POs are company-specific. applyDataScope handles the logic).
     await validateResourceAccess(prisma, "purchaseOrder", id, user, { module: MODULES.PROCUREMENT, isWrite: true });
 
-    return await prisma.purchaseOrder.update({
+    const issued = await prisma.purchaseOrder.update({
         where: { id },
         data: { status: "issued", updated_at: new Date() }
     });
+    await syncPOCommitment(id, user.id);
+    return issued;
+}
+
+/**
+ * Cancel a PO that is not in approval. An issued PO can only be cancelled
+ * while nothing has been received or invoiced against it; its budget
+ * commitment is released.
+ */
+async function cancelPO(id, data, user) {
+    const allowed = ["procurement_officer", "erp_admin", "super_admin"];
+    if (!allowed.includes(user.roleCode)) {
+        throw new Error("Unauthorized: Role not allowed to cancel POs.");
+    }
+
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true });
+    where.id = id;
+    const po = await prisma.purchaseOrder.findFirst({ where, include: { items: true } });
+    if (!po) throw new Error("PO not found or access denied.");
+
+    if (!["draft", "sent_back", "issued"].includes(po.status)) {
+        throw new Error(`PO cannot be cancelled while in status: ${po.status}`);
+    }
+    if (po.items.some(i => Number(i.received_quantity || 0) > 0)) {
+        throw new Error("PO has goods received against it and cannot be cancelled — amend it down instead.");
+    }
+    const invoices = await prisma.supplierInvoice.count({ where: { po_id: id, status: { not: "cancelled" } } });
+    if (invoices > 0) {
+        throw new Error("PO has supplier invoices against it and cannot be cancelled.");
+    }
+
+    const cancelled = await prisma.purchaseOrder.update({
+        where: { id },
+        data: {
+            status: "cancelled",
+            notes: data.reason ? [po.notes, `Cancelled: ${data.reason}`].filter(Boolean).join("\n") : po.notes,
+            updated_at: new Date()
+        }
+    });
+    await syncPOCommitment(id, user.id);
+    return cancelled;
 }
 
 async function updatePO(id, data, user) {
@@ -273,7 +407,9 @@ async function updatePO(id, data, user) {
     if (!po) throw new Error("PO not found or access denied.");
 
     if (!["draft", "sent_back"].includes(po.status)) {
-        throw new Error(`PO cannot be edited while in status: ${po.status}`);
+        throw new Error(po.status === "issued"
+            ? "Issued POs can only be changed through an amendment."
+            : `PO cannot be edited while in status: ${po.status}`);
     }
 
     return await prisma.purchaseOrder.update({
@@ -285,9 +421,11 @@ async function updatePO(id, data, user) {
             payment_terms: data.payment_terms ?? po.payment_terms,
             notes: data.notes ?? po.notes,
             terms_conditions: data.terms_conditions ?? po.terms_conditions,
+            is_single_source: data.is_single_source ?? po.is_single_source,
+            single_source_reason: data.single_source_reason ?? po.single_source_reason,
             updated_at: new Date()
         }
     });
 }
 
-module.exports = { getAllPurchaseOrders, getPOById, createPO, updatePO, issuePO };
+module.exports = { getAllPurchaseOrders, getPOById, createPO, updatePO, issuePO, cancelPO, buildPOCreateData, submitPOForApproval };
@@ -64,4 +64,24 @@ async function submitPR(req, res, next) {
     }
 }
 
-module.exports = { getAllPRs, getPRById, createPR, updatePR, submitPR, approvePR };
+async function cancelPR(req, res, next) {
+    try {
+        const result = await service.cancelPR(req.params.id, req.body || {}, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("cancelPR error", error);
+        next(error);
+    }
+}
+
+async function closePR(req, res, next) {
+    try {
+        const result = await service.closePR(req.params.id, req.body || {}, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("closePR error", error);
+        next(error);
+    }
+}
+
+module.exports = { getAllPRs, getPRById, createPR, updatePR, submitPR, approvePR, cancelPR, closePR };
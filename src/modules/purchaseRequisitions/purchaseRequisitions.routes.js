@@ -14,5 +14,7 @@ router.put("/:id", requirePermission("procurement.pr.update"), controller.update
 router.patch("/:id", requirePermission("procurement.pr.update"), controller.updatePR);
 router.post("/:id/submit", requirePermission("procurement.pr.submit"), controller.submitPR);
 router.post("/:id/approve", requirePermission("procurement.pr.approve"), controller.approvePR);
+router.post("/:id/cancel", requirePermission("procurement.pr.update"), controller.cancelPR);
+router.post("/:id/close", requirePermission("procurement.pr.update"), controller.closePR);
 
 module.exports = router;
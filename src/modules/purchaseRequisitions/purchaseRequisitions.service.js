@@ -3,8 +3,9 @@ const prisma = require("../../db");
 const { applyDataScope, MODULES, validateResourceAccess } = require("../../utils/scoping");
 const { requestApproval } = require("../approvals/approvals.service");
 const { registerAdapter } = require("../approvals/approvals.adapter");
+const { resolveCostCodes, evaluatePRBudget, enforceBudget, budgetAttributes, reservePR, releasePR } = require("../wbs/budget.service");
 
-registerAdapter("PR", async ({ docId, status }) => {
+registerAdapter("PR", async ({ docId, status, userId }) => {
     let finalStatus = "submitted";
     if (status === "approved") finalStatus = "approved_for_rfq";
     if (status === "rejected") finalStatus = "rejected";
@@ -15,6 +16,50 @@ registerAdapter("PR", async ({ docId, status }) => {
         where: { id: docId },
         data: { status: finalStatus, updated_at: new Date() }
     });
+
+    // Approval reserves the PR's budget on its cost codes
+    if (finalStatus === "approved_for_rfq") await reservePR(docId, userId);
+});
+
+/**
+ * PR meta adapter — inbox display plus the attributes conditional approval
+ * rules can test (emergency flag, WBS cost categories, item categories, open NCRs,
+ * budget availability).
+ */
+registerAdapter("PR:meta", async ({ docId }) => {
+    const pr = await prisma.purchaseRequisition.findUnique({
+        where: { id: docId },
+        include: {
+            wbs: { select: { id: true, name: true, cost_codes: { where: { deleted_at: null }, select: { category: true } } } },
+            purchaseRequisitionItems: { include: { item: { select: { category: true } } } }
+        }
+    });
+    if (!pr) return null;
+
+    const openNcrCount = pr.project_id
+        ? await prisma.nCR.count({ where: { project_id: pr.project_id, status: { not: "closed" } } })
+        : 0;
+    const unique = (values) => [...new Set(values.filter(Boolean).map(v => String(v).toLowerCase()))];
+    const amount = pr.purchaseRequisitionItems.reduce((sum, i) => sum + Number(i.estimated_total_price || 0), 0);
+    const budget = await evaluatePRBudget({
+        companyId: pr.company_id,
+        wbsId: pr.wbs_id,
+        prId: pr.id,
+        items: pr.purchaseRequisitionItems
+    });
+
+    return {
+        title: `Purchase Requisition: ${pr.pr_no}`,
+        amount,
+        description: pr.reason || `${pr.purchaseRequisitionItems.length} item(s) for ${pr.wbs?.name || "project"}`,
+        attributes: {
+            isEmergency: pr.is_emergency === true,
+            wbs: { id: pr.wbs_id, costCategories: unique((pr.wbs?.cost_codes || []).map(c => c.category)) },
+            itemCategories: unique(pr.purchaseRequisitionItems.map(i => i.item?.category)),
+            project: { id: pr.project_id, openNcrCount },
+            budget: budgetAttributes(budget)
+        }
+    };
 });
 
 async function getAllPRs(user, page, pageSize) {
@@ -28,6 +73,7 @@ async function getAllPRs(user, page, pageSize) {
         include: { 
             company: { select: { name: true } }, 
             project: { select: { id: true, name: true, code: true } }, 
+            store: { select: { id: true, name: true } },
             requester: { select: { name: true } }, 
             purchaseRequisitionItems: { include: { item: { select: { name: true } } } } 
         },
@@ -49,6 +95,7 @@ async function getPRById(id, user) {
         include: { 
             company: { select: { name: true } }, 
             project: { select: { id: true, name: true, code: true } }, 
+            store: { select: { id: true, name: true } },
             requester: { select: { name: true } }, 
             purchaseRequisitionItems: { include: { item: { select: { name: true } } } } 
         }
@@ -97,6 +144,7 @@ async function createPR(data, user) {
           })
         : [];
     const priceMap = new Map(catalogItems.map(i => [i.id, Number(i.standard_price || 0)]));
+    await assertCostCodes(data.items);
 
     const prItemsData = data.items.map(item => {
         const unitPrice = priceMap.get(item.item_id) || 0;
@@ -107,12 +155,18 @@ async function createPR(data, user) {
             required_date: item.required_date ? new Date(item.required_date) : null,
             remarks: item.remarks,
             estimated_unit_price: unitPrice,
-            estimated_total_price: unitPrice * qty
+            estimated_total_price: unitPrice * qty,
+            cost_code_id: item.cost_code_id || null
         };
     });
 
     const totalEstimatedAmount = prItemsData.reduce((sum, item) => sum + item.estimated_total_price, 0);
 
+    enforceBudget(
+        await evaluatePRBudget({ companyId, wbsId: data.wbs_id, items: prItemsData }),
+        "this requisition"
+    );
+
             const cid = user.isSuperAdmin ? (data.company_id || data.companyId) : user.company_id;
             if (!cid) throw new Error("Company ID is missing from user session.");
 
@@ -124,6 +178,7 @@ async function createPR(data, user) {
             wbs: data.wbs_id ? { connect: { id: data.wbs_id } } : undefined,
             requester: { connect: { id: user.id } },
             reason: data.reason,
+            is_emergency: data.is_emergency === true,
             status: "submitted",
             purchaseRequisitionItems: {
                 create: prItemsData
@@ -178,10 +233,12 @@ async function approvePR(id, data, user) {
 
     const finalStatus = data.action === "reject" ? "rejected" : "approved_for_rfq";
 
-    return prisma.purchaseRequisition.update({
+    const updated = await prisma.purchaseRequisition.update({
         where: { id },
         data: { status: finalStatus, updated_at: new Date() }
     });
+    if (finalStatus === "approved_for_rfq") await reservePR(id, user.id);
+    return updated;
 }
 
 
@@ -191,7 +248,7 @@ async function updatePR(id, data, user) {
 
     const pr = await prisma.purchaseRequisition.findFirst({ where });
     if (!pr) throw new Error("PR not found or access denied.");
-    if (pr.requested_by !== user.id && !["erp_admin", "super_admin"].includes(user.roleCode)) {
+    if (pr.requested_by !== user.id && !["erp_admin", "super_admin"].includes(user.roleCode) && !isStorePRKeeper(pr, user)) {
         throw new Error("Unauthorized: Only the creator or admin can update this PR.");
     }
     if (!["draft", "sent_back"].includes(pr.status)) {
@@ -207,6 +264,7 @@ async function updatePR(id, data, user) {
             select: { id: true, standard_price: true }
         });
         const priceMap = new Map(catalogItems.map(i => [i.id, Number(i.standard_price || 0)]));
+        await assertCostCodes(data.items);
 
         const prItemsData = data.items.map(item => {
             const unitPrice = priceMap.get(item.item_id) || 0;
@@ -217,7 +275,8 @@ async function updatePR(id, data, user) {
                 required_date: item.required_date ? new Date(item.required_date) : null,
                 remarks: item.remarks,
                 estimated_unit_price: unitPrice,
-                estimated_total_price: unitPrice * qty
+                estimated_total_price: unitPrice * qty,
+                cost_code_id: item.cost_code_id || null
             };
         });
 
@@ -231,6 +290,7 @@ async function updatePR(id, data, user) {
         where: { id },
         data: {
             reason: data.reason ?? pr.reason,
+            is_emergency: data.is_emergency ?? pr.is_emergency,
             wbs_id: data.wbs_id ?? pr.wbs_id,
             ...(itemsUpdate && { purchaseRequisitionItems: itemsUpdate }),
             updated_at: new Date()
@@ -244,14 +304,24 @@ async function submitPR(id, user) {
 
     const pr = await prisma.purchaseRequisition.findFirst({ where });
     if (!pr) throw new Error("PR not found or access denied.");
-    if (pr.requested_by !== user.id && !["erp_admin", "super_admin"].includes(user.roleCode)) {
+    if (pr.requested_by !== user.id && !["erp_admin", "super_admin"].includes(user.roleCode) && !isStorePRKeeper(pr, user)) {
         throw new Error("Unauthorized: Only the creator or admin can submit this PR.");
     }
     if (pr.status !== "draft" && pr.status !== "sent_back") {
         throw new Error("Only draft or sent back PRs can be submitted.");
     }
 
-    await prisma.purchaseRequisition.update({ where: { id }, data: { status: "submitted", updated_at: new Date() } });
+    const items = await prisma.purchaseRequisitionItem.findMany({ where: { requisition_id: id } });
+    enforceBudget(
+        await evaluatePRBudget({ companyId: pr.company_id, wbsId: pr.wbs_id, prId: pr.id, items }),
+        pr.pr_no
+    );
+
+    // A replenishment draft becomes the submitting store keeper's request
+    await prisma.purchaseRequisition.update({
+        where: { id },
+        data: { status: "submitted", requested_by: pr.requested_by || user.id, updated_at: new Date() }
+    });
 
     await requestApproval({
         docType: "PR",
@@ -265,5 +335,66 @@ async function submitPR(id, user) {
     return prisma.purchaseRequisition.findUnique({ where: { id } });
 }
 
-module.exports = { getAllPRs, getPRById, createPR, updatePR, submitPR, approvePR };
+/**
+ * Cancel a PR that is not in approval. Any budget it still has reserved
+ * (approved but not yet drawn down by issued POs) is released.
+ */
+async function cancelPR(id, data, user) {
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, projectFilter: true });
+    where.id = id;
+
+    const pr = await prisma.purchaseRequisition.findFirst({ where });
+    if (!pr) throw new Error("PR not found or access denied.");
+    if (pr.requested_by !== user.id && !["erp_admin", "super_admin", "procurement_officer"].includes(user.roleCode) && !isStorePRKeeper(pr, user)) {
+        throw new Error("Unauthorized: Only the creator, procurement or admin can cancel this PR.");
+    }
+    if (!["draft", "sent_back", "approved_for_rfq"].includes(pr.status)) {
+        throw new Error(`PR cannot be cancelled in status: ${pr.status}`);
+    }
+
+    const updated = await prisma.purchaseRequisition.update({
+        where: { id },
+        data: { status: "cancelled", updated_at: new Date() }
+    });
+    await releasePR(id, user.id, data.reason || "PR cancelled");
+    return updated;
+}
+
+/**
+ * Close an approved PR that will not be (further) ordered. POs already raised
+ * are unaffected; the reservation they did not draw down is released.
+ */
+async function closePR(id, data, user) {
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, projectFilter: true });
+    where.id = id;
+
+    const pr = await prisma.purchaseRequisition.findFirst({ where });
+    if (!pr) throw new Error("PR not found or access denied.");
+    if (!["erp_admin", "super_admin", "procurement_officer"].includes(user.roleCode) && !isStorePRKeeper(pr, user)) {
+        throw new Error("Unauthorized: Only procurement or admin can close this PR.");
+    }
+    if (pr.status !== "approved_for_rfq") {
+        throw new Error(`PR cannot be closed in status: ${pr.status}`);
+    }
+
+    const updated = await prisma.purchaseRequisition.update({
+        where: { id },
+        data: { status: "closed", updated_at: new Date() }
+    });
+    await releasePR(id, user.id, data.reason || "PR closed");
+    return updated;
+}
+
+// Replenishment PRs (drafted by the reorder job for a store) are handled by the store keepers
+function isStorePRKeeper(pr, user) {
+    return Boolean(pr.store_id) && user.roleCode === "storekeeper";
+}
+
+// Explicit PR line cost codes must exist
+async function assertCostCodes(items) {
+    const overrides = Object.fromEntries(items.filter(i => i.cost_code_id).map((i, idx) => [idx, i.cost_code_id]));
+    await resolveCostCodes(null, overrides);
+}
+
+module.exports = { getAllPRs, getPRById, createPR, updatePR, submitPR, approvePR, cancelPR, closePR };
 
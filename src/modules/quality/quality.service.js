@@ -3,6 +3,7 @@
 const prisma = require("../../db");
 const { requestApproval } = require("../approvals/approvals.service");
 const { registerAdapter } = require("../approvals/approvals.adapter");
+const { notify } = require("../notifications/notifications.service");
 
 // ─── Approval Adapter ─────────────────────────────────────────────────────────
 registerAdapter('INSPECTION', async ({ docId, status }) => {
@@ -45,6 +46,35 @@ function cleanUUIDs(obj, fields) {
     return out;
 }
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * NCRs name their owner in the free-text `responsible` field. When it holds the
+ * id of an active user, that user is notified of the assignment.
+ */
+async function notifyNcrResponsible(ncr, actorId) {
+    const responsible = String(ncr.responsible || '').trim();
+    if (!UUID_RE.test(responsible) || responsible === actorId) return;
+
+    const user = await prisma.user.findFirst({
+        where: { id: responsible, is_active: true },
+        select: { id: true }
+    }).catch(() => null);
+    if (!user) return;
+
+    await notify({
+        userIds: user.id,
+        companyId: ncr.company_id,
+        type: 'NCR_ASSIGNED',
+        title: `NCR ${ncr.ncr_no} assigned to you: ${ncr.title}`,
+        message: ncr.corrective_action || ncr.description,
+        entity: 'ncr',
+        entityId: ncr.id,
+        priority: ncr.severity === 'MINOR' ? 'normal' : 'high',
+        data: { projectId: ncr.project_id, severity: ncr.severity, targetClose: ncr.target_close }
+    });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ITP PLAN
 // ─────────────────────────────────────────────────────────────────────────────
@@ -191,9 +221,25 @@ async function createNCR(data, userId, companyId) {
             raised_by:   userId,
             raised_date: coerceDate(raised_date) || new Date(),
         },
-        ['wbs_id', 'inspection_id']
+        ['wbs_id', 'inspection_id', 'grn_id', 'vendor_id']
     );
-    return prisma.nCR.create({ data: clean });
+
+    // Supplier NCR raised against a delivery: the vendor comes from the GRN's PO
+    if (clean.grn_id) {
+        const grn = await prisma.goodsReceiptNote.findFirst({
+            where: { id: clean.grn_id, company_id: companyId },
+            select: { po: { select: { vendor_id: true } } }
+        });
+        if (!grn) throw new Error('GRN not found');
+        if (clean.vendor_id && grn.po?.vendor_id && clean.vendor_id !== grn.po.vendor_id) {
+            throw new Error('Vendor does not match the vendor of the GRN');
+        }
+        clean.vendor_id = clean.vendor_id || grn.po?.vendor_id || undefined;
+    }
+
+    const ncr = await prisma.nCR.create({ data: clean });
+    await notifyNcrResponsible(ncr, userId);
+    return ncr;
 }
 
 async function getProjectNCRs(projectId, companyId) {
@@ -235,7 +281,11 @@ async function updateNCRStatus(ncrId, { status, corrective_action, preventive_ac
         data.actual_close = new Date();
     }
 
-    return prisma.nCR.update({ where: { id: ncrId }, data });
+    const updated = await prisma.nCR.update({ where: { id: ncrId }, data });
+    if (responsible && responsible !== ncr.responsible) {
+        await notifyNcrResponsible(updated, userId);
+    }
+    return updated;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -385,7 +435,7 @@ module.exports = {
     // Inspections
     createInspection, getProjectInspections, recordInspectionResult, updateInspectionResult,
     // NCR
-    createNCR, getProjectNCRs, updateNCRStatus,
+    createNCR, getProjectNCRs, updateNCRStatus, notifyNcrResponsible,
     // Dashboard
     getProjectQualitySummary,
     // Gate
@@ -1,5 +1,6 @@
 "use strict";
 const service = require("./rfqs.service");
+const vendorPortalService = require("../vendorPortal/vendorPortal.service");
 const logger = require("../../logger");
 
 async function getAllRFQs(req, res, next) {
@@ -37,7 +38,17 @@ async function createRFQ(req, res, next) {
 async function addVendors(req, res, next) {
     try {
         const result = await service.addVendors(req.params.id, req.body.vendorIds);
-        res.status(200).json({ success: true, data: result });
+
+        // Send portal invitations; a failed invite does not undo the vendor list
+        const invitations = [];
+        for (const row of result) {
+            try {
+                invitations.push(await vendorPortalService.inviteVendor(req.params.id, row.vendor_id, req.user));
+            } catch (err) {
+                logger.warn(`Portal invitation for vendor ${row.vendor_id} failed: ${err.message}`);
+            }
+        }
+        res.status(200).json({ success: true, data: result, invitations });
     } catch (error) {
         logger.error("addVendors error", error);
         next(error);
@@ -54,6 +65,56 @@ async function submitQuote(req, res, next) {
     }
 }
 
+async function issuePortalLink(req, res, next) {
+    try {
+        const result = await vendorPortalService.inviteVendor(req.params.id, req.params.vendorId, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("issuePortalLink error", error);
+        next(error);
+    }
+}
+
+async function evaluateQuoteTechnically(req, res, next) {
+    try {
+        const result = await service.evaluateQuoteTechnically(req.params.id, req.params.quoteId, req.body.items, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("evaluateQuoteTechnically error", error);
+        next(error);
+    }
+}
+
+async function listClarifications(req, res, next) {
+    try {
+        const result = await service.listClarifications(req.params.id, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("listClarifications error", error);
+        next(error);
+    }
+}
+
+async function answerClarification(req, res, next) {
+    try {
+        const result = await service.answerClarification(req.params.id, req.params.clarificationId, req.body, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("answerClarification error", error);
+        next(error);
+    }
+}
+
+async function evaluateRFQ(req, res, next) {
+    try {
+        const result = await service.evaluateRFQ(req.params.id, req.body.criteria, req.user);
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        logger.error("evaluateRFQ error", error);
+        next(error);
+    }
+}
+
 async function compareQuotes(req, res, next) {
     try {
         const result = await service.compareQuotes(req.params.id, req.body, req.user);
@@ -64,4 +125,16 @@ async function compareQuotes(req, res, next) {
     }
 }
 
-module.exports = { getAllRFQs, getRFQById, createRFQ, addVendors, submitQuote, compareQuotes };
+module.exports = {
+    getAllRFQs,
+    getRFQById,
+    createRFQ,
+    addVendors,
+    issuePortalLink,
+    submitQuote,
+    evaluateQuoteTechnically,
+    listClarifications,
+    answerClarification,
+    evaluateRFQ,
+    compareQuotes
+};
@@ -0,0 +1,306 @@
+"use strict";
+
+/**
+ * Weighted Bid Evaluation
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Builds the RFQ comparison from the quotes themselves. Every RFQ line (PR item)
+ * is scored per bidding vendor on five criteria, each 0–100:
+ *
+ *   price      lowest normalized unit price / this unit price
+ *   delivery   shortest delivery days / these delivery days (no days given → 0)
+ *   validity   days the quote is still valid / validityTargetDays, capped at 100
+ *   rating     vendor rating on a 0–5 scale (unrated vendors → 50)
+ *   technical  the quote line's technical score (not evaluated → 100)
+ *
+ * and the weighted sum ranks the bids. A line flagged non-compliant is
+ * disqualified for that line; an expired quote is excluded altogether.
+ *
+ * Unit prices are normalized as total_price / quantity, so a vendor quoting a
+ * different pack quantity still compares like for like; line totals are then
+ * priced at the required quantity. Quotes in another currency are converted to
+ * the company base currency (`rates`: currency → rate) before anything is
+ * compared; each bid keeps its quoted currency and unit price for the award.
+ *
+ * When the cheapest bid does not rank first, the line carries an explanation
+ * of the criteria it lost points on.
+ */
+
+const CRITERIA = ["price", "delivery", "validity", "rating", "technical"];
+const DEFAULT_CRITERIA = {
+    weights: { price: 60, delivery: 15, validity: 5, rating: 10, technical: 10 },
+    validityTargetDays: 30,
+};
+const RATING_SCALE = 5;
+const UNRATED_SCORE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(n, digits = 2) {
+    return Number(Number(n).toFixed(digits));
+}
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// ─── Criteria ─────────────────────────────────────────────────────────────────
+
+/**
+ * Merge configured / requested criteria over the defaults and scale the
+ * weights to sum to 100.
+ */
+function normalizeCriteria(...sources) {
+    const weights = { ...DEFAULT_CRITERIA.weights };
+    let validityTargetDays = DEFAULT_CRITERIA.validityTargetDays;
+
+    for (const source of sources) {
+        if (!source) continue;
+        for (const key of CRITERIA) {
+            if (source.weights?.[key] === undefined) continue;
+            const value = Number(source.weights[key]);
+            if (!Number.isFinite(value) || value < 0) throw createAppError(`Weight for '${key}' must be a non-negative number`, 400);
+            weights[key] = value;
+        }
+        if (Number(source.validityTargetDays) > 0) validityTargetDays = Number(source.validityTargetDays);
+    }
+
+    const sum = CRITERIA.reduce((acc, key) => acc + weights[key], 0);
+    if (sum <= 0) throw createAppError("At least one evaluation criterion needs a weight above zero", 400);
+    for (const key of CRITERIA) weights[key] = round(weights[key] * 100 / sum, 4);
+
+    return { weights, validityTargetDays };
+}
+
+// ─── Bids ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Drop expired / withdrawn quotes and keep only the latest quote per vendor.
+ * Returns `{ quotes, excluded: [{ quoteId, vendorId, vendorName, reason }] }`.
+ */
+function eligibleQuotes(quotes, now) {
+    const excluded = [];
+    const latest = new Map();
+    const sorted = [...quotes].sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+
+    for (const quote of sorted) {
+        const entry = { quoteId: quote.id, vendorId: quote.vendor_id, vendorName: quote.vendor?.name || null };
+        if (quote.status && !["submitted", "accepted"].includes(quote.status)) {
+            excluded.push({ ...entry, reason: `Quote status is '${quote.status}'` });
+        } else if (quote.validity_date && new Date(quote.validity_date).getTime() + DAY_MS <= now.getTime()) {
+            excluded.push({ ...entry, reason: `Quote expired on ${new Date(quote.validity_date).toISOString().slice(0, 10)}` });
+        } else if (latest.has(quote.vendor_id)) {
+            excluded.push({ ...entry, reason: "Superseded by a later quote from the same vendor" });
+        } else {
+            latest.set(quote.vendor_id, quote);
+        }
+    }
+    return { quotes: [...latest.values()], excluded };
+}
+
+/**
+ * RFQ lines to evaluate: the PR items, or — for an RFQ without PR lines — every
+ * quoted item at the largest quoted quantity.
+ */
+function requiredLines(prItems, quotes) {
+    const lines = new Map();
+    for (const pr of prItems || []) {
+        if (!pr.item_id) continue;
+        const line = lines.get(pr.item_id) || { itemId: pr.item_id, itemName: pr.item?.name || null, requiredQuantity: 0 };
+        line.requiredQuantity += Number(pr.quantity);
+        lines.set(pr.item_id, line);
+    }
+    if (lines.size > 0) return [...lines.values()];
+
+    for (const quote of quotes) {
+        for (const qi of quote.items) {
+            if (!qi.item_id) continue;
+            const line = lines.get(qi.item_id) || { itemId: qi.item_id, itemName: qi.item?.name || null, requiredQuantity: 0 };
+            line.requiredQuantity = Math.max(line.requiredQuantity, Number(qi.quantity));
+            lines.set(qi.item_id, line);
+        }
+    }
+    return [...lines.values()];
+}
+
+/**
+ * A vendor's bid for one item: repeated quote lines for the item are pooled.
+ */
+function bidFor(quote, itemId, rate = 1) {
+    const rows = quote.items.filter((qi) => qi.item_id === itemId);
+    if (rows.length === 0) return null;
+
+    const quantity = rows.reduce((acc, r) => acc + Number(r.quantity), 0);
+    const total = rows.reduce((acc, r) => acc + Number(r.total_price), 0);
+    const scored = rows.filter((r) => r.technical_score !== null && r.technical_score !== undefined);
+    const quotedUnitPrice = quantity > 0 ? total / quantity : Infinity;
+    return {
+        quoteItemId: rows[0].id,
+        quotedQuantity: quantity,
+        quotedUnitPrice,
+        exchangeRate: rate,
+        unitPrice: quotedUnitPrice * rate,
+        compliant: rows.every((r) => r.is_compliant !== false),
+        technicalScore: scored.length > 0 ? scored.reduce((acc, r) => acc + Number(r.technical_score), 0) / scored.length : null,
+    };
+}
+
+function validityDays(quote, now) {
+    if (!quote.validity_date) return null;
+    return Math.max(0, Math.ceil((new Date(quote.validity_date).getTime() + DAY_MS - now.getTime()) / DAY_MS));
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────────────────
+
+function scoreBids(bids, criteria) {
+    const live = bids.filter((b) => !b.disqualified);
+    const minPrice = Math.min(...live.map((b) => b.unitPrice));
+    const days = live.map((b) => b.deliveryDays).filter((d) => d !== null && d !== undefined);
+    const minDays = days.length > 0 ? Math.min(...days) : null;
+
+    for (const bid of live) {
+        const d = bid.deliveryDays;
+        const scores = {
+            price: bid.unitPrice > 0 ? (minPrice / bid.unitPrice) * 100 : 100,
+            delivery: d === null || d === undefined ? 0 : (Math.max(minDays, 1) / Math.max(d, 1)) * 100,
+            validity: bid.validityDays === null ? 0 : Math.min(bid.validityDays / criteria.validityTargetDays, 1) * 100,
+            rating: bid.vendorRating === null ? UNRATED_SCORE : Math.min(Math.max(bid.vendorRating / RATING_SCALE, 0), 1) * 100,
+            technical: bid.technicalScore === null ? 100 : Math.min(Math.max(bid.technicalScore, 0), 100),
+        };
+        bid.scores = {};
+        bid.weighted = {};
+        for (const key of CRITERIA) {
+            bid.scores[key] = round(scores[key]);
+            bid.weighted[key] = round(scores[key] * criteria.weights[key] / 100);
+        }
+        bid.total = round(CRITERIA.reduce((acc, key) => acc + scores[key] * criteria.weights[key] / 100, 0));
+    }
+
+    // Rank by score; ties go to the lower price, then the shorter delivery
+    live.sort((a, b) => b.total - a.total || a.unitPrice - b.unitPrice || (a.deliveryDays ?? Infinity) - (b.deliveryDays ?? Infinity));
+    live.forEach((bid, idx) => { bid.rank = idx + 1; });
+    for (const bid of live) bid.isLowestPrice = bid.unitPrice === minPrice;
+    return [...live, ...bids.filter((b) => b.disqualified)];
+}
+
+/**
+ * Why the cheapest bid did not win the line: disqualified, or the per-criterion gap.
+ */
+function explainLine(bids, lowest, winner) {
+    const cheapestOverall = [...bids].sort((a, b) => a.unitPrice - b.unitPrice)[0];
+    if (cheapestOverall?.disqualified && cheapestOverall.unitPrice < (lowest?.unitPrice ?? Infinity)) {
+        return {
+            lowestVendorId: cheapestOverall.vendorId,
+            winnerVendorId: winner?.vendorId || null,
+            disqualified: true,
+            summary: `${cheapestOverall.vendorName || cheapestOverall.vendorId} had the lowest unit price (${round(cheapestOverall.unitPrice, 4)}) `
+                + `but was disqualified: ${cheapestOverall.disqualificationReason}.`,
+        };
+    }
+    if (!lowest || !winner || lowest === winner) return null;
+    const gaps = CRITERIA
+        .map((key) => ({ criterion: key, gap: round(winner.weighted[key] - lowest.weighted[key]) }))
+        .filter((g) => g.gap > 0)
+        .sort((a, b) => b.gap - a.gap);
+    const lostOn = gaps.map((g) => `${g.criterion} (−${g.gap})`).join(", ");
+    return {
+        lowestVendorId: lowest.vendorId,
+        winnerVendorId: winner.vendorId,
+        scoreGap: round(winner.total - lowest.total),
+        priceDifference: round((winner.unitPrice - lowest.unitPrice) * winner.requiredQuantity),
+        lostOn: gaps,
+        summary: `${lowest.vendorName || lowest.vendorId} had the lowest unit price (${round(lowest.unitPrice, 4)}) `
+            + `but scored ${lowest.total} against ${winner.total} for ${winner.vendorName || winner.vendorId}; `
+            + `it trailed on ${lostOn || "no single criterion"}.`,
+    };
+}
+
+/**
+ * Score every RFQ line across the eligible quotes.
+ *
+ * @param {object}   args
+ * @param {object[]} args.quotes   - VendorQuote rows with `items` and `vendor { name, rating }`
+ * @param {object[]} args.prItems  - PurchaseRequisitionItem rows with `item { name }`
+ * @param {object}   args.criteria - output of normalizeCriteria()
+ * @param {Date}     [args.now]
+ * @param {object}   [args.rates]        - { [currency]: rate to base currency }; missing → 1
+ * @param {string}   [args.baseCurrency]
+ */
+function evaluateBids({ quotes, prItems, criteria, now = new Date(), rates = {}, baseCurrency = null }) {
+    const { quotes: eligible, excluded } = eligibleQuotes(quotes, now);
+    const lines = requiredLines(prItems, eligible);
+
+    const evaluatedLines = lines.map((line) => {
+        const bids = eligible
+            .map((quote) => {
+                const currency = quote.currency || baseCurrency;
+                const bid = bidFor(quote, line.itemId, rates[currency] ?? 1);
+                if (!bid) return null;
+                return {
+                    ...bid,
+                    currency,
+                    quoteId: quote.id,
+                    vendorId: quote.vendor_id,
+                    vendorName: quote.vendor?.name || null,
+                    vendorRating: quote.vendor?.rating === null || quote.vendor?.rating === undefined ? null : Number(quote.vendor.rating),
+                    deliveryDays: quote.delivery_days ?? null,
+                    validityDays: validityDays(quote, now),
+                    requiredQuantity: line.requiredQuantity,
+                    rank: null,
+                    disqualified: !bid.compliant,
+                    disqualificationReason: bid.compliant ? null : "Quote line is not technically compliant",
+                };
+            })
+            .filter(Boolean);
+
+        const ranked = bids.some((b) => !b.disqualified) ? scoreBids(bids, criteria) : bids;
+        for (const bid of ranked) {
+            bid.unitPrice = round(bid.unitPrice, 4);
+            bid.lineTotal = round(bid.unitPrice * line.requiredQuantity);
+            bid.quotedUnitPrice = round(bid.quotedUnitPrice, 4);
+        }
+        const winner = ranked.find((b) => b.rank === 1) || null;
+        const lowest = ranked.filter((b) => b.isLowestPrice).sort((a, b) => a.rank - b.rank)[0] || null;
+
+        return {
+            ...line,
+            bids: ranked,
+            recommended: winner ? { vendorId: winner.vendorId, quoteId: winner.quoteId, score: winner.total } : null,
+            lowestPrice: lowest ? { vendorId: lowest.vendorId, quoteId: lowest.quoteId, unitPrice: lowest.unitPrice, rank: lowest.rank } : null,
+            cheapestLostReason: explainLine(ranked, lowest, winner),
+        };
+    });
+
+    // Per-vendor roll-up: coverage and value-weighted score across the lines it bid on
+    const vendors = eligible.map((quote) => {
+        const bids = evaluatedLines.flatMap((l) => l.bids.filter((b) => b.quoteId === quote.id && !b.disqualified));
+        const value = bids.reduce((acc, b) => acc + b.lineTotal, 0);
+        return {
+            vendorId: quote.vendor_id,
+            vendorName: quote.vendor?.name || null,
+            quoteId: quote.id,
+            linesQuoted: bids.length,
+            coverage: lines.length > 0 ? round(bids.length / lines.length * 100) : 0,
+            totalValue: round(value),
+            weightedScore: value > 0 ? round(bids.reduce((acc, b) => acc + b.total * b.lineTotal, 0) / value) : 0,
+            linesWon: evaluatedLines.filter((l) => l.recommended?.quoteId === quote.id).length,
+        };
+    }).sort((a, b) => b.linesWon - a.linesWon || b.weightedScore - a.weightedScore);
+
+    const winners = new Set(evaluatedLines.map((l) => l.recommended?.vendorId).filter(Boolean));
+    return {
+        evaluatedAt: now.toISOString(),
+        baseCurrency,
+        criteria,
+        excludedQuotes: excluded,
+        lines: evaluatedLines,
+        vendors,
+        recommendation: {
+            awardMode: winners.size > 1 ? "split" : "single",
+            vendorId: winners.size === 1 ? [...winners][0] : null,
+            unawardableLines: evaluatedLines.filter((l) => !l.recommended).map((l) => l.itemId),
+        },
+    };
+}
+
+module.exports = { CRITERIA, DEFAULT_CRITERIA, normalizeCriteria, evaluateBids };
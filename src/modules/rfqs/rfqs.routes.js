@@ -11,7 +11,12 @@ router.get("/", requirePermission("procurement.rfq.read"), controller.getAllRFQs
 router.post("/", requirePermission("procurement.rfq.create"), controller.createRFQ);
 router.get("/:id", requirePermission("procurement.rfq.read"), controller.getRFQById);
 router.post("/:id/vendors", requirePermission("procurement.rfq.update"), controller.addVendors);
+router.post("/:id/vendors/:vendorId/portal-link", requirePermission("procurement.rfq.issue"), controller.issuePortalLink);
 router.post("/:id/quotes", requirePermission("procurement.quote.create"), controller.submitQuote);
+router.post("/:id/quotes/:quoteId/technical", requirePermission("procurement.quote.update"), controller.evaluateQuoteTechnically);
+router.get("/:id/clarifications", requirePermission("procurement.rfq.read"), controller.listClarifications);
+router.post("/:id/clarifications/:clarificationId/answer", requirePermission("procurement.rfq.update"), controller.answerClarification);
+router.post("/:id/evaluate", requirePermission("procurement.comparison.read"), controller.evaluateRFQ);
 router.post("/:id/compare", requirePermission("procurement.comparison.run"), controller.compareQuotes);
 
 module.exports = router;
@@ -1,5 +1,16 @@
 const prisma = require("../../db");
 const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { normalizeCriteria, evaluateBids } = require("./rfqs.evaluation");
+const { assertScoreAllows } = require("../vendors/scorecards.service");
+const { assertVendorsCompliant } = require("../vendors/compliance.service");
+const { getBaseCurrency, normalizeCurrency, getRate } = require("../currency/currency.service");
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
 
 async function getAllRFQs(user, page, pageSize) {
     const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false, prefix: "requisition", projectFilter: true });
@@ -17,22 +28,67 @@ async function getAllRFQs(user, page, pageSize) {
     });
 }
 
+// ─── Sealed Bids / Deadline ──────────────────────────────────────────────────
+
+function isSealed(rfq, now = new Date()) {
+    return Boolean(rfq.sealed_bid) && (!rfq.quote_deadline || now < new Date(rfq.quote_deadline));
+}
+
+function assertNotSealed(rfq) {
+    if (isSealed(rfq)) {
+        throw createAppError(`Sealed bids open after the quote deadline (${new Date(rfq.quote_deadline).toISOString()})`, 423);
+    }
+}
+
+/**
+ * An award can only be recorded once, while the RFQ is still issued.
+ */
+function assertAwardable(rfq) {
+    if (rfq.status !== "issued") {
+        throw createAppError(`RFQ cannot be awarded (status '${rfq.status}')`, 409);
+    }
+}
+
+/**
+ * Quotes are accepted only while the RFQ is issued and before quote_deadline.
+ */
+function assertOpenForQuotes(rfq, now = new Date()) {
+    if (rfq.deleted_at || rfq.status !== "issued") {
+        throw createAppError(`RFQ is not accepting quotes (status '${rfq.status}')`, 409);
+    }
+    if (rfq.quote_deadline && now > new Date(rfq.quote_deadline)) {
+        throw createAppError(`The quote deadline passed at ${new Date(rfq.quote_deadline).toISOString()}`, 410);
+    }
+}
+
+function maskQuoteAmounts(quote) {
+    return {
+        ...quote,
+        sealed: true,
+        items: (quote.items || []).map((i) => ({ ...i, unit_price: null, total_price: null }))
+    };
+}
+
 async function getRFQById(id, user) {
     const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false, prefix: "requisition", projectFilter: true });
     where.id = id;
 
-    return prisma.rFQ.findFirst({
+    const rfq = await prisma.rFQ.findFirst({
         where,
         include: {
             requisition: { select: { pr_no: true, project: { select: { name: true, code: true } } } },
             vendors: { include: { vendor: { select: { name: true } } } },
-            quotes: { include: { vendor: { select: { name: true } }, items: true } }
+            quotes: { include: { vendor: { select: { name: true } }, items: true } },
+            comparisons: { include: { awards: true }, orderBy: { created_at: "desc" } }
         }
     });
+    if (!rfq || !isSealed(rfq)) return rfq;
+    return { ...rfq, quotes: rfq.quotes.map(maskQuoteAmounts) };
 }
 
 async function createRFQ(data, user) {
     if (!data.requisition_id) throw new Error("Requisition ID is required");
+    if (data.sealed_bid && !data.quote_deadline) throw createAppError("A sealed-bid RFQ needs a quote deadline", 400);
     
     const prWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true });
     prWhere.id = data.requisition_id;
@@ -46,6 +102,8 @@ async function createRFQ(data, user) {
             rfq_no: data.rfq_no || `RFQ-${Date.now()}`,
             requisition_id: data.requisition_id,
             created_by: user.id,
+            quote_deadline: data.quote_deadline ? new Date(data.quote_deadline) : null,
+            sealed_bid: Boolean(data.sealed_bid),
             notes: data.notes,
             status: "issued"
         }
@@ -54,6 +112,8 @@ async function createRFQ(data, user) {
 
 async function addVendors(rfqId, vendorIds) {
     if(!vendorIds || vendorIds.length === 0) throw new Error("At least one vendor required");
+    await assertVendorsCompliant(vendorIds, "invite");
+    await assertScoreAllows(vendorIds, "invite");
     return prisma.$transaction(vendorIds.map(vId => 
         prisma.rFQVendor.create({
             data: { rfq_id: rfqId, vendor_id: vId }
@@ -61,54 +121,360 @@ async function addVendors(rfqId, vendorIds) {
     ));
 }
 
+/**
+ * Store a vendor's quote: earlier quotes from the same vendor are superseded
+ * and the invitation's response_status moves to "submitted".
+ * `via` is "buyer" (keyed in) or "portal" (vendor self-service).
+ * Prices are in `data.currency`, the company base currency when omitted.
+ */
+async function recordQuote(rfq, vendorId, data, via = "buyer") {
+    assertOpenForQuotes(rfq);
+    if (!Array.isArray(data.items) || data.items.length === 0) throw createAppError("A quote needs at least one line", 400);
+
+    const requisition = rfq.requisition_id
+        ? await prisma.purchaseRequisition.findUnique({ where: { id: rfq.requisition_id }, select: { company_id: true } })
+        : null;
+    const currency = normalizeCurrency(data.currency, await getBaseCurrency(requisition?.company_id));
+
+    return prisma.$transaction(async (tx) => {
+        await tx.vendorQuote.updateMany({
+            where: { rfq_id: rfq.id, vendor_id: vendorId, status: "submitted" },
+            data: { status: "superseded" }
+        });
+
+        const quote = await tx.vendorQuote.create({
+            data: {
+                rfq_id: rfq.id,
+                vendor_id: vendorId,
+                currency,
+                delivery_days: data.delivery_days,
+                validity_date: data.validity_date ? new Date(data.validity_date) : null,
+                notes: data.notes,
+                attachments: data.attachments || null,
+                status: "submitted",
+                submitted_via: via,
+                items: {
+                    create: data.items.map(i => ({
+                        item_id: i.item_id,
+                        unit_price: i.unit_price,
+                        quantity: i.quantity,
+                        total_price: Number(i.unit_price) * Number(i.quantity),
+                        technical_score: via === "buyer" ? (i.technical_score ?? null) : null,
+                        is_compliant: via === "buyer" ? (i.is_compliant ?? true) : true,
+                        remarks: i.remarks || null
+                    }))
+                }
+            },
+            include: { items: true }
+        });
+
+        await tx.rFQVendor.updateMany({
+            where: { rfq_id: rfq.id, vendor_id: vendorId },
+            data: { response_status: "submitted", responded_at: new Date() }
+        });
+        return quote;
+    });
+}
+
 async function submitQuote(rfqId, data) {
-    return prisma.vendorQuote.create({
+    const rfq = await prisma.rFQ.findUnique({ where: { id: rfqId } });
+    if (!rfq) throw createAppError("RFQ not found", 404);
+    return recordQuote(rfq, data.vendor_id, data, "buyer");
+}
+
+/**
+ * Buyer-side technical evaluation of a quote's lines:
+ * items = [{ quote_item_id, technical_score, is_compliant, remarks }].
+ */
+async function evaluateQuoteTechnically(rfqId, quoteId, items, user) {
+    const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, prefix: "requisition" });
+    rfqWhere.id = rfqId;
+    const rfq = await prisma.rFQ.findFirst({ where: rfqWhere });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+
+    const quote = await prisma.vendorQuote.findFirst({ where: { id: quoteId, rfq_id: rfqId }, include: { items: true } });
+    if (!quote) throw createAppError("Quote not found on this RFQ", 404);
+
+    const lineIds = new Set(quote.items.map((i) => i.id));
+    for (const item of items || []) {
+        if (!lineIds.has(item.quote_item_id)) throw createAppError(`Quote line ${item.quote_item_id} is not on this quote`, 400);
+        const score = item.technical_score;
+        if (score !== undefined && score !== null && (Number(score) < 0 || Number(score) > 100)) {
+            throw createAppError("Technical score must be between 0 and 100", 400);
+        }
+    }
+
+    await prisma.$transaction((items || []).map((item) => prisma.vendorQuoteItem.update({
+        where: { id: item.quote_item_id },
         data: {
-            rfq_id: rfqId,
-            vendor_id: data.vendor_id,
-            delivery_days: data.delivery_days,
-            notes: data.notes,
-            status: "submitted",
-            items: {
-                create: data.items.map(i => ({
-                    item_id: i.item_id,
-                    unit_price: i.unit_price,
-                    quantity: i.quantity,
-                    total_price: Number(i.unit_price) * Number(i.quantity)
-                }))
-            }
+            ...(item.technical_score !== undefined && { technical_score: item.technical_score }),
+            ...(item.is_compliant !== undefined && { is_compliant: Boolean(item.is_compliant) }),
+            ...(item.remarks !== undefined && { remarks: item.remarks })
         }
+    })));
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "vendor_quote",
+        entityId: quoteId,
+        action: "TECHNICAL_EVALUATION",
+        afterData: { rfqId, items }
     });
+
+    const updated = await prisma.vendorQuote.findUnique({ where: { id: quoteId }, include: { items: true } });
+    return isSealed(rfq) ? maskQuoteAmounts(updated) : updated;
 }
 
-async function compareQuotes(rfqId, data, user) {
-    if (!data.selection_reason) {
-        throw new Error("Selection reason is required when choosing a vendor.");
-    }
+// ─── Clarifications ──────────────────────────────────────────────────────────
+
+async function listClarifications(rfqId, user) {
+    const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false, prefix: "requisition" });
+    rfqWhere.id = rfqId;
+    const rfq = await prisma.rFQ.findFirst({ where: rfqWhere, select: { id: true } });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+
+    return prisma.rFQClarification.findMany({
+        where: { rfq_id: rfqId },
+        include: { rfq_vendor: { select: { vendor: { select: { id: true, name: true } } } } },
+        orderBy: { created_at: "asc" }
+    });
+}
+
+async function answerClarification(rfqId, clarificationId, data, user) {
+    if (!data.answer || !String(data.answer).trim()) throw createAppError("An answer is required", 400);
 
-    // Tenant Security: Verify RFQ belongs to user's company
     const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, prefix: "requisition" });
     rfqWhere.id = rfqId;
-    
-    const rfq = await prisma.rFQ.findFirst({ where: rfqWhere });
-    if (!rfq) throw new Error("RFQ not found or access denied.");
+    const rfq = await prisma.rFQ.findFirst({ where: rfqWhere, select: { id: true } });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+
+    const clarification = await prisma.rFQClarification.findFirst({ where: { id: clarificationId, rfq_id: rfqId } });
+    if (!clarification) throw createAppError("Clarification not found", 404);
 
-    const comparison = await prisma.comparisonEngine.create({
+    const updated = await prisma.rFQClarification.update({
+        where: { id: clarificationId },
         data: {
-            rfq_id: rfqId,
-            selected_vendor_id: data.selected_vendor_id,
-            selection_reason: data.selection_reason,
-            compared_by: user.id,
-            comparison_snapshot: data.snapshot || {}
+            answer: String(data.answer).trim(),
+            is_public: Boolean(data.is_public),
+            answered_by: user.id,
+            answered_at: new Date()
         }
     });
-    
-    await prisma.rFQ.update({
-        where: { id: rfqId },
-        data: { status: "vendor_selected" }
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "rfq_clarification",
+        entityId: clarificationId,
+        action: "ANSWER_CLARIFICATION",
+        afterData: { rfqId, isPublic: updated.is_public }
+    });
+    return updated;
+}
+
+// ─── Bid Evaluation ──────────────────────────────────────────────────────────
+
+/**
+ * Evaluation weights: SystemSetting RFQ_EVALUATION_CRITERIA for the company
+ * (falling back to the global row), overridden by the request's `criteria`.
+ */
+async function resolveCriteria(companyId, requested) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "RFQ_EVALUATION_CRITERIA", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    let configured = null;
+    if (row) {
+        try { configured = JSON.parse(row.value); } catch { configured = null; }
+    }
+    return normalizeCriteria(configured, requested);
+}
+
+async function loadForEvaluation(rfqId, user, isWrite) {
+    const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite, prefix: "requisition" });
+    rfqWhere.id = rfqId;
+
+    const rfq = await prisma.rFQ.findFirst({
+        where: rfqWhere,
+        include: {
+            requisition: {
+                select: { company_id: true, purchaseRequisitionItems: { include: { item: { select: { name: true } } } } }
+            },
+            quotes: {
+                include: {
+                    vendor: { select: { name: true, rating: true } },
+                    items: { include: { item: { select: { name: true } } } }
+                }
+            }
+        }
+    });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+    return rfq;
+}
+
+/**
+ * Quotes are compared in the company base currency at today's rates; a quote
+ * in a currency with no rate on file stops the evaluation (422).
+ */
+async function buildEvaluation(rfq, requestedCriteria) {
+    const companyId = rfq.requisition?.company_id;
+    const criteria = await resolveCriteria(companyId, requestedCriteria);
+    const baseCurrency = await getBaseCurrency(companyId);
+    const now = new Date();
+
+    const rates = {};
+    for (const currency of new Set(rfq.quotes.map((q) => q.currency || baseCurrency))) {
+        rates[currency] = await getRate(currency, baseCurrency, now, companyId);
+    }
+
+    const evaluation = evaluateBids({
+        quotes: rfq.quotes,
+        prItems: rfq.requisition?.purchaseRequisitionItems || [],
+        criteria,
+        now,
+        rates,
+        baseCurrency,
+    });
+    return { rfqId: rfq.id, rfqNo: rfq.rfq_no, ...evaluation };
+}
+
+/**
+ * Score the RFQ's quotes without awarding anything.
+ */
+async function evaluateRFQ(rfqId, criteria, user) {
+    const rfq = await loadForEvaluation(rfqId, user, false);
+    assertNotSealed(rfq);
+    if (rfq.quotes.length === 0) throw createAppError("No quotes have been submitted for this RFQ", 422);
+    return buildEvaluation(rfq, criteria);
+}
+
+/**
+ * Turn the request into one award per RFQ line:
+ *   awards[]            explicit split award — [{ item_id, vendor_id, reason }];
+ *                       lines not listed take the recommendation
+ *   selected_vendor_id  award every line to one vendor
+ *   (neither)           take the recommended bid on every line
+ */
+function pickAwards(evaluation, data) {
+    const explicit = new Map((data.awards || []).map((a) => [a.item_id, a]));
+    for (const itemId of explicit.keys()) {
+        if (!evaluation.lines.some((l) => l.itemId === itemId)) throw createAppError(`Item ${itemId} is not on this RFQ`, 400);
+    }
+
+    return evaluation.lines.map((line) => {
+        const choice = explicit.get(line.itemId);
+        const vendorId = choice?.vendor_id || data.selected_vendor_id || line.recommended?.vendorId;
+        if (!vendorId) throw createAppError(`No eligible bid for ${line.itemName || line.itemId}`, 422);
+
+        const bid = line.bids.find((b) => b.vendorId === vendorId);
+        if (!bid) {
+            throw createAppError(`Vendor ${vendorId} did not quote for ${line.itemName || line.itemId}${data.selected_vendor_id && !choice ? " — use a split award" : ""}`, 422);
+        }
+        if (bid.disqualified) throw createAppError(`${bid.vendorName || vendorId} is disqualified on ${line.itemName || line.itemId}: ${bid.disqualificationReason}`, 422);
+
+        const overrideReason = bid.rank === 1 ? null : (choice?.reason || data.selection_reason || null);
+        if (bid.rank !== 1 && !overrideReason) {
+            throw createAppError(`A reason is required to award ${line.itemName || line.itemId} to a bid ranked #${bid.rank}`, 400);
+        }
+        return { line, bid, overrideReason };
+    });
+}
+
+/**
+ * Evaluate the quotes and record the award. Awards that skip the top-ranked
+ * bid need a reason; the full scored comparison is kept as the snapshot.
+ */
+async function compareQuotes(rfqId, data, user) {
+    const rfq = await loadForEvaluation(rfqId, user, true);
+    assertNotSealed(rfq);
+    assertAwardable(rfq);
+    if (rfq.quotes.length === 0) throw createAppError("No quotes have been submitted for this RFQ", 422);
+
+    const evaluation = await buildEvaluation(rfq, data.criteria);
+    const awards = pickAwards(evaluation, data);
+    const vendorIds = [...new Set(awards.map((a) => a.bid.vendorId))];
+    const awardMode = vendorIds.length > 1 ? "split" : "single";
+
+    const selectionReason = data.selection_reason || (awards.every((a) => a.bid.rank === 1)
+        ? "Highest weighted score on every line"
+        : awards.filter((a) => a.overrideReason).map((a) => a.overrideReason).join("; "));
+
+    const comparison = await prisma.$transaction(async (tx) => {
+        // Only one comparison can move the RFQ out of "issued"
+        const { count } = await tx.rFQ.updateMany({
+            where: { id: rfqId, status: "issued" },
+            data: { status: "vendor_selected", updated_at: new Date() }
+        });
+        if (count === 0) throw createAppError("A vendor has already been selected for this RFQ", 409);
+
+        const created = await tx.comparisonEngine.create({
+            data: {
+                rfq_id: rfqId,
+                selected_vendor_id: awardMode === "single" ? vendorIds[0] : null,
+                selection_reason: selectionReason,
+                compared_by: user.id,
+                comparison_snapshot: evaluation,
+                criteria: evaluation.criteria,
+                award_mode: awardMode,
+                awards: {
+                    create: awards.map(({ line, bid, overrideReason }) => ({
+                        rfq_id: rfqId,
+                        item_id: line.itemId,
+                        vendor_id: bid.vendorId,
+                        quote_id: bid.quoteId,
+                        quote_item_id: bid.quoteItemId,
+                        quantity: line.requiredQuantity,
+                        unit_price: bid.quotedUnitPrice,
+                        total_price: Math.round(bid.quotedUnitPrice * line.requiredQuantity * 100) / 100,
+                        score: bid.total,
+                        rank: bid.rank,
+                        is_lowest_price: Boolean(bid.isLowestPrice),
+                        override_reason: overrideReason
+                    }))
+                }
+            },
+            include: { awards: true }
+        });
+        return created;
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "rfq",
+        entityId: rfqId,
+        action: "AWARD_RFQ",
+        afterData: {
+            comparisonId: comparison.id,
+            awardMode,
+            weights: evaluation.criteria.weights,
+            awards: awards.map(({ line, bid, overrideReason }) => ({
+                itemId: line.itemId,
+                vendorId: bid.vendorId,
+                score: bid.total,
+                rank: bid.rank,
+                lowestPriceVendorId: line.lowestPrice?.vendorId || null,
+                overrideReason
+            }))
+        }
     });
 
-    return comparison;
+    return { ...comparison, evaluation };
 }
 
-module.exports = { getAllRFQs, getRFQById, createRFQ, addVendors, submitQuote, compareQuotes };
+module.exports = {
+    getAllRFQs,
+    getRFQById,
+    createRFQ,
+    addVendors,
+    submitQuote,
+    evaluateQuoteTechnically,
+    listClarifications,
+    answerClarification,
+    evaluateRFQ,
+    compareQuotes,
+    isSealed,
+    assertOpenForQuotes,
+    recordQuote
+};
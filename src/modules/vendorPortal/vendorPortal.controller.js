@@ -0,0 +1,90 @@
+"use strict";
+
+const service = require("./vendorPortal.service");
+const { resolvePortalToken } = require("./vendorPortal.tokens");
+const logger = require("../../logger");
+
+function getIp(req) {
+    return req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.socket?.remoteAddress || req.ip || null;
+}
+function getDevice(req) {
+    return req.headers["user-agent"] || null;
+}
+
+/**
+ * Authenticate a vendor by the portal token in `Authorization: Bearer <token>`.
+ * Sets `req.invitation` (RFQVendor with rfq and vendor); there is no req.user.
+ */
+async function authenticatePortalToken(req, res, next) {
+    try {
+        const header = req.headers.authorization || "";
+        const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+        if (!token) return res.status(401).json({ success: false, message: "Portal token missing" });
+        req.invitation = await resolvePortalToken(token);
+        next();
+    } catch (err) { next(err); }
+}
+
+// GET /api/vendor-portal/rfq
+async function getPortalView(req, res, next) {
+    try {
+        const result = await service.getPortalView(req.invitation);
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in vendor portal getPortalView:", err);
+        next(err);
+    }
+}
+
+// POST /api/vendor-portal/attachments
+async function uploadAttachment(req, res, next) {
+    try {
+        const result = await service.uploadAttachment(req.invitation, req.file);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in vendor portal uploadAttachment:", err);
+        next(err);
+    }
+}
+
+// POST /api/vendor-portal/quote
+async function submitQuote(req, res, next) {
+    try {
+        const result = await service.submitPortalQuote(req.invitation, req.body, getIp(req), getDevice(req));
+        return res.status(201).json({ success: true, message: "Quote submitted", data: result });
+    } catch (err) {
+        logger.error("Error in vendor portal submitQuote:", err);
+        next(err);
+    }
+}
+
+// POST /api/vendor-portal/clarifications
+async function askClarification(req, res, next) {
+    try {
+        const result = await service.askClarification(req.invitation, req.body.question);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in vendor portal askClarification:", err);
+        next(err);
+    }
+}
+
+// POST /api/vendor-portal/decline
+async function declineInvitation(req, res, next) {
+    try {
+        const result = await service.declineInvitation(req.invitation, req.body.reason, getIp(req), getDevice(req));
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in vendor portal declineInvitation:", err);
+        next(err);
+    }
+}
+
+module.exports = {
+    authenticatePortalToken,
+    getPortalView,
+    uploadAttachment,
+    submitQuote,
+    askClarification,
+    declineInvitation,
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+const express = require("express");
+const multer = require("multer");
+const controller = require("./vendorPortal.controller");
+const { validatePortalQuote, validateClarification, validateDecline } = require("./vendorPortal.validator");
+
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
+
+// Vendors authenticate with their RFQ portal token, never with a user session
+router.use(controller.authenticatePortalToken);
+
+/**
+ * @route GET /api/vendor-portal/rfq
+ * @desc  RFQ lines, own quotes and visible clarifications
+ */
+router.get("/rfq", controller.getPortalView);
+
+/**
+ * @route POST /api/vendor-portal/attachments
+ * @desc  Upload a quote attachment (before the deadline)
+ */
+router.post("/attachments", upload.single("file"), controller.uploadAttachment);
+
+/**
+ * @route POST /api/vendor-portal/quote
+ * @desc  Submit or resubmit the quote (before the deadline)
+ */
+router.post("/quote", validatePortalQuote, controller.submitQuote);
+
+/**
+ * @route POST /api/vendor-portal/clarifications
+ * @desc  Ask the buyer a question about the RFQ
+ */
+router.post("/clarifications", validateClarification, controller.askClarification);
+
+/**
+ * @route POST /api/vendor-portal/decline
+ * @desc  Decline to quote
+ */
+router.post("/decline", validateDecline, controller.declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,268 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { logAudit } = require("../../utils/auditLogger");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const storageService = require("../../services/storage.service");
+const { sendDirect } = require("../notifications/notifications.delivery");
+const { isSealed, assertOpenForQuotes, recordQuote } = require("../rfqs/rfqs.service");
+const { assertVendorsCompliant } = require("../vendors/compliance.service");
+const { issuePortalToken } = require("./vendorPortal.tokens");
+
+/**
+ * Vendor Self-Service Portal
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Invited vendors act on one RFQ through their portal token: view the lines,
+ * upload attachments, submit (or resubmit) their quote, raise clarifications
+ * and decline. Every write is refused after quote_deadline.
+ *
+ * response_status on the invitation moves automatically:
+ *   pending → invited (link sent) → viewed → submitted | declined
+ */
+
+const BLOCKED_VENDOR_STATUSES = ["suspended", "deactivated", "deleted", "rejected"];
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function attachmentFolder(invitation) {
+    return `rfq-quotes/${invitation.rfq_id}/${invitation.vendor_id}`;
+}
+
+function assertVendorActive(invitation) {
+    if (BLOCKED_VENDOR_STATUSES.includes(invitation.vendor?.status)) {
+        throw createAppError(`Vendor account is ${invitation.vendor.status}`, 403);
+    }
+}
+
+// ─── Buyer Side: Invitations ─────────────────────────────────────────────────
+
+/**
+ * Issue a fresh portal link for an invited vendor (revoking any earlier link)
+ * and email it when the vendor has an address.
+ */
+async function inviteVendor(rfqId, vendorId, user) {
+    const rfqWhere = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true, prefix: "requisition" });
+    rfqWhere.id = rfqId;
+    const rfq = await prisma.rFQ.findFirst({ where: rfqWhere });
+    if (!rfq) throw createAppError("RFQ not found or access denied.", 404);
+    assertOpenForQuotes(rfq);
+
+    const invitation = await prisma.rFQVendor.findFirst({
+        where: { rfq_id: rfqId, vendor_id: vendorId },
+        include: { vendor: { select: { id: true, name: true, email: true, status: true } } },
+    });
+    if (!invitation) throw createAppError("Vendor is not invited to this RFQ", 404);
+    assertVendorActive(invitation);
+    await assertVendorsCompliant(vendorId, "invite");
+
+    const { link, expiresAt } = await issuePortalToken(invitation, rfq);
+    if (["pending", null].includes(invitation.response_status)) {
+        await prisma.rFQVendor.update({ where: { id: invitation.id }, data: { response_status: "invited" } });
+    }
+
+    let emailed = false;
+    if (invitation.vendor.email) {
+        try {
+            await sendDirect({
+                event: "RFQ_INVITATION",
+                to: invitation.vendor.email,
+                variables: {
+                    recipientName: invitation.vendor.name,
+                    rfqNo: rfq.rfq_no,
+                    quoteDeadline: rfq.quote_deadline ? new Date(rfq.quote_deadline).toISOString() : "no deadline",
+                    portalLink: link,
+                    linkExpiresAt: expiresAt.toISOString(),
+                },
+            });
+            emailed = true;
+        } catch (err) {
+            logger.warn(`[VendorPortal] Invitation email for ${invitation.vendor.name} failed: ${err.message}`);
+        }
+    }
+
+    logAudit({
+        userId: user.id,
+        module: "procurement",
+        entity: "rfq_vendor",
+        entityId: invitation.id,
+        action: "ISSUE_PORTAL_LINK",
+        afterData: { rfqId, vendorId, expiresAt, emailed },
+    });
+
+    return { rfqVendorId: invitation.id, vendorId, link, expiresAt, emailed };
+}
+
+// ─── Vendor Side ─────────────────────────────────────────────────────────────
+
+/**
+ * RFQ header, lines, this vendor's own quotes and the clarifications it may
+ * see. Estimated prices from the PR are never exposed.
+ */
+async function getPortalView(invitation) {
+    const rfq = invitation.rfq;
+    const [prItems, quotes, clarifications] = await Promise.all([
+        rfq.requisition_id
+            ? prisma.purchaseRequisitionItem.findMany({
+                where: { requisition_id: rfq.requisition_id },
+                select: {
+                    item_id: true, quantity: true, required_date: true, remarks: true,
+                    item: { select: { name: true, unit: true, description: true } },
+                },
+            })
+            : [],
+        prisma.vendorQuote.findMany({
+            where: { rfq_id: rfq.id, vendor_id: invitation.vendor_id },
+            include: { items: { select: { id: true, item_id: true, unit_price: true, quantity: true, total_price: true, remarks: true } } },
+            orderBy: { created_at: "desc" },
+        }),
+        prisma.rFQClarification.findMany({
+            where: { rfq_id: rfq.id, OR: [{ rfq_vendor_id: invitation.id }, { is_public: true, answer: { not: null } }] },
+            select: { id: true, question: true, answer: true, is_public: true, answered_at: true, created_at: true, rfq_vendor_id: true },
+            orderBy: { created_at: "asc" },
+        }),
+    ]);
+
+    const now = new Date();
+    const responseStatus = ["pending", "invited", null].includes(invitation.response_status) ? "viewed" : invitation.response_status;
+    await prisma.rFQVendor.update({
+        where: { id: invitation.id },
+        data: { last_accessed_at: now, response_status: responseStatus },
+    });
+
+    let open = true;
+    try { assertOpenForQuotes(rfq, now); } catch { open = false; }
+
+    return {
+        rfq: {
+            id: rfq.id,
+            rfqNo: rfq.rfq_no,
+            notes: rfq.notes,
+            quoteDeadline: rfq.quote_deadline,
+            sealedBid: Boolean(rfq.sealed_bid),
+            acceptingQuotes: open,
+        },
+        vendor: { id: invitation.vendor.id, name: invitation.vendor.name },
+        responseStatus,
+        lines: prItems.map((l) => ({
+            itemId: l.item_id,
+            itemName: l.item?.name || null,
+            unit: l.item?.unit || null,
+            description: l.item?.description || null,
+            quantity: l.quantity,
+            requiredDate: l.required_date,
+            remarks: l.remarks,
+        })),
+        quotes,
+        clarifications: clarifications.map(({ rfq_vendor_id, ...c }) => ({ ...c, mine: rfq_vendor_id === invitation.id })),
+    };
+}
+
+async function uploadAttachment(invitation, file) {
+    if (!file) throw createAppError("No file was provided in the request", 400);
+    assertVendorActive(invitation);
+    assertOpenForQuotes(invitation.rfq);
+
+    const result = await storageService.uploadFile(file.buffer, file.originalname, attachmentFolder(invitation));
+    return { key: result.key, url: result.url, name: file.originalname };
+}
+
+/**
+ * Submit the vendor's quote. Lines must be RFQ items; attachments must be
+ * files this vendor uploaded for this RFQ. Resubmitting supersedes the
+ * previous quote.
+ */
+async function submitPortalQuote(invitation, data, ipAddress, deviceInfo) {
+    assertVendorActive(invitation);
+    const rfq = invitation.rfq;
+    assertOpenForQuotes(rfq);
+
+    if (rfq.requisition_id) {
+        const prItems = await prisma.purchaseRequisitionItem.findMany({
+            where: { requisition_id: rfq.requisition_id },
+            select: { item_id: true },
+        });
+        const allowed = new Set(prItems.map((i) => i.item_id).filter(Boolean));
+        const unknown = (data.items || []).filter((i) => !allowed.has(i.item_id));
+        if (allowed.size > 0 && unknown.length > 0) {
+            throw createAppError(`Items not on this RFQ: ${unknown.map((i) => i.item_id).join(", ")}`, 400);
+        }
+    }
+
+    const folder = `${attachmentFolder(invitation)}/`;
+    const attachments = Array.isArray(data.attachments) ? data.attachments : [];
+    if (attachments.some((a) => !String(a?.key || a).startsWith(folder) || String(a?.key || a).includes(".."))) {
+        throw createAppError("Attachments must be uploaded through the portal for this RFQ", 400);
+    }
+
+    const quote = await recordQuote(rfq, invitation.vendor_id, {
+        currency: data.currency,
+        delivery_days: data.delivery_days,
+        validity_date: data.validity_date,
+        notes: data.notes,
+        attachments: attachments.length > 0 ? attachments : null,
+        items: data.items,
+    }, "portal");
+
+    logAudit({
+        userId: null,
+        module: "procurement",
+        entity: "vendor_quote",
+        entityId: quote.id,
+        action: "PORTAL_QUOTE_SUBMITTED",
+        afterData: { rfqId: rfq.id, vendorId: invitation.vendor_id, lineCount: quote.items.length },
+        ipAddress,
+        deviceInfo,
+    });
+
+    return isSealed(rfq) ? { ...quote, sealed: true } : quote;
+}
+
+async function askClarification(invitation, question) {
+    if (!question || !String(question).trim()) throw createAppError("A question is required", 400);
+    assertVendorActive(invitation);
+    assertOpenForQuotes(invitation.rfq);
+
+    return prisma.rFQClarification.create({
+        data: { rfq_id: invitation.rfq_id, rfq_vendor_id: invitation.id, question: String(question).trim() },
+        select: { id: true, question: true, created_at: true },
+    });
+}
+
+async function declineInvitation(invitation, reason, ipAddress, deviceInfo) {
+    assertOpenForQuotes(invitation.rfq);
+    if (invitation.response_status === "submitted") {
+        throw createAppError("A quote has already been submitted for this RFQ", 409);
+    }
+
+    const updated = await prisma.rFQVendor.update({
+        where: { id: invitation.id },
+        data: { response_status: "declined", responded_at: new Date(), decline_reason: reason || null },
+        select: { id: true, response_status: true, responded_at: true },
+    });
+
+    logAudit({
+        userId: null,
+        module: "procurement",
+        entity: "rfq_vendor",
+        entityId: invitation.id,
+        action: "PORTAL_DECLINED",
+        afterData: { rfqId: invitation.rfq_id, vendorId: invitation.vendor_id, reason: reason || null },
+        ipAddress,
+        deviceInfo,
+    });
+    return updated;
+}
+
+module.exports = {
+    inviteVendor,
+    getPortalView,
+    uploadAttachment,
+    submitPortalQuote,
+    askClarification,
+    declineInvitation,
+};
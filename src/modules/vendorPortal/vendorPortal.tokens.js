@@ -0,0 +1,99 @@
+"use strict";
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../../db");
+
+/**
+ * Vendor Portal Access Tokens
+ * ─────────────────────────────────────────────────────────────────────────────
+ * An invited vendor (RFQVendor row) gets a signed token scoped to that one
+ * invitation:
+ *
+ *   JWT (typ "vendor_portal", jti, ivt = rfq_vendors.id, rfq, vnd)
+ *   signed with VENDOR_PORTAL_SECRET (falls back to JWT_SECRET)
+ *
+ * Unlike approval links the token is reusable until it expires —
+ * VENDOR_PORTAL_TTL_DAYS (default 7) after the quote deadline, or after issue
+ * when the RFQ has no deadline. Only the latest jti stored on the invitation is
+ * accepted, so re-issuing a link revokes the previous one.
+ */
+
+const TOKEN_TYPE = "vendor_portal";
+const TOKEN_AUDIENCE = "vendor-portal";
+const DEFAULT_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function signingSecret() {
+    return process.env.VENDOR_PORTAL_SECRET || process.env.JWT_SECRET;
+}
+
+function ttlDays() {
+    const days = Number(process.env.VENDOR_PORTAL_TTL_DAYS);
+    return days > 0 ? days : DEFAULT_TTL_DAYS;
+}
+
+function portalBaseUrl() {
+    return (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+}
+
+/**
+ * Issue (or rotate) the portal token for an invitation.
+ * Returns `{ token, link, expiresAt }`.
+ */
+async function issuePortalToken(rfqVendor, rfq) {
+    const from = rfq.quote_deadline && new Date(rfq.quote_deadline) > new Date() ? new Date(rfq.quote_deadline) : new Date();
+    const expiresAt = new Date(from.getTime() + ttlDays() * DAY_MS);
+    const jti = crypto.randomUUID();
+
+    await prisma.rFQVendor.update({
+        where: { id: rfqVendor.id },
+        data: { access_token_id: jti, access_expires_at: expiresAt },
+    });
+
+    const token = jwt.sign(
+        { typ: TOKEN_TYPE, ivt: rfqVendor.id, rfq: rfqVendor.rfq_id, vnd: rfqVendor.vendor_id },
+        signingSecret(),
+        { jwtid: jti, audience: TOKEN_AUDIENCE, expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+    );
+    return { token, link: `${portalBaseUrl()}/vendor-portal?token=${encodeURIComponent(token)}`, expiresAt };
+}
+
+/**
+ * Verify the token and load the invitation it belongs to.
+ * Returns the RFQVendor row with `rfq` and `vendor`.
+ */
+async function resolvePortalToken(token) {
+    let claims;
+    try {
+        claims = jwt.verify(String(token || ""), signingSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (err) {
+        if (err.name === "TokenExpiredError") throw createAppError("This portal link has expired", 410);
+        throw createAppError("Invalid portal link", 401);
+    }
+    if (claims.typ !== TOKEN_TYPE || !claims.jti || !claims.ivt) throw createAppError("Invalid portal link", 401);
+
+    const invitation = await prisma.rFQVendor.findUnique({
+        where: { id: claims.ivt },
+        include: {
+            rfq: true,
+            vendor: { select: { id: true, name: true, email: true, status: true } },
+        },
+    });
+    if (!invitation || invitation.access_token_id !== claims.jti || invitation.vendor_id !== claims.vnd) {
+        throw createAppError("This portal link has been revoked", 401);
+    }
+    if (invitation.access_expires_at && invitation.access_expires_at < new Date()) {
+        throw createAppError("This portal link has expired", 410);
+    }
+    if (!invitation.rfq || invitation.rfq.deleted_at) throw createAppError("RFQ is no longer available", 404);
+    return invitation;
+}
+
+module.exports = { issuePortalToken, resolvePortalToken };
@@ -0,0 +1,75 @@
+"use strict";
+
+const { body, validationResult } = require("express-validator");
+
+function handleValidationErrors(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+        });
+    }
+    next();
+}
+
+// ─── Quote ────────────────────────────────────────────────────────────────────
+
+const validatePortalQuote = [
+    body("items")
+        .isArray({ min: 1 }).withMessage("items must contain at least one line"),
+
+    body("items.*.item_id")
+        .isUUID().withMessage("each line needs a valid item_id"),
+
+    body("items.*.unit_price")
+        .isFloat({ min: 0 }).withMessage("unit_price must be a non-negative number"),
+
+    body("items.*.quantity")
+        .isFloat({ gt: 0 }).withMessage("quantity must be greater than zero"),
+
+    body("items.*.remarks")
+        .optional({ nullable: true })
+        .isString().isLength({ max: 1000 }).withMessage("remarks too long (max 1000 chars)"),
+
+    body("currency")
+        .optional({ nullable: true })
+        .matches(/^[A-Za-z]{3}$/).withMessage("currency must be a three-letter code"),
+
+    body("delivery_days")
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage("delivery_days must be a whole number of days"),
+
+    body("validity_date")
+        .optional({ nullable: true })
+        .isISO8601().withMessage("validity_date must be a date"),
+
+    body("attachments")
+        .optional({ nullable: true })
+        .isArray({ max: 20 }).withMessage("attachments must be an array (max 20)"),
+
+    handleValidationErrors,
+];
+
+// ─── Clarification / Decline ──────────────────────────────────────────────────
+
+const validateClarification = [
+    body("question")
+        .trim()
+        .notEmpty().withMessage("question is required")
+        .isLength({ max: 4000 }).withMessage("question too long (max 4000 chars)"),
+
+    handleValidationErrors,
+];
+
+const validateDecline = [
+    body("reason")
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 }).withMessage("reason too long (max 1000 chars)"),
+
+    handleValidationErrors,
+];
+
+module.exports = { validatePortalQuote, validateClarification, validateDecline };
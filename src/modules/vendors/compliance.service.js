@@ -0,0 +1,467 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { logAudit } = require("../../utils/auditLogger");
+const { notify } = require("../notifications/notifications.service");
+const { sendDirect } = require("../notifications/notifications.delivery");
+
+/**
+ * Vendor Compliance Documents
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Vendors hold typed documents (CR, VAT, Zakat, insurance, ...) with issue and
+ * expiry dates. Adding a document of a type the vendor already has supersedes
+ * the older one (renewal).
+ *
+ * Document status (date-only, against today):
+ *   expired   expiry_date before today
+ *   expiring  expiry_date within the largest reminder day
+ *   valid     otherwise (or no expiry date)
+ *
+ * The daily compliance sweep (src/workers/vendorCompliance.worker.js):
+ *   - sends each reminder day once (in-app to the vendor owner and procurement
+ *     officers, email to the vendor contact)
+ *   - suspends vendors with an expired mandatory document — the same
+ *     "suspended" status as vendors.service#suspendVendor, with
+ *     suspension_reason "COMPLIANCE: ..."
+ *   - reinstates compliance suspensions once every mandatory document is valid
+ *
+ * New POs and RFQ invitations are refused for suspended vendors and for
+ * vendors with an expired mandatory document, without waiting for the sweep.
+ *
+ * SystemSetting VENDOR_COMPLIANCE_SETTINGS (company row, falling back to the
+ * company_id = null row):
+ *   { "mandatoryTypes": ["CR","VAT","ZAKAT","INSURANCE"], "reminderDays": [30,14,7,1], "autoSuspend": true }
+ */
+
+const DOC_TYPES = ["CR", "VAT", "ZAKAT", "INSURANCE", "GOSI", "SAUDIZATION", "BANK_LETTER", "OTHER"];
+const DEFAULT_SETTINGS = {
+    mandatoryTypes: ["CR", "VAT", "ZAKAT", "INSURANCE"],
+    reminderDays: [30, 14, 7, 1],
+    autoSuspend: true,
+};
+const COMPLIANCE_REASON = "COMPLIANCE";
+const BLOCKED_STATUSES = ["suspended", "deactivated", "deleted", "rejected"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function startOfDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function daysUntil(expiry, today) {
+    return Math.round((startOfDay(new Date(expiry)) - today) / DAY_MS);
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+async function getComplianceSettings(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "VENDOR_COMPLIANCE_SETTINGS", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_SETTINGS;
+
+    try {
+        const raw = JSON.parse(row.value);
+        const mandatory = Array.isArray(raw.mandatoryTypes)
+            ? raw.mandatoryTypes.map((t) => String(t).toUpperCase()).filter((t) => DOC_TYPES.includes(t))
+            : DEFAULT_SETTINGS.mandatoryTypes;
+        const days = Array.isArray(raw.reminderDays)
+            ? [...new Set(raw.reminderDays.map(Number).filter((d) => Number.isInteger(d) && d >= 0))].sort((a, b) => b - a)
+            : DEFAULT_SETTINGS.reminderDays;
+        return {
+            mandatoryTypes: mandatory,
+            reminderDays: days.length > 0 ? days : DEFAULT_SETTINGS.reminderDays,
+            autoSuspend: raw.autoSuspend !== false,
+        };
+    } catch (err) {
+        logger.warn("[VendorCompliance] VENDOR_COMPLIANCE_SETTINGS is not valid JSON — using defaults");
+        return DEFAULT_SETTINGS;
+    }
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+function documentStatus(doc, today, settings) {
+    if (!doc.expiry_date) return "valid";
+    const days = daysUntil(doc.expiry_date, today);
+    if (days < 0) return "expired";
+    return days <= Math.max(...settings.reminderDays) ? "expiring" : "valid";
+}
+
+/**
+ * Compliance of a vendor from its current (non-superseded) documents.
+ * The newest document of each type counts.
+ */
+function evaluateDocuments(documents, settings, today) {
+    const expiryTime = (d) => (d.expiry_date ? new Date(d.expiry_date).getTime() : Infinity);
+    const current = new Map();
+    for (const d of documents) {
+        const prev = current.get(d.doc_type);
+        if (!prev || expiryTime(d) > expiryTime(prev)) current.set(d.doc_type, d);
+    }
+
+    const expired = [];
+    const expiring = [];
+    for (const [type, doc] of current) {
+        const status = documentStatus(doc, today, settings);
+        if (status === "expired" && settings.mandatoryTypes.includes(type)) expired.push(type);
+        if (status === "expiring" && settings.mandatoryTypes.includes(type)) expiring.push(type);
+    }
+    const missing = settings.mandatoryTypes.filter((t) => !current.has(t));
+
+    return {
+        status: expired.length > 0 ? "non_compliant" : expiring.length > 0 ? "expiring" : "compliant",
+        expired,
+        expiring,
+        missing,
+    };
+}
+
+async function loadCurrentDocuments(vendorId) {
+    return prisma.vendorDocument.findMany({
+        where: { vendor_id: vendorId, deleted_at: null, status: { not: "superseded" } },
+        orderBy: { expiry_date: "asc" },
+    });
+}
+
+async function companyRecipients(vendor) {
+    const officers = vendor.company_id
+        ? await prisma.user.findMany({
+            where: { company_id: vendor.company_id, is_active: true, deleted_at: null, roles: { code: "procurement_officer" } },
+            select: { id: true },
+        })
+        : [];
+    return [vendor.created_by, ...officers.map((u) => u.id)].filter(Boolean);
+}
+
+/**
+ * Re-evaluate one vendor: refresh document statuses, store compliance_status
+ * and suspend / reinstate as the settings allow.
+ */
+async function refreshVendorCompliance(vendorId, { settings = null, today = startOfDay() } = {}) {
+    const vendor = await prisma.vendor.findUnique({
+        where: { id: vendorId },
+        select: { id: true, name: true, company_id: true, status: true, suspension_reason: true, created_by: true },
+    });
+    if (!vendor) throw createAppError("Vendor not found", 404);
+    settings = settings || await getComplianceSettings(vendor.company_id);
+
+    const documents = await loadCurrentDocuments(vendorId);
+    for (const d of documents) {
+        const status = documentStatus(d, today, settings);
+        if (status !== d.status) {
+            await prisma.vendorDocument.update({ where: { id: d.id }, data: { status, updated_at: new Date() } });
+        }
+    }
+
+    const result = evaluateDocuments(documents, settings, today);
+    const data = { compliance_status: result.status };
+    let action = null;
+
+    if (result.expired.length > 0 && settings.autoSuspend && vendor.status === "active") {
+        Object.assign(data, {
+            status: "suspended",
+            suspension_reason: `${COMPLIANCE_REASON}: expired ${result.expired.join(", ")}`,
+            suspended_at: new Date(),
+        });
+        action = "SUSPEND_VENDOR_COMPLIANCE";
+    } else if (result.expired.length === 0 && vendor.status === "suspended" && String(vendor.suspension_reason || "").startsWith(COMPLIANCE_REASON)) {
+        Object.assign(data, { status: "active", suspension_reason: null, suspended_at: null });
+        action = "REINSTATE_VENDOR_COMPLIANCE";
+    }
+
+    await prisma.vendor.update({ where: { id: vendorId }, data: { ...data, ...(action && { updated_at: new Date() }) } });
+
+    if (action) {
+        logAudit({
+            userId: null,
+            module: "vendors",
+            entity: "vendor",
+            entityId: vendorId,
+            action,
+            beforeData: { status: vendor.status, suspensionReason: vendor.suspension_reason },
+            afterData: { status: data.status, suspensionReason: data.suspension_reason, expired: result.expired },
+        });
+        await notify({
+            userIds: await companyRecipients(vendor),
+            companyId: vendor.company_id,
+            type: "VENDOR_SUSPENDED",
+            title: action === "SUSPEND_VENDOR_COMPLIANCE"
+                ? `Vendor ${vendor.name} suspended: expired ${result.expired.join(", ")}`
+                : `Vendor ${vendor.name} reinstated after document renewal`,
+            entity: "vendor",
+            entityId: vendorId,
+            link: `/vendors/${vendorId}`,
+            priority: action === "SUSPEND_VENDOR_COMPLIANCE" ? "high" : "normal",
+            data: { vendorId, expired: result.expired },
+        });
+    }
+
+    return { vendorId, ...result, vendorStatus: data.status || vendor.status, action };
+}
+
+// ─── Reminders ────────────────────────────────────────────────────────────────
+
+/**
+ * Send the reminders that are due for a vendor's documents. Only the nearest
+ * due reminder day is sent; earlier (larger) days are marked as done with it.
+ */
+async function sendExpiryReminders(vendor, settings, today) {
+    const documents = await prisma.vendorDocument.findMany({
+        where: { vendor_id: vendor.id, deleted_at: null, status: { not: "superseded" }, expiry_date: { not: null } },
+    });
+
+    let sent = 0;
+    for (const doc of documents) {
+        const days = daysUntil(doc.expiry_date, today);
+        const already = Array.isArray(doc.reminders_sent) ? doc.reminders_sent : [];
+        const due = settings.reminderDays.filter((d) => days <= d && !already.includes(d));
+        if (due.length === 0 || days < 0) continue;
+
+        const mandatory = settings.mandatoryTypes.includes(doc.doc_type);
+        const title = `${vendor.name}: ${doc.doc_type} ${days === 0 ? "expires today" : `expires in ${days} day(s)`}`;
+        await notify({
+            userIds: await companyRecipients(vendor),
+            companyId: vendor.company_id,
+            type: "VENDOR_DOCUMENT_EXPIRING",
+            title,
+            message: mandatory ? "The vendor will be suspended if this mandatory document expires." : null,
+            entity: "vendor_document",
+            entityId: doc.id,
+            link: `/vendors/${vendor.id}`,
+            priority: mandatory && days <= Math.min(...settings.reminderDays) ? "high" : "normal",
+            data: { vendorId: vendor.id, docType: doc.doc_type, expiryDate: doc.expiry_date, daysLeft: days },
+        });
+        if (vendor.email) {
+            try {
+                await sendDirect({
+                    event: "VENDOR_DOCUMENT_EXPIRY",
+                    to: vendor.email,
+                    companyId: vendor.company_id,
+                    variables: {
+                        recipientName: vendor.name,
+                        docType: doc.doc_type,
+                        documentNumber: doc.document_number || "-",
+                        expiryDate: new Date(doc.expiry_date).toISOString().slice(0, 10),
+                        daysLeft: days,
+                    },
+                });
+            } catch (err) {
+                logger.warn(`[VendorCompliance] Expiry email to ${vendor.name} failed: ${err.message}`);
+            }
+        }
+
+        await prisma.vendorDocument.update({
+            where: { id: doc.id },
+            data: { reminders_sent: [...new Set([...already, ...due])], last_reminded_at: new Date() },
+        });
+        sent++;
+    }
+    return sent;
+}
+
+/**
+ * Daily sweep over every vendor with documents or a compliance suspension.
+ */
+async function runComplianceSweep({ today = startOfDay() } = {}) {
+    const vendors = await prisma.vendor.findMany({
+        where: {
+            deleted_at: null,
+            OR: [
+                { documents: { some: { deleted_at: null } } },
+                { status: "suspended", suspension_reason: { startsWith: COMPLIANCE_REASON } },
+            ],
+        },
+        select: { id: true, name: true, email: true, company_id: true, created_by: true },
+    });
+
+    const settingsByCompany = new Map();
+    const totals = { vendors: vendors.length, reminders: 0, suspended: 0, reinstated: 0, errorCount: 0 };
+    for (const v of vendors) {
+        try {
+            if (!settingsByCompany.has(v.company_id)) settingsByCompany.set(v.company_id, await getComplianceSettings(v.company_id));
+            const settings = settingsByCompany.get(v.company_id);
+            totals.reminders += await sendExpiryReminders(v, settings, today);
+            const result = await refreshVendorCompliance(v.id, { settings, today });
+            if (result.action === "SUSPEND_VENDOR_COMPLIANCE") totals.suspended++;
+            if (result.action === "REINSTATE_VENDOR_COMPLIANCE") totals.reinstated++;
+        } catch (err) {
+            totals.errorCount++;
+            logger.error(`[VendorCompliance] Vendor ${v.id} failed: ${err.message}`);
+        }
+    }
+    return totals;
+}
+
+// ─── Gate ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Refuse vendors that are suspended / inactive or have an expired mandatory
+ * document. Used before creating POs and inviting vendors to RFQs;
+ * `checkStatus: false` looks at the documents only (reactivation).
+ */
+async function assertVendorsCompliant(vendorIds, purpose = "transact with", { checkStatus = true } = {}) {
+    const ids = [...new Set((Array.isArray(vendorIds) ? vendorIds : [vendorIds]).filter(Boolean))];
+    if (ids.length === 0) return;
+
+    const vendors = await prisma.vendor.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, name: true, company_id: true, status: true, suspension_reason: true },
+    });
+    const today = startOfDay();
+    const problems = [];
+    for (const v of vendors) {
+        if (checkStatus && BLOCKED_STATUSES.includes(v.status)) {
+            problems.push(`${v.name} is ${v.status}${v.suspension_reason ? ` (${v.suspension_reason})` : ""}`);
+            continue;
+        }
+        const result = evaluateDocuments(await loadCurrentDocuments(v.id), await getComplianceSettings(v.company_id), today);
+        if (result.expired.length > 0) problems.push(`${v.name} has expired ${result.expired.join(", ")}`);
+    }
+    if (problems.length > 0) {
+        throw createAppError(`Cannot ${purpose} non-compliant vendor(s): ${problems.join("; ")}`, 422);
+    }
+}
+
+// ─── Documents ────────────────────────────────────────────────────────────────
+
+async function findScopedVendor(vendorId, user, isWrite) {
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite });
+    where.id = vendorId;
+    const vendor = await prisma.vendor.findFirst({ where, select: { id: true, name: true, company_id: true, status: true } });
+    if (!vendor) throw createAppError("Vendor not found or access denied.", 404);
+    return vendor;
+}
+
+async function listDocuments(vendorId, user, { includeSuperseded = false } = {}) {
+    const vendor = await findScopedVendor(vendorId, user, false);
+    const settings = await getComplianceSettings(vendor.company_id);
+    const documents = await prisma.vendorDocument.findMany({
+        where: { vendor_id: vendorId, deleted_at: null, ...(!includeSuperseded && { status: { not: "superseded" } }) },
+        orderBy: [{ doc_type: "asc" }, { expiry_date: "desc" }],
+    });
+    const current = documents.filter((d) => d.status !== "superseded");
+    return {
+        vendorId,
+        mandatoryTypes: settings.mandatoryTypes,
+        compliance: evaluateDocuments(current, settings, startOfDay()),
+        documents,
+    };
+}
+
+/**
+ * Add (or renew) a vendor document. The file is uploaded beforehand through
+ * /api/storage/upload; its key / url are stored here.
+ */
+async function addDocument(vendorId, data, user, ipAddress, deviceInfo) {
+    const vendor = await findScopedVendor(vendorId, user, true);
+    const docType = String(data.doc_type || "").toUpperCase();
+    if (!DOC_TYPES.includes(docType)) throw createAppError(`doc_type must be one of: ${DOC_TYPES.join(", ")}`, 400);
+
+    const issueDate = data.issue_date ? new Date(data.issue_date) : null;
+    const expiryDate = data.expiry_date ? new Date(data.expiry_date) : null;
+    if ((issueDate && isNaN(issueDate)) || (expiryDate && isNaN(expiryDate))) throw createAppError("Invalid issue or expiry date", 400);
+    if (issueDate && expiryDate && expiryDate <= issueDate) {
+        throw createAppError("Compliance Error: Expiry date must be after the issue date.", 400);
+    }
+    const settings = await getComplianceSettings(vendor.company_id);
+    if (settings.mandatoryTypes.includes(docType) && !expiryDate) {
+        throw createAppError(`An expiry date is required for mandatory document ${docType}`, 400);
+    }
+
+    const document = await prisma.$transaction(async (tx) => {
+        await tx.vendorDocument.updateMany({
+            where: { vendor_id: vendorId, doc_type: docType, deleted_at: null, status: { not: "superseded" } },
+            data: { status: "superseded", updated_at: new Date() },
+        });
+        return tx.vendorDocument.create({
+            data: {
+                vendor_id: vendorId,
+                company_id: vendor.company_id,
+                doc_type: docType,
+                document_number: data.document_number || null,
+                issue_date: issueDate,
+                expiry_date: expiryDate,
+                status: documentStatus({ expiry_date: expiryDate }, startOfDay(), settings),
+                file_key: data.file_key || null,
+                file_url: data.file_url || null,
+                file_name: data.file_name || null,
+                notes: data.notes || null,
+                reminders_sent: [],
+                created_by: user.id,
+            },
+        });
+    });
+
+    logAudit({
+        userId: user.id,
+        module: "vendors",
+        entity: "vendor_document",
+        entityId: document.id,
+        action: "ADD_VENDOR_DOCUMENT",
+        afterData: { vendorId, docType, documentNumber: document.document_number, expiryDate: document.expiry_date },
+        ipAddress,
+        deviceInfo,
+    });
+
+    const compliance = await refreshVendorCompliance(vendorId, { settings });
+    return { document, compliance };
+}
+
+async function deleteDocument(vendorId, documentId, user, ipAddress, deviceInfo) {
+    await findScopedVendor(vendorId, user, true);
+    const document = await prisma.vendorDocument.findFirst({ where: { id: documentId, vendor_id: vendorId, deleted_at: null } });
+    if (!document) throw createAppError("Document not found", 404);
+
+    await prisma.vendorDocument.update({ where: { id: documentId }, data: { deleted_at: new Date() } });
+    logAudit({
+        userId: user.id,
+        module: "vendors",
+        entity: "vendor_document",
+        entityId: documentId,
+        action: "DELETE_VENDOR_DOCUMENT",
+        beforeData: { vendorId, docType: document.doc_type, expiryDate: document.expiry_date },
+        ipAddress,
+        deviceInfo,
+    });
+    return refreshVendorCompliance(vendorId);
+}
+
+/**
+ * Vendor documents expiring within `windowDate` (or already expired) for the
+ * compliance dashboard.
+ */
+async function getExpiringDocuments(user, windowDate) {
+    return prisma.vendorDocument.findMany({
+        where: {
+            deleted_at: null,
+            status: { not: "superseded" },
+            expiry_date: { lte: windowDate },
+            vendor: { deleted_at: null, ...(user.isSuperAdmin ? {} : { company_id: user.companyId }) },
+        },
+        include: { vendor: { select: { id: true, name: true, status: true, suspension_reason: true } } },
+        orderBy: { expiry_date: "asc" },
+    });
+}
+
+module.exports = {
+    DOC_TYPES,
+    COMPLIANCE_REASON,
+    getComplianceSettings,
+    evaluateDocuments,
+    refreshVendorCompliance,
+    runComplianceSweep,
+    assertVendorsCompliant,
+    listDocuments,
+    addDocument,
+    deleteDocument,
+    getExpiringDocuments,
+};
@@ -0,0 +1,415 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope, MODULES } = require("../../utils/scoping");
+const { getBaseCurrency, findRate } = require("../currency/currency.service");
+
+/**
+ * Vendor Performance Scorecards
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Computed from transactions over a rolling window (default 12 months):
+ *
+ *   onTime     DeliveryTracking delivered on/before expected_date, out of the
+ *              deliveries that arrived or are overdue
+ *   quality    1 − GRNItem qty_rejected / qty_received
+ *   ncr        MATERIAL NCRs traced to the vendor (each costs `ncrPenalty` points)
+ *   price      lowest competing unit price / vendor unit price on the same RFQ
+ *              line in base currency, averaged over quote lines that had competition
+ *   invoicing  1 − disputed invoices (three-way match exceptions, overrides and
+ *              holds) / invoices
+ *
+ * Each metric scores 0–100; metrics without data in the window are left out
+ * and the weights of the rest are scaled back to 100. Every recalculation is
+ * stored as a VendorScorecard row (the trend) and the latest score, grade and
+ * a 0–5 rating are copied onto the vendor, which is what RFQ evaluation reads.
+ *
+ * SystemSetting VENDOR_SCORECARD_SETTINGS (company row, falling back to the
+ * company_id = null row) overrides the defaults below. `minInviteScore` and
+ * `minApprovalScore` gate RFQ invitations and vendor (re)activation for
+ * vendors that have a score.
+ */
+
+const DEFAULT_SETTINGS = {
+    windowMonths: 12,
+    weights: { onTime: 30, quality: 25, ncr: 15, price: 20, invoicing: 10 },
+    ncrPenalty: 20,
+    minInviteScore: 0,
+    minApprovalScore: 0,
+};
+const METRICS = Object.keys(DEFAULT_SETTINGS.weights);
+const GRADES = [["A", 85], ["B", 70], ["C", 50], ["D", 0]];
+const RATING_SCALE = 5;
+const SKIPPED_VENDOR_STATUSES = ["deleted", "rejected"];
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function round(n, places) {
+    const f = 10 ** places;
+    return Math.round(n * f) / f;
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+async function getScorecardSettings(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "VENDOR_SCORECARD_SETTINGS", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_SETTINGS;
+
+    try {
+        const raw = JSON.parse(row.value);
+        const weights = { ...DEFAULT_SETTINGS.weights };
+        for (const m of METRICS) {
+            if (raw.weights?.[m] !== undefined) weights[m] = Math.max(Number(raw.weights[m]) || 0, 0);
+        }
+        return {
+            windowMonths: Number(raw.windowMonths) > 0 ? Number(raw.windowMonths) : DEFAULT_SETTINGS.windowMonths,
+            weights,
+            ncrPenalty: Number(raw.ncrPenalty) >= 0 ? Number(raw.ncrPenalty) : DEFAULT_SETTINGS.ncrPenalty,
+            minInviteScore: Math.max(Number(raw.minInviteScore) || 0, 0),
+            minApprovalScore: Math.max(Number(raw.minApprovalScore) || 0, 0),
+        };
+    } catch (err) {
+        logger.warn("[Scorecard] VENDOR_SCORECARD_SETTINGS is not valid JSON — using defaults");
+        return DEFAULT_SETTINGS;
+    }
+}
+
+function gradeFor(score) {
+    if (score === null) return null;
+    return GRADES.find(([, min]) => score >= min)[0];
+}
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+
+async function deliveryMetric(vendorId, start, end) {
+    const rows = await prisma.deliveryTracking.findMany({
+        where: { po: { vendor_id: vendorId }, expected_date: { gte: start, lte: end } },
+        select: { expected_date: true, actual_date: true },
+    });
+
+    let onTime = 0, late = 0, overdue = 0;
+    for (const r of rows) {
+        if (r.actual_date) {
+            if (r.actual_date <= r.expected_date) onTime++;
+            else late++;
+        } else if (r.expected_date < end) {
+            overdue++;
+        }
+    }
+    const considered = onTime + late + overdue;
+    return {
+        score: considered > 0 ? (onTime / considered) * 100 : null,
+        rate: considered > 0 ? onTime / considered : null,
+        counts: { onTime, late, overdue, deliveries: considered },
+    };
+}
+
+async function qualityMetric(vendorId, start, end) {
+    const items = await prisma.gRNItem.findMany({
+        where: { grn: { po: { vendor_id: vendorId }, received_at: { gte: start, lte: end }, deleted_at: null } },
+        select: { grn_id: true, qty_received: true, qty_rejected: true },
+    });
+
+    const received = items.reduce((sum, i) => sum + Number(i.qty_received), 0);
+    const rejected = items.reduce((sum, i) => sum + Number(i.qty_rejected ?? 0), 0);
+    const rate = received > 0 ? Math.min(rejected / received, 1) : null;
+    return {
+        score: rate === null ? null : (1 - rate) * 100,
+        rate,
+        counts: { grns: new Set(items.map((i) => i.grn_id)).size, received, rejected },
+    };
+}
+
+async function ncrMetric(vendorId, start, end, grnCount, penalty) {
+    const ncrs = await prisma.nCR.findMany({
+        where: { vendor_id: vendorId, category: "MATERIAL", raised_date: { gte: start, lte: end } },
+        select: { severity: true, status: true },
+    });
+    const hasData = grnCount > 0 || ncrs.length > 0;
+    return {
+        score: hasData ? Math.max(100 - ncrs.length * penalty, 0) : null,
+        counts: {
+            ncrs: ncrs.length,
+            open: ncrs.filter((n) => n.status !== "closed").length,
+            critical: ncrs.filter((n) => n.severity === "CRITICAL").length,
+        },
+    };
+}
+
+/**
+ * Compare the vendor's quote lines with the other vendors' live quotes for the
+ * same RFQ item, in base currency at each quote's date. Lines nobody else
+ * quoted (or in a currency without a rate) say nothing about price and are skipped.
+ */
+async function priceMetric(vendorId, start, end, companyId = null) {
+    const live = { status: { not: "superseded" } };
+    const lineSelect = {
+        item_id: true, quantity: true, unit_price: true, total_price: true,
+        quote: { select: { rfq_id: true, currency: true, created_at: true } },
+    };
+    const own = await prisma.vendorQuoteItem.findMany({
+        where: { quote: { vendor_id: vendorId, created_at: { gte: start, lte: end }, ...live } },
+        select: lineSelect,
+    });
+    if (own.length === 0) return { score: null, index: null, counts: { quotedLines: 0, comparedLines: 0, lowestOn: 0 } };
+
+    const baseCurrency = await getBaseCurrency(companyId);
+    const rates = new Map();
+    const rateFor = async (quote) => {
+        const key = `${quote.currency}:${new Date(quote.created_at).toISOString().slice(0, 10)}`;
+        if (!rates.has(key)) rates.set(key, await findRate(quote.currency || baseCurrency, baseCurrency, quote.created_at || new Date(), companyId));
+        return rates.get(key);
+    };
+    const unitPrice = async (l) => {
+        const rate = await rateFor(l.quote);
+        if (rate === null) return null;
+        const quoted = Number(l.quantity) > 0 && l.total_price !== null ? Number(l.total_price) / Number(l.quantity) : Number(l.unit_price);
+        return quoted * rate;
+    };
+    const rfqIds = [...new Set(own.map((l) => l.quote.rfq_id))];
+    const competing = await prisma.vendorQuoteItem.findMany({
+        where: { quote: { rfq_id: { in: rfqIds }, vendor_id: { not: vendorId }, ...live } },
+        select: lineSelect,
+    });
+    const lowest = new Map();
+    for (const l of competing) {
+        const key = `${l.quote.rfq_id}:${l.item_id}`;
+        const p = await unitPrice(l);
+        if (p > 0 && (!lowest.has(key) || p < lowest.get(key))) lowest.set(key, p);
+    }
+
+    const ratios = [];
+    let lowestOn = 0;
+    for (const l of own) {
+        const best = lowest.get(`${l.quote.rfq_id}:${l.item_id}`);
+        const p = await unitPrice(l);
+        if (!best || !(p > 0)) continue;
+        ratios.push(Math.min(best / p, 1));
+        if (p <= best) lowestOn++;
+    }
+    const index = ratios.length > 0 ? ratios.reduce((a, b) => a + b, 0) / ratios.length : null;
+    return {
+        score: index === null ? null : index * 100,
+        index,
+        counts: { quotedLines: own.length, comparedLines: ratios.length, lowestOn },
+    };
+}
+
+async function invoicingMetric(vendorId, start, end) {
+    const invoices = await prisma.supplierInvoice.findMany({
+        where: { vendor_id: vendorId, created_at: { gte: start, lte: end }, status: { not: "cancelled" } },
+        select: { status: true, match_status: true },
+    });
+    const disputed = invoices.filter((i) => ["exception", "overridden"].includes(i.match_status) || i.status === "on_hold").length;
+    return {
+        score: invoices.length > 0 ? (1 - disputed / invoices.length) * 100 : null,
+        counts: { invoices: invoices.length, disputed },
+    };
+}
+
+/**
+ * Compute (without saving) the scorecard of one vendor.
+ */
+async function computeScorecard(vendor, settings, now = new Date()) {
+    const end = now;
+    const start = new Date(now);
+    start.setMonth(start.getMonth() - settings.windowMonths);
+
+    const [onTime, quality, price, invoicing] = await Promise.all([
+        deliveryMetric(vendor.id, start, end),
+        qualityMetric(vendor.id, start, end),
+        priceMetric(vendor.id, start, end, vendor.company_id),
+        invoicingMetric(vendor.id, start, end),
+    ]);
+    const ncr = await ncrMetric(vendor.id, start, end, quality.counts.grns, settings.ncrPenalty);
+    const results = { onTime, quality, ncr, price, invoicing };
+
+    const scored = METRICS.filter((m) => results[m].score !== null && settings.weights[m] > 0);
+    const totalWeight = scored.reduce((sum, m) => sum + settings.weights[m], 0);
+    const overall = totalWeight > 0
+        ? round(scored.reduce((sum, m) => sum + results[m].score * settings.weights[m], 0) / totalWeight, 2)
+        : null;
+
+    const metrics = Object.fromEntries(METRICS.map((m) => [m, {
+        score: results[m].score === null ? null : round(results[m].score, 2),
+        weight: scored.includes(m) ? round((settings.weights[m] / totalWeight) * 100, 2) : 0,
+        ...results[m].counts,
+    }]));
+
+    return {
+        periodStart: start,
+        periodEnd: end,
+        overallScore: overall,
+        grade: gradeFor(overall),
+        onTimeRate: onTime.rate === null ? null : round(onTime.rate, 4),
+        rejectionRate: quality.rate === null ? null : round(quality.rate, 4),
+        ncrCount: ncr.counts.ncrs,
+        priceIndex: price.index === null ? null : round(price.index, 4),
+        disputeCount: invoicing.counts.disputed,
+        deliveryCount: onTime.counts.deliveries,
+        grnCount: quality.counts.grns,
+        invoiceCount: invoicing.counts.invoices,
+        metrics,
+    };
+}
+
+// ─── Recalculation ────────────────────────────────────────────────────────────
+
+/**
+ * Recalculate and store the scorecard of one vendor. A vendor with no data at
+ * all still gets a row (overall null) but keeps its current rating. Pass
+ * `user` to restrict to vendors that user may manage.
+ */
+async function recalculateVendorScorecard(vendorId, { settings = null, now = new Date(), user = null } = {}) {
+    const where = user ? applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true }) : {};
+    where.id = vendorId;
+    const vendor = await prisma.vendor.findFirst({ where, select: { id: true, company_id: true } });
+    if (!vendor) throw createAppError("Vendor not found or access denied", 404);
+
+    const card = await computeScorecard(vendor, settings || await getScorecardSettings(vendor.company_id), now);
+
+    const [row] = await prisma.$transaction([
+        prisma.vendorScorecard.create({
+            data: {
+                vendor_id: vendor.id,
+                company_id: vendor.company_id,
+                period_start: card.periodStart,
+                period_end: card.periodEnd,
+                overall_score: card.overallScore,
+                grade: card.grade,
+                on_time_rate: card.onTimeRate,
+                rejection_rate: card.rejectionRate,
+                ncr_count: card.ncrCount,
+                price_index: card.priceIndex,
+                dispute_count: card.disputeCount,
+                delivery_count: card.deliveryCount,
+                grn_count: card.grnCount,
+                invoice_count: card.invoiceCount,
+                metrics: card.metrics,
+                computed_at: now,
+            },
+        }),
+        prisma.vendor.update({
+            where: { id: vendor.id },
+            data: card.overallScore === null
+                ? { scored_at: now }
+                : {
+                    scorecard_score: card.overallScore,
+                    scorecard_grade: card.grade,
+                    rating: round((card.overallScore / 100) * RATING_SCALE, 2),
+                    scored_at: now,
+                },
+        }),
+    ]);
+    return row;
+}
+
+/**
+ * Recalculate every live vendor (optionally one company). Used by the
+ * scorecard worker; one vendor failing does not stop the run.
+ */
+async function recalculateAllScorecards({ companyId = null } = {}) {
+    const vendors = await prisma.vendor.findMany({
+        where: { deleted_at: null, status: { notIn: SKIPPED_VENDOR_STATUSES }, ...(companyId && { company_id: companyId }) },
+        select: { id: true, company_id: true },
+    });
+
+    const settingsByCompany = new Map();
+    const now = new Date();
+    let processed = 0, errorCount = 0;
+    for (const v of vendors) {
+        try {
+            if (!settingsByCompany.has(v.company_id)) settingsByCompany.set(v.company_id, await getScorecardSettings(v.company_id));
+            await recalculateVendorScorecard(v.id, { settings: settingsByCompany.get(v.company_id), now });
+            processed++;
+        } catch (err) {
+            errorCount++;
+            logger.error(`[Scorecard] Vendor ${v.id} failed: ${err.message}`);
+        }
+    }
+    return { processed, errorCount };
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+/**
+ * Latest scorecard plus the trend (oldest → newest) for a vendor the user can see.
+ */
+async function getVendorScorecard(vendorId, user, { limit = 12 } = {}) {
+    const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false });
+    where.id = vendorId;
+    const vendor = await prisma.vendor.findFirst({
+        where,
+        select: { id: true, name: true, rating: true, scorecard_score: true, scorecard_grade: true, scored_at: true },
+    });
+    if (!vendor) throw createAppError("Vendor not found or access denied", 404);
+
+    const rows = await prisma.vendorScorecard.findMany({
+        where: { vendor_id: vendorId },
+        orderBy: { computed_at: "desc" },
+        take: Math.min(Math.max(Number(limit) || 12, 1), 120),
+    });
+    const latest = rows[0] || null;
+    const trend = [...rows].reverse().map((r) => ({
+        computedAt: r.computed_at,
+        overallScore: r.overall_score === null ? null : Number(r.overall_score),
+        grade: r.grade,
+        onTimeRate: r.on_time_rate === null ? null : Number(r.on_time_rate),
+        rejectionRate: r.rejection_rate === null ? null : Number(r.rejection_rate),
+        ncrCount: r.ncr_count,
+        priceIndex: r.price_index === null ? null : Number(r.price_index),
+        disputeCount: r.dispute_count,
+    }));
+
+    const scoredTrend = trend.filter((t) => t.overallScore !== null);
+    const change = scoredTrend.length >= 2
+        ? round(scoredTrend[scoredTrend.length - 1].overallScore - scoredTrend[scoredTrend.length - 2].overallScore, 2)
+        : null;
+
+    return { vendor, latest, change, trend };
+}
+
+// ─── Gates ────────────────────────────────────────────────────────────────────
+
+/**
+ * Refuse vendors whose latest score is below the company's minimum for the
+ * given purpose ("invite" → minInviteScore, "approve" → minApprovalScore).
+ * Vendors that have never been scored pass.
+ */
+async function assertScoreAllows(vendorIds, purpose) {
+    const vendors = await prisma.vendor.findMany({
+        where: { id: { in: vendorIds } },
+        select: { id: true, name: true, company_id: true, scorecard_score: true },
+    });
+
+    const below = [];
+    const settingsByCompany = new Map();
+    for (const v of vendors) {
+        if (v.scorecard_score === null || v.scorecard_score === undefined) continue;
+        if (!settingsByCompany.has(v.company_id)) settingsByCompany.set(v.company_id, await getScorecardSettings(v.company_id));
+        const s = settingsByCompany.get(v.company_id);
+        const min = purpose === "approve" ? s.minApprovalScore : s.minInviteScore;
+        if (Number(v.scorecard_score) < min) below.push(`${v.name} (${Number(v.scorecard_score)} < ${min})`);
+    }
+    if (below.length > 0) {
+        const action = purpose === "approve" ? "approved" : "invited";
+        throw createAppError(`Vendor scorecard below the minimum to be ${action}: ${below.join(", ")}`, 422);
+    }
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getScorecardSettings,
+    computeScorecard,
+    recalculateVendorScorecard,
+    recalculateAllScorecards,
+    getVendorScorecard,
+    assertScoreAllows,
+};
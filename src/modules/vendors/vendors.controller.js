@@ -1,6 +1,8 @@
 "use strict";
 
 const vendorsService = require("./vendors.service");
+const scorecardsService = require("./scorecards.service");
+const complianceService = require("./compliance.service");
 const logger = require("../../logger");
 
 async function getAllVendors(req, res, next) {
@@ -50,7 +52,7 @@ async function updateVendor(req, res, next) {
 
 async function suspendVendor(req, res, next) {
     try {
-        const vendor = await vendorsService.suspendVendor(req.params.id, req.user);
+        const vendor = await vendorsService.suspendVendor(req.params.id, req.user, req.body?.reason);
         return res.status(200).json({ success: true, data: vendor });
     } catch (err) {
         logger.error("Error in suspendVendor:", err);
@@ -88,6 +90,85 @@ async function approveVendor(req, res, next) {
     }
 }
 
+async function getVendorScorecard(req, res, next) {
+    try {
+        const result = await scorecardsService.getVendorScorecard(req.params.id, req.user, { limit: req.query.limit });
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in getVendorScorecard:", err);
+        next(err);
+    }
+}
+
+async function recalculateVendorScorecard(req, res, next) {
+    try {
+        const scorecard = await scorecardsService.recalculateVendorScorecard(req.params.id, { user: req.user });
+        return res.status(200).json({ success: true, data: scorecard });
+    } catch (err) {
+        logger.error("Error in recalculateVendorScorecard:", err);
+        next(err);
+    }
+}
+
+async function recalculateAllScorecards(req, res, next) {
+    try {
+        const companyId = req.user.isSuperAdmin ? (req.body.companyId || null) : req.user.companyId;
+        const result = await scorecardsService.recalculateAllScorecards({ companyId });
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in recalculateAllScorecards:", err);
+        next(err);
+    }
+}
+
+async function getVendorDocuments(req, res, next) {
+    try {
+        const result = await complianceService.listDocuments(req.params.id, req.user, {
+            includeSuperseded: req.query.includeSuperseded === "true"
+        });
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in getVendorDocuments:", err);
+        next(err);
+    }
+}
+
+async function addVendorDocument(req, res, next) {
+    try {
+        const result = await complianceService.addDocument(req.params.id, req.body, req.user, req.ip, req.headers["user-agent"]);
+        return res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in addVendorDocument:", err);
+        next(err);
+    }
+}
+
+async function deleteVendorDocument(req, res, next) {
+    try {
+        const result = await complianceService.deleteDocument(
+            req.params.id,
+            req.params.documentId,
+            req.user,
+            req.ip,
+            req.headers["user-agent"]
+        );
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in deleteVendorDocument:", err);
+        next(err);
+    }
+}
+
+async function runComplianceSweep(req, res, next) {
+    try {
+        const result = await complianceService.runComplianceSweep();
+        return res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        logger.error("Error in runComplianceSweep:", err);
+        next(err);
+    }
+}
+
 module.exports = { 
     getAllVendors, 
     getVendorById, 
@@ -96,5 +177,12 @@ module.exports = {
     deleteVendor,
     suspendVendor,
     deactivateVendor,
-    approveVendor
+    approveVendor,
+    getVendorScorecard,
+    recalculateVendorScorecard,
+    recalculateAllScorecards,
+    getVendorDocuments,
+    addVendorDocument,
+    deleteVendorDocument,
+    runComplianceSweep
 };
@@ -10,7 +10,14 @@ const requirePermission = require("../../middleware/requirePermission");
 router.use(authenticateJWT);
 
 router.get("/", requirePermission("vendor.read"), vendorsController.getAllVendors);
+router.post("/scorecards/recalculate", requirePermission("vendor.approve"), vendorsController.recalculateAllScorecards);
+router.post("/compliance/sweep", requirePermission("vendor.approve"), vendorsController.runComplianceSweep);
 router.get("/:id", requirePermission("vendor.read"), vendorsController.getVendorById);
+router.get("/:id/scorecard", requirePermission("vendor.read"), vendorsController.getVendorScorecard);
+router.post("/:id/scorecard/recalculate", requirePermission("vendor.update"), vendorsController.recalculateVendorScorecard);
+router.get("/:id/documents", requirePermission("vendor.read"), vendorsController.getVendorDocuments);
+router.post("/:id/documents", requirePermission("vendor.update"), vendorsController.addVendorDocument);
+router.delete("/:id/documents/:documentId", requirePermission("vendor.update"), vendorsController.deleteVendorDocument);
 router.post("/", requirePermission("vendor.create"), vendorsController.createVendor);
 router.put("/:id", requirePermission("vendor.update"), vendorsController.updateVendor);
 router.post("/:id/approve", requirePermission("vendor.approve"), vendorsController.approveVendor);
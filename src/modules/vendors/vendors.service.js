@@ -3,6 +3,8 @@ const prisma = require("../../db");
 const { applyDataScope, MODULES } = require("../../utils/scoping");
 const { registerAdapter } = require("../approvals/approvals.adapter");
 const { requestApproval } = require("../approvals/approvals.service");
+const { assertScoreAllows } = require("./scorecards.service");
+const { assertVendorsCompliant } = require("./compliance.service");
 
 /**
  * Register Vendor Status Adapter
@@ -21,6 +23,35 @@ registerAdapter("VENDOR", async ({ docId, status }) => {
     });
 });
 
+/**
+ * Vendor meta adapter — inbox display plus the scorecard attributes
+ * conditional approval rules can test.
+ */
+registerAdapter("VENDOR:meta", async ({ docId }) => {
+    const vendor = await prisma.vendor.findUnique({
+        where: { id: docId },
+        select: { name: true, category: true, status: true, scorecard_score: true, scorecard_grade: true, scored_at: true }
+    });
+    if (!vendor) return null;
+
+    return {
+        title: `Vendor: ${vendor.name}`,
+        amount: 0,
+        description: vendor.scorecard_grade
+            ? `Scorecard ${Number(vendor.scorecard_score)} (grade ${vendor.scorecard_grade})`
+            : "No scorecard yet",
+        attributes: {
+            category: vendor.category || null,
+            status: vendor.status || null,
+            scorecard: {
+                score: vendor.scorecard_score === null ? null : Number(vendor.scorecard_score),
+                grade: vendor.scorecard_grade || null,
+                scoredAt: vendor.scored_at || null
+            }
+        }
+    };
+});
+
 async function getAllVendors(user, page = 1, pageSize = 50) {
     const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: false });
 
@@ -144,7 +175,7 @@ async function updateVendor(id, data, user) {
     });
 }
 
-async function suspendVendor(id, user) {
+async function suspendVendor(id, user, reason = null) {
     const where = applyDataScope(user, { module: MODULES.PROCUREMENT, isWrite: true });
     where.id = id;
 
@@ -155,6 +186,8 @@ async function suspendVendor(id, user) {
         where: { id },
         data: {
             status: "suspended",
+            suspension_reason: reason || null,
+            suspended_at: new Date(),
             updated_at: new Date()
         }
     });
@@ -198,10 +231,12 @@ async function approveVendor(id, user) {
 
     const vendor = await prisma.vendor.findFirst({ where });
     if (!vendor) throw new Error("Vendor not found or access denied.");
+    await assertScoreAllows([id], "approve");
+    await assertVendorsCompliant([id], "approve", { checkStatus: false });
 
     return await prisma.vendor.update({
         where: { id },
-        data: { status: "active", updated_at: new Date() }
+        data: { status: "active", suspension_reason: null, suspended_at: null, updated_at: new Date() }
     });
 }
 
@@ -0,0 +1,622 @@
+"use strict";
+
+const prisma = require("../../db");
+const logger = require("../../logger");
+const { applyDataScope } = require("../../utils/scoping");
+
+/**
+ * Budget Control (Encumbrances)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Cost code budget is consumed in stages. Every movement is a row in the
+ * budget_encumbrances ledger, held by one document, and the running totals
+ * live on the cost code:
+ *
+ *   PR approved         reserve   PR      reserved   +
+ *   PO issued           commit    PR      reserved   −  (up to the PO value per cost code)
+ *                                 PO      committed  +
+ *   PO amended          adjust    PO      committed  ±
+ *   supplier invoice    actual    PO      committed  −  INVOICE actual + (CostCode.actual_amount)
+ *   invoice cancelled   reverse   the invoice's entries, mirrored
+ *   PR fully ordered /  release   the remaining reservation / commitment
+ *   closed, PR / PO cancelled
+ *
+ *   available = budget − actual − reserved − committed
+ *
+ * Actual cost is booked from one source only. Stocked material (PO lines with
+ * a catalog item that are not services) goes into store on receipt and becomes
+ * actual when it is issued (inventory.service#createMaterialIssue), so its
+ * invoice only relieves the PO commitment; non-stock lines (services, direct
+ * charges) become actual on the invoice.
+ *
+ * PR lines are charged to their cost_code_id, otherwise to the PR WBS
+ * "material" cost code (or the only cost code on the WBS); PO lines the same
+ * way against the WBS of their requisition. Lines without a cost code are not
+ * budget controlled. Ledger amounts are in the company base currency: PO
+ * lines convert at the PO's locked exchange_rate, invoice lines at the
+ * invoice's.
+ *
+ * Availability is checked when a PR is submitted, when a PO is raised and when
+ * a PO amendment raises its value. SystemSetting BUDGET_CONTROL_POLICY
+ * (company row, falling back to the company_id = null row):
+ *   { "pr": "warn", "po": "hard_stop", "tolerancePercent": 0 }
+ *
+ *   off        no check
+ *   warn       allowed — PR:meta, PO:meta and PO_AMENDMENT:meta expose
+ *              budget.insufficient / budget.shortfall, so a conditional matrix
+ *              row can route the document to an extra approver
+ *   hard_stop  refused with 422
+ *
+ * tolerancePercent lets spend run over a cost code budget by that share of it.
+ */
+
+const MODES = ["off", "warn", "hard_stop"];
+const DEFAULT_POLICY = { pr: "warn", po: "warn", tolerancePercent: 0 };
+const BUCKET_COLUMNS = { reserved: "reserved_amount", committed: "committed_amount", actual: "actual_amount" };
+const RELEASED_PO_STATUSES = ["rejected", "cancelled"];
+const EPSILON = 0.005;
+
+function createAppError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Stocked PO lines are costed when issued from store, not when invoiced
+const isStocked = (poLine) => Boolean(poLine.item_id) && poLine.is_service !== true;
+
+function addTo(map, key, amount) {
+    map.set(key, (map.get(key) || 0) + amount);
+}
+
+// ─── Policy ───────────────────────────────────────────────────────────────────
+
+async function getBudgetPolicy(companyId) {
+    const rows = await prisma.systemSetting.findMany({
+        where: { key: "BUDGET_CONTROL_POLICY", OR: [{ company_id: companyId || null }, { company_id: null }] },
+    });
+    const row = rows.find((r) => r.company_id) || rows.find((r) => !r.company_id);
+    if (!row) return DEFAULT_POLICY;
+
+    try {
+        const raw = JSON.parse(row.value);
+        const mode = (value, fallback) => (MODES.includes(value) ? value : fallback);
+        return {
+            pr: mode(raw.pr, DEFAULT_POLICY.pr),
+            po: mode(raw.po, DEFAULT_POLICY.po),
+            tolerancePercent: Math.max(Number(raw.tolerancePercent) || 0, 0),
+        };
+    } catch (err) {
+        logger.warn("[BudgetControl] BUDGET_CONTROL_POLICY is not valid JSON — using defaults");
+        return DEFAULT_POLICY;
+    }
+}
+
+// ─── Cost Code Resolution ─────────────────────────────────────────────────────
+
+/**
+ * Cost code per item: explicit overrides win, otherwise the WBS cost code in
+ * the "material" category (or the only cost code on the WBS).
+ */
+async function resolveCostCodes(wbsId, overrides = {}, client = prisma) {
+    const overrideIds = Object.values(overrides).filter(Boolean);
+    if (overrideIds.length > 0) {
+        const found = await client.costCode.findMany({ where: { id: { in: overrideIds }, deleted_at: null }, select: { id: true } });
+        if (found.length !== new Set(overrideIds).size) throw createAppError("One or more cost codes were not found", 400);
+    }
+
+    let fallback = null;
+    if (wbsId) {
+        const codes = await client.costCode.findMany({ where: { wbs_id: wbsId, deleted_at: null }, select: { id: true, category: true } });
+        fallback = codes.find((c) => String(c.category).toLowerCase() === "material")?.id || (codes.length === 1 ? codes[0].id : null);
+    }
+    return (itemId) => overrides[itemId] || fallback;
+}
+
+function lineAmount(line) {
+    if (line.total_price !== undefined && line.total_price !== null) return Number(line.total_price) || 0;
+    if (line.estimated_total_price !== undefined && line.estimated_total_price !== null) return Number(line.estimated_total_price) || 0;
+    const amount = Number(line.unitPrice ?? line.unit_price ?? 0) * Number(line.quantity ?? 0);
+    return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Sum document lines per cost code, converted to base currency at
+ * `exchangeRate`. Lines without an explicit cost_code_id fall back to the WBS
+ * cost code.
+ *
+ * @returns {{ amounts: Map<string, number>, uncontrolled: number }}
+ */
+async function sumByCostCode(lines, wbsId, client = prisma, exchangeRate = 1) {
+    const needsFallback = lines.some((l) => !(l.cost_code_id || l.costCodeId));
+    const costCodeFor = needsFallback ? await resolveCostCodes(wbsId, {}, client) : () => null;
+
+    const amounts = new Map();
+    let uncontrolled = 0;
+    for (const line of lines) {
+        const amount = lineAmount(line) * Number(exchangeRate ?? 1);
+        const costCodeId = line.cost_code_id || line.costCodeId || costCodeFor(line.item_id);
+        if (costCodeId) addTo(amounts, costCodeId, amount);
+        else uncontrolled += amount;
+    }
+    return { amounts, uncontrolled: round2(uncontrolled) };
+}
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+/** Balance a document holds in one bucket, per cost code. */
+async function heldBalances(client, docType, docId, bucket) {
+    const rows = await client.budgetEncumbrance.groupBy({
+        by: ["cost_code_id"],
+        where: { doc_type: docType, doc_id: docId, bucket },
+        _sum: { amount: true },
+    });
+    const map = new Map();
+    for (const r of rows) {
+        const amount = Number(r._sum.amount || 0);
+        if (Math.abs(amount) > EPSILON) map.set(r.cost_code_id, amount);
+    }
+    return map;
+}
+
+/**
+ * Write ledger entries and move the cost code running totals with them.
+ * Must run inside a transaction; the affected cost codes are row-locked.
+ */
+async function postEntries(tx, entries, { companyId = null, actorId = null } = {}) {
+    const rows = entries.filter((e) => Math.abs(e.amount) > EPSILON);
+    if (rows.length === 0) return [];
+
+    const ids = [...new Set(rows.map((e) => e.costCodeId))];
+    await tx.$queryRaw`SELECT id FROM auth.cost_codes WHERE id = ANY(${ids}::uuid[]) FOR UPDATE`;
+
+    await tx.budgetEncumbrance.createMany({
+        data: rows.map((e) => ({
+            company_id: companyId,
+            cost_code_id: e.costCodeId,
+            doc_type: e.docType,
+            doc_id: e.docId,
+            bucket: e.bucket,
+            entry_type: e.entryType,
+            amount: round2(e.amount),
+            source_doc_type: e.sourceDocType || null,
+            source_doc_id: e.sourceDocId || null,
+            remarks: e.remarks || null,
+            created_by: actorId,
+        })),
+    });
+
+    const deltas = new Map();
+    for (const e of rows) {
+        if (!deltas.has(e.costCodeId)) deltas.set(e.costCodeId, {});
+        const d = deltas.get(e.costCodeId);
+        const column = BUCKET_COLUMNS[e.bucket];
+        d[column] = round2((d[column] || 0) + e.amount);
+    }
+    for (const [id, d] of deltas) {
+        await tx.costCode.update({
+            where: { id },
+            data: Object.fromEntries(Object.entries(d).map(([column, amount]) => [column, { increment: amount }])),
+        });
+    }
+    return rows;
+}
+
+// ─── Availability ─────────────────────────────────────────────────────────────
+
+/**
+ * Compare what a document needs per cost code with what is available.
+ * `offsets` is what the document (or the PR it draws on) already holds — it is
+ * inside reserved / committed and so counts as available to it.
+ */
+async function assessBudget(requirements, { offsets = new Map(), tolerancePercent = 0 } = {}) {
+    const ids = [...requirements.keys()];
+    if (ids.length === 0) return { lines: [], insufficient: false, shortfall: 0 };
+
+    const codes = await prisma.costCode.findMany({
+        where: { id: { in: ids } },
+        select: {
+            id: true, category: true, budget_amount: true, actual_amount: true, reserved_amount: true, committed_amount: true,
+            wbs: { select: { wbs_code: true, name: true } },
+        },
+    });
+
+    const lines = codes.map((cc) => {
+        const budget = Number(cc.budget_amount || 0);
+        const actual = Number(cc.actual_amount || 0);
+        const reserved = Number(cc.reserved_amount || 0);
+        const committed = Number(cc.committed_amount || 0);
+        const available = budget * (1 + tolerancePercent / 100) - actual - reserved - committed + (offsets.get(cc.id) || 0);
+        const required = requirements.get(cc.id) || 0;
+        return {
+            costCodeId: cc.id,
+            label: `${cc.wbs?.wbs_code || cc.wbs?.name || "WBS"} / ${cc.category}`,
+            budget: round2(budget),
+            actual: round2(actual),
+            reserved: round2(reserved),
+            committed: round2(committed),
+            available: round2(available),
+            required: round2(required),
+            shortfall: round2(Math.max(required - available, 0)),
+        };
+    });
+
+    const shortfall = round2(lines.reduce((s, l) => s + l.shortfall, 0));
+    return { lines, insufficient: shortfall > EPSILON, shortfall };
+}
+
+async function evaluate(stage, companyId, requirements, offsets) {
+    const policy = await getBudgetPolicy(companyId);
+    const mode = policy[stage];
+    if (mode === "off") return { mode, checked: false, lines: [], insufficient: false, shortfall: 0 };
+    const result = await assessBudget(requirements, { offsets, tolerancePercent: policy.tolerancePercent });
+    return { mode, checked: true, ...result };
+}
+
+/**
+ * Budget position of a PR (existing or about to be created).
+ *
+ * @param {object} pr - { companyId, wbsId, prId?, items: [{ item_id, cost_code_id?, estimated_total_price }] }
+ */
+async function evaluatePRBudget({ companyId, wbsId, prId = null, items }) {
+    const { amounts, uncontrolled } = await sumByCostCode(items, wbsId);
+    const offsets = prId ? await heldBalances(prisma, "PR", prId, "reserved") : new Map();
+    return { ...(await evaluate("pr", companyId, amounts, offsets)), uncontrolled };
+}
+
+/**
+ * What a PO needs per cost code: its line values less what invoices have
+ * already taken out of the commitment (net of cancelled invoices).
+ */
+async function poRequirements(client, { poId, items, wbsId, exchangeRate = 1 }) {
+    const { amounts, uncontrolled } = await sumByCostCode(items, wbsId, client, exchangeRate);
+    if (poId) {
+        const actualized = await client.budgetEncumbrance.groupBy({
+            by: ["cost_code_id"],
+            where: { doc_type: "PO", doc_id: poId, bucket: "committed", entry_type: { in: ["actual", "reverse"] } },
+            _sum: { amount: true },
+        });
+        for (const r of actualized) {
+            if (amounts.has(r.cost_code_id)) {
+                amounts.set(r.cost_code_id, Math.max(amounts.get(r.cost_code_id) + Number(r._sum.amount || 0), 0));
+            }
+        }
+    }
+    return { amounts, uncontrolled };
+}
+
+/**
+ * Budget position of a PO (existing or about to be created). Until the PO is
+ * committed, the reservation of its requisition counts towards it.
+ *
+ * @param {object} po - { companyId, poId?, requisitionId?, exchangeRate?, items: [{ item_id, cost_code_id?, total_price | unit_price + quantity }] }
+ */
+async function evaluatePOBudget({ companyId, poId = null, requisitionId = null, items, exchangeRate = 1 }) {
+    const pr = requisitionId
+        ? await prisma.purchaseRequisition.findUnique({ where: { id: requisitionId }, select: { id: true, wbs_id: true } })
+        : null;
+    const { amounts, uncontrolled } = await poRequirements(prisma, { poId, items, wbsId: pr?.wbs_id, exchangeRate });
+
+    let offsets = poId ? await heldBalances(prisma, "PO", poId, "committed") : new Map();
+    const committedBefore = poId ? await prisma.budgetEncumbrance.count({ where: { doc_type: "PO", doc_id: poId } }) : 0;
+    if (committedBefore === 0 && pr) {
+        const reserved = await heldBalances(prisma, "PR", pr.id, "reserved");
+        offsets = new Map([...amounts].map(([id, amount]) => [id, Math.min(reserved.get(id) || 0, amount)]));
+    }
+    return { ...(await evaluate("po", companyId, amounts, offsets)), uncontrolled };
+}
+
+/** Refuse the document when the policy for its stage is hard_stop. */
+function enforceBudget(result, label) {
+    if (!result.insufficient || result.mode !== "hard_stop") return result;
+    const detail = result.lines
+        .filter((l) => l.shortfall > 0)
+        .map((l) => `${l.label}: needs ${l.required}, available ${l.available}`)
+        .join("; ");
+    throw createAppError(`Insufficient budget for ${label} — ${detail}`, 422);
+}
+
+/** Attributes for the approval meta adapters (conditional routing). */
+function budgetAttributes(result) {
+    return {
+        checked: result.checked,
+        mode: result.mode,
+        insufficient: result.insufficient,
+        shortfall: result.shortfall,
+    };
+}
+
+// ─── Encumbrance Steps ────────────────────────────────────────────────────────
+
+/**
+ * Reserve the budget of an approved PR. Runs once per PR; later calls are
+ * no-ops while the reservation exists.
+ */
+async function reservePR(prId, actorId = null, tx = null) {
+    if (!tx) return prisma.$transaction((t) => reservePR(prId, actorId, t));
+
+    await tx.$queryRaw`SELECT id FROM auth.purchase_requisitions WHERE id = ${prId}::uuid FOR UPDATE`;
+    const existing = await tx.budgetEncumbrance.count({ where: { doc_type: "PR", doc_id: prId, entry_type: "reserve" } });
+    if (existing > 0) return [];
+
+    const pr = await tx.purchaseRequisition.findUnique({ where: { id: prId }, include: { purchaseRequisitionItems: true } });
+    if (!pr) return [];
+
+    const { amounts } = await sumByCostCode(pr.purchaseRequisitionItems, pr.wbs_id, tx);
+    const entries = [...amounts].map(([costCodeId, amount]) => ({
+        costCodeId, docType: "PR", docId: prId, bucket: "reserved", entryType: "reserve", amount,
+    }));
+    return postEntries(tx, entries, { companyId: pr.company_id, actorId });
+}
+
+/** Release whatever reservation a PR still holds (cancellation / close-out). */
+async function releasePR(prId, actorId = null, remarks = null, tx = null) {
+    if (!tx) return prisma.$transaction((t) => releasePR(prId, actorId, remarks, t));
+
+    await tx.$queryRaw`SELECT id FROM auth.purchase_requisitions WHERE id = ${prId}::uuid FOR UPDATE`;
+    const pr = await tx.purchaseRequisition.findUnique({ where: { id: prId }, select: { company_id: true } });
+    const held = await heldBalances(tx, "PR", prId, "reserved");
+    const entries = [...held].map(([costCodeId, amount]) => ({
+        costCodeId, docType: "PR", docId: prId, bucket: "reserved", entryType: "release", amount: -amount, remarks,
+    }));
+    return postEntries(tx, entries, { companyId: pr?.company_id, actorId });
+}
+
+/**
+ * A PR is fully ordered once its committed POs (plus `poId`, about to commit)
+ * cover the quantity of every PR line. Lines without an item cannot be traced
+ * to PO lines, so such a PR is only closed out by hand.
+ */
+async function isFullyOrdered(tx, prId, poId) {
+    const lines = await tx.purchaseRequisitionItem.findMany({
+        where: { requisition_id: prId },
+        select: { item_id: true, quantity: true },
+    });
+    if (lines.length === 0 || lines.some((l) => !l.item_id)) return false;
+
+    const pos = await tx.purchaseOrder.findMany({
+        where: { requisition_id: prId, status: { notIn: RELEASED_PO_STATUSES } },
+        select: { id: true, items: { select: { item_id: true, quantity: true } } },
+    });
+    const committed = await tx.budgetEncumbrance.findMany({
+        where: { doc_type: "PO", doc_id: { in: pos.map((p) => p.id) } },
+        select: { doc_id: true },
+    });
+    const counted = new Set([poId, ...committed.map((r) => r.doc_id)]);
+
+    const ordered = new Map();
+    for (const po of pos.filter((p) => counted.has(p.id))) {
+        for (const i of po.items) if (i.item_id) addTo(ordered, i.item_id, Number(i.quantity));
+    }
+    const needed = new Map();
+    for (const l of lines) addTo(needed, l.item_id, Number(l.quantity));
+    return [...needed].every(([itemId, quantity]) => (ordered.get(itemId) || 0) >= quantity - 1e-9);
+}
+
+/**
+ * Bring a PO's commitment in line with the PO: its line values less what has
+ * been invoiced, or nothing once it is rejected / cancelled. The first commit
+ * draws down the requisition's reservation. Called when the PO is issued,
+ * amended or cancelled. When that first commit leaves the PR fully ordered,
+ * the rest of the PR's reservation is released.
+ */
+async function syncPOCommitment(poId, actorId = null, tx = null) {
+    if (!tx) return prisma.$transaction((t) => syncPOCommitment(poId, actorId, t));
+
+    await tx.$queryRaw`SELECT id FROM auth.purchase_orders WHERE id = ${poId}::uuid FOR UPDATE`;
+    const po = await tx.purchaseOrder.findUnique({
+        where: { id: poId },
+        include: { items: true, requisition: { select: { id: true, wbs_id: true } } },
+    });
+    if (!po) return [];
+
+    const released = RELEASED_PO_STATUSES.includes(po.status);
+    const target = released
+        ? new Map()
+        : (await poRequirements(tx, { poId, items: po.items, wbsId: po.requisition?.wbs_id, exchangeRate: po.exchange_rate })).amounts;
+    const held = await heldBalances(tx, "PO", poId, "committed");
+    const firstCommit = (await tx.budgetEncumbrance.count({ where: { doc_type: "PO", doc_id: poId } })) === 0;
+
+    const entries = [];
+    if (firstCommit && po.requisition && !released) {
+        const reserved = await heldBalances(tx, "PR", po.requisition.id, "reserved");
+        const fullyOrdered = await isFullyOrdered(tx, po.requisition.id, poId);
+        for (const [costCodeId, held] of reserved) {
+            const consume = Math.min(held, target.get(costCodeId) || 0);
+            if (consume > EPSILON) {
+                entries.push({
+                    costCodeId, docType: "PR", docId: po.requisition.id, bucket: "reserved", entryType: "commit",
+                    amount: -consume, sourceDocType: "PO", sourceDocId: poId,
+                });
+            }
+            // Nothing more will be ordered against the PR — hand back what the POs did not need
+            if (fullyOrdered && held - consume > EPSILON) {
+                entries.push({
+                    costCodeId, docType: "PR", docId: po.requisition.id, bucket: "reserved", entryType: "release",
+                    amount: -(held - consume), sourceDocType: "PO", sourceDocId: poId, remarks: "PR fully ordered",
+                });
+            }
+        }
+    }
+
+    const entryType = released ? "release" : firstCommit ? "commit" : "adjust";
+    for (const costCodeId of new Set([...target.keys(), ...held.keys()])) {
+        const delta = (target.get(costCodeId) || 0) - (held.get(costCodeId) || 0);
+        entries.push({ costCodeId, docType: "PO", docId: poId, bucket: "committed", entryType, amount: delta });
+    }
+    return postEntries(tx, entries, { companyId: po.company_id, actorId });
+}
+
+/**
+ * Turn PO commitment into actual cost for a supplier invoice. Invoice lines
+ * tied to a PO line are charged to that line's cost code; the rest of the
+ * invoice amount is spread over the PO lines by value. The invoiced value
+ * relieves the PO commitment, but only non-stock lines are booked as INVOICE
+ * actual — stocked material becomes actual when it is issued. Runs once per
+ * invoice; invoices without a PO are not budget controlled.
+ */
+async function recordInvoiceActuals(invoiceId, actorId = null) {
+    return prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM auth.supplier_invoices WHERE id = ${invoiceId}::uuid FOR UPDATE`;
+        const existing = await tx.budgetEncumbrance.count({ where: invoiceEntriesWhere(invoiceId) });
+        if (existing > 0) return [];
+
+        const invoice = await tx.supplierInvoice.findUnique({
+            where: { id: invoiceId },
+            include: {
+                lines: true,
+                purchase_order: { include: { items: true, requisition: { select: { wbs_id: true } } } },
+            },
+        });
+        const po = invoice?.purchase_order;
+        if (!po) return [];
+
+        const wbsId = po.requisition?.wbs_id;
+        const rate = Number(invoice.exchange_rate ?? 1);
+        const itemsById = new Map(po.items.map((i) => [i.id, i]));
+        const linked = invoice.lines
+            .filter((l) => itemsById.has(l.po_item_id))
+            .map((l) => ({ ...itemsById.get(l.po_item_id), total_price: Number(l.line_total) }));
+        const invoiced = (await sumByCostCode(linked, wbsId, tx, rate)).amounts;
+        const expensed = (await sumByCostCode(linked.filter((l) => !isStocked(l)), wbsId, tx, rate)).amounts;
+
+        const remainder = Number(invoice.amount) - linked.reduce((s, l) => s + l.total_price, 0);
+        const poTotal = po.items.reduce((s, i) => s + lineAmount(i), 0);
+        if (remainder > EPSILON && poTotal > 0) {
+            const share = (remainder * rate) / poTotal;
+            const poLines = await sumByCostCode(po.items, wbsId, tx);
+            const nonStock = await sumByCostCode(po.items.filter((i) => !isStocked(i)), wbsId, tx);
+            for (const [costCodeId, amount] of poLines.amounts) addTo(invoiced, costCodeId, amount * share);
+            for (const [costCodeId, amount] of nonStock.amounts) addTo(expensed, costCodeId, amount * share);
+        }
+
+        const committed = await heldBalances(tx, "PO", po.id, "committed");
+        const entries = [];
+        for (const [costCodeId, amount] of expensed) {
+            entries.push({
+                costCodeId, docType: "INVOICE", docId: invoiceId, bucket: "actual", entryType: "actual",
+                amount, sourceDocType: "PO", sourceDocId: po.id,
+            });
+        }
+        for (const [costCodeId, amount] of invoiced) {
+            const convert = Math.min(committed.get(costCodeId) || 0, amount);
+            entries.push({
+                costCodeId, docType: "PO", docId: po.id, bucket: "committed", entryType: "actual",
+                amount: -convert, sourceDocType: "INVOICE", sourceDocId: invoiceId,
+            });
+        }
+        return postEntries(tx, entries, { companyId: po.company_id, actorId });
+    });
+}
+
+/**
+ * Undo recordInvoiceActuals for a cancelled invoice: every entry it made is
+ * posted again with the opposite sign. The PO commitment is then re-synced, so
+ * a PO that has since been cancelled does not get its commitment back.
+ */
+async function reverseInvoiceActuals(invoiceId, actorId = null, tx = null) {
+    if (!tx) return prisma.$transaction((t) => reverseInvoiceActuals(invoiceId, actorId, t));
+
+    await tx.$queryRaw`SELECT id FROM auth.supplier_invoices WHERE id = ${invoiceId}::uuid FOR UPDATE`;
+    const rows = await tx.budgetEncumbrance.findMany({ where: invoiceEntriesWhere(invoiceId) });
+    if (rows.length === 0 || rows.some((r) => r.entry_type === "reverse")) return [];
+
+    const entries = rows.map((r) => ({
+        costCodeId: r.cost_code_id, docType: r.doc_type, docId: r.doc_id, bucket: r.bucket, entryType: "reverse",
+        amount: -Number(r.amount), sourceDocType: r.source_doc_type, sourceDocId: r.source_doc_id, remarks: "Invoice cancelled",
+    }));
+    const posted = await postEntries(tx, entries, { companyId: rows[0].company_id, actorId });
+
+    const poId = rows.find((r) => r.doc_type === "PO")?.doc_id || rows[0].source_doc_id;
+    if (poId) posted.push(...await syncPOCommitment(poId, actorId, tx));
+    return posted;
+}
+
+// Entries an invoice made: its own actuals and the commitment it relieved on the PO
+function invoiceEntriesWhere(invoiceId) {
+    return {
+        OR: [
+            { doc_type: "INVOICE", doc_id: invoiceId },
+            { doc_type: "PO", source_doc_type: "INVOICE", source_doc_id: invoiceId },
+        ],
+    };
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+function availabilityOf(cc) {
+    const budget = Number(cc.budget_amount || 0);
+    const actual = Number(cc.actual_amount || 0);
+    const reserved = Number(cc.reserved_amount || 0);
+    const committed = Number(cc.committed_amount || 0);
+    return {
+        costCodeId: cc.id,
+        category: cc.category,
+        budget: round2(budget),
+        actual: round2(actual),
+        reserved: round2(reserved),
+        committed: round2(committed),
+        available: round2(budget - actual - reserved - committed),
+    };
+}
+
+/** Budget position of a cost code with its most recent ledger entries. */
+async function getCostCodeBudget(costCodeId, user, { limit = 100 } = {}) {
+    const where = applyDataScope(user, { projectFilter: true, prefix: "wbs.project" });
+    const cc = await prisma.costCode.findFirst({
+        where: { id: costCodeId, ...where },
+        include: { wbs: { select: { id: true, wbs_code: true, name: true, project_id: true } } },
+    });
+    if (!cc) throw createAppError("Cost code not found or access denied.", 404);
+
+    const ledger = await prisma.budgetEncumbrance.findMany({
+        where: { cost_code_id: costCodeId },
+        orderBy: { created_at: "desc" },
+        take: Math.min(Math.max(Number(limit) || 100, 1), 500),
+    });
+    return { ...availabilityOf(cc), wbs: cc.wbs, ledger };
+}
+
+/** Budget position of every cost code on a WBS node. */
+async function getWBSBudget(wbsId, user) {
+    const where = applyDataScope(user, { projectFilter: true, prefix: "project" });
+    where.id = wbsId;
+    const wbs = await prisma.wBS.findFirst({
+        where,
+        select: { id: true, wbs_code: true, name: true, cost_codes: { where: { deleted_at: null } } },
+    });
+    if (!wbs) throw createAppError("WBS node not found or access denied.", 404);
+
+    const costCodes = wbs.cost_codes.map(availabilityOf);
+    const total = (key) => round2(costCodes.reduce((s, c) => s + c[key], 0));
+    return {
+        wbsId: wbs.id,
+        wbsCode: wbs.wbs_code,
+        name: wbs.name,
+        summary: {
+            budget: total("budget"),
+            actual: total("actual"),
+            reserved: total("reserved"),
+            committed: total("committed"),
+            available: total("available"),
+        },
+        costCodes,
+    };
+}
+
+module.exports = {
+    getBudgetPolicy,
+    resolveCostCodes,
+    evaluatePRBudget,
+    evaluatePOBudget,
+    enforceBudget,
+    budgetAttributes,
+    reservePR,
+    releasePR,
+    syncPOCommitment,
+    recordInvoiceActuals,
+    reverseInvoiceActuals,
+    getCostCodeBudget,
+    getWBSBudget,
+};
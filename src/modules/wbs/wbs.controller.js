@@ -1,6 +1,7 @@
 "use strict";
 
 const wbsService = require("./wbs.service");
+const budgetService = require("./budget.service");
 const logger = require("../../logger");
 
 async function getAllWBS(req, res, next) {
@@ -97,6 +98,26 @@ async function updateCostCodeBudget(req, res, next) {
     }
 }
 
+async function getCostCodeBudget(req, res, next) {
+    try {
+        const budget = await budgetService.getCostCodeBudget(req.params.id, req.user, { limit: req.query.limit });
+        return res.status(200).json({ success: true, data: budget });
+    } catch (err) {
+        logger.error("Error in getCostCodeBudget:", err);
+        next(err);
+    }
+}
+
+async function getWBSBudget(req, res, next) {
+    try {
+        const budget = await budgetService.getWBSBudget(req.params.id, req.user);
+        return res.status(200).json({ success: true, data: budget });
+    } catch (err) {
+        logger.error("Error in getWBSBudget:", err);
+        next(err);
+    }
+}
+
 module.exports = {
     getAllWBS,
     getWBSById,
@@ -105,5 +126,7 @@ module.exports = {
     deleteWBS,
     createCostCode,
     deleteCostCode,
-    updateCostCodeBudget
+    updateCostCodeBudget,
+    getCostCodeBudget,
+    getWBSBudget
 };
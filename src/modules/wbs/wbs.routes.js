@@ -10,10 +10,12 @@ router.use(authenticateJWT);
 
 router.get("/",             requirePermission(["wbs.read", "execution.read", "quality.read", "quality.manage"]),    wbsController.getAllWBS);
 router.get("/:id",          requirePermission(["wbs.read", "execution.read", "quality.read", "quality.manage"]),    wbsController.getWBSById);
+router.get("/:id/budget",   requirePermission(["wbs.read", "execution.read"]), wbsController.getWBSBudget);
 router.post("/",            requirePermission("wbs.create"),  wbsController.createWBS);
 router.put("/:id",          requirePermission("wbs.update"),  wbsController.updateWBS);
 router.delete("/:id",       requirePermission("wbs.archive"), wbsController.deleteWBS);
 
+router.get("/cost-codes/:id/budget", requirePermission(["wbs.read", "execution.read"]), wbsController.getCostCodeBudget);
 router.post("/cost-codes",        requirePermission("wbs.create"), wbsController.createCostCode);
 router.put("/cost-codes/:id",     requirePermission("wbs.update"), wbsController.updateCostCodeBudget);
 router.delete("/cost-codes/:id",  requirePermission("wbs.archive"),wbsController.deleteCostCode);
@@ -4,16 +4,41 @@ const prisma = require("../db");
 const logger = require("../logger");
 const { logAudit } = require("../utils/auditLogger");
 const { logSystem } = require("../modules/systemLogs/systemLogs.service");
+const { notify } = require("../modules/notifications/notifications.service");
+const { getCompanyCalendar, getEscalationLadder, businessHoursBetween } = require("./slaCalendar.service");
 
 // ─── Escalation Target Resolver ───────────────────────────────────────────────
 
+async function firstUserWithRole(roleCode, companyId, excludeUserId) {
+    const role = await prisma.role.findFirst({
+        where: { code: roleCode, is_active: true },
+        select: { id: true },
+    });
+    if (!role) return null;
+
+    // Super Admins are global — never restrict them to the requester's company
+    const scopeToCompany = companyId && roleCode !== "super_admin";
+
+    const user = await prisma.user.findFirst({
+        where: {
+            role_id: role.id,
+            is_active: true,
+            deleted_at: null,
+            ...(scopeToCompany && { company_id: companyId }),
+            ...(excludeUserId && { id: { not: excludeUserId } }),
+        },
+        select: { id: true },
+    });
+    return user?.id || null;
+}
+
 /**
  * Resolve who should be escalated to, in priority order:
  *  1. The approver user's manager (manager_id on auth.users)
- *  2. First active Admin-role user (role.code = 'SUPER_ADMIN')
+ *  2. First active Admin-role user (role.code = 'super_admin')
  *  3. null (log a warning, no one to escalate to)
  */
-async function resolveEscalationTarget(approverUserId) {
+async function resolveEscalationTarget(approverUserId, companyId = null) {
     if (approverUserId) {
         const approver = await prisma.user.findFirst({
             where: { id: approverUserId, deleted_at: null },
@@ -30,17 +55,57 @@ async function resolveEscalationTarget(approverUserId) {
     }
 
     // Fallback: first Super Admin
-    const adminRole = await prisma.role.findFirst({
-        where: { code: "SUPER_ADMIN", is_active: true },
-        select: { id: true },
-    });
-    if (!adminRole) return null;
+    return firstUserWithRole("super_admin", companyId);
+}
 
-    const admin = await prisma.user.findFirst({
-        where: { role_id: adminRole.id, is_active: true, deleted_at: null },
-        select: { id: true },
+/**
+ * Resolve the target for one rung of the escalation ladder (see slaCalendar.service.js).
+ * Falls back to resolveEscalationTarget when the rung cannot be resolved, so an
+ * escalation is never recorded against nobody while an admin exists.
+ */
+async function resolveLadderTarget(level, step, request) {
+    let target = null;
+
+    if (level.target === "manager") {
+        return resolveEscalationTarget(step.approver_user, request.company_id);
+    }
+
+    if (level.target === "department_head" && request.department_id) {
+        const dept = await prisma.department.findUnique({
+            where: { id: request.department_id },
+            select: { head_id: true },
+        });
+        target = dept?.head_id && dept.head_id !== request.requested_by ? dept.head_id : null;
+    }
+
+    if (level.target === "role" && level.roleCode) {
+        target = await firstUserWithRole(level.roleCode, request.company_id, request.requested_by);
+    }
+
+    if (level.target === "user" && level.userId) {
+        target = level.userId;
+    }
+
+    return target || resolveEscalationTarget(step.approver_user, request.company_id);
+}
+
+/**
+ * When the SLA clock started for a step: its activation time, else the last
+ * approval of the previous group, else the request submission (legacy steps).
+ */
+async function resolveStepStart(step, request) {
+    if (step.activated_at) return step.activated_at;
+
+    const previous = await prisma.approvalStep.findFirst({
+        where: {
+            approval_request_id: request.id,
+            step_order: { lt: step.step_order },
+            approved_at: { not: null },
+        },
+        orderBy: { approved_at: "desc" },
+        select: { approved_at: true },
     });
-    return admin?.id || null;
+    return previous?.approved_at || request.created_at;
 }
 
 // ─── Main Escalation Runner ────────────────────────────────────────────────────
@@ -48,11 +113,12 @@ async function resolveEscalationTarget(approverUserId) {
 /**
  * runEscalation()
  * ─────────────────────────────────────────────────────────────────────────────
- * Finds all pending approval steps whose parent request has exceeded the SLA
- * window defined in the approval matrix, and escalates them.
+ * Finds pending approval steps in the current group of in-progress requests
+ * whose SLA (business hours under the company calendar) has been exceeded, and
+ * moves them up the company's escalation ladder — one rung per SLA band.
  *
  * Design constraints:
- *  - Idempotent: steps with escalated=true are skipped
+ *  - Idempotent: a step is only updated when a higher ladder level is due
  *  - Never auto-approves — only flags and records escalation
  *  - Fire-and-forget safe: errors are logged but do not crash the worker
  */
@@ -63,12 +129,23 @@ async function runEscalation() {
     let escalatedCount = 0;
     let errorCount = 0;
 
+    // Calendars and ladders are per company — load each once per run
+    const calendars = new Map();
+    const ladders = new Map();
+    const calendarFor = async (companyId) => {
+        if (!calendars.has(companyId)) calendars.set(companyId, await getCompanyCalendar(companyId));
+        return calendars.get(companyId);
+    };
+    const ladderFor = async (companyId) => {
+        if (!ladders.has(companyId)) ladders.set(companyId, await getEscalationLadder(companyId));
+        return ladders.get(companyId);
+    };
+
     try {
-        // Fetch pending steps that are not yet escalated
         const pendingSteps = await prisma.approvalStep.findMany({
             where: {
                 status: "pending",
-                escalated: false,
+                approval_requests: { current_status: "in_progress" },
             },
             include: {
                 approval_requests: {
@@ -76,17 +153,20 @@ async function runEscalation() {
                         id: true,
                         doc_type: true,
                         doc_id: true,
-                        requester_id: true,
+                        requested_by: true,
                         created_at: true,
                         current_status: true,
+                        current_step: true,
+                        company_id: true,
+                        department_id: true,
                     },
                 },
             },
         });
 
-        // Only process steps whose parent request is still in_progress
+        // Only the group that is currently awaiting action is on the clock
         const activePending = pendingSteps.filter(
-            (s) => s.approval_requests?.current_status === "in_progress"
+            (s) => s.approval_requests?.current_step === s.step_order
         );
 
         for (const step of activePending) {
@@ -94,52 +174,75 @@ async function runEscalation() {
                 const request = step.approval_requests;
                 if (!request?.created_at) continue;
 
-                // Find the matrix row for this step to get escalation_hours
-                const matrix = await prisma.approvalMatrix.findFirst({
-                    where: {
-                        doc_type: request.doc_type,
-                        step_order: step.step_order,
-                        escalation_hours: { not: null },
-                    },
-                    select: { escalation_hours: true, roles: { select: { id: true } } },
-                });
+                // SLA hours are snapshotted on the step; older steps read the matrix row
+                let slaHours = step.sla_hours;
+                if (!slaHours) {
+                    const matrix = await prisma.approvalMatrix.findFirst({
+                        where: {
+                            doc_type: request.doc_type,
+                            step_order: step.step_order,
+                            escalation_hours: { not: null },
+                        },
+                        select: { escalation_hours: true },
+                    });
+                    slaHours = matrix?.escalation_hours;
+                }
+                if (!slaHours) continue;
 
-                if (!matrix?.escalation_hours) continue;
+                const calendar = await calendarFor(request.company_id);
+                const ladder = await ladderFor(request.company_id);
 
-                // Compute age in hours
-                const ageMs = now.getTime() - new Date(request.created_at).getTime();
-                const ageHours = ageMs / (1000 * 60 * 60);
+                const startedAt = await resolveStepStart(step, request);
+                const businessHours = businessHoursBetween(startedAt, now, calendar);
 
-                if (ageHours < matrix.escalation_hours) continue;
+                // Highest ladder rung whose threshold has passed
+                let dueLevel = 0;
+                ladder.forEach((rung, i) => {
+                    if (businessHours >= slaHours + rung.afterHours) dueLevel = i + 1;
+                });
 
-                // Resolve escalation target
-                const escalatedTo = await resolveEscalationTarget(step.approver_user);
+                const currentLevel = step.escalation_level || (step.escalated ? 1 : 0);
+                if (dueLevel <= currentLevel) continue;
 
-                // Update step — idempotent because escalated=false was a filter
-                await prisma.approvalStep.update({
-                    where: { id: step.id },
+                const rung = ladder[dueLevel - 1];
+                const escalatedTo = await resolveLadderTarget(rung, step, request);
+
+                // Guarded on the level we read so overlapping runs cannot double-escalate
+                const { count } = await prisma.approvalStep.updateMany({
+                    where: {
+                        id: step.id,
+                        status: "pending",
+                        escalation_level: step.escalation_level ?? 0,
+                    },
                     data: {
                         escalated: true,
                         escalated_to: escalatedTo || null,
+                        escalation_level: dueLevel,
+                        escalated_at: now,
                     },
                 });
+                if (count === 0) continue;
 
                 escalatedCount++;
 
+                const context = {
+                    stepId: step.id,
+                    approvalRequestId: request.id,
+                    docType: request.doc_type,
+                    docId: request.doc_id,
+                    stepOrder: step.step_order,
+                    level: dueLevel,
+                    target: rung.target,
+                    businessHours: businessHours.toFixed(2),
+                    slaHours,
+                    escalatedTo,
+                };
+
                 // System log
                 logSystem({
                     level: "warn",
-                    message: "Approval step escalated due to SLA breach",
-                    context: {
-                        stepId: step.id,
-                        approvalRequestId: request.id,
-                        docType: request.doc_type,
-                        docId: request.doc_id,
-                        stepOrder: step.step_order,
-                        ageHours: ageHours.toFixed(2),
-                        slaHours: matrix.escalation_hours,
-                        escalatedTo,
-                    },
+                    message: `Approval step escalated to level ${dueLevel} due to SLA breach`,
+                    context,
                 }).catch(() => { });
 
                 // Audit log
@@ -149,14 +252,26 @@ async function runEscalation() {
                     entity: "approval_step",
                     entityId: step.id,
                     action: "ESCALATED",
-                    beforeData: { escalated: false, approverUser: step.approver_user },
-                    afterData: { escalated: true, escalatedTo, ageHours: ageHours.toFixed(2), slaHours: matrix.escalation_hours },
+                    beforeData: { escalationLevel: currentLevel, escalatedTo: step.escalated_to, approverUser: step.approver_user },
+                    afterData: { escalationLevel: dueLevel, escalatedTo, target: rung.target, businessHours: businessHours.toFixed(2), slaHours },
                     ipAddress: "system",
                     deviceInfo: "escalation-worker",
                 }).catch(() => { });
 
+                notify({
+                    userIds: [escalatedTo, step.approver_user],
+                    companyId: request.company_id,
+                    type: "APPROVAL_ESCALATED",
+                    title: `Overdue approval escalated (level ${dueLevel}): ${request.doc_type} ${request.doc_id}`,
+                    message: `Step ${step.step_order} has been pending ${businessHours.toFixed(1)} business hours against an SLA of ${slaHours}.`,
+                    entity: "approval_request",
+                    entityId: request.id,
+                    priority: "high",
+                    data: { stepId: step.id, level: dueLevel, target: rung.target },
+                });
+
                 logger.warn(
-                    `[EscalationWorker] Escalated step ${step.id} for ${request.doc_type}/${request.doc_id} → ${escalatedTo || "unresolved"}`
+                    `[EscalationWorker] Escalated step ${step.id} for ${request.doc_type}/${request.doc_id} to level ${dueLevel} (${rung.target}) → ${escalatedTo || "unresolved"}`
                 );
             } catch (stepErr) {
                 errorCount++;
@@ -171,4 +286,4 @@ async function runEscalation() {
     return { escalatedCount, errorCount };
 }
 
-module.exports = { runEscalation, resolveEscalationTarget };
+module.exports = { runEscalation, resolveEscalationTarget, resolveLadderTarget };
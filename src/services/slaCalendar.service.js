@@ -0,0 +1,227 @@
+"use strict";
+
+const prisma = require("../db");
+const logger = require("../logger");
+
+/**
+ * SLA Working Calendar
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Approval SLAs count business hours only. Each company configures its calendar
+ * in SystemSetting (category "APPROVALS"); a row with company_id = null acts as
+ * the tenant-wide default.
+ *
+ *   SLA_WORK_CALENDAR      { "utcOffset": "+03:00", "workDays": [0,1,2,3,4],
+ *                            "startTime": "08:00", "endTime": "17:00" }
+ *                          workDays use JS numbering (0 = Sunday).
+ *   SLA_HOLIDAYS           [ "2026-09-23", { "date": "2026-03-20", "name": "Eid al-Fitr" },
+ *                            { "from": "2026-05-26", "to": "2026-05-30", "name": "Eid al-Adha" } ]
+ *   SLA_ESCALATION_LADDER  [ { "target": "manager",         "afterHours": 0 },
+ *                            { "target": "department_head", "afterHours": 8 },
+ *                            { "target": "role", "roleCode": "erp_admin", "afterHours": 24 } ]
+ *                          afterHours = business hours past the step SLA before the level fires.
+ *                          target: manager | department_head | role (roleCode) | user (userId)
+ */
+
+const DEFAULT_CALENDAR = {
+    utcOffset: "+03:00",
+    workDays: [0, 1, 2, 3, 4], // Sunday – Thursday
+    startTime: "08:00",
+    endTime: "17:00",
+};
+
+const DEFAULT_LADDER = [
+    { target: "manager", afterHours: 0 },
+    { target: "department_head", afterHours: 8 },
+    { target: "role", roleCode: "erp_admin", afterHours: 24 },
+];
+
+const LADDER_TARGETS = ["manager", "department_head", "role", "user"];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+function parseOffsetMinutes(offset) {
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || "").trim());
+    if (!match) return null;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === "-" ? -minutes : minutes;
+}
+
+function parseTimeMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || "").trim());
+    if (!match) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseJsonSetting(raw, key) {
+    if (raw === null || raw === undefined || raw === "") return null;
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        logger.warn(`[SLA] Setting ${key} is not valid JSON — using defaults`);
+        return null;
+    }
+}
+
+/**
+ * Expand the holiday list into a Set of "YYYY-MM-DD" dates.
+ */
+function expandHolidays(list) {
+    const dates = new Set();
+    if (!Array.isArray(list)) return dates;
+
+    for (const entry of list) {
+        if (typeof entry === "string") {
+            dates.add(entry.slice(0, 10));
+            continue;
+        }
+        if (entry?.date) {
+            dates.add(String(entry.date).slice(0, 10));
+            continue;
+        }
+        if (entry?.from) {
+            const from = Date.parse(`${String(entry.from).slice(0, 10)}T00:00:00Z`);
+            const to = Date.parse(`${String(entry.to || entry.from).slice(0, 10)}T00:00:00Z`);
+            if (Number.isNaN(from) || Number.isNaN(to)) continue;
+            for (let t = from; t <= to; t += MS_PER_DAY) {
+                dates.add(new Date(t).toISOString().slice(0, 10));
+            }
+        }
+    }
+    return dates;
+}
+
+/**
+ * Merge a raw calendar object over the defaults, discarding invalid fields.
+ */
+function normalizeCalendar(raw = {}, holidays = []) {
+    const offset = parseOffsetMinutes(raw.utcOffset);
+    const start = parseTimeMinutes(raw.startTime);
+    const end = parseTimeMinutes(raw.endTime);
+    const workDays = Array.isArray(raw.workDays)
+        ? raw.workDays.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        : null;
+
+    const calendar = {
+        offsetMinutes: offset ?? parseOffsetMinutes(DEFAULT_CALENDAR.utcOffset),
+        workDays: new Set(workDays && workDays.length > 0 ? workDays : DEFAULT_CALENDAR.workDays),
+        startMinutes: start ?? parseTimeMinutes(DEFAULT_CALENDAR.startTime),
+        endMinutes: end ?? parseTimeMinutes(DEFAULT_CALENDAR.endTime),
+        holidays: expandHolidays(holidays),
+    };
+
+    if (calendar.endMinutes <= calendar.startMinutes) {
+        logger.warn("[SLA] Calendar endTime must be after startTime — using default working hours");
+        calendar.startMinutes = parseTimeMinutes(DEFAULT_CALENDAR.startTime);
+        calendar.endMinutes = parseTimeMinutes(DEFAULT_CALENDAR.endTime);
+    }
+    return calendar;
+}
+
+function normalizeLadder(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) return DEFAULT_LADDER;
+
+    const ladder = raw
+        .filter((l) => l && LADDER_TARGETS.includes(l.target))
+        .map((l) => ({ ...l, afterHours: Math.max(Number(l.afterHours) || 0, 0) }))
+        .sort((a, b) => a.afterHours - b.afterHours);
+
+    if (ladder.length !== raw.length) {
+        logger.warn(`[SLA] Ignored ${raw.length - ladder.length} escalation ladder level(s) with an unknown target`);
+    }
+    return ladder.length > 0 ? ladder : DEFAULT_LADDER;
+}
+
+// ─── Business-Hours Arithmetic ────────────────────────────────────────────────
+
+/**
+ * Business hours between two instants under the given calendar.
+ * Only the part of each working day inside [startTime, endTime] counts;
+ * non-working weekdays and holidays count as zero.
+ */
+function businessHoursBetween(start, end, calendar) {
+    const offsetMs = calendar.offsetMinutes * 60 * 1000;
+    const from = new Date(start).getTime() + offsetMs; // shift to local wall-clock
+    const to = new Date(end).getTime() + offsetMs;
+    if (!(to > from)) return 0;
+
+    let totalMs = 0;
+    for (let dayStart = Math.floor(from / MS_PER_DAY) * MS_PER_DAY; dayStart < to; dayStart += MS_PER_DAY) {
+        const day = new Date(dayStart);
+        if (!calendar.workDays.has(day.getUTCDay())) continue;
+        if (calendar.holidays.has(day.toISOString().slice(0, 10))) continue;
+
+        const windowStart = Math.max(dayStart + calendar.startMinutes * 60 * 1000, from);
+        const windowEnd = Math.min(dayStart + calendar.endMinutes * 60 * 1000, to);
+        if (windowEnd > windowStart) totalMs += windowEnd - windowStart;
+    }
+    return totalMs / MS_PER_HOUR;
+}
+
+/**
+ * The instant at which `hours` business hours will have elapsed after `start`.
+ * Gives up after a year of calendar days (misconfigured calendar with no working days).
+ */
+function addBusinessHours(start, hours, calendar) {
+    const offsetMs = calendar.offsetMinutes * 60 * 1000;
+    let cursor = new Date(start).getTime() + offsetMs;
+    let remainingMs = Math.max(Number(hours) || 0, 0) * MS_PER_HOUR;
+
+    for (let i = 0; i < 366; i++) {
+        const dayStart = Math.floor(cursor / MS_PER_DAY) * MS_PER_DAY;
+        const day = new Date(dayStart);
+        const isWorking = calendar.workDays.has(day.getUTCDay()) &&
+            !calendar.holidays.has(day.toISOString().slice(0, 10));
+
+        if (isWorking) {
+            const windowStart = Math.max(dayStart + calendar.startMinutes * 60 * 1000, cursor);
+            const windowEnd = dayStart + calendar.endMinutes * 60 * 1000;
+            if (windowEnd > windowStart) {
+                if (remainingMs <= windowEnd - windowStart) {
+                    return new Date(windowStart + remainingMs - offsetMs);
+                }
+                remainingMs -= windowEnd - windowStart;
+            }
+        }
+        cursor = dayStart + MS_PER_DAY;
+    }
+    return null;
+}
+
+// ─── Settings Loaders ─────────────────────────────────────────────────────────
+
+/**
+ * Company setting with fallback to the tenant-wide (company_id = null) row.
+ */
+async function readSetting(key, companyId) {
+    if (companyId) {
+        const own = await prisma.systemSetting.findFirst({ where: { key, company_id: companyId } });
+        if (own) return own.value;
+    }
+    const global = await prisma.systemSetting.findFirst({ where: { key, company_id: null } });
+    return global ? global.value : null;
+}
+
+async function getCompanyCalendar(companyId) {
+    const raw = parseJsonSetting(await readSetting("SLA_WORK_CALENDAR", companyId), "SLA_WORK_CALENDAR");
+    const holidays = parseJsonSetting(await readSetting("SLA_HOLIDAYS", companyId), "SLA_HOLIDAYS");
+    return normalizeCalendar(raw || {}, holidays || []);
+}
+
+async function getEscalationLadder(companyId) {
+    const raw = parseJsonSetting(await readSetting("SLA_ESCALATION_LADDER", companyId), "SLA_ESCALATION_LADDER");
+    return normalizeLadder(raw);
+}
+
+module.exports = {
+    DEFAULT_CALENDAR,
+    DEFAULT_LADDER,
+    normalizeCalendar,
+    normalizeLadder,
+    businessHoursBetween,
+    addBusinessHours,
+    getCompanyCalendar,
+    getEscalationLadder,
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * Notification Delivery Worker — notificationDelivery.worker.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Standalone process. Run with:
+ *   node src/workers/notificationDelivery.worker.js
+ *
+ * Drains the notification outbox: retries failed email / SMS / webhook sends
+ * with backoff and delivers anything queued before a restart.
+ *
+ * Schedule: Every minute via node-cron.
+ */
+
+require("dotenv").config();
+
+const cron = require("node-cron");
+const logger = require("../logger");
+const { processOutbox } = require("../modules/notifications/notifications.delivery");
+
+// Graceful shutdown
+let shuttingDown = false;
+process.on("SIGTERM", () => { shuttingDown = true; logger.info("[DeliveryWorker] SIGTERM received, shutting down..."); });
+process.on("SIGINT", () => { shuttingDown = true; logger.info("[DeliveryWorker] SIGINT received, shutting down..."); process.exit(0); });
+
+logger.info("[DeliveryWorker] Starting — will run every minute");
+
+// Guard against overlapping ticks when a batch takes longer than a minute
+let running = false;
+
+cron.schedule("* * * * *", async () => {
+    if (shuttingDown || running) return;
+    running = true;
+    try {
+        const result = await processOutbox({ limit: 100 });
+        if (result.sent || result.failed) {
+            logger.info(`[DeliveryWorker] Tick complete — sent=${result.sent} failed=${result.failed}`);
+        }
+    } catch (err) {
+        logger.error(`[DeliveryWorker] Unhandled error in cron tick: ${err.message}`);
+    } finally {
+        running = false;
+    }
+}, { scheduled: true, timezone: "UTC" });
+
+module.exports = { processOutbox };
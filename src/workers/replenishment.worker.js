@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Replenishment Worker — replenishment.worker.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Standalone process. Run with:
+ *   node src/workers/replenishment.worker.js
+ *
+ * Compares on hand + on order − reserved with each store/item reorder level
+ * and drafts one purchase requisition per store for the shortfalls. Store
+ * keepers are notified and review / submit the drafts.
+ *
+ * Schedule: Daily at 02:00 UTC via node-cron.
+ */
+
+const cron = require("node-cron");
+const logger = require("../logger");
+const { runReplenishment } = require("../modules/inventory/replenishment.service");
+
+// Graceful shutdown
+let shuttingDown = false;
+process.on("SIGTERM", () => { shuttingDown = true; logger.info("[ReplenishmentWorker] SIGTERM received, shutting down..."); });
+process.on("SIGINT", () => { shuttingDown = true; logger.info("[ReplenishmentWorker] SIGINT received, shutting down..."); process.exit(0); });
+
+logger.info("[ReplenishmentWorker] Starting — will run daily at 02:00 UTC");
+
+cron.schedule("0 2 * * *", async () => {
+    if (shuttingDown) return;
+    logger.info("[ReplenishmentWorker] Cron tick...");
+    try {
+        const result = await runReplenishment();
+        logger.info(`[ReplenishmentWorker] Tick complete — levels=${result.levels} due=${result.due} drafted=${result.drafted} extended=${result.extended} lines=${result.lines} errors=${result.errorCount}`);
+    } catch (err) {
+        logger.error(`[ReplenishmentWorker] Unhandled error in cron tick: ${err.message}`);
+    }
+}, { scheduled: true, timezone: "UTC" });
+
+// When run as a standalone process, also run once on startup
+if (require.main === module) {
+    (async () => {
+        logger.info("[ReplenishmentWorker] Running initial replenishment check on startup...");
+        try {
+            const result = await runReplenishment();
+            logger.info(`[ReplenishmentWorker] Initial run complete — drafted=${result.drafted} extended=${result.extended} lines=${result.lines}`);
+        } catch (err) {
+            logger.error(`[ReplenishmentWorker] Initial run failed: ${err.message}`);
+        }
+    })();
+}
+
+module.exports = { runReplenishment };
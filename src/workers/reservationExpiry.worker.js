@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * Reservation Expiry Worker — reservationExpiry.worker.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Standalone process. Run with:
+ *   node src/workers/reservationExpiry.worker.js
+ *
+ * Marks RESERVED planning requests past their expires_at as EXPIRED and gives
+ * their unissued quantity back to the store (InventoryStock.reserved_qty).
+ * Material issues also release expired reservations of the items they touch,
+ * so this only keeps available quantities current in between.
+ *
+ * Schedule: Every hour at :15 via node-cron.
+ */
+
+const cron = require("node-cron");
+const logger = require("../logger");
+const { expireReservations } = require("../modules/inventory/reservations.service");
+
+// Graceful shutdown
+let shuttingDown = false;
+process.on("SIGTERM", () => { shuttingDown = true; logger.info("[ReservationWorker] SIGTERM received, shutting down..."); });
+process.on("SIGINT", () => { shuttingDown = true; logger.info("[ReservationWorker] SIGINT received, shutting down..."); process.exit(0); });
+
+logger.info("[ReservationWorker] Starting — will run every hour at :15");
+
+cron.schedule("15 * * * *", async () => {
+    if (shuttingDown) return;
+    logger.info("[ReservationWorker] Cron tick...");
+    try {
+        const expired = await expireReservations();
+        logger.info(`[ReservationWorker] Tick complete — expired=${expired}`);
+    } catch (err) {
+        logger.error(`[ReservationWorker] Unhandled error in cron tick: ${err.message}`);
+    }
+}, { scheduled: true, timezone: "UTC" });
+
+// When run as a standalone process, also run once on startup
+if (require.main === module) {
+    (async () => {
+        logger.info("[ReservationWorker] Releasing expired reservations on startup...");
+        try {
+            const expired = await expireReservations();
+            logger.info(`[ReservationWorker] Initial run complete — expired=${expired}`);
+        } catch (err) {
+            logger.error(`[ReservationWorker] Initial run failed: ${err.message}`);
+        }
+    })();
+}
+
+module.exports = { expireReservations };
@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Vendor Compliance Worker — vendorCompliance.worker.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Standalone process. Run with:
+ *   node src/workers/vendorCompliance.worker.js
+ *
+ * Sends vendor document expiry reminders, suspends vendors whose mandatory
+ * documents have expired and reinstates them once the documents are renewed.
+ *
+ * Schedule: Daily at 01:00 UTC via node-cron.
+ */
+
+const cron = require("node-cron");
+const logger = require("../logger");
+const { runComplianceSweep } = require("../modules/vendors/compliance.service");
+
+// Graceful shutdown
+let shuttingDown = false;
+process.on("SIGTERM", () => { shuttingDown = true; logger.info("[ComplianceWorker] SIGTERM received, shutting down..."); });
+process.on("SIGINT", () => { shuttingDown = true; logger.info("[ComplianceWorker] SIGINT received, shutting down..."); process.exit(0); });
+
+logger.info("[ComplianceWorker] Starting — will run daily at 01:00 UTC");
+
+cron.schedule("0 1 * * *", async () => {
+    if (shuttingDown) return;
+    logger.info("[ComplianceWorker] Cron tick...");
+    try {
+        const result = await runComplianceSweep();
+        logger.info(`[ComplianceWorker] Tick complete — vendors=${result.vendors} reminders=${result.reminders} suspended=${result.suspended} reinstated=${result.reinstated} errors=${result.errorCount}`);
+    } catch (err) {
+        logger.error(`[ComplianceWorker] Unhandled error in cron tick: ${err.message}`);
+    }
+}, { scheduled: true, timezone: "UTC" });
+
+// When run as a standalone process, also run once on startup
+if (require.main === module) {
+    (async () => {
+        logger.info("[ComplianceWorker] Running initial compliance sweep on startup...");
+        try {
+            const result = await runComplianceSweep();
+            logger.info(`[ComplianceWorker] Initial run complete — suspended=${result.suspended} reinstated=${result.reinstated}`);
+        } catch (err) {
+            logger.error(`[ComplianceWorker] Initial run failed: ${err.message}`);
+        }
+    })();
+}
+
+module.exports = { runComplianceSweep };
@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Vendor Scorecard Worker — vendorScorecard.worker.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Standalone process. Run with:
+ *   node src/workers/vendorScorecard.worker.js
+ *
+ * Recalculates every vendor's performance scorecard, adding a point to each
+ * vendor's trend history.
+ *
+ * Schedule: Daily at 02:00 UTC via node-cron.
+ */
+
+const cron = require("node-cron");
+const logger = require("../logger");
+const { recalculateAllScorecards } = require("../modules/vendors/scorecards.service");
+
+// Graceful shutdown
+let shuttingDown = false;
+process.on("SIGTERM", () => { shuttingDown = true; logger.info("[ScorecardWorker] SIGTERM received, shutting down..."); });
+process.on("SIGINT", () => { shuttingDown = true; logger.info("[ScorecardWorker] SIGINT received, shutting down..."); process.exit(0); });
+
+logger.info("[ScorecardWorker] Starting — will run daily at 02:00 UTC");
+
+cron.schedule("0 2 * * *", async () => {
+    if (shuttingDown) return;
+    logger.info("[ScorecardWorker] Cron tick...");
+    try {
+        const result = await recalculateAllScorecards();
+        logger.info(`[ScorecardWorker] Tick complete — processed=${result.processed} errors=${result.errorCount}`);
+    } catch (err) {
+        logger.error(`[ScorecardWorker] Unhandled error in cron tick: ${err.message}`);
+    }
+}, { scheduled: true, timezone: "UTC" });
+
+// When run as a standalone process, also run once on startup
+if (require.main === module) {
+    (async () => {
+        logger.info("[ScorecardWorker] Running initial recalculation on startup...");
+        try {
+            const result = await recalculateAllScorecards();
+            logger.info(`[ScorecardWorker] Initial run complete — processed=${result.processed}`);
+        } catch (err) {
+            logger.error(`[ScorecardWorker] Initial run failed: ${err.message}`);
+        }
+    })();
+}
+
+module.exports = { recalculateAllScorecards };
@@ -0,0 +1,52 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { approvalRelations, seedApprovalUsers, seedCommitteeRequest } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({ relations: approvalRelations });
+jest.mock("../../src/db", () => mockDb);
+
+const approvals = require("../../src/modules/approvals/approvals.service");
+const tokens = require("../../src/modules/approvals/approvals.tokens");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    seedApprovalUsers(mockDb);
+    seedCommitteeRequest(mockDb, { rule: "ALL" });
+    // u-pm1 holds seat s1 directly; s2 is an open seat for any project manager
+    mockDb._row("approvalStep", "req-1-s2").approver_user = null;
+});
+
+async function linkFor(stepId, userId) {
+    const { token } = await tokens.issueActionToken(mockDb._row("approvalStep", stepId), userId);
+    return tokens.verifyActionToken(token);
+}
+
+describe("approval action links", () => {
+    test("a link acts on the step it was issued for, not the user's preferred seat", async () => {
+        const claims = await linkFor("req-1-s2", "u-pm1");
+
+        await approvals.actOnActionToken(claims, "approve", "via email");
+
+        expect(mockDb._row("approvalStep", "req-1-s2").status).toBe("approved");
+        expect(mockDb._row("approvalStep", "req-1-s2").approver_user).toBe("u-pm1");
+        expect(mockDb._row("approvalStep", "req-1-s1").status).toBe("pending");
+    });
+
+    test("a link whose step was already decided is refused", async () => {
+        const claims = await linkFor("req-1-s1", "u-pm1");
+        await approvals.approveStep("req-1", { id: "u-pm1" }, "from inbox");
+
+        await expect(approvals.actOnActionToken(claims, "reject", "changed my mind")).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockDb._row("approvalStep", "req-1-s1").status).toBe("approved");
+    });
+
+    test("a link is refused once its step has been taken by someone else in the meantime", async () => {
+        const claims = await linkFor("req-1-s2", "u-pm2");
+        await approvals.approveStep("req-1", { id: "u-pm2" }, "from inbox");
+
+        await expect(approvals.actOnActionToken(claims, "approve", "again")).rejects.toMatchObject({ statusCode: 409 });
+        const token = mockDb._row("approvalActionToken", claims.jti);
+        expect(token.used_at).toBeFalsy();
+    });
+});
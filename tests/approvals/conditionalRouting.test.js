@@ -0,0 +1,73 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { approvalRelations, seedApprovalUsers } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({ relations: approvalRelations });
+jest.mock("../../src/db", () => mockDb);
+
+const { registerAdapter, getDocumentMeta } = require("../../src/modules/approvals/approvals.adapter");
+const approvals = require("../../src/modules/approvals/approvals.service");
+
+const vendorCategory = new Map();
+const statusUpdates = [];
+
+registerAdapter("CONTRACT", async ({ docId, status, companyId }) => {
+    statusUpdates.push({ docId, status, companyId });
+});
+registerAdapter("CONTRACT:meta", async ({ docId }) => ({
+    title: `Contract ${docId}`,
+    attributes: { vendor: { category: vendorCategory.get(docId) } },
+}));
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    statusUpdates.length = 0;
+    seedApprovalUsers(mockDb);
+    mockDb._seed("approvalMatrix", [
+        { id: "m-pm", doc_type: "CONTRACT", company_id: "c1", project_id: null, role_id: "role-pm", step_order: 1, min_amount: null, max_amount: null, condition: null },
+        {
+            id: "m-qa", doc_type: "CONTRACT", company_id: "c1", project_id: null, role_id: "role-fin", step_order: 2, min_amount: null, max_amount: null,
+            condition: { field: "vendor.category", op: "eq", value: "steel" },
+        },
+    ]);
+});
+
+describe("document meta adapters", () => {
+    test("a ':meta' adapter registered in lower case is found", async () => {
+        vendorCategory.set("k-1", "steel");
+        const meta = await getDocumentMeta({ docType: "contract", docId: "k-1" });
+        expect(meta.attributes.vendor.category).toBe("steel");
+    });
+});
+
+describe("conditional routing on document attributes", () => {
+    test("a conditional row applies when the meta attribute matches", async () => {
+        vendorCategory.set("k-steel", "steel");
+
+        const result = await approvals.requestApproval({ docType: "CONTRACT", docId: "k-steel", amount: 500 }, "u-req");
+
+        expect(result.totalSteps).toBe(2);
+        const steps = mockDb._rows("approvalStep").filter((s) => s.approval_request_id === result.approvalRequestId);
+        expect(steps.map((s) => s.role_id).sort()).toEqual(["role-fin", "role-pm"]);
+    });
+
+    test("a conditional row is skipped when the meta attribute does not match", async () => {
+        vendorCategory.set("k-cement", "cement");
+
+        const result = await approvals.requestApproval({ docType: "CONTRACT", docId: "k-cement", amount: 500 }, "u-req");
+
+        expect(result.totalSteps).toBe(1);
+    });
+
+    test("the document moves to in_approval and the request is audited", async () => {
+        vendorCategory.set("k-steel", "steel");
+
+        const result = await approvals.requestApproval({ docType: "CONTRACT", docId: "k-steel", amount: 500 }, "u-req");
+
+        expect(statusUpdates).toEqual([{ docId: "k-steel", status: "in_approval", companyId: "c1" }]);
+        const audit = mockDb._rows("auditLog").find((a) => a.action === "REQUEST_APPROVAL");
+        expect(audit).toBeDefined();
+        expect(audit.entity_id).toBe(result.approvalRequestId);
+    });
+});
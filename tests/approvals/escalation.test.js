@@ -0,0 +1,31 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { approvalRelations, seedApprovalUsers } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({ relations: approvalRelations });
+jest.mock("../../src/db", () => mockDb);
+
+const { resolveEscalationTarget, resolveLadderTarget } = require("../../src/services/escalation.service");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    seedApprovalUsers(mockDb);
+});
+
+describe("escalation fallback", () => {
+    test("falls back to a super admin of another company when the company has no admin", async () => {
+        await expect(resolveEscalationTarget("u-pm1", "c1")).resolves.toBe("u-sa");
+    });
+
+    test("the approver's manager still comes first", async () => {
+        mockDb._row("user", "u-pm1").manager_id = "u-fin";
+        await expect(resolveEscalationTarget("u-pm1", "c1")).resolves.toBe("u-fin");
+    });
+
+    test("role rungs stay within the requester's company", async () => {
+        const request = { id: "req-1", company_id: "c2", requested_by: "u-req", department_id: null };
+        const target = await resolveLadderTarget({ target: "role", roleCode: "project_manager" }, { approver_user: null }, request);
+        expect(target).toBe("u-sa");
+    });
+});
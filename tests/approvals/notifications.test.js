@@ -0,0 +1,54 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { approvalRelations, seedApprovalUsers } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({ relations: approvalRelations });
+jest.mock("../../src/db", () => mockDb);
+
+const { registerAdapter } = require("../../src/modules/approvals/approvals.adapter");
+const approvals = require("../../src/modules/approvals/approvals.service");
+
+registerAdapter("CONTRACT:meta", async ({ docId }) => ({ title: `Contract ${docId.toUpperCase()} — Steel works` }));
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    seedApprovalUsers(mockDb);
+    mockDb._seed("approvalMatrix", [
+        { id: "m-pm", doc_type: "CONTRACT", company_id: "c1", project_id: null, role_id: "role-pm", step_order: 1, min_amount: null, max_amount: null, condition: null },
+    ]);
+    // Only one project manager, so the step is assigned to them directly
+    mockDb._row("user", "u-pm2").is_active = false;
+});
+
+const notificationsFor = (userId) => mockDb._rows("notification").filter((n) => n.user_id === userId);
+
+describe("approval notifications", () => {
+    test("the approver's notification is titled from the document meta", async () => {
+        await approvals.requestApproval({ docType: "CONTRACT", docId: "k-7", amount: 500 }, "u-req");
+
+        const [notification] = notificationsFor("u-pm1");
+        expect(notification.type).toBe("APPROVAL_ASSIGNED");
+        expect(notification.title).toBe("Approval required: Contract K-7 — Steel works");
+    });
+
+    test("the requester's outcome notification uses the same title", async () => {
+        const { approvalRequestId } = await approvals.requestApproval({ docType: "CONTRACT", docId: "k-7", amount: 500 }, "u-req");
+
+        await approvals.approveStep(approvalRequestId, { id: "u-pm1" }, "ok");
+
+        const [notification] = notificationsFor("u-req");
+        expect(notification.type).toBe("APPROVAL_APPROVED");
+        expect(notification.title).toBe("Contract K-7 — Steel works approved");
+    });
+
+    test("documents without a meta adapter fall back to type and id", async () => {
+        mockDb._seed("approvalMatrix", [
+            { id: "m-grn", doc_type: "GRN", company_id: "c1", project_id: null, role_id: "role-pm", step_order: 1, min_amount: null, max_amount: null, condition: null },
+        ]);
+
+        await approvals.requestApproval({ docType: "GRN", docId: "g-1", amount: 0 }, "u-req");
+
+        expect(notificationsFor("u-pm1")[0].title).toBe("Approval required: GRN g-1");
+    });
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { approvalRelations, seedApprovalUsers, seedCommitteeRequest } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({ relations: approvalRelations });
+jest.mock("../../src/db", () => mockDb);
+
+const approvals = require("../../src/modules/approvals/approvals.service");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    seedApprovalUsers(mockDb);
+});
+
+describe("step group decisions", () => {
+    test("an ALL group waits for every seat before moving on", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ALL" });
+
+        await approvals.approveStep("req-1", { id: "u-pm1" });
+        expect(mockDb._row("approvalRequest", "req-1").current_step).toBe(1);
+
+        await approvals.approveStep("req-1", { id: "u-pm2" });
+        const request = mockDb._row("approvalRequest", "req-1");
+        expect(request.current_step).toBe(2);
+        expect(request.current_status).toBe("in_progress");
+    });
+
+    test("an ANY group moves on after the first approval and skips the other seats", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ANY" });
+
+        await approvals.approveStep("req-1", { id: "u-pm2" });
+
+        expect(mockDb._row("approvalRequest", "req-1").current_step).toBe(2);
+        expect(mockDb._row("approvalStep", "req-1-s1").status).toBe("skipped");
+        expect(mockDb._row("approvalStep", "req-1-s2").status).toBe("approved");
+    });
+
+    test("a rejection in an ALL group rejects the request", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ALL" });
+
+        await approvals.approveStep("req-1", { id: "u-pm1" });
+        await approvals.rejectStep("req-1", { id: "u-pm2" }, "over budget");
+
+        expect(mockDb._row("approvalRequest", "req-1").current_status).toBe("rejected");
+    });
+});
+
+describe("concurrent decisions in parallel step groups", () => {
+    test("two committee members approving at once complete an ALL group", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ALL" });
+
+        await Promise.all([
+            approvals.approveStep("req-1", { id: "u-pm1" }),
+            approvals.approveStep("req-1", { id: "u-pm2" }),
+        ]);
+
+        const request = mockDb._row("approvalRequest", "req-1");
+        expect(request.current_step).toBe(2);
+        expect(mockDb._row("approvalStep", "req-1-s3").activated_at).toBeInstanceOf(Date);
+        expect(mockDb._locks.some((l) => l.sql.includes("approval_requests") && l.sql.includes("FOR UPDATE"))).toBe(true);
+    });
+
+    test("an ANY group advances once when both members act at once", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ANY" });
+
+        const results = await Promise.allSettled([
+            approvals.approveStep("req-1", { id: "u-pm1" }),
+            approvals.approveStep("req-1", { id: "u-pm2" }),
+        ]);
+
+        expect(results.map((r) => r.status)).toEqual(["fulfilled", "rejected"]);
+        expect(results[1].reason.statusCode).toBe(409);
+        const request = mockDb._row("approvalRequest", "req-1");
+        expect(request.current_step).toBe(2);
+        expect(request.current_status).toBe("in_progress");
+        expect(mockDb._row("approvalStep", "req-1-s2").status).toBe("skipped");
+    });
+
+    test("a rejection racing the approval that completes an ANY group is refused", async () => {
+        seedCommitteeRequest(mockDb, { rule: "ANY" });
+
+        const results = await Promise.allSettled([
+            approvals.approveStep("req-1", { id: "u-pm1" }),
+            approvals.rejectStep("req-1", { id: "u-pm2" }, "not needed"),
+        ]);
+
+        expect(results[1].status).toBe("rejected");
+        expect(results[1].reason.statusCode).toBe(409);
+        expect(mockDb._row("approvalRequest", "req-1").current_status).toBe("in_progress");
+    });
+});
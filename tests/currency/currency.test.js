@@ -0,0 +1,80 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        supplierInvoice: { payments: hasMany("supplierPayment", "invoice_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { findRate, getRate, toBase, resolveDocumentCurrency } = require("../../src/modules/currency/currency.service");
+const { processPayment } = require("../../src/modules/purchaseOrders/finance.service");
+
+const day = (d) => new Date(`2026-${d}T00:00:00Z`);
+const rate = (id, from, to, value, effective, companyId = null) => ({
+    id, from_currency: from, to_currency: to, rate: value, effective_date: day(effective), company_id: companyId,
+});
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", base_currency: "SAR" }]);
+    mockDb._seed("exchangeRate", [
+        rate("fx-1", "USD", "SAR", 3.75, "01-01"),
+        rate("fx-2", "USD", "SAR", 3.7512, "03-01"),
+        rate("fx-3", "USD", "SAR", 3.76, "03-01", "c1"),
+        rate("fx-4", "SAR", "EUR", 0.25, "01-01"),
+    ]);
+});
+
+describe("exchange rate lookup", () => {
+    test("takes the latest rate on or before the date, the company's own first", async () => {
+        expect(await findRate("USD", "SAR", day("02-15"), "c1")).toBe(3.75);
+        expect(await findRate("USD", "SAR", day("03-20"), "c1")).toBe(3.76);
+        expect(await findRate("USD", "SAR", day("03-20"), "c2")).toBe(3.7512);
+    });
+
+    test("inverts the opposite pair and refuses a missing one", async () => {
+        expect(await findRate("EUR", "SAR", day("02-01"))).toBe(4);
+        await expect(getRate("GBP", "SAR", day("02-01"))).rejects.toMatchObject({ statusCode: 422 });
+        await expect(resolveDocumentCurrency("usd", "c1", day("02-01"))).resolves.toEqual({ currency: "USD", baseCurrency: "SAR", exchangeRate: 3.75 });
+    });
+
+    test("base amounts are rounded to the cent", () => {
+        expect(toBase(333.33, 3.7512)).toBe(1250.39);
+        expect(toBase(333.33, 3.75)).toBe(1249.99);
+        expect(toBase(null, 3.75)).toBe(0);
+        expect(toBase(100, null)).toBe(100);
+    });
+});
+
+describe("realized FX on payment", () => {
+    beforeEach(() => {
+        // Booked at the January rate of 3.75
+        mockDb._seed("supplierInvoice", [{
+            id: "inv-1", invoice_number: "INV-1", po_id: null, company_id: "c1", currency: "USD", exchange_rate: 3.75,
+            amount: 1000, total_amount: 1000, status: "pending", match_status: "unmatched",
+        }]);
+    });
+
+    test("a payment at a higher rate books the rounded loss in base currency", async () => {
+        const payment = await processPayment({ invoiceId: "inv-1", amount: 333.33, paymentDate: day("02-10") });
+        expect(Number(payment.fx_gain_loss)).toBe(0);
+
+        const later = await processPayment({ invoiceId: "inv-1", amount: 333.33, paymentDate: day("03-10") });
+
+        // 333.33 × 3.75 = 1249.99 booked, 333.33 × 3.76 = 1253.32 paid
+        expect(Number(later.exchange_rate)).toBe(3.76);
+        expect(Number(later.base_amount)).toBe(1253.32);
+        expect(Number(later.fx_gain_loss)).toBe(-3.33);
+        expect(mockDb._row("supplierInvoice", "inv-1").status).toBe("partially_paid");
+    });
+
+    test("a payment in another currency than the invoice is refused", async () => {
+        await expect(processPayment({ invoiceId: "inv-1", amount: 100, currency: "SAR", paymentDate: day("03-10") }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(mockDb._rows("supplierPayment")).toHaveLength(0);
+    });
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Relations and seed data for approval engine tests (see fakePrisma.js).
+ */
+
+const { belongsTo, hasMany } = require("./relations");
+
+const approvalRelations = {
+    approvalRequest: {
+        approval_steps: hasMany("approvalStep", "approval_request_id"),
+        department: belongsTo("department", "department_id"),
+        project: belongsTo("project", "project_id"),
+    },
+    approvalStep: { roles: belongsTo("role", "role_id") },
+    approvalMatrix: { roles: belongsTo("role", "role_id") },
+    user: { roles: belongsTo("role", "role_id"), departments: belongsTo("department", "department_id") },
+};
+
+/**
+ * Company c1 with a requester, two committee members and a finance approver; the
+ * only super admin belongs to another company (c0).
+ */
+function seedApprovalUsers(db) {
+    db._seed("role", [
+        { id: "role-req", code: "site_engineer", is_active: true },
+        { id: "role-pm", code: "project_manager", is_active: true },
+        { id: "role-fin", code: "accounts_manager", is_active: true },
+        { id: "role-sa", code: "super_admin", is_active: true },
+    ]);
+    const user = (id, roleId, companyId = "c1") => ({
+        id, company_id: companyId, role_id: roleId, department_id: null, manager_id: null, is_active: true, deleted_at: null,
+    });
+    db._seed("user", [
+        user("u-req", "role-req"),
+        user("u-pm1", "role-pm"),
+        user("u-pm2", "role-pm"),
+        user("u-fin", "role-fin"),
+        user("u-sa", "role-sa", "c0"),
+    ]);
+}
+
+/**
+ * An in-progress PR request whose first group is a two-seat committee
+ * (rule ALL / ANY) followed by a single finance step.
+ */
+function seedCommitteeRequest(db, { id = "req-1", rule = "ALL" } = {}) {
+    db._seed("approvalRequest", [{
+        id, doc_type: "PR", doc_id: `doc-${id}`, company_id: "c1", project_id: null, requested_by: "u-req",
+        department_id: null, current_status: "in_progress", total_steps: 2, current_step: 1, amount: 1000,
+        is_completed: false, revision: 1,
+    }]);
+    const step = (n, order, roleId, approver, parallel) => ({
+        id: `${id}-s${n}`, approval_request_id: id, step_order: order, role_id: roleId, approver_user: approver,
+        status: "pending", is_parallel: parallel, approval_rule: parallel ? rule : "ALL", quorum_count: null,
+    });
+    db._seed("approvalStep", [
+        step(1, 1, "role-pm", "u-pm1", true),
+        step(2, 1, "role-pm", "u-pm2", true),
+        step(3, 2, "role-fin", "u-fin", false),
+    ]);
+}
+
+module.exports = { approvalRelations, seedApprovalUsers, seedCommitteeRequest };
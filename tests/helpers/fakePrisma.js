@@ -0,0 +1,308 @@
+"use strict";
+
+/**
+ * In-memory Prisma stand-in for service tests.
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Covers the subset of the client the services use: find / count / create /
+ * update / upsert / delete (single and many; nested `create` through hasMany
+ * relations), aggregate `_sum`, `$transaction` (callback and array form,
+ * callbacks serialized) and raw `SELECT … FOR UPDATE` locks (recorded in
+ * `db._locks`, no rows returned).
+ *
+ * Rows are plain objects in `db._tables[model]`. Relation filters and includes
+ * are resolved through `relations`:
+ *   { model: { field: { model: "relatedModel", resolve: (row, db) => row | rows | null } } }
+ * Column defaults the services rely on go in `defaults`:
+ *   { paymentRun: { status: "draft" } }
+ *
+ *   const db = createFakePrisma({ relations, defaults });
+ *   db._seed("inventoryStock", [{ id: "s1", quantity: 10 }]);
+ *   jest.mock("../../src/db", () => db)   // via a mock-prefixed variable
+ */
+
+let seq = 0;
+const nextId = (model) => `${model}-${String(++seq).padStart(6, "0")}`;
+
+const OPERATORS = ["equals", "in", "notIn", "not", "lt", "lte", "gt", "gte", "contains", "startsWith", "endsWith", "mode"];
+
+const toComparable = (v) => (v instanceof Date ? v.getTime() : v);
+
+function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !(v instanceof Date) && !Array.isArray(v);
+}
+
+function isOperatorObject(v) {
+    return isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every((k) => OPERATORS.includes(k));
+}
+
+function numericOrRaw(v) {
+    if (v === null || v === undefined || v instanceof Date || typeof v === "boolean") return toComparable(v);
+    const n = Number(v);
+    return typeof v === "string" && (v === "" || Number.isNaN(n)) ? v : n;
+}
+
+function matchScalar(value, cond) {
+    if (!isOperatorObject(cond)) {
+        if (cond === null) return value === null || value === undefined;
+        if (cond instanceof Date) return toComparable(value) === cond.getTime();
+        return value === cond || (typeof cond === "number" && value !== null && value !== undefined && Number(value) === cond);
+    }
+    return Object.entries(cond).every(([op, arg]) => {
+        const a = numericOrRaw(value);
+        const b = numericOrRaw(arg);
+        switch (op) {
+            case "equals": return matchScalar(value, arg);
+            case "in": return arg.some((x) => matchScalar(value, x));
+            case "notIn": return !arg.some((x) => matchScalar(value, x));
+            case "not": return !matchScalar(value, arg);
+            case "lt": return value !== null && value !== undefined && a < b;
+            case "lte": return value !== null && value !== undefined && a <= b;
+            case "gt": return value !== null && value !== undefined && a > b;
+            case "gte": return value !== null && value !== undefined && a >= b;
+            case "contains": return String(value ?? "").includes(arg);
+            case "startsWith": return String(value ?? "").startsWith(arg);
+            case "endsWith": return String(value ?? "").endsWith(arg);
+            default: return true;
+        }
+    });
+}
+
+function createFakePrisma({ relations = {}, defaults = {} } = {}) {
+    const tables = {};
+    const locks = [];
+    const table = (model) => (tables[model] = tables[model] || []);
+
+    function related(model, row, field) {
+        const relation = relations[model]?.[field];
+        return relation ? relation.resolve(row, db) : undefined;
+    }
+
+    function matches(model, row, where = {}) {
+        if (!where) return true;
+        return Object.entries(where).every(([key, cond]) => {
+            if (cond === undefined) return true;
+            if (key === "AND") return [].concat(cond).every((w) => matches(model, row, w));
+            if (key === "OR") return cond.some((w) => matches(model, row, w));
+            if (key === "NOT") return ![].concat(cond).some((w) => matches(model, row, w));
+
+            if (relations[model]?.[key]) {
+                const target = related(model, row, key);
+                const targetModel = relations[model][key].model;
+                if (Array.isArray(target)) {
+                    if (cond.some) return target.some((r) => matches(targetModel, r, cond.some));
+                    if (cond.every) return target.every((r) => matches(targetModel, r, cond.every));
+                    if (cond.none) return !target.some((r) => matches(targetModel, r, cond.none));
+                    return true;
+                }
+                if (cond === null) return !target;
+                if (cond.is !== undefined) return cond.is === null ? !target : !!target && matches(targetModel, target, cond.is);
+                if (cond.isNot !== undefined) return cond.isNot === null ? !!target : !target || !matches(targetModel, target, cond.isNot);
+                return !!target && matches(targetModel, target, cond);
+            }
+
+            // Compound unique key, e.g. { store_id_item_id: { store_id, item_id } }
+            if (isPlainObject(cond) && !isOperatorObject(cond) && !(key in row)) {
+                return Object.entries(cond).every(([k, v]) => matchScalar(row[k], v));
+            }
+            return matchScalar(row[key], cond);
+        });
+    }
+
+    function applyData(row, data) {
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            if (isPlainObject(value) && "increment" in value) row[key] = Number(row[key] || 0) + Number(value.increment);
+            else if (isPlainObject(value) && "decrement" in value) row[key] = Number(row[key] || 0) - Number(value.decrement);
+            else if (isPlainObject(value) && "multiply" in value) row[key] = Number(row[key] || 0) * Number(value.multiply);
+            else if (isPlainObject(value) && "set" in value) row[key] = value.set;
+            else if (isPlainObject(value) && ("connect" in value || "create" in value || "disconnect" in value)) continue;
+            else row[key] = value;
+        }
+        return row;
+    }
+
+    function project(model, row, { select, include } = {}) {
+        if (!row) return row;
+        const out = { ...row };
+        const shape = include || select;
+        if (shape) {
+            for (const [key, spec] of Object.entries(shape)) {
+                if (!spec || !relations[model]?.[key]) continue;
+                const targetModel = relations[model][key].model;
+                let value = related(model, row, key);
+                const opts = spec === true ? {} : spec;
+                if (Array.isArray(value)) {
+                    value = value.filter((r) => matches(targetModel, r, opts.where)).map((r) => project(targetModel, r, opts));
+                } else if (value) {
+                    value = project(targetModel, value, opts);
+                }
+                out[key] = value ?? null;
+            }
+        }
+        return out;
+    }
+
+    function sortRows(rows, orderBy) {
+        if (!orderBy) return rows;
+        const keys = [].concat(orderBy).flatMap((o) => Object.entries(o));
+        return [...rows].sort((a, b) => {
+            for (const [key, dir] of keys) {
+                if (isPlainObject(dir)) continue;
+                const x = numericOrRaw(a[key]);
+                const y = numericOrRaw(b[key]);
+                if (x === y) continue;
+                if (x === null || x === undefined) return 1;
+                if (y === null || y === undefined) return -1;
+                return (x < y ? -1 : 1) * (dir === "desc" ? -1 : 1);
+            }
+            return 0;
+        });
+    }
+
+    function findRows(model, args = {}) {
+        let rows = sortRows(table(model).filter((r) => matches(model, r, args.where)), args.orderBy);
+        if (args.skip) rows = rows.slice(args.skip);
+        if (args.take !== undefined) rows = rows.slice(0, args.take);
+        return rows;
+    }
+
+    function createRow(model, data) {
+        const row = { id: data.id || nextId(model), created_at: new Date(), updated_at: new Date(), ...defaults[model] };
+        applyData(row, data);
+        table(model).push(row);
+        for (const [field, value] of Object.entries(data)) {
+            const relation = relations[model]?.[field];
+            if (!relation?.foreignKey || !isPlainObject(value) || !value.create) continue;
+            [].concat(value.create).forEach((child) => createRow(relation.model, { ...child, [relation.foreignKey]: row.id }));
+        }
+        return row;
+    }
+
+    function notFound(model) {
+        const err = new Error(`No ${model} record found`);
+        err.code = "P2025";
+        return err;
+    }
+
+    function delegate(model) {
+        return {
+            findMany: async (args = {}) => findRows(model, args).map((r) => project(model, r, args)),
+            findFirst: async (args = {}) => project(model, findRows(model, args)[0] || null, args),
+            findUnique: async (args = {}) => project(model, findRows(model, args)[0] || null, args),
+            findFirstOrThrow: async (args = {}) => {
+                const row = findRows(model, args)[0];
+                if (!row) throw notFound(model);
+                return project(model, row, args);
+            },
+            findUniqueOrThrow: async (args = {}) => {
+                const row = findRows(model, args)[0];
+                if (!row) throw notFound(model);
+                return project(model, row, args);
+            },
+            count: async (args = {}) => findRows(model, args).length,
+            create: async (args) => project(model, createRow(model, args.data), args),
+            createMany: async ({ data }) => {
+                [].concat(data).forEach((d) => createRow(model, d));
+                return { count: [].concat(data).length };
+            },
+            update: async (args) => {
+                const row = findRows(model, { where: args.where })[0];
+                if (!row) throw notFound(model);
+                applyData(row, { ...args.data, updated_at: args.data.updated_at || new Date() });
+                return project(model, row, args);
+            },
+            updateMany: async ({ where, data }) => {
+                const rows = findRows(model, { where });
+                rows.forEach((r) => applyData(r, data));
+                return { count: rows.length };
+            },
+            upsert: async (args) => {
+                const row = findRows(model, { where: args.where })[0];
+                if (row) return project(model, applyData(row, args.update), args);
+                return project(model, createRow(model, args.create), args);
+            },
+            delete: async ({ where }) => {
+                const row = findRows(model, { where })[0];
+                if (!row) throw notFound(model);
+                tables[model] = table(model).filter((r) => r !== row);
+                return row;
+            },
+            deleteMany: async ({ where } = {}) => {
+                const rows = findRows(model, { where });
+                tables[model] = table(model).filter((r) => !rows.includes(r));
+                return { count: rows.length };
+            },
+            aggregate: async ({ where, _sum = {}, _count, _max = {}, _min = {} }) => {
+                const rows = findRows(model, { where });
+                const agg = (fields, fn) => Object.fromEntries(Object.keys(fields).map((f) => {
+                    const values = rows.map((r) => r[f]).filter((v) => v !== null && v !== undefined);
+                    return [f, values.length ? fn(values) : null];
+                }));
+                return {
+                    _sum: agg(_sum, (v) => v.reduce((s, x) => s + Number(x), 0)),
+                    _max: agg(_max, (v) => v.reduce((m, x) => (toComparable(x) > toComparable(m) ? x : m))),
+                    _min: agg(_min, (v) => v.reduce((m, x) => (toComparable(x) < toComparable(m) ? x : m))),
+                    ...(_count && { _count: rows.length }),
+                };
+            },
+            groupBy: async ({ by, where, _sum = {} }) => {
+                const groups = new Map();
+                for (const row of findRows(model, { where })) {
+                    const key = JSON.stringify(by.map((f) => row[f]));
+                    if (!groups.has(key)) groups.set(key, { ...Object.fromEntries(by.map((f) => [f, row[f]])), _rows: [] });
+                    groups.get(key)._rows.push(row);
+                }
+                return [...groups.values()].map(({ _rows, ...g }) => ({
+                    ...g,
+                    _sum: Object.fromEntries(Object.keys(_sum).map((f) => [f, _rows.reduce((s, r) => s + Number(r[f] || 0), 0)])),
+                    _count: { _all: _rows.length },
+                }));
+            },
+        };
+    }
+
+    const db = new Proxy({
+        _tables: tables,
+        _locks: locks,
+        _seed(model, rows) {
+            rows.forEach((r) => createRow(model, r));
+            return table(model);
+        },
+        _rows: (model) => table(model),
+        _row: (model, id) => table(model).find((r) => r.id === id),
+        // Interactive transactions run one at a time — the coarse equivalent of
+        // the row locks they take. Nested calls on the tx client run inline.
+        $transaction: (arg) => {
+            if (typeof arg !== "function") return Promise.all(arg);
+            const run = txQueue.then(() => arg(txClient));
+            txQueue = run.catch(() => {});
+            return run;
+        },
+        $queryRaw: async (strings, ...values) => {
+            locks.push({ sql: [].concat(strings).join("?"), values });
+            return [];
+        },
+        $executeRaw: async () => 0,
+        $connect: async () => {},
+        $disconnect: async () => {},
+    }, {
+        get(target, prop) {
+            if (prop in target || typeof prop === "symbol" || !/^[a-z][A-Za-z]*$/.test(prop) || prop === "then") return target[prop];
+            target[prop] = delegate(prop);
+            return target[prop];
+        },
+    });
+
+    let txQueue = Promise.resolve();
+    const txClient = new Proxy(db, {
+        get(target, prop) {
+            if (prop === "$transaction") return async (arg) => (typeof arg === "function" ? arg(txClient) : Promise.all(arg));
+            if (prop === "then") return undefined;
+            return target[prop];
+        },
+    });
+
+    return db;
+}
+
+module.exports = { createFakePrisma };
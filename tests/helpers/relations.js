@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Relation builders for fakePrisma.
+ *   belongsTo("role", "role_id")              row.role_id → role row
+ *   hasMany("approvalStep", "approval_request_id") rows pointing at row.id
+ *                                              (nested `create` fills the key)
+ */
+
+const belongsTo = (model, foreignKey) => ({
+    model,
+    resolve: (row, db) => db._rows(model).find((r) => r.id === row[foreignKey]) || null,
+});
+
+const hasMany = (model, foreignKey) => ({
+    model,
+    foreignKey,
+    resolve: (row, db) => db._rows(model).filter((r) => r[foreignKey] === row.id),
+});
+
+module.exports = { belongsTo, hasMany };
@@ -0,0 +1,82 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        wBS: { project: belongsTo("project", "project_id") },
+        costCode: { wbs: belongsTo("wBS", "wbs_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { issueReservation } = require("../../src/modules/inventory/inventory.service");
+
+const user = { id: "u-sk", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", valuation_method: "WAC", base_currency: "SAR" }]);
+    mockDb._seed("project", [{ id: "p-1", company_id: "c1", name: "Tower A" }]);
+    mockDb._seed("wBS", [
+        { id: "w-sub", project_id: "p-1", parent_id: null, wbs_code: "1.1", name: "Substructure" },
+        { id: "w-sup", project_id: "p-1", parent_id: null, wbs_code: "1.2", name: "Superstructure" },
+    ]);
+    mockDb._seed("costCode", [
+        { id: "cc-sub", wbs_id: "w-sub", category: "material", actual_amount: 0, deleted_at: null },
+        { id: "cc-sup", wbs_id: "w-sup", category: "material", actual_amount: 0, deleted_at: null },
+    ]);
+    mockDb._seed("store", [{ id: "st-1", company_id: "c1", name: "Main Store", is_transit: false, is_active: true }]);
+    mockDb._seed("item", [{ id: "it-cement", company_id: "c1", name: "Cement" }]);
+    mockDb._seed("inventoryStock", [
+        { id: "is-1", company_id: "c1", store_id: "st-1", item_id: "it-cement", quantity: 10, reserved_qty: 6, total_value: 1000 },
+    ]);
+});
+
+function seedReservation(wbsId) {
+    mockDb._seed("inventoryPlanningRequest", [{
+        id: "res-1", company_id: "c1", project_id: "p-1", wbs_id: wbsId, store_id: "st-1", item_id: "it-cement",
+        quantity: 6, issued_qty: 0, reservation_status: "RESERVED", expires_at: null, deleted_at: null,
+    }]);
+}
+
+describe("issuing a reservation", () => {
+    test("a reservation with a WBS is issued against it and charges its material cost code", async () => {
+        seedReservation("w-sub");
+
+        const issue = await issueReservation("res-1", {}, user);
+
+        expect(issue.wbs_id).toBe("w-sub");
+        expect(mockDb._rows("materialIssueItem")).toEqual([expect.objectContaining({ quantity: 6, cost_code_id: "cc-sub", reservation_id: "res-1" })]);
+        expect(Number(mockDb._row("costCode", "cc-sub").actual_amount)).toBe(600);
+        expect(mockDb._row("inventoryPlanningRequest", "res-1").reservation_status).toBe("ISSUED");
+    });
+
+    test("a reservation with a WBS refuses another one", async () => {
+        seedReservation("w-sub");
+
+        await expect(issueReservation("res-1", { wbsId: "w-sup" }, user)).rejects.toMatchObject({ statusCode: 422 });
+        expect(mockDb._rows("materialIssue")).toHaveLength(0);
+    });
+
+    test("a reservation without a WBS is issued against the WBS the caller names", async () => {
+        seedReservation(null);
+
+        const issue = await issueReservation("res-1", { wbsId: "w-sup", quantity: 4 }, user);
+
+        expect(issue.wbs_id).toBe("w-sup");
+        expect(Number(mockDb._row("costCode", "cc-sup").actual_amount)).toBe(400);
+        expect(Number(mockDb._row("inventoryPlanningRequest", "res-1").issued_qty)).toBe(4);
+        expect(Number(mockDb._row("inventoryStock", "is-1").reserved_qty)).toBe(2);
+    });
+
+    test("a reservation without a WBS needs one from the caller", async () => {
+        seedReservation(null);
+
+        await expect(issueReservation("res-1", {}, user)).rejects.toMatchObject({
+            statusCode: 422,
+            message: "Reservation has no WBS; wbsId is required",
+        });
+    });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        reorderLevel: { store: belongsTo("store", "store_id") },
+        purchaseOrder: { requisition: belongsTo("purchaseRequisition", "requisition_id") },
+        purchaseOrderItem: { purchase_order: belongsTo("purchaseOrder", "purchase_order_id") },
+        purchaseRequisition: {
+            purchaseRequisitionItems: hasMany("purchaseRequisitionItem", "requisition_id"),
+            purchase_orders: hasMany("purchaseOrder", "requisition_id"),
+        },
+        purchaseRequisitionItem: { requisition: belongsTo("purchaseRequisition", "requisition_id") },
+        user: { roles: belongsTo("role", "role_id") },
+    },
+    defaults: { purchaseRequisition: { deleted_at: null } },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { runReplenishment } = require("../../src/modules/inventory/replenishment.service");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("role", [{ id: "role-sk", code: "storekeeper" }]);
+    mockDb._seed("user", [{ id: "u-sk", company_id: "c1", role_id: "role-sk", is_active: true, deleted_at: null }]);
+    mockDb._seed("store", [{ id: "st-1", company_id: "c1", name: "Main Store", is_active: true, is_transit: false, deleted_at: null }]);
+    mockDb._seed("item", [
+        { id: "it-cement", name: "Cement", standard_price: 20 },
+        { id: "it-sand", name: "Sand", standard_price: 5 },
+        { id: "it-steel", name: "Steel", standard_price: 300 },
+    ]);
+    const level = (itemId, min, rop, max, lead) => ({
+        id: `rl-${itemId}`, company_id: "c1", store_id: "st-1", item_id: itemId,
+        min_qty: min, reorder_point: rop, max_qty: max, lead_time_days: lead, is_active: true,
+    });
+    mockDb._seed("reorderLevel", [level("it-cement", 20, 50, 200, 7), level("it-sand", 10, 30, 100, 3), level("it-steel", 5, 40, 120, 14)]);
+    const stock = (itemId, quantity, reserved) => ({ company_id: "c1", store_id: "st-1", item_id: itemId, quantity, reserved_qty: reserved, total_value: 0 });
+    mockDb._seed("inventoryStock", [stock("it-cement", 30, 15), stock("it-sand", 5, 0), stock("it-steel", 10, 0)]);
+
+    // Cement: an earlier replenishment PO for 40, 10 received → 30 on order
+    mockDb._seed("purchaseRequisition", [
+        { id: "pr-old", company_id: "c1", store_id: "st-1", status: "approved_for_rfq" },
+        // Steel: a submitted replenishment PR for 35 without a PO yet
+        { id: "pr-steel", company_id: "c1", store_id: "st-1", status: "submitted" },
+    ]);
+    mockDb._seed("purchaseRequisitionItem", [
+        { id: "pri-old", requisition_id: "pr-old", item_id: "it-cement", quantity: 40 },
+        { id: "pri-steel", requisition_id: "pr-steel", item_id: "it-steel", quantity: 35 },
+    ]);
+    mockDb._seed("purchaseOrder", [{ id: "po-old", company_id: "c1", requisition_id: "pr-old", status: "issued", deleted_at: null }]);
+    mockDb._seed("purchaseOrderItem", [{ id: "poi-old", purchase_order_id: "po-old", item_id: "it-cement", quantity: 40, received_quantity: 10 }]);
+});
+
+const draftLines = () => {
+    const draft = mockDb._rows("purchaseRequisition").find((p) => p.status === "draft");
+    return mockDb._rows("purchaseRequisitionItem").filter((l) => l.requisition_id === draft.id);
+};
+
+describe("replenishment run", () => {
+    test("drafts max − (on hand + on order − reserved + requested) for items at or below the reorder point", async () => {
+        const totals = await runReplenishment({ companyId: "c1" });
+
+        expect(totals).toMatchObject({ levels: 3, due: 2, drafted: 1, lines: 2, errorCount: 0 });
+        const lines = Object.fromEntries(draftLines().map((l) => [l.item_id, l]));
+        // Cement: 30 + 30 − 15 = 45 ≤ 50 → 200 − 45
+        expect(lines["it-cement"]).toMatchObject({ quantity: 155, estimated_total_price: 3100 });
+        // Sand: 5 is below the minimum of 10 → 100 − 5, urgent
+        expect(lines["it-sand"]).toMatchObject({ quantity: 95 });
+        expect(lines["it-sand"].remarks).toMatch(/^URGENT: below minimum 10/);
+        // Steel: 10 + 35 requested = 45 > 40 → nothing
+        expect(lines["it-steel"]).toBeUndefined();
+        expect(mockDb._rows("notification").map((n) => n.user_id)).toEqual(["u-sk"]);
+    });
+
+    test("required dates follow each item's lead time", async () => {
+        await runReplenishment({ companyId: "c1" });
+
+        const now = new Date();
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        const days = (l) => (l.required_date.getTime() - today) / (24 * 60 * 60 * 1000);
+        expect(Object.fromEntries(draftLines().map((l) => [l.item_id, days(l)]))).toEqual({ "it-cement": 7, "it-sand": 3 });
+    });
+
+    test("the next run counts the draft as requested and orders nothing twice", async () => {
+        await runReplenishment({ companyId: "c1" });
+        mockDb._row("inventoryStock", mockDb._rows("inventoryStock").find((s) => s.item_id === "it-steel").id).quantity = 2;
+
+        const totals = await runReplenishment({ companyId: "c1" });
+
+        // Only steel is newly due: 2 + 35 = 37 ≤ 40 → 120 − 37, added to the same draft
+        expect(totals).toMatchObject({ due: 1, drafted: 0, extended: 1, lines: 1 });
+        expect(draftLines().find((l) => l.item_id === "it-steel")).toMatchObject({ quantity: 83 });
+        expect(mockDb._rows("purchaseRequisition").filter((p) => p.status === "draft")).toHaveLength(1);
+    });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        stockTransfer: { items: hasMany("stockTransferItem", "transfer_id") },
+        stockTransferItem: { item: belongsTo("item", "item_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { dispatchTransfer } = require("../../src/modules/inventory/transfers.service");
+
+const user = { id: "u-sk", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", valuation_method: "WAC", base_currency: "SAR" }]);
+    mockDb._seed("store", [
+        { id: "st-1", company_id: "c1", name: "Main Store", is_transit: false, is_active: true },
+        { id: "st-2", company_id: "c1", name: "Site Store", is_transit: false, is_active: true },
+    ]);
+    mockDb._seed("item", [{ id: "it-cement", name: "Cement" }]);
+    // 6 of the 10 bags are reserved for a project
+    mockDb._seed("inventoryStock", [
+        { id: "is-1", company_id: "c1", store_id: "st-1", item_id: "it-cement", quantity: 10, reserved_qty: 6, total_value: 1000 },
+    ]);
+});
+
+function seedTransfer(quantity) {
+    mockDb._seed("stockTransfer", [{ id: "trf-1", transfer_no: "TRF-1", company_id: "c1", from_store_id: "st-1", to_store_id: "st-2", status: "draft" }]);
+    mockDb._seed("stockTransferItem", [{ id: "trfi-1", transfer_id: "trf-1", item_id: "it-cement", qty_dispatched: quantity, qty_received: 0, qty_lost: 0 }]);
+}
+
+const stockAt = (storeId) => Number(mockDb._rows("inventoryStock").find((s) => s.store_id === storeId && s.item_id === "it-cement")?.quantity ?? 0);
+
+describe("reserved stock", () => {
+    test("a transfer cannot take stock reserved for a project", async () => {
+        seedTransfer(5);
+
+        await expect(dispatchTransfer("trf-1", {}, user)).rejects.toMatchObject({
+            statusCode: 422,
+            message: expect.stringContaining("available 4 (6 of 10 reserved)"),
+        });
+        expect(stockAt("st-1")).toBe(10);
+        expect(mockDb._rows("stockLedger")).toHaveLength(0);
+    });
+
+    test("a transfer can take the free stock", async () => {
+        seedTransfer(4);
+
+        await dispatchTransfer("trf-1", {}, user);
+
+        expect(stockAt("st-1")).toBe(6);
+        expect(Number(mockDb._row("inventoryStock", "is-1").reserved_qty)).toBe(6);
+    });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        stockTake: { store: belongsTo("store", "store_id"), lines: hasMany("stockTakeLine", "stock_take_id") },
+        stockTakeLine: { item: belongsTo("item", "item_id"), stock_take: belongsTo("stockTake", "stock_take_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { postInbound, postOutbound } = require("../../src/modules/inventory/valuation.service");
+const { submitStockTake } = require("../../src/modules/inventory/stockTakes.service");
+
+const user = { id: "u-sk", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+const move = (itemId, extra = {}) => ({ companyId: "c1", storeId: "st-1", itemId, quantity: 2, referenceId: "ref-1", userId: "u-sk", method: "WAC", ...extra });
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", valuation_method: "WAC", base_currency: "SAR" }]);
+    mockDb._seed("store", [{ id: "st-1", company_id: "c1", name: "Main Store", is_transit: false }]);
+    mockDb._seed("item", [{ id: "it-cement", name: "Cement" }, { id: "it-sand", name: "Sand" }]);
+    mockDb._seed("inventoryStock", [
+        { id: "is-1", company_id: "c1", store_id: "st-1", item_id: "it-cement", quantity: 10, reserved_qty: 0, total_value: 1000 },
+        { id: "is-2", company_id: "c1", store_id: "st-1", item_id: "it-sand", quantity: 10, reserved_qty: 0, total_value: 200 },
+    ]);
+});
+
+function seedSession(scope, counted = null) {
+    mockDb._seed("stockTake", [{ id: "stk-1", company_id: "c1", count_no: "STK-1", store_id: "st-1", scope, blind: false, status: "counting", created_by: "u-sk" }]);
+    mockDb._seed("stockTakeLine", [{ id: "stl-1", stock_take_id: "stk-1", item_id: "it-cement", snapshot_qty: 10, snapshot_value: 1000, unit_cost: 100, counted_qty: counted }]);
+}
+
+const onHand = (itemId) => Number(mockDb._rows("inventoryStock").find((s) => s.item_id === itemId).quantity);
+
+describe("stock-take freeze", () => {
+    test("an item being cycle counted cannot be issued or received", async () => {
+        seedSession("cycle");
+
+        await expect(mockDb.$transaction((tx) => postOutbound(tx, move("it-cement", { moveType: "ISSUE_OUT" }))))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(mockDb.$transaction((tx) => postInbound(tx, move("it-cement", { moveType: "GRN_IN", unitCost: 100 }))))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(onHand("it-cement")).toBe(10);
+    });
+
+    test("other items of the store keep moving during a cycle count", async () => {
+        seedSession("cycle");
+
+        await mockDb.$transaction((tx) => postOutbound(tx, move("it-sand", { moveType: "ISSUE_OUT" })));
+
+        expect(onHand("it-sand")).toBe(8);
+    });
+
+    test("a full count freezes every item of the store", async () => {
+        seedSession("full");
+
+        await expect(mockDb.$transaction((tx) => postOutbound(tx, move("it-sand", { moveType: "TRANSFER_OUT" }))))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test("submitting posts the variance against the frozen book quantity and lifts the freeze", async () => {
+        seedSession("cycle", 8);
+
+        const take = await submitStockTake("stk-1", {}, user);
+
+        expect(take.status).toBe("posted");
+        expect(onHand("it-cement")).toBe(8);
+        expect(mockDb._rows("stockLedger").map((l) => [l.move_type, Number(l.quantity)])).toEqual([["ADJUST_OUT", 2]]);
+
+        await mockDb.$transaction((tx) => postOutbound(tx, move("it-cement", { moveType: "ISSUE_OUT" })));
+        expect(onHand("it-cement")).toBe(6);
+    });
+
+    test("a shortfall is written off even when the missing stock was reserved", async () => {
+        mockDb._row("inventoryStock", "is-1").reserved_qty = 6;
+        seedSession("cycle", 2);
+
+        const take = await submitStockTake("stk-1", {}, user);
+
+        expect(take.status).toBe("posted");
+        expect(onHand("it-cement")).toBe(2);
+    });
+});
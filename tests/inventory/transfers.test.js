@@ -0,0 +1,85 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        stockTransfer: { items: hasMany("stockTransferItem", "transfer_id") },
+        stockTransferItem: { item: belongsTo("item", "item_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { dispatchTransfer, receiveTransfer } = require("../../src/modules/inventory/transfers.service");
+
+const user = { id: "u-sk", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", valuation_method: "WAC", base_currency: "SAR" }]);
+    mockDb._seed("store", [
+        { id: "st-1", company_id: "c1", name: "Main Store", is_transit: false, is_active: true },
+        { id: "st-2", company_id: "c1", name: "Site Store", is_transit: false, is_active: true },
+    ]);
+    mockDb._seed("item", [{ id: "it-cement", name: "Cement" }]);
+    // 9 bags worth 1,000 — an average that does not divide evenly
+    mockDb._seed("inventoryStock", [
+        { id: "is-1", company_id: "c1", store_id: "st-1", item_id: "it-cement", quantity: 9, reserved_qty: 0, total_value: 1000 },
+    ]);
+    mockDb._seed("stockTransfer", [{ id: "trf-1", transfer_no: "TRF-1", company_id: "c1", from_store_id: "st-1", to_store_id: "st-2", status: "draft" }]);
+    mockDb._seed("stockTransferItem", [{ id: "trfi-1", transfer_id: "trf-1", item_id: "it-cement", qty_dispatched: 4, qty_received: 0, qty_lost: 0 }]);
+});
+
+const transitStore = () => mockDb._rows("store").find((s) => s.is_transit);
+const stockAt = (storeId) => {
+    const row = mockDb._rows("inventoryStock").find((s) => s.store_id === storeId && s.item_id === "it-cement");
+    return row ? [Number(row.quantity), Math.round(Number(row.total_value) * 100) / 100] : [0, 0];
+};
+const ledger = (moveType) => mockDb._rows("stockLedger").filter((l) => l.move_type === moveType).map((l) => [Number(l.quantity), Number(l.total_cost)]);
+
+describe("stock transfer valuation", () => {
+    test("dispatch carries the source cost into the in-transit store", async () => {
+        const transfer = await dispatchTransfer("trf-1", {}, user);
+
+        expect(transfer.status).toBe("in_transit");
+        expect(stockAt("st-1")).toEqual([5, 555.56]);
+        expect(stockAt(transitStore().id)).toEqual([4, 444.44]);
+        expect(ledger("TRANSFER_OUT")).toEqual([[4, 444.44]]);
+        expect(ledger("TRANSFER_IN")).toEqual([[4, 444.44]]);
+    });
+
+    test("a partial receipt moves its share on and leaves the rest in transit", async () => {
+        await dispatchTransfer("trf-1", {}, user);
+
+        const transfer = await receiveTransfer("trf-1", { items: [{ transferItemId: "trfi-1", qtyReceived: 3 }] }, user);
+
+        expect(transfer.status).toBe("partially_received");
+        expect(stockAt("st-2")).toEqual([3, 333.33]);
+        expect(stockAt(transitStore().id)).toEqual([1, 111.11]);
+    });
+
+    test("the transit loss writes off exactly the value still on the road", async () => {
+        await dispatchTransfer("trf-1", {}, user);
+        await receiveTransfer("trf-1", { items: [{ transferItemId: "trfi-1", qtyReceived: 3 }] }, user);
+
+        const transfer = await receiveTransfer("trf-1", {
+            items: [{ transferItemId: "trfi-1", qtyLost: 1, lossReason: "Bag torn in transit" }],
+        }, user);
+
+        expect(transfer.status).toBe("received");
+        expect(stockAt(transitStore().id)).toEqual([0, 0]);
+        expect(ledger("TRANSIT_LOSS")).toEqual([[1, 111.11]]);
+        // Nothing is created or lost in value: 555.56 + 333.33 + 111.11 = 1,000
+        expect(stockAt("st-1")[1] + stockAt("st-2")[1] + ledger("TRANSIT_LOSS")[0][1]).toBeCloseTo(1000, 2);
+        expect(mockDb._rows("stockTransferReceiptItem").find((r) => r.qty_lost > 0).loss_reason).toBe("Bag torn in transit");
+    });
+
+    test("a receipt cannot settle more than is in transit", async () => {
+        await dispatchTransfer("trf-1", {}, user);
+
+        await expect(receiveTransfer("trf-1", { items: [{ transferItemId: "trfi-1", qtyReceived: 3, qtyLost: 2 }] }, user))
+            .rejects.toMatchObject({ statusCode: 422 });
+        expect(stockAt(transitStore().id)).toEqual([4, 444.44]);
+    });
+});
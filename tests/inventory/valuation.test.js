@@ -0,0 +1,126 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+
+const mockDb = createFakePrisma();
+jest.mock("../../src/db", () => mockDb);
+
+const { postInbound, postOutbound } = require("../../src/modules/inventory/valuation.service");
+
+const move = (extra) => ({ companyId: "c1", storeId: "st-1", itemId: "it-rebar", referenceId: "ref-1", userId: "u-sk", ...extra });
+const issue = (quantity, extra = {}) => mockDb.$transaction((tx) => postOutbound(tx, move({ moveType: "ISSUE_OUT", quantity, ...extra })));
+const receive = (quantity, unitCost) => mockDb.$transaction((tx) => postInbound(tx, move({ moveType: "GRN_IN", quantity, unitCost })));
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+});
+
+function seedStock(method, quantity, totalValue, extra = {}) {
+    mockDb._seed("company", [{ id: "c1", valuation_method: method, base_currency: "SAR" }]);
+    mockDb._seed("inventoryStock", [{
+        id: "is-1", company_id: "c1", store_id: "st-1", item_id: "it-rebar", quantity, reserved_qty: 0, total_value: totalValue, ...extra,
+    }]);
+}
+
+function seedLayers(layers) {
+    mockDb._seed("inventoryCostLayer", layers.map(([qty, unitCost], i) => ({
+        id: `layer-${i + 1}`, company_id: "c1", store_id: "st-1", item_id: "it-rebar",
+        qty_in: qty, qty_remaining: qty, unit_cost: unitCost, received_at: new Date(Date.UTC(2026, 0, i + 1)),
+    })));
+}
+
+const stock = () => {
+    const row = mockDb._row("inventoryStock", "is-1");
+    return [Number(row.quantity), Math.round(Number(row.total_value) * 100) / 100];
+};
+const remaining = () => mockDb._rows("inventoryCostLayer").map((l) => Number(l.qty_remaining));
+
+describe("weighted average cost", () => {
+    test("receipts re-average and issues go out at the average", async () => {
+        seedStock("WAC", 10, 1000);
+        await receive(5, 130);
+
+        const out = await issue(3);
+
+        expect(out.totalCost).toBe(330);
+        expect(out.unitCost).toBe(110);
+        expect(stock()).toEqual([12, 1320]);
+    });
+
+    test("the last unit takes exactly the value that is left", async () => {
+        seedStock("WAC", 3, 100);
+
+        const costs = [];
+        for (let i = 0; i < 3; i++) costs.push((await issue(1)).totalCost);
+
+        // 100 / 3, then 66.67 / 2 re-averaged, then whatever is left
+        expect(costs).toEqual([33.33, 33.34, 33.33]);
+        expect(stock()).toEqual([0, 0]);
+    });
+});
+
+describe("FIFO", () => {
+    test("issues consume the oldest layers first", async () => {
+        seedStock("FIFO", 10, 1100);
+        seedLayers([[5, 100], [5, 120]]);
+
+        const out = await issue(7);
+
+        // 5 × 100 + 2 × 120
+        expect(out.totalCost).toBe(740);
+        expect(remaining()).toEqual([0, 3]);
+        expect(stock()).toEqual([3, 360]);
+    });
+
+    test("stock older than its layers is costed at its own value, not the blended average", async () => {
+        // 2 opening units worth 100 in total sit beside 1,100 of layers
+        seedStock("FIFO", 12, 1200);
+        seedLayers([[5, 100], [5, 120]]);
+
+        const out = await issue(11);
+
+        // 5 × 100 + 5 × 120 + 1 × 50
+        expect(out.totalCost).toBe(1150);
+        expect(stock()).toEqual([1, 50]);
+    });
+
+    test("emptying the store takes its whole value even when the layers say otherwise", async () => {
+        seedStock("FIFO", 2, 250);
+        seedLayers([[2, 100]]);
+
+        const out = await issue(2);
+
+        expect(out.totalCost).toBe(250);
+        expect(stock()).toEqual([0, 0]);
+    });
+
+    test("every receipt opens a layer at its own cost", async () => {
+        seedStock("FIFO", 0, 0);
+        await receive(4, 90);
+        await receive(6, 95.5);
+
+        const out = await issue(5);
+
+        expect(out.totalCost).toBe(455.5);
+        expect(mockDb._rows("inventoryCostLayer").map((l) => [Number(l.unit_cost), Number(l.qty_remaining)])).toEqual([[90, 0], [95.5, 5]]);
+    });
+});
+
+describe("reserved stock", () => {
+    test("an issue cannot take stock reserved for a project", async () => {
+        seedStock("WAC", 10, 1000, { reserved_qty: 6 });
+
+        await expect(issue(5)).rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining("available 4 (6 of 10 reserved)") });
+        expect(stock()).toEqual([10, 1000]);
+        expect(mockDb._rows("stockLedger")).toHaveLength(0);
+    });
+
+    test("a write-off of stock that is gone may take reserved stock", async () => {
+        seedStock("WAC", 10, 1000, { reserved_qty: 6 });
+
+        const out = await mockDb.$transaction((tx) => postOutbound(tx, move({ moveType: "ADJUST_OUT", quantity: 8, allowReserved: true })));
+
+        expect(out.totalCost).toBe(800);
+        expect(stock()).toEqual([2, 200]);
+    });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        paymentRunItem: { run: belongsTo("paymentRun", "run_id"), invoice: belongsTo("supplierInvoice", "invoice_id") },
+        supplierInvoice: { payments: hasMany("supplierPayment", "invoice_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { importStatement } = require("../../src/modules/paymentRuns/paymentRuns.service");
+
+const user = { id: "u-fin", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+const statement = (status = "booked") => `reference,amount,currency,status\nE2E-1,400,SAR,${status}\n`;
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", base_currency: "SAR" }]);
+    mockDb._seed("paymentRun", [{ id: "run-1", run_no: "RUN-1", company_id: "c1", currency: "SAR", status: "exported" }]);
+    mockDb._seed("supplierInvoice", [{
+        id: "inv-1", invoice_number: "INV-1", po_id: null, company_id: "c1", currency: "SAR", exchange_rate: 1,
+        amount: 1000, total_amount: 1000, status: "pending", match_status: "unmatched",
+    }]);
+    mockDb._seed("paymentRunItem", [{ id: "ri-1", run_id: "run-1", invoice_id: "inv-1", end_to_end_id: "E2E-1", amount: 400, status: "exported" }]);
+});
+
+describe("bank statement import", () => {
+    test("a booked entry pays the invoice and completes the run", async () => {
+        const result = await importStatement(statement(), user);
+
+        expect(result.paid).toHaveLength(1);
+        expect(mockDb._rows("supplierPayment")).toHaveLength(1);
+        const item = mockDb._row("paymentRunItem", "ri-1");
+        expect(item.status).toBe("paid");
+        expect(item.payment_id).toBe(mockDb._rows("supplierPayment")[0].id);
+        expect(result.completedRuns).toEqual(["RUN-1"]);
+    });
+
+    test("overlapping imports of the same statement pay the entry once", async () => {
+        const [first, second] = await Promise.all([importStatement(statement(), user), importStatement(statement(), user)]);
+
+        expect(mockDb._rows("supplierPayment")).toHaveLength(1);
+        expect(first.paid.length + second.paid.length).toBe(1);
+        expect([...first.alreadySettled, ...second.alreadySettled]).toEqual([expect.objectContaining({ reference: "E2E-1", status: "paid" })]);
+    });
+
+    test("a rejected entry frees the invoice without a payment", async () => {
+        const result = await importStatement(statement("rejected"), user);
+
+        expect(result.rejected).toHaveLength(1);
+        expect(mockDb._rows("supplierPayment")).toHaveLength(0);
+        expect(mockDb._row("paymentRunItem", "ri-1").status).toBe("rejected");
+    });
+});
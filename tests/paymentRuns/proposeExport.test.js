@@ -0,0 +1,117 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        paymentRun: { items: hasMany("paymentRunItem", "run_id") },
+        paymentRunItem: {
+            run: belongsTo("paymentRun", "run_id"),
+            invoice: belongsTo("supplierInvoice", "invoice_id"),
+            vendor: belongsTo("vendor", "vendor_id"),
+        },
+        supplierInvoice: {
+            payments: hasMany("supplierPayment", "invoice_id"),
+            vendor: belongsTo("vendor", "vendor_id"),
+            payment_run_items: hasMany("paymentRunItem", "invoice_id"),
+        },
+    },
+    defaults: {
+        paymentRun: { status: "draft", export_count: 0, item_count: 0 },
+        paymentRunItem: { status: "proposed" },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { proposeRun, exportRun } = require("../../src/modules/paymentRuns/paymentRuns.service");
+
+const user = { id: "u-fin", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+const today = new Date().toISOString().slice(0, 10);
+const runNoPrefix = `PRUN-${today.replace(/-/g, "")}`;
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._locks.length = 0;
+    mockDb._seed("company", [{ id: "c1", base_currency: "SAR" }]);
+    mockDb._seed("vendor", [{ id: "v-1", name: "Gulf Steel", bank_details: { iban: "SA03 8000 0000 6080 1016 7519" } }]);
+    const invoice = (id, amount) => ({
+        id, invoice_number: id.toUpperCase(), po_id: null, vendor_id: "v-1", company_id: "c1", currency: "SAR", exchange_rate: 1,
+        amount, total_amount: amount, status: "pending", match_status: "unmatched", due_date: new Date(`${today}T00:00:00Z`),
+    });
+    mockDb._seed("supplierInvoice", [invoice("inv-1", 400), invoice("inv-2", 600)]);
+});
+
+const itemsOf = (invoiceId) => mockDb._rows("paymentRunItem").filter((i) => i.invoice_id === invoiceId && i.status !== "withdrawn");
+
+describe("payment run proposal", () => {
+    test("overlapping proposals put each invoice in one run", async () => {
+        const results = await Promise.allSettled([proposeRun({}, user), proposeRun({}, user)]);
+
+        expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+        expect(results.find((r) => r.status === "rejected").reason.statusCode).toBe(409);
+        expect(itemsOf("inv-1")).toHaveLength(1);
+        expect(itemsOf("inv-2")).toHaveLength(1);
+        expect(mockDb._locks.some((l) => l.sql.includes("auth.supplier_invoices"))).toBe(true);
+    });
+
+    test("a run number taken at the same moment is retried with the next one", async () => {
+        const spy = jest.spyOn(mockDb.paymentRun, "create").mockImplementationOnce(async (args) => {
+            // Another proposal committed this number first
+            mockDb._seed("paymentRun", [{ id: "run-other", run_no: args.data.run_no, company_id: "c1", status: "draft" }]);
+            const err = new Error("Unique constraint failed on the fields: (`run_no`)");
+            err.code = "P2002";
+            err.meta = { target: ["run_no"] };
+            throw err;
+        });
+
+        const { run } = await proposeRun({}, user);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(run.run_no).toBe(`${runNoPrefix}-0002`);
+        expect(run.items.map((i) => i.end_to_end_id)).toEqual([`${runNoPrefix}-0002-0001`, `${runNoPrefix}-0002-0002`]);
+        spy.mockRestore();
+    });
+});
+
+describe("payment run export", () => {
+    beforeEach(() => {
+        mockDb._seed("paymentRun", [
+            { id: "run-a", run_no: "PRUN-A", company_id: "c1", currency: "SAR", status: "approved", payment_date: new Date(), export_count: 0 },
+            { id: "run-b", run_no: "PRUN-B", company_id: "c1", currency: "SAR", status: "exported", payment_date: new Date(), export_count: 1 },
+        ]);
+        mockDb._seed("paymentRunItem", [
+            { id: "ri-a1", run_id: "run-a", invoice_id: "inv-1", vendor_id: "v-1", amount: 400, end_to_end_id: "PRUN-A-0001", status: "proposed" },
+            { id: "ri-a2", run_id: "run-a", invoice_id: "inv-2", vendor_id: "v-1", amount: 600, end_to_end_id: "PRUN-A-0002", status: "proposed" },
+            { id: "ri-b1", run_id: "run-b", invoice_id: "inv-1", vendor_id: "v-1", amount: 400, end_to_end_id: "PRUN-B-0001", status: "exported" },
+        ]);
+    });
+
+    test("an invoice already sent to the bank in another run is withdrawn", async () => {
+        const file = await exportRun("run-a", "csv", user);
+
+        expect(file.withdrawn).toEqual([expect.objectContaining({ invoiceNumber: "INV-1", reason: expect.stringContaining("PRUN-B") })]);
+        expect(file.content).toContain("PRUN-A-0002");
+        expect(file.content).not.toContain("PRUN-A-0001");
+        expect(mockDb._row("paymentRunItem", "ri-a1").status).toBe("withdrawn");
+        expect(mockDb._row("paymentRunItem", "ri-a2").status).toBe("exported");
+        expect(Number(mockDb._row("paymentRun", "run-a").total_amount)).toBe(600);
+    });
+
+    test("an invoice paid after the run was loaded is withdrawn under the lock", async () => {
+        mockDb._tables.paymentRunItem.splice(mockDb._tables.paymentRunItem.findIndex((i) => i.id === "ri-b1"), 1);
+        const findMany = mockDb.paymentRunItem.findMany;
+        // The payment commits after the run was loaded for export
+        const spy = jest.spyOn(mockDb.paymentRunItem, "findMany").mockImplementationOnce(async (args) => {
+            mockDb._seed("supplierPayment", [{ id: "pay-1", invoice_id: "inv-2", amount: 600 }]);
+            mockDb._row("supplierInvoice", "inv-2").status = "paid";
+            return findMany(args);
+        });
+
+        const file = await exportRun("run-a", "csv", user);
+
+        expect(file.withdrawn.map((w) => w.invoiceNumber)).toEqual(["INV-2"]);
+        expect(mockDb._row("paymentRunItem", "ri-a1").status).toBe("exported");
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        purchaseOrder: { items: hasMany("purchaseOrderItem", "purchase_order_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { createAmendment } = require("../../src/modules/purchaseOrders/amendments.service");
+
+const user = { id: "u-proc", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("systemSetting", [{ key: "PO_AMENDMENT_APPROVAL_THRESHOLD", company_id: null, value: JSON.stringify({ percent: 50 }) }]);
+    // 15% VAT on a 1,000 net PO
+    mockDb._seed("purchaseOrder", [{
+        id: "po-1", po_number: "PO-1", company_id: "c1", project_id: null, requisition_id: null, status: "issued",
+        exchange_rate: 1, amount: 1000, vat_amount: 150, total_amount: 1150, revision: 0,
+    }]);
+    mockDb._seed("purchaseOrderItem", [{
+        id: "poi-1", purchase_order_id: "po-1", item_id: null, item_name: "Rebar", quantity: 10, received_quantity: 0,
+        unit_price: 100, total_price: 1000, is_service: false,
+    }]);
+});
+
+const po = () => mockDb._row("purchaseOrder", "po-1");
+
+describe("PO amendment totals", () => {
+    test("VAT follows the net amount when a line quantity drops", async () => {
+        const amendment = await createAmendment("po-1", { reason: "Scope reduced", lines: [{ id: "poi-1", quantity: 8 }] }, user);
+
+        expect(amendment.status).toBe("applied");
+        expect(Number(po().amount)).toBe(800);
+        expect(Number(po().vat_amount)).toBe(120);
+        expect(Number(po().total_amount)).toBe(920);
+    });
+
+    test("VAT follows the net amount when a price rises", async () => {
+        await createAmendment("po-1", { reason: "Steel index", lines: [{ id: "poi-1", unit_price: 112.5 }] }, user);
+
+        expect(Number(po().amount)).toBe(1125);
+        expect(Number(po().vat_amount)).toBe(168.75);
+        expect(Number(po().total_amount)).toBe(1293.75);
+    });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        rFQ: { requisition: belongsTo("purchaseRequisition", "requisition_id"), quotes: hasMany("vendorQuote", "rfq_id") },
+        comparisonEngine: { awards: hasMany("comparisonAward", "comparison_id") },
+        comparisonAward: { quote: belongsTo("vendorQuote", "quote_id"), quote_item: belongsTo("vendorQuoteItem", "quote_item_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const mockCreatePO = jest.fn();
+jest.mock("../../src/modules/purchaseOrders/purchaseOrders.service", () => ({ createPO: (...args) => mockCreatePO(...args) }));
+jest.mock("../../src/modules/wbs/budget.service", () => ({ resolveCostCodes: async () => () => null }));
+
+const { createPOsFromAward } = require("../../src/modules/purchaseOrders/award.service");
+const { compareQuotes } = require("../../src/modules/rfqs/rfqs.service");
+
+const user = { id: "u-proc", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockCreatePO.mockReset();
+    // Each PO creation yields to the event loop like the real DB round trips do
+    mockCreatePO.mockImplementation(async (data) => {
+        await tick();
+        return mockDb.purchaseOrder.create({ data: { po_number: data.po_number, vendor_id: data.vendor_id, amount: 0 } });
+    });
+
+    mockDb._seed("purchaseRequisition", [{ id: "pr-1", company_id: "c1", project_id: null, wbs_id: null }]);
+    mockDb._seed("rFQ", [{ id: "rfq-1", rfq_no: "RFQ-1", status: "vendor_selected", requisition_id: "pr-1" }]);
+    mockDb._seed("vendorQuote", [{ id: "q-a", currency: "SAR", delivery_days: 7 }, { id: "q-b", currency: "SAR", delivery_days: null }]);
+    mockDb._seed("comparisonEngine", [{ id: "cmp-1", rfq_id: "rfq-1", award_mode: "split" }]);
+    const award = (id, vendor, quote) => ({
+        id, comparison_id: "cmp-1", rfq_id: "rfq-1", item_id: `item-${id}`, vendor_id: vendor, quote_id: quote,
+        quote_item_id: null, quantity: 5, unit_price: 10, purchase_order_id: null, po_claimed_at: null,
+    });
+    mockDb._seed("comparisonAward", [award("a1", "v-a", "q-a"), award("a2", "v-a", "q-a"), award("a3", "v-b", "q-b")]);
+});
+
+describe("POs from an RFQ award", () => {
+    test("one draft PO per awarded vendor, linked from its award lines", async () => {
+        const result = await createPOsFromAward("rfq-1", {}, user);
+
+        expect(result.purchaseOrders).toHaveLength(2);
+        const links = mockDb._rows("comparisonAward").map((a) => a.purchase_order_id);
+        expect(new Set(links).size).toBe(2);
+        expect(mockDb._rows("comparisonAward").every((a) => a.po_claimed_at === null)).toBe(true);
+    });
+
+    test("a double click creates the POs once", async () => {
+        const results = await Promise.allSettled([
+            createPOsFromAward("rfq-1", {}, user),
+            createPOsFromAward("rfq-1", {}, user),
+        ]);
+
+        expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+        expect(results.find((r) => r.status === "rejected").reason.statusCode).toBe(409);
+        expect(mockDb._rows("purchaseOrder")).toHaveLength(2);
+    });
+
+    test("lines whose PO failed are released and picked up by the next run", async () => {
+        mockCreatePO.mockImplementationOnce(async (data) => mockDb.purchaseOrder.create({ data: { po_number: data.po_number, vendor_id: data.vendor_id } }));
+        mockCreatePO.mockImplementationOnce(async () => { throw new Error("Vendor v-b is suspended"); });
+
+        await expect(createPOsFromAward("rfq-1", {}, user)).rejects.toThrow("suspended");
+        const a3 = mockDb._row("comparisonAward", "a3");
+        expect(a3.purchase_order_id).toBeNull();
+        expect(a3.po_claimed_at).toBeNull();
+
+        const retry = await createPOsFromAward("rfq-1", {}, user);
+        expect(retry.purchaseOrders.map((po) => po.vendor_id)).toEqual(["v-b"]);
+    });
+});
+
+describe("one award per RFQ", () => {
+    test("an RFQ that already has a vendor cannot be compared again", async () => {
+        await expect(compareQuotes("rfq-1", {}, user)).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockDb._rows("comparisonEngine")).toHaveLength(1);
+    });
+
+    test("POs raised from an earlier comparison block POs from a later one", async () => {
+        mockDb._seed("comparisonEngine", [{ id: "cmp-0", rfq_id: "rfq-1", award_mode: "single" }]);
+        mockDb._seed("comparisonAward", [{
+            id: "a0", comparison_id: "cmp-0", rfq_id: "rfq-1", item_id: "item-a1", vendor_id: "v-c", quote_id: "q-a",
+            quote_item_id: null, quantity: 5, unit_price: 9, purchase_order_id: "po-old", po_claimed_at: null,
+        }]);
+
+        await expect(createPOsFromAward("rfq-1", { comparisonId: "cmp-1" }, user)).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockCreatePO).not.toHaveBeenCalled();
+        expect(mockDb._rows("comparisonAward").filter((a) => a.comparison_id === "cmp-1").every((a) => !a.po_claimed_at)).toBe(true);
+    });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        supplierInvoice: {
+            lines: hasMany("supplierInvoiceLine", "invoice_id"),
+            purchase_order: belongsTo("purchaseOrder", "po_id"),
+        },
+        supplierInvoiceLine: { invoice: belongsTo("supplierInvoice", "invoice_id") },
+        purchaseOrder: { items: hasMany("purchaseOrderItem", "purchase_order_id") },
+        gRNItem: { grn: belongsTo("goodsReceiptNote", "grn_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { runThreeWayMatch, assertPayable } = require("../../src/modules/purchaseOrders/matching.service");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("purchaseOrder", [{ id: "po-1", company_id: "c1", vendor_id: "v1", status: "issued" }]);
+    mockDb._seed("purchaseOrderItem", [
+        { id: "poi-1", purchase_order_id: "po-1", item_name: "Rebar", quantity: 10, unit_price: 100 },
+        { id: "poi-2", purchase_order_id: "po-1", item_name: "Cement", quantity: 20, unit_price: 50 },
+    ]);
+});
+
+function receive(poItemId, qty, unitPrice) {
+    mockDb._seed("goodsReceiptNote", [{ id: `grn-${poItemId}-${qty}`, deleted_at: null }]);
+    mockDb._seed("gRNItem", [{ grn_id: `grn-${poItemId}-${qty}`, po_item_id: poItemId, qty_received: qty, qty_rejected: 0, unit_price: unitPrice }]);
+}
+
+function invoice(id, amount, lines = [], status = "pending") {
+    mockDb._seed("supplierInvoice", [{
+        id, invoice_number: id.toUpperCase(), po_id: "po-1", vendor_id: "v1", company_id: "c1",
+        amount, total_amount: amount, status, match_status: "unmatched",
+    }]);
+    mockDb._seed("supplierInvoiceLine", lines.map((l, i) => ({
+        id: `${id}-l${i}`, invoice_id: id, line_total: l.quantity * l.unit_price, ...l,
+    })));
+}
+
+describe("line-level three-way match", () => {
+    test("lines within received quantity and PO price match", async () => {
+        receive("poi-1", 10, 100);
+        invoice("inv-1", 1000, [{ po_item_id: "poi-1", quantity: 10, unit_price: 100 }]);
+
+        const result = await runThreeWayMatch("inv-1");
+
+        expect(result.match_status).toBe("matched");
+        expect(result.status).toBe("pending");
+        expect(() => assertPayable(result)).not.toThrow();
+    });
+
+    test("a line billing more than was received puts the invoice on hold", async () => {
+        receive("poi-1", 6, 100);
+        invoice("inv-1", 1000, [{ po_item_id: "poi-1", quantity: 10, unit_price: 100 }]);
+
+        const result = await runThreeWayMatch("inv-1");
+
+        expect(result.match_status).toBe("exception");
+        expect(result.status).toBe("on_hold");
+        expect(result.hold_reason).toContain("quantity above received");
+        expect(() => assertPayable(result)).toThrow(/on hold/);
+    });
+});
+
+describe("header-only invoices", () => {
+    test("match when the amount is covered by received value not yet invoiced", async () => {
+        receive("poi-1", 10, 100);
+        receive("poi-2", 10, 50);
+        invoice("inv-old", 900, [], "paid");
+        invoice("inv-2", 600);
+
+        const result = await runThreeWayMatch("inv-2");
+
+        expect(result.match_status).toBe("matched");
+        expect(result.match_summary.header).toEqual({ acceptedValue: 1500, invoicedElsewhere: 900, billable: 600 });
+    });
+
+    test("are held when they bill more than the received value", async () => {
+        receive("poi-1", 5, 100);
+        invoice("inv-2", 800);
+
+        const result = await runThreeWayMatch("inv-2");
+
+        expect(result.status).toBe("on_hold");
+        expect(result.hold_reason).toContain("exceeds the received value");
+    });
+
+    test("are held while nothing has been received", async () => {
+        invoice("inv-2", 100);
+
+        const result = await runThreeWayMatch("inv-2");
+
+        expect(result.status).toBe("on_hold");
+        expect(result.hold_reason).toContain("Nothing received");
+    });
+
+    test("clear once the price tolerance covers the difference", async () => {
+        mockDb._seed("systemSetting", [{ key: "INVOICE_MATCH_TOLERANCES", company_id: null, value: JSON.stringify({ pricePercent: 5 }) }]);
+        receive("poi-1", 10, 100);
+        invoice("inv-2", 1040);
+
+        await expect(runThreeWayMatch("inv-2")).resolves.toMatchObject({ match_status: "matched" });
+    });
+});
+
+describe("payment gate", () => {
+    test("invoices released by the migration backfill are payable", () => {
+        expect(() => assertPayable({ invoice_number: "OLD-1", po_id: "po-1", status: "pending", match_status: "overridden" })).not.toThrow();
+    });
+
+    test("PO invoices that were never matched are not payable", () => {
+        expect(() => assertPayable({ invoice_number: "NEW-1", po_id: "po-1", status: "pending", match_status: "unmatched" })).toThrow(/three-way match/);
+    });
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+const { approvalRelations, seedApprovalUsers } = require("../helpers/approvalsFixture");
+
+const mockDb = createFakePrisma({
+    relations: {
+        ...approvalRelations,
+        purchaseRequisition: {
+            wbs: belongsTo("wBS", "wbs_id"),
+            purchaseRequisitionItems: hasMany("purchaseRequisitionItem", "requisition_id"),
+        },
+        purchaseRequisitionItem: { item: belongsTo("item", "item_id") },
+        wBS: { cost_codes: hasMany("costCode", "wbs_id") },
+        costCode: { wbs: belongsTo("wBS", "wbs_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+require("../../src/modules/purchaseRequisitions/purchaseRequisitions.service");
+const approvals = require("../../src/modules/approvals/approvals.service");
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    seedApprovalUsers(mockDb);
+    mockDb._seed("systemSetting", [{ key: "BUDGET_CONTROL_POLICY", company_id: null, value: JSON.stringify({ pr: "warn", po: "warn" }) }]);
+    mockDb._seed("wBS", [{ id: "w-1", wbs_code: "1.1", name: "Substructure" }]);
+    mockDb._seed("costCode", [
+        { id: "cc-mat", wbs_id: "w-1", category: "material", budget_amount: 1000, actual_amount: 0, reserved_amount: 0, committed_amount: 0, deleted_at: null },
+    ]);
+    mockDb._seed("approvalMatrix", [
+        { id: "m-pm", doc_type: "PR", company_id: "c1", project_id: null, role_id: "role-pm", step_order: 1, min_amount: null, max_amount: null, condition: null },
+        {
+            id: "m-budget", doc_type: "PR", company_id: "c1", project_id: null, role_id: "role-fin", step_order: 2, min_amount: null, max_amount: null,
+            condition: { field: "budget.insufficient", op: "eq", value: true },
+        },
+    ]);
+});
+
+function seedPR(id, estimatedTotal) {
+    mockDb._seed("purchaseRequisition", [{ id, pr_no: id.toUpperCase(), company_id: "c1", project_id: null, wbs_id: "w-1", status: "submitted" }]);
+    mockDb._seed("purchaseRequisitionItem", [{ id: `${id}-l0`, requisition_id: id, item_id: null, quantity: 1, estimated_total_price: estimatedTotal }]);
+}
+
+describe("budget-based PR routing", () => {
+    test("an over-budget PR gets the extra budget approver", async () => {
+        seedPR("pr-over", 1500);
+
+        const result = await approvals.requestApproval({ docType: "PR", docId: "pr-over", amount: 1500 }, "u-req");
+
+        expect(result.totalSteps).toBe(2);
+        const steps = mockDb._rows("approvalStep").filter((s) => s.approval_request_id === result.approvalRequestId);
+        expect(steps.map((s) => s.role_id).sort()).toEqual(["role-fin", "role-pm"]);
+    });
+
+    test("a PR within budget follows the normal route", async () => {
+        seedPR("pr-ok", 800);
+
+        const result = await approvals.requestApproval({ docType: "PR", docId: "pr-ok", amount: 800 }, "u-req");
+
+        expect(result.totalSteps).toBe(1);
+    });
+});
@@ -0,0 +1,11 @@
+"use strict";
+
+// Services log through winston (console + logs/*.log) — keep test output clean
+jest.mock("../src/logger", () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
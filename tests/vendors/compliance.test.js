@@ -0,0 +1,82 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        vendor: { documents: hasMany("vendorDocument", "vendor_id") },
+        user: { roles: belongsTo("role", "role_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { runComplianceSweep, assertVendorsCompliant, addDocument } = require("../../src/modules/vendors/compliance.service");
+
+const user = { id: "u-proc", companyId: "c1", isSuperAdmin: true, roleCode: "super_admin" };
+const now = new Date();
+const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const inDays = (n) => new Date(today.getTime() + n * 24 * 60 * 60 * 1000);
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("role", [{ id: "role-po", code: "procurement_officer" }]);
+    mockDb._seed("user", [{ id: "u-proc", company_id: "c1", role_id: "role-po", is_active: true, deleted_at: null }]);
+    mockDb._seed("vendor", [{
+        id: "v-1", name: "Gulf Steel", email: null, company_id: "c1", status: "active", suspension_reason: null, created_by: "u-owner", deleted_at: null,
+    }]);
+    const doc = (id, docType, expiry) => ({
+        id, vendor_id: "v-1", company_id: "c1", doc_type: docType, expiry_date: expiry, status: "valid", reminders_sent: [], deleted_at: null,
+    });
+    mockDb._seed("vendorDocument", [
+        doc("doc-cr", "CR", inDays(400)),
+        doc("doc-vat", "VAT", inDays(10)),
+        doc("doc-zakat", "ZAKAT", inDays(200)),
+        doc("doc-ins", "INSURANCE", inDays(300)),
+    ]);
+});
+
+const vendor = () => mockDb._row("vendor", "v-1");
+
+describe("vendor compliance", () => {
+    test("an expiring document gets the nearest due reminder once", async () => {
+        const first = await runComplianceSweep({ today });
+        const second = await runComplianceSweep({ today });
+
+        expect(first.reminders).toBe(1);
+        expect(second.reminders).toBe(0);
+        expect(mockDb._row("vendorDocument", "doc-vat").reminders_sent.sort((a, b) => a - b)).toEqual([14, 30]);
+        expect(mockDb._rows("notification").map((n) => n.user_id).sort()).toEqual(["u-owner", "u-proc"]);
+        expect(vendor()).toMatchObject({ status: "active", compliance_status: "expiring" });
+    });
+
+    test("an expired mandatory document suspends the vendor and blocks new business", async () => {
+        mockDb._row("vendorDocument", "doc-vat").expiry_date = inDays(-1);
+
+        const totals = await runComplianceSweep({ today });
+
+        expect(totals.suspended).toBe(1);
+        expect(vendor()).toMatchObject({ status: "suspended", suspension_reason: "COMPLIANCE: expired VAT", compliance_status: "non_compliant" });
+        await expect(assertVendorsCompliant(["v-1"], "issue a PO to")).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    test("the expired document blocks new business before the sweep runs", async () => {
+        mockDb._row("vendorDocument", "doc-vat").expiry_date = inDays(-1);
+
+        await expect(assertVendorsCompliant(["v-1"], "invite")).rejects.toMatchObject({
+            message: expect.stringContaining("Gulf Steel has expired VAT"),
+        });
+    });
+
+    test("renewing the document reinstates a compliance suspension", async () => {
+        mockDb._row("vendorDocument", "doc-vat").expiry_date = inDays(-1);
+        await runComplianceSweep({ today });
+
+        const { compliance } = await addDocument("v-1", { doc_type: "VAT", document_number: "300-2", expiry_date: inDays(365) }, user);
+
+        expect(compliance.action).toBe("REINSTATE_VENDOR_COMPLIANCE");
+        expect(mockDb._row("vendorDocument", "doc-vat").status).toBe("superseded");
+        expect(vendor()).toMatchObject({ status: "active", suspension_reason: null, compliance_status: "compliant" });
+        await expect(assertVendorsCompliant(["v-1"])).resolves.toBeUndefined();
+    });
+});
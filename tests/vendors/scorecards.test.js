@@ -0,0 +1,101 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        deliveryTracking: { po: belongsTo("purchaseOrder", "po_id") },
+        goodsReceiptNote: { po: belongsTo("purchaseOrder", "po_id") },
+        gRNItem: { grn: belongsTo("goodsReceiptNote", "grn_id") },
+        vendorQuoteItem: { quote: belongsTo("vendorQuote", "quote_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const { recalculateVendorScorecard, assertScoreAllows } = require("../../src/modules/vendors/scorecards.service");
+
+const now = new Date("2026-06-30T12:00:00Z");
+const day = (d) => new Date(`2026-${d}T00:00:00Z`);
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("company", [{ id: "c1", base_currency: "SAR" }]);
+    mockDb._seed("vendor", [
+        { id: "v-1", name: "Gulf Steel", company_id: "c1", status: "active", scorecard_score: null },
+        { id: "v-2", name: "Najd Metals", company_id: "c1", status: "active", scorecard_score: null },
+    ]);
+    mockDb._seed("purchaseOrder", [{ id: "po-1", vendor_id: "v-1" }]);
+});
+
+function seedHistory() {
+    // 3 of 4 deliveries on time
+    mockDb._seed("deliveryTracking", [
+        { id: "d1", po_id: "po-1", expected_date: day("03-01"), actual_date: day("02-28") },
+        { id: "d2", po_id: "po-1", expected_date: day("04-01"), actual_date: day("04-01") },
+        { id: "d3", po_id: "po-1", expected_date: day("05-01"), actual_date: day("04-30") },
+        { id: "d4", po_id: "po-1", expected_date: day("06-01"), actual_date: day("06-05") },
+    ]);
+    // 5 of 100 received rejected, one material NCR
+    mockDb._seed("goodsReceiptNote", [{ id: "grn-1", po_id: "po-1", received_at: day("04-01"), deleted_at: null }]);
+    mockDb._seed("gRNItem", [{ id: "gi-1", grn_id: "grn-1", qty_received: 100, qty_rejected: 5 }]);
+    mockDb._seed("nCR", [{ id: "ncr-1", vendor_id: "v-1", category: "MATERIAL", raised_date: day("04-02"), severity: "MINOR", status: "closed" }]);
+    // USD 10 at 3.75 = SAR 37.50 against a competing SAR 30 → price index 0.8
+    mockDb._seed("exchangeRate", [{ id: "fx-1", from_currency: "USD", to_currency: "SAR", rate: 3.75, company_id: null, effective_date: day("01-01") }]);
+    mockDb._seed("vendorQuote", [
+        { id: "q-1", rfq_id: "rfq-1", vendor_id: "v-1", currency: "USD", status: "submitted", created_at: day("03-10") },
+        { id: "q-2", rfq_id: "rfq-1", vendor_id: "v-2", currency: "SAR", status: "submitted", created_at: day("03-11") },
+    ]);
+    mockDb._seed("vendorQuoteItem", [
+        { id: "qi-1", quote_id: "q-1", item_id: "it-rebar", quantity: 10, unit_price: 10, total_price: 100 },
+        { id: "qi-2", quote_id: "q-2", item_id: "it-rebar", quantity: 10, unit_price: 30, total_price: 300 },
+    ]);
+    // 1 of 4 invoices went to a match exception
+    mockDb._seed("supplierInvoice", ["matched", "matched", "matched", "exception"].map((match_status, i) => ({
+        id: `inv-${i}`, vendor_id: "v-1", status: "pending", match_status, created_at: day("05-01"),
+    })));
+}
+
+describe("vendor scorecard", () => {
+    test("weights every metric into the score, grade and rating", async () => {
+        seedHistory();
+
+        const card = await recalculateVendorScorecard("v-1", { now });
+
+        expect(card.metrics).toMatchObject({
+            onTime: { score: 75 },
+            quality: { score: 95 },
+            ncr: { score: 80 },
+            price: { score: 80, comparedLines: 1 },
+            invoicing: { score: 75 },
+        });
+        // (75·30 + 95·25 + 80·15 + 80·20 + 75·10) / 100
+        expect(card.overall_score).toBe(81.75);
+        expect(card.grade).toBe("B");
+        expect(mockDb._row("vendor", "v-1")).toMatchObject({ scorecard_score: 81.75, scorecard_grade: "B", rating: 4.09 });
+    });
+
+    test("metrics without data are left out and the rest are reweighted", async () => {
+        mockDb._seed("deliveryTracking", [
+            { id: "d1", po_id: "po-1", expected_date: day("03-01"), actual_date: day("03-01") },
+            { id: "d2", po_id: "po-1", expected_date: day("04-01"), actual_date: null },
+        ]);
+
+        const card = await recalculateVendorScorecard("v-1", { now });
+
+        expect(card.overall_score).toBe(50);
+        expect(card.metrics.onTime.weight).toBe(100);
+        expect(card.metrics.quality).toMatchObject({ score: null, weight: 0 });
+    });
+
+    test("a vendor scored below the invite minimum cannot be invited", async () => {
+        mockDb._seed("systemSetting", [{ key: "VENDOR_SCORECARD_SETTINGS", company_id: null, value: JSON.stringify({ minInviteScore: 60 }) }]);
+        mockDb._row("vendor", "v-1").scorecard_score = 55;
+
+        await expect(assertScoreAllows(["v-1", "v-2"], "invite")).rejects.toMatchObject({
+            statusCode: 422,
+            message: expect.stringContaining("Gulf Steel (55 < 60)"),
+        });
+        await expect(assertScoreAllows(["v-2"], "invite")).resolves.toBeUndefined();
+    });
+});
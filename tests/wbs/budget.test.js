@@ -0,0 +1,207 @@
+"use strict";
+
+const { createFakePrisma } = require("../helpers/fakePrisma");
+const { belongsTo, hasMany } = require("../helpers/relations");
+
+const mockDb = createFakePrisma({
+    relations: {
+        purchaseRequisition: { purchaseRequisitionItems: hasMany("purchaseRequisitionItem", "requisition_id") },
+        purchaseOrder: {
+            items: hasMany("purchaseOrderItem", "purchase_order_id"),
+            requisition: belongsTo("purchaseRequisition", "requisition_id"),
+        },
+        supplierInvoice: {
+            lines: hasMany("supplierInvoiceLine", "invoice_id"),
+            payments: hasMany("supplierPayment", "invoice_id"),
+            purchase_order: belongsTo("purchaseOrder", "po_id"),
+        },
+        paymentRunItem: { run: belongsTo("paymentRun", "run_id") },
+    },
+});
+jest.mock("../../src/db", () => mockDb);
+
+const budget = require("../../src/modules/wbs/budget.service");
+const { cancelInvoice } = require("../../src/modules/purchaseOrders/finance.service");
+
+const user = { id: "u-fin", companyId: "c1", isSuperAdmin: false, roleCode: "accounts_manager" };
+
+beforeEach(() => {
+    for (const model of Object.keys(mockDb._tables)) mockDb._tables[model].length = 0;
+    mockDb._seed("costCode", [
+        { id: "cc-mat", wbs_id: "w-1", category: "material", budget_amount: 10000, actual_amount: 0, reserved_amount: 0, committed_amount: 0, deleted_at: null },
+        { id: "cc-svc", wbs_id: "w-1", category: "equipment", budget_amount: 5000, actual_amount: 0, reserved_amount: 0, committed_amount: 0, deleted_at: null },
+    ]);
+});
+
+const costCode = (id) => mockDb._row("costCode", id);
+
+function seedPR(id, lines) {
+    mockDb._seed("purchaseRequisition", [{ id, company_id: "c1", wbs_id: "w-1", status: "approved_for_rfq" }]);
+    mockDb._seed("purchaseRequisitionItem", lines.map((l, i) => ({ id: `${id}-l${i}`, requisition_id: id, cost_code_id: "cc-mat", ...l })));
+}
+
+function seedPO(id, lines, requisitionId = null) {
+    mockDb._seed("purchaseOrder", [{ id, company_id: "c1", requisition_id: requisitionId, status: "issued", exchange_rate: 1 }]);
+    mockDb._seed("purchaseOrderItem", lines.map((l, i) => ({
+        id: `${id}-i${i}`, purchase_order_id: id, total_price: l.quantity * l.unit_price, ...l,
+    })));
+}
+
+function seedInvoice(id, amount, lines = []) {
+    mockDb._seed("supplierInvoice", [{
+        id, invoice_number: id.toUpperCase(), po_id: "po-1", company_id: "c1", exchange_rate: 1,
+        amount, total_amount: amount, status: "pending", match_status: "matched",
+    }]);
+    mockDb._seed("supplierInvoiceLine", lines.map((l, i) => ({
+        id: `${id}-l${i}`, invoice_id: id, line_total: l.quantity * l.unit_price, ...l,
+    })));
+}
+
+// Steel is stocked (catalog item); crane hire is a non-stock service line
+async function committedPO() {
+    seedPO("po-1", [
+        { item_id: "it-steel", item_name: "Steel", quantity: 10, unit_price: 100, cost_code_id: "cc-mat" },
+        { item_id: null, item_name: "Crane hire", quantity: 1, unit_price: 500, cost_code_id: "cc-svc", is_service: true },
+    ]);
+    await budget.syncPOCommitment("po-1");
+}
+
+describe("invoice actuals", () => {
+    test("stocked lines relieve the commitment without booking actual cost", async () => {
+        await committedPO();
+        seedInvoice("inv-1", 1500, [
+            { po_item_id: "po-1-i0", quantity: 10, unit_price: 100 },
+            { po_item_id: "po-1-i1", quantity: 1, unit_price: 500 },
+        ]);
+
+        await budget.recordInvoiceActuals("inv-1");
+
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(0);
+        expect(Number(costCode("cc-mat").actual_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").actual_amount)).toBe(500);
+        const invoiceRows = mockDb._rows("budgetEncumbrance").filter((r) => r.doc_type === "INVOICE");
+        expect(invoiceRows.map((r) => r.cost_code_id)).toEqual(["cc-svc"]);
+    });
+
+    test("a header-only invoice spreads over the PO lines and expenses only the non-stock share", async () => {
+        await committedPO();
+        seedInvoice("inv-1", 750);
+
+        await budget.recordInvoiceActuals("inv-1");
+
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(500);
+        expect(Number(costCode("cc-mat").actual_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(250);
+        expect(Number(costCode("cc-svc").actual_amount)).toBe(250);
+    });
+
+    test("an invoice that only covers stocked lines still runs once", async () => {
+        await committedPO();
+        seedInvoice("inv-1", 1000, [{ po_item_id: "po-1-i0", quantity: 10, unit_price: 100 }]);
+
+        await budget.recordInvoiceActuals("inv-1");
+        const again = await budget.recordInvoiceActuals("inv-1");
+
+        expect(again).toEqual([]);
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(0);
+    });
+});
+
+describe("invoice cancellation", () => {
+    beforeEach(async () => {
+        await committedPO();
+        seedInvoice("inv-1", 1500, [
+            { po_item_id: "po-1-i0", quantity: 10, unit_price: 100 },
+            { po_item_id: "po-1-i1", quantity: 1, unit_price: 500 },
+        ]);
+        await budget.recordInvoiceActuals("inv-1");
+    });
+
+    test("reverses the actual cost and restores the PO commitment", async () => {
+        const cancelled = await cancelInvoice("inv-1", "Duplicate of INV-0", user);
+
+        expect(cancelled.status).toBe("cancelled");
+        expect(Number(costCode("cc-svc").actual_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(500);
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(1000);
+        expect(mockDb._rows("auditLog").some((a) => a.action === "CANCEL_INVOICE")).toBe(true);
+    });
+
+    test("the PO can be invoiced again after the cancellation", async () => {
+        await cancelInvoice("inv-1", "Wrong amounts", user);
+        seedInvoice("inv-2", 500, [{ po_item_id: "po-1-i1", quantity: 1, unit_price: 500 }]);
+
+        await budget.recordInvoiceActuals("inv-2");
+
+        expect(Number(costCode("cc-svc").actual_amount)).toBe(500);
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(0);
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(1000);
+    });
+
+    test("does not bring back the commitment of a PO that is no longer open", async () => {
+        mockDb._row("purchaseOrder", "po-1").status = "cancelled";
+
+        await cancelInvoice("inv-1", "PO cancelled", user);
+
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(0);
+        expect(Number(costCode("cc-svc").actual_amount)).toBe(0);
+    });
+
+    test("refuses an invoice with payments and a second cancellation", async () => {
+        mockDb._seed("supplierPayment", [{ id: "pay-1", invoice_id: "inv-1", amount: 100 }]);
+        await expect(cancelInvoice("inv-1", "Oops", user)).rejects.toMatchObject({ statusCode: 409 });
+
+        mockDb._tables.supplierPayment.length = 0;
+        await cancelInvoice("inv-1", "Duplicate", user);
+        await expect(cancelInvoice("inv-1", "Duplicate", user)).rejects.toMatchObject({ statusCode: 409 });
+        expect(Number(costCode("cc-svc").committed_amount)).toBe(500);
+    });
+
+    test("refuses an invoice that sits in a payment run", async () => {
+        mockDb._seed("paymentRun", [{ id: "run-1", run_no: "PR-1" }]);
+        mockDb._seed("paymentRunItem", [{ id: "ri-1", run_id: "run-1", invoice_id: "inv-1", status: "proposed" }]);
+
+        await expect(cancelInvoice("inv-1", "Duplicate", user)).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockDb._row("supplierInvoice", "inv-1").status).toBe("pending");
+    });
+});
+
+describe("PR reservation release", () => {
+    test("a PO that orders the whole PR releases what it did not need", async () => {
+        seedPR("pr-1", [{ item_id: "it-steel", quantity: 10, estimated_total_price: 1200 }]);
+        await budget.reservePR("pr-1");
+        seedPO("po-1", [{ item_id: "it-steel", item_name: "Steel", quantity: 10, unit_price: 100, cost_code_id: "cc-mat" }], "pr-1");
+
+        await budget.syncPOCommitment("po-1");
+
+        expect(Number(costCode("cc-mat").reserved_amount)).toBe(0);
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(1000);
+    });
+
+    test("a partial PO leaves the rest reserved until the last PO commits", async () => {
+        seedPR("pr-1", [{ item_id: "it-steel", quantity: 20, estimated_total_price: 2400 }]);
+        await budget.reservePR("pr-1");
+        seedPO("po-1", [{ item_id: "it-steel", item_name: "Steel", quantity: 10, unit_price: 100, cost_code_id: "cc-mat" }], "pr-1");
+        seedPO("po-2", [{ item_id: "it-steel", item_name: "Steel", quantity: 10, unit_price: 110, cost_code_id: "cc-mat" }], "pr-1");
+
+        await budget.syncPOCommitment("po-1");
+        expect(Number(costCode("cc-mat").reserved_amount)).toBe(1400);
+
+        await budget.syncPOCommitment("po-2");
+        expect(Number(costCode("cc-mat").reserved_amount)).toBe(0);
+        expect(Number(costCode("cc-mat").committed_amount)).toBe(2100);
+    });
+
+    test("closing a PR releases its remaining reservation", async () => {
+        const { closePR } = require("../../src/modules/purchaseRequisitions/purchaseRequisitions.service");
+        seedPR("pr-1", [{ item_id: "it-steel", quantity: 20, estimated_total_price: 2400 }]);
+        await budget.reservePR("pr-1");
+
+        const closed = await closePR("pr-1", { reason: "Scope reduced" }, { id: "u-po", isSuperAdmin: true, roleCode: "super_admin" });
+
+        expect(closed.status).toBe("closed");
+        expect(Number(costCode("cc-mat").reserved_amount)).toBe(0);
+    });
+});